@@ -24,6 +24,33 @@ class SubticketController {
     const RATE_LIMIT_REQUESTS = 100;
     const RATE_LIMIT_WINDOW = 60;  // seconds
 
+    /**
+     * Search term length bounds for the parent picker
+     */
+    const SEARCH_MIN_LENGTH = 2;
+    const SEARCH_MAX_LENGTH = 100;
+
+    /**
+     * Maximum number of tickets per batch request
+     */
+    const BATCH_MAX_TICKETS = 100;
+
+    /**
+     * Maximum number of thread entries split off per request
+     */
+    const SPLIT_MAX_ENTRIES = 10;
+
+    /**
+     * Maximum subject length of created subtickets
+     */
+    const SUBJECT_MAX_LENGTH = 50;
+
+    /**
+     * Page size bounds for the hierarchy overview
+     */
+    const OVERVIEW_DEFAULT_PER_PAGE = 25;
+    const OVERVIEW_MAX_PER_PAGE = 100;
+
     /**
      * Constructor
      *
@@ -125,6 +152,12 @@ class SubticketController {
             return $this->errorResponse('Invalid ticket ID');
         }
 
+        // SECURITY: Validate staff has access to the parent ticket
+        $ticketAccess = $this->validateTicketAccess((int)$ticketId);
+        if ($ticketAccess !== true) {
+            return $ticketAccess;
+        }
+
         // Get children from plugin
         $children = $this->plugin->getChildren($ticketId);
 
@@ -139,6 +172,233 @@ class SubticketController {
         );
     }
 
+    /**
+     * Get the rendered subticket panel for a ticket
+     *
+     * AJAX endpoint: GET /scp/ajax-subticket.php?action=panel&tid={id}
+     *
+     * Used by the frontend to re-render the panel in place after link,
+     * unlink and create instead of reloading the page (which would
+     * discard any reply draft the agent is typing).
+     *
+     * @param int $ticketId Ticket ID the panel belongs to
+     * @return array JSON response with structure:
+     *   {
+     *     "success": true/false,
+     *     "message": "Human-readable message",
+     *     "data": {
+     *       "html": "<div class=\"subticket-panel\">...</div>",
+     *       "parent": {ticket_id, number, subject, status} or null,
+     *       "children": [array of child tickets]
+     *     }
+     *   }
+     */
+    public function getPanel($ticketId) {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        // Validate ticket ID
+        if (!$this->isValidPositiveInteger($ticketId)) {
+            return $this->errorResponse('Invalid ticket ID');
+        }
+
+        // SECURITY: Validate staff has access to the ticket
+        $ticketAccess = $this->validateTicketAccess((int)$ticketId);
+        if ($ticketAccess !== true) {
+            return $ticketAccess;
+        }
+
+        return $this->successResponse('Panel rendered', $this->plugin->getPanel($ticketId));
+    }
+
+    /**
+     * Get the recorded hierarchy changes of a ticket
+     *
+     * AJAX endpoint: GET /scp/ajax-subticket.php?action=history&tid={id}
+     *
+     * Used by the panel's "History" tab. Lists link, unlink, reparent and
+     * cascade events where the ticket was the child or a parent.
+     *
+     * @param int $ticketId Ticket ID
+     * @return array JSON response with structure:
+     *   {
+     *     "success": true/false,
+     *     "message": "Human-readable message",
+     *     "data": [
+     *       {id, event, ticket_id, number, old_parent_id, old_parent_number,
+     *        new_parent_id, new_parent_number, staff, details, created}
+     *     ]
+     *   }
+     */
+    public function getHistory($ticketId) {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        // Validate ticket ID
+        if (!$this->isValidPositiveInteger($ticketId)) {
+            return $this->errorResponse('Invalid ticket ID');
+        }
+
+        // SECURITY: Validate staff has access to the ticket
+        $ticketAccess = $this->validateTicketAccess((int)$ticketId);
+        if ($ticketAccess !== true) {
+            return $ticketAccess;
+        }
+
+        $events = $this->plugin->getHierarchyHistory($ticketId);
+
+        return $this->successResponse('Found ' . count($events) . ' events', $events);
+    }
+
+    /**
+     * Get the hierarchy changes since a cursor (live updates)
+     *
+     * AJAX endpoint: GET /scp/ajax-subticket.php?action=changes&since={cursor}
+     *
+     * Polled by the panel and the queue indicators. Without a cursor only
+     * the current cursor is returned. Lists changes made by other agents
+     * in departments the agent can access.
+     *
+     * @param int|string|null $since Cursor from the previous response
+     * @return array JSON response with structure:
+     *   {
+     *     "success": true/false,
+     *     "message": "Human-readable message",
+     *     "data": {cursor, changes: [{event, ticket_id, parent_id}], truncated}
+     *   }
+     */
+    public function getChanges($since) {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        // 1. Validate cursor (empty = start watching)
+        if ($since === null || $since === '') {
+            $since = 0;
+        } elseif (!ctype_digit((string)$since)) {
+            return $this->errorResponse('Invalid cursor');
+        }
+
+        // 2. SECURITY: Restrict to departments the agent can access
+        $feed = $this->plugin->getHierarchyChanges((int)$since, $this->getAccessibleDepartmentIds());
+
+        return $this->successResponse('Found ' . count($feed['changes']) . ' changes', $feed);
+    }
+
+    /**
+     * Get the read-only client portal panel of a parent ticket
+     *
+     * AJAX endpoint: GET /ajax-subticket-client.php?action=panel&tid={id}
+     *
+     * Only available with "Show Subtickets in Client Portal" enabled, for
+     * users with access to the ticket. Lists only the user's own subtickets.
+     *
+     * @param int $ticketId Parent ticket ID
+     * @return array JSON response with data {html, children, progress}
+     */
+    public function getClientPanel($ticketId) {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        if (!$this->plugin->isClientPanelEnabled()) {
+            return $this->errorResponse('Client portal view is disabled');
+        }
+
+        // Validate ticket ID
+        if (!$this->isValidPositiveInteger($ticketId)) {
+            return $this->errorResponse('Invalid ticket ID');
+        }
+
+        // SECURITY: Validate the user has access to the ticket
+        $user = $this->validateClientAccess((int)$ticketId);
+        if (is_array($user)) {
+            return $user;
+        }
+
+        $panel = $this->plugin->getClientPanel((int)$ticketId, (int)$user->getId());
+
+        return $this->successResponse('Found ' . count($panel['children']) . ' subtickets', $panel);
+    }
+
+    /**
+     * Search open tickets that can become the parent of a ticket
+     *
+     * AJAX endpoint: GET /scp/ajax-subticket.php?action=search&tid={id}&q={term}
+     *
+     * Every hit carries a "selectable" flag. Candidates that would create a
+     * cycle, are closed (require_parent_open) or exceed max_depth/max_children
+     * are returned with selectable=false, the error code and a human-readable
+     * reason, so the picker can grey them out up front.
+     *
+     * @param string $query Search term (ticket number, subject or requester)
+     * @param int $ticketId Ticket that is about to be linked (the future child)
+     * @return array JSON response with structure:
+     *   {
+     *     "success": true/false,
+     *     "message": "Human-readable message",
+     *     "data": [
+     *       {id, number, subject, status, department, requester,
+     *        selectable, code, reason_text}
+     *     ]
+     *   }
+     */
+    public function searchTickets($query, $ticketId) {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        // Validate ticket ID
+        if (!$this->isValidPositiveInteger($ticketId)) {
+            return $this->errorResponse('Invalid ticket ID');
+        }
+
+        // Validate search term
+        $query = trim((string)$query);
+        if (strlen($query) < self::SEARCH_MIN_LENGTH) {
+            return $this->errorResponse('Search term must be at least ' . self::SEARCH_MIN_LENGTH . ' characters');
+        }
+        if (strlen($query) > self::SEARCH_MAX_LENGTH) {
+            return $this->errorResponse('Search term is too long');
+        }
+
+        // SECURITY: Validate staff has access to the ticket
+        $ticketAccess = $this->validateTicketAccess((int)$ticketId);
+        if ($ticketAccess !== true) {
+            return $ticketAccess;
+        }
+
+        $limits = $this->plugin->getHierarchyLimits();
+        $candidates = [];
+
+        foreach ($this->plugin->searchTickets($query) as $ticket) {
+            // SECURITY: Only offer tickets from departments the staff can access
+            if (!$this->canAccessDepartment($ticket['dept_id'])) {
+                continue;
+            }
+
+            $code = $this->plugin->validateLink((int)$ticketId, $ticket['id']);
+
+            unset($ticket['dept_id']);
+            $ticket['selectable'] = $code === null;
+            $ticket['code'] = $code;
+            $ticket['reason_text'] = $code === null ? '' : $this->describeLinkRestriction($code, $limits);
+            $candidates[] = $ticket;
+        }
+
+        return $this->successResponse(
+            'Found ' . count($candidates) . ' tickets',
+            $candidates
+        );
+    }
+
     /**
      * Unlink a child ticket from its parent
      *
@@ -216,8 +476,8 @@ class SubticketController {
             return $this->errorResponse('Invalid child ticket ID');
         }
 
-        // 2. Validate parent ticket ID or number
-        if (!$this->isValidPositiveInteger($parentId)) {
+        // 2. Validate parent ticket number (may be alphanumeric, e.g. "ABC-123")
+        if (!$this->isValidTicketNumber($parentId)) {
             subticket_log('Invalid parent ticket ID/number', "parentId=$parentId");
             return $this->errorResponse('Invalid parent ticket ID/number');
         }
@@ -237,14 +497,25 @@ class SubticketController {
             return $childAccess;
         }
 
-        // 5. Execute linkTicket operation (by number - user-friendly)
-        // User provides ticket NUMBER (visible), not internal ID
-        // Plugin handles: number-to-ID conversion, self-linking check,
-        // ticket existence, circular dependency
-        subticket_log('Calling linkTicketByNumber', "childId=$childId, parentNumber=$parentId");
-        $result = $this->plugin->linkTicketByNumber($childId, $parentId);
+        // 5. Resolve the parent (user provides ticket NUMBER (visible), not internal ID)
+        $parentTicketId = $this->plugin->getTicketIdByNumber($parentId);
+        if (!$parentTicketId) {
+            subticket_log('Parent ticket not found', "parentNumber=$parentId");
+            return $this->errorResponse('Failed to link tickets');
+        }
+
+        // 6. Same rules as every other link (self, cycle, closed parent, nesting, limits)
+        $code = $this->plugin->validateLink((int)$childId, $parentTicketId);
+        if ($code !== null) {
+            subticket_log('Link rejected', "childId=$childId, parentId=$parentTicketId, code=$code");
+            return $this->restrictionError($code);
+        }
+
+        // 7. Execute linkTicket operation
+        subticket_log('Calling linkTicket', "childId=$childId, parentId=$parentTicketId");
+        $result = $this->plugin->linkTicket((int)$childId, $parentTicketId);
 
-        // 6. Return response based on result
+        // 8. Return response based on result
         if ($result) {
             subticket_log('Link successful');
             return $this->successResponse('Tickets successfully linked');
@@ -257,84 +528,1432 @@ class SubticketController {
     /**
      * Create a new ticket as child of an existing parent ticket
      *
-     * AJAX endpoint: POST /ajax.php/subticket/create
+     * AJAX endpoint: POST /ajax.php/subticket/create
+     *
+     * @param int $parentId Parent ticket ID
+     * @param string $subject Ticket subject
+     * @param int $deptId Department ID
+     * @param string $message Ticket message/description
+     * @param string|null $csrfToken CSRF token for security validation
+     * @param int|null $staffId Optional assignee (defaults to the creating staff member)
+     * @return array JSON response with structure:
+     *   {
+     *     "success": true/false,
+     *     "message": "Human-readable message",
+     *     "data": {
+     *       "ticket_id": 123 (on success),
+     *       "ticket_number": "ABC-123-456" (on success)
+     *     }
+     *   }
+     */
+    public function createSubticket($parentId, $subject, $deptId, $message, $csrfToken = null, $staffId = null) {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        // 1. Validate parent ticket ID
+        if (!$this->isValidPositiveInteger($parentId)) {
+            return $this->errorResponse('Invalid parent ticket ID');
+        }
+
+        // 2. Validate subject
+        $subjectCheck = $this->validateSubject($subject);
+        if ($subjectCheck !== true) {
+            return $subjectCheck;
+        }
+
+        // 3. Validate department ID
+        if (!$this->isValidPositiveInteger($deptId)) {
+            return $this->errorResponse('Invalid department ID');
+        }
+
+        // 4. Validate message
+        if (!$message || trim($message) === '') {
+            return $this->errorResponse('Invalid message');
+        }
+
+        // 4b. Validate optional assignee
+        if ($staffId !== null && $staffId !== '' && !$this->isValidPositiveInteger($staffId)) {
+            return $this->errorResponse('Invalid assignee');
+        }
+        $staffId = $staffId ? (int)$staffId : null;
+
+        // 5. Validate CSRF token and permissions
+        $securityCheck = $this->validateSecurityRequirements($csrfToken);
+        if ($securityCheck !== true) {
+            return $securityCheck; // Return error response
+        }
+
+        // 6. SECURITY: Validate staff has access to parent ticket
+        $parentAccess = $this->validateTicketAccess((int)$parentId);
+        if ($parentAccess !== true) {
+            return $parentAccess;
+        }
+
+        // 6a. SECURITY: Validate staff has access to the target department
+        if (!$this->canAccessDepartment((int)$deptId)) {
+            return $this->errorResponse('Access denied to department');
+        }
+
+        // 6b. Assignee must be an active staff member
+        if ($staffId !== null && !$this->isActiveStaff($staffId)) {
+            return $this->errorResponse('Invalid assignee');
+        }
+
+        // 6c. Hierarchy rules (closed parent, nesting, limits) before the ticket exists
+        $code = $this->plugin->validateNewChildren((int)$parentId);
+        if ($code !== null) {
+            return $this->restrictionError($code);
+        }
+
+        // 7. Create ticket via TicketAPI
+        $ticketResult = $this->createTicketViaApi($parentId, $subject, $deptId, $message, $staffId);
+
+        if (!$ticketResult || !isset($ticketResult['success']) || !$ticketResult['success']) {
+            return $this->errorResponse('Failed to create ticket');
+        }
+
+        // 8. Link new ticket to parent
+        $newTicketId = $ticketResult['ticket_id'];
+        $linkResult = $this->plugin->linkTicket($newTicketId, $parentId);
+
+        if (!$linkResult) {
+            return $this->errorResponse('Ticket created but linking failed');
+        }
+
+        // 9. Return success response with ticket ID and number
+        return $this->successResponse(
+            'Subticket created successfully',
+            [
+                'ticket_id' => (int)$newTicketId,
+                'ticket_number' => $ticketResult['ticket_number']
+            ]
+        );
+    }
+
+    /**
+     * Create the subtickets of a template
+     *
+     * AJAX endpoint: POST /scp/ajax-subticket.php?action=apply_template
+     *
+     * Every item is created like in createSubticket() (TicketAPI, then
+     * linked to the parent) and reported individually, so one failing item
+     * does not stop the others. The panel sends all selected items in one
+     * request (items=1,3,4); without items the whole template is applied.
+     *
+     * @param int $parentId Parent ticket ID
+     * @param int $templateId Template ID (see TemplateService)
+     * @param string|array|null $items Item numbers to create (1-based, array or comma-separated; empty = all)
+     * @param string|null $csrfToken CSRF token for security validation
+     * @return array JSON response with structure:
+     *   {
+     *     "success": true/false,
+     *     "message": "Created X of Y subtickets",
+     *     "data": {
+     *       "results": [{ticket_id, success, message, item, subject, ticket_number}],
+     *       "succeeded": X,
+     *       "failed": Y
+     *     }
+     *   }
+     */
+    public function applyTemplate($parentId, $templateId, $items = null, $csrfToken = null) {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        // 1. Validate parent ticket and template ID
+        if (!$this->isValidPositiveInteger($parentId)) {
+            return $this->errorResponse('Invalid parent ticket ID');
+        }
+        if (!$this->isValidPositiveInteger($templateId)) {
+            return $this->errorResponse('Invalid template ID');
+        }
+
+        // 2. Validate item numbers (empty = all items)
+        $itemNumbers = [];
+        if ($items !== null && $items !== '' && $items !== []) {
+            foreach (is_array($items) ? $items : explode(',', (string)$items) as $item) {
+                if (!$this->isValidPositiveInteger($item)) {
+                    return $this->errorResponse('Invalid template item');
+                }
+                $itemNumbers[(int)$item] = (int)$item;
+            }
+        }
+
+        // 3. Validate CSRF token and permissions
+        $securityCheck = $this->validateSecurityRequirements($csrfToken);
+        if ($securityCheck !== true) {
+            return $securityCheck;
+        }
+
+        // 4. SECURITY: Validate staff has access to parent ticket
+        $parentAccess = $this->validateTicketAccess((int)$parentId);
+        if ($parentAccess !== true) {
+            return $parentAccess;
+        }
+
+        $template = $this->plugin->getSubticketTemplate((int)$templateId);
+        if (!$template) {
+            return $this->errorResponse('Template not found');
+        }
+
+        if (!$itemNumbers) {
+            $itemNumbers = range(1, count($template['items']));
+        } elseif (max($itemNumbers) > count($template['items'])) {
+            return $this->errorResponse('Invalid template item');
+        }
+
+        foreach ($itemNumbers as $number) {
+            $subjectCheck = $this->validateSubject($template['items'][$number - 1]['subject']);
+            if ($subjectCheck !== true) {
+                return $subjectCheck;
+            }
+        }
+
+        $code = $this->plugin->validateNewChildren((int)$parentId, count($itemNumbers));
+        if ($code !== null) {
+            return $this->restrictionError($code);
+        }
+
+        // 5. Create and link each item
+        $results = [];
+        foreach ($itemNumbers as $number) {
+            $results[] = $this->applyTemplateItem((int)$parentId, $number, $template['items'][$number - 1]);
+        }
+
+        return $this->batchResponse('Created', $results, 'subtickets');
+    }
+
+    /**
+     * Create and link a single template item
+     *
+     * @param int $parentId Parent ticket ID
+     * @param int $number Item number (1-based)
+     * @param array $item Template item {subject, dept_id, topic_id, staff_id, message}
+     * @return array Batch result with item, subject and ticket_number
+     */
+    private function applyTemplateItem($parentId, $number, array $item) {
+        $details = ['item' => $number, 'subject' => $item['subject'], 'ticket_number' => null];
+
+        if ($item['staff_id'] && !$this->isActiveStaff($item['staff_id'])) {
+            return $this->batchResult(0, false, 'Invalid assignee') + $details;
+        }
+
+        $ticketResult = $this->createTicketViaApi(
+            $parentId,
+            $item['subject'],
+            $item['dept_id'],
+            $item['message'],
+            $item['staff_id'] ?: null,
+            $item['topic_id'] ?: null
+        );
+
+        if (!$ticketResult || empty($ticketResult['success'])) {
+            return $this->batchResult(0, false, 'Failed to create ticket') + $details;
+        }
+
+        $details['ticket_number'] = $ticketResult['ticket_number'];
+        $newTicketId = (int)$ticketResult['ticket_id'];
+
+        if (!$this->plugin->linkTicket($newTicketId, $parentId)) {
+            return $this->batchResult($newTicketId, false, 'Ticket created but linking failed') + $details;
+        }
+
+        return $this->batchResult($newTicketId, true, 'Created') + $details;
+    }
+
+    /**
+     * Get the thread entries and departments for the split dialog
+     *
+     * AJAX endpoint: GET /scp/ajax-subticket.php?action=split_options&tid=123
+     *
+     * @param int $ticketId Ticket to split
+     * @return array JSON response with structure:
+     *   {
+     *     "success": true/false,
+     *     "message": "Human-readable message",
+     *     "data": {
+     *       "entries": [{id, type, poster, title, created, excerpt, attachment_count}],
+     *       "departments": [{id, name}],
+     *       "defaults": {dept_id}
+     *     }
+     *   }
+     */
+    public function getSplitOptions($ticketId) {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        if (!$this->isValidPositiveInteger($ticketId)) {
+            return $this->errorResponse('Invalid ticket ID');
+        }
+
+        // SECURITY: Validate staff has access to the ticket
+        $access = $this->validateTicketAccess((int)$ticketId);
+        if ($access !== true) {
+            return $access;
+        }
+
+        $entries = [];
+        foreach ($this->plugin->getSplitEntries((int)$ticketId) as $entry) {
+            $entries[] = [
+                'id' => $entry['id'],
+                'type' => $entry['type'],
+                'poster' => $entry['poster'],
+                'title' => $entry['title'],
+                'created' => $entry['created'],
+                'excerpt' => $entry['excerpt'],
+                'attachment_count' => count($entry['attachments'])
+            ];
+        }
+
+        if (!$entries) {
+            return $this->errorResponse('Ticket has no messages to split');
+        }
+
+        $ticket = db_fetch_array(db_query("SELECT dept_id FROM ost_ticket WHERE ticket_id = " . db_input((int)$ticketId)));
+
+        return $this->successResponse('Split options retrieved', [
+            'entries' => $entries,
+            'departments' => $this->getAccessibleDepartments(),
+            'defaults' => [
+                'dept_id' => (int)($ticket['dept_id'] ?? 0)
+            ]
+        ]);
+    }
+
+    /**
+     * Split thread entries of a ticket into subtickets
+     *
+     * AJAX endpoint: POST /scp/ajax-subticket.php?action=split
+     *
+     * Every selected message becomes a subticket like in createSubticket()
+     * (TicketAPI, then linked to the ticket), with the message body and its
+     * attachments. Items are reported individually; the ticket gets an
+     * internal note listing the subtickets that were created.
+     *
+     * @param int $parentId Ticket whose thread is split (becomes the parent)
+     * @param array $items Selections [{entry_id, subject, dept_id}]
+     * @param string|null $csrfToken CSRF token for security validation
+     * @return array JSON response with structure:
+     *   {
+     *     "success": true/false,
+     *     "message": "Created X of Y subtickets",
+     *     "data": {
+     *       "results": [{ticket_id, success, message, entry_id, subject, ticket_number}],
+     *       "succeeded": X,
+     *       "failed": Y
+     *     }
+     *   }
+     */
+    public function splitTicket($parentId, $items, $csrfToken = null) {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        // 1. Validate parent ticket ID
+        if (!$this->isValidPositiveInteger($parentId)) {
+            return $this->errorResponse('Invalid parent ticket ID');
+        }
+
+        // 2. Validate selections
+        if (!is_array($items) || empty($items)) {
+            return $this->errorResponse('No thread entries selected');
+        }
+
+        if (count($items) > self::SPLIT_MAX_ENTRIES) {
+            return $this->errorResponse('Too many thread entries (max ' . self::SPLIT_MAX_ENTRIES . ')');
+        }
+
+        $selections = [];
+        foreach ($items as $item) {
+            if (!is_array($item) || !$this->isValidPositiveInteger($item['entry_id'] ?? null)) {
+                return $this->errorResponse('Invalid thread entry');
+            }
+
+            $subject = trim((string)($item['subject'] ?? ''));
+            $subjectCheck = $this->validateSubject($subject);
+            if ($subjectCheck !== true) {
+                return $subjectCheck;
+            }
+
+            if (!$this->isValidPositiveInteger($item['dept_id'] ?? null)) {
+                return $this->errorResponse('Invalid department ID');
+            }
+
+            $selections[] = [
+                'entry_id' => (int)$item['entry_id'],
+                'subject' => $subject,
+                'dept_id' => (int)$item['dept_id']
+            ];
+        }
+
+        // 3. Validate CSRF token and permissions
+        $securityCheck = $this->validateSecurityRequirements($csrfToken);
+        if ($securityCheck !== true) {
+            return $securityCheck;
+        }
+
+        // 4. SECURITY: Validate staff has access to the ticket
+        $parentAccess = $this->validateTicketAccess((int)$parentId);
+        if ($parentAccess !== true) {
+            return $parentAccess;
+        }
+
+        // 5. Entries must be messages of this ticket's thread
+        $entries = $this->plugin->getSplitEntries((int)$parentId, array_unique(array_column($selections, 'entry_id')));
+        foreach ($selections as $selection) {
+            if (!isset($entries[$selection['entry_id']])) {
+                return $this->errorResponse('Thread entry not found');
+            }
+        }
+
+        $code = $this->plugin->validateNewChildren((int)$parentId, count($selections));
+        if ($code !== null) {
+            return $this->restrictionError($code);
+        }
+
+        // 6. Create and link a subticket per selection
+        $results = [];
+        $created = [];
+        foreach ($selections as $selection) {
+            $result = $this->splitEntry((int)$parentId, $selection, $entries[$selection['entry_id']]);
+            $results[] = $result;
+
+            if ($result['success']) {
+                $created[] = [
+                    'ticket_id' => $result['ticket_id'],
+                    'ticket_number' => $result['ticket_number'],
+                    'subject' => $result['subject']
+                ];
+            }
+        }
+
+        // 7. Note on the parent linking the new subtickets
+        if ($created) {
+            $this->plugin->postSplitNote((int)$parentId, $created);
+        }
+
+        return $this->batchResponse('Created', $results, 'subtickets');
+    }
+
+    /**
+     * Create and link the subticket of a single thread entry
+     *
+     * @param int $parentId Parent ticket ID
+     * @param array $selection Selection {entry_id, subject, dept_id}
+     * @param array $entry Thread entry {body, attachments, ...}
+     * @return array Batch result with entry_id, subject and ticket_number
+     */
+    private function splitEntry($parentId, array $selection, array $entry) {
+        $details = ['entry_id' => $selection['entry_id'], 'subject' => $selection['subject'], 'ticket_number' => null];
+
+        if (!$this->canAccessDepartment($selection['dept_id'])) {
+            return $this->batchResult(0, false, 'Access denied to department') + $details;
+        }
+
+        $ticketResult = $this->createTicketViaApi(
+            $parentId,
+            $selection['subject'],
+            $selection['dept_id'],
+            $entry['body'],
+            null,
+            null,
+            $entry['attachments']
+        );
+
+        if (!$ticketResult || empty($ticketResult['success'])) {
+            return $this->batchResult(0, false, 'Failed to create ticket') + $details;
+        }
+
+        $details['ticket_number'] = $ticketResult['ticket_number'];
+        $newTicketId = (int)$ticketResult['ticket_id'];
+
+        if (!$this->plugin->linkTicket($newTicketId, $parentId)) {
+            return $this->batchResult($newTicketId, false, 'Ticket created but linking failed') + $details;
+        }
+
+        return $this->batchResult($newTicketId, true, 'Created') + $details;
+    }
+
+    /**
+     * Link multiple tickets as children of one parent
+     *
+     * AJAX endpoint: POST /scp/ajax-subticket.php?action=batch_link
+     *
+     * Used by the queue "Make subtickets of..." mass action. Every child is
+     * validated like in linkExistingTicket() (ticket access, self link,
+     * circular dependency, hierarchy limits) and reported individually.
+     *
+     * @param string|array $childIds Child ticket IDs (array or comma-separated)
+     * @param string|int $parentNumber Parent ticket number
+     * @param string|null $csrfToken CSRF token for security validation
+     * @return array JSON response with structure:
+     *   {
+     *     "success": true/false,
+     *     "message": "Linked X of Y tickets",
+     *     "data": {
+     *       "results": [{ticket_id, success, message}],
+     *       "succeeded": X,
+     *       "failed": Y
+     *     }
+     *   }
+     */
+    public function batchLinkTickets($childIds, $parentNumber, $csrfToken = null) {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        // 1. Validate child ticket IDs
+        $ids = $this->parseTicketIds($childIds);
+        if (isset($ids['success'])) {
+            return $ids; // Return error response
+        }
+
+        // 2. Validate parent ticket number
+        if (!$this->isValidTicketNumber($parentNumber)) {
+            return $this->errorResponse('Invalid parent ticket ID/number');
+        }
+
+        // 3. Validate CSRF token and permissions
+        $securityCheck = $this->validateSecurityRequirements($csrfToken);
+        if ($securityCheck !== true) {
+            return $securityCheck;
+        }
+
+        // 4. Resolve parent once for all children
+        $parentId = $this->plugin->getTicketIdByNumber($parentNumber);
+        if (!$parentId) {
+            return $this->errorResponse('Parent ticket not found');
+        }
+
+        $limits = $this->plugin->getHierarchyLimits();
+        $results = [];
+
+        // 5. Link each child individually
+        foreach ($ids as $childId) {
+            $access = $this->validateTicketAccess($childId);
+            if ($access !== true) {
+                $results[] = $this->batchResult($childId, false, $access['message']);
+                continue;
+            }
+
+            $code = $this->plugin->validateLink($childId, $parentId);
+            if ($code !== null) {
+                $results[] = $this->batchResult($childId, false, $this->describeLinkRestriction($code, $limits)) + ['code' => $code];
+                continue;
+            }
+
+            if ($this->plugin->linkTicket($childId, $parentId)) {
+                $results[] = $this->batchResult($childId, true, 'Linked');
+            } else {
+                $results[] = $this->batchResult($childId, false, 'Failed to link tickets');
+            }
+        }
+
+        return $this->batchResponse('Linked', $results);
+    }
+
+    /**
+     * Unlink multiple tickets from their parents
+     *
+     * AJAX endpoint: POST /scp/ajax-subticket.php?action=batch_unlink
+     *
+     * @param string|array $childIds Child ticket IDs (array or comma-separated)
+     * @param string|null $csrfToken CSRF token for security validation
+     * @return array JSON response (same structure as batchLinkTickets())
+     */
+    public function batchUnlinkTickets($childIds, $csrfToken = null) {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        // 1. Validate child ticket IDs
+        $ids = $this->parseTicketIds($childIds);
+        if (isset($ids['success'])) {
+            return $ids; // Return error response
+        }
+
+        // 2. Validate CSRF token and permissions
+        $securityCheck = $this->validateSecurityRequirements($csrfToken);
+        if ($securityCheck !== true) {
+            return $securityCheck;
+        }
+
+        $results = [];
+
+        // 3. Unlink each child individually
+        foreach ($ids as $childId) {
+            $access = $this->validateTicketAccess($childId);
+            if ($access !== true) {
+                $results[] = $this->batchResult($childId, false, $access['message']);
+                continue;
+            }
+
+            if (!$this->plugin->getParent($childId)) {
+                $results[] = $this->batchResult($childId, false, 'Ticket has no parent');
+                continue;
+            }
+
+            if ($this->plugin->unlinkTicket($childId)) {
+                $results[] = $this->batchResult($childId, true, 'Unlinked');
+            } else {
+                $results[] = $this->batchResult($childId, false, 'Failed to unlink ticket');
+            }
+        }
+
+        return $this->batchResponse('Unlinked', $results);
+    }
+
+    /**
+     * Store a new order of a parent's children (drag-and-drop in the panel)
+     *
+     * AJAX endpoint: POST /scp/ajax-subticket.php?action=reorder
+     *
+     * @param int $parentId Parent ticket ID
+     * @param string|array $childIds All child IDs in their new order (array or comma-separated)
+     * @param string|null $csrfToken CSRF token for security validation
+     * @return array JSON response with structure:
+     *   {
+     *     "success": true/false,
+     *     "message": "Human-readable message",
+     *     "data": []
+     *   }
+     */
+    public function reorderChildren($parentId, $childIds, $csrfToken = null) {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        // 1. Validate parent ticket ID
+        if (!$this->isValidPositiveInteger($parentId)) {
+            return $this->errorResponse('Invalid parent ticket ID');
+        }
+
+        // 2. Validate child ticket IDs
+        $ids = $this->parseTicketIds($childIds);
+        if (isset($ids['success'])) {
+            return $ids; // Return error response
+        }
+
+        // 3. Validate CSRF token and permissions
+        $securityCheck = $this->validateSecurityRequirements($csrfToken);
+        if ($securityCheck !== true) {
+            return $securityCheck;
+        }
+
+        // 4. SECURITY: Validate staff has access to the parent ticket
+        $ticketAccess = $this->validateTicketAccess((int)$parentId);
+        if ($ticketAccess !== true) {
+            return $ticketAccess;
+        }
+
+        // 5. The new order must list exactly the current children
+        $current = array_column($this->plugin->getChildren((int)$parentId), 'id');
+        $sorted = $ids;
+        sort($current);
+        sort($sorted);
+        if ($current !== $sorted) {
+            return $this->errorResponse('The subtickets have changed - please reload the ticket');
+        }
+
+        if ($this->plugin->reorderChildren((int)$parentId, $ids)) {
+            return $this->successResponse('Subtickets reordered');
+        }
+
+        return $this->errorResponse('Failed to reorder subtickets');
+    }
+
+    /**
+     * Move a ticket below another parent (drag-and-drop in the hierarchy tree)
+     *
+     * Replaces unlink + link with one request; the same cycle, depth and
+     * children limits apply as for linking.
+     *
+     * AJAX endpoint: POST /scp/ajax-subticket.php?action=reparent
+     *
+     * @param int $childId Ticket to move
+     * @param int $parentId New parent ticket ID
+     * @param string|null $csrfToken CSRF token for security validation
+     * @return array JSON response with structure:
+     *   {
+     *     "success": true/false,
+     *     "message": "Human-readable message",
+     *     "data": {"parent_id": 123} (on success)
+     *   }
+     */
+    public function reparentTicket($childId, $parentId, $csrfToken = null) {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        // 1. Validate ticket IDs
+        if (!$this->isValidPositiveInteger($childId)) {
+            return $this->errorResponse('Invalid child ticket ID');
+        }
+        if (!$this->isValidPositiveInteger($parentId)) {
+            return $this->errorResponse('Invalid parent ticket ID');
+        }
+
+        // 2. Validate CSRF token and permissions
+        $securityCheck = $this->validateSecurityRequirements($csrfToken);
+        if ($securityCheck !== true) {
+            return $securityCheck;
+        }
+
+        // 3. SECURITY: Validate staff has access to both tickets
+        foreach ([(int)$childId, (int)$parentId] as $ticketId) {
+            $ticketAccess = $this->validateTicketAccess($ticketId);
+            if ($ticketAccess !== true) {
+                return $ticketAccess;
+            }
+        }
+
+        $currentParent = $this->plugin->getParent((int)$childId);
+        if ($currentParent && (int)$currentParent['ticket_id'] === (int)$parentId) {
+            return $this->errorResponse('Ticket already belongs to this parent');
+        }
+
+        // 4. Same checks as linking (self, cycle, closed parent, nesting, depth, children)
+        $code = $this->plugin->validateLink((int)$childId, (int)$parentId);
+        if ($code !== null) {
+            return $this->restrictionError($code);
+        }
+
+        // 5. Move in a single update of ticket_pid
+        if ($this->plugin->linkTicket((int)$childId, (int)$parentId)) {
+            return $this->successResponse('Ticket moved to the new parent', ['parent_id' => (int)$parentId]);
+        }
+
+        return $this->errorResponse('Failed to move ticket');
+    }
+
+    /**
+     * Dissolve a hierarchy: unlink all children of a parent in one step
+     *
+     * AJAX endpoint: POST /scp/ajax-subticket.php?action=dissolve
+     *
+     * @param int $parentId Parent ticket ID
+     * @param string|null $csrfToken CSRF token for security validation
+     * @return array JSON response with structure:
+     *   {
+     *     "success": true/false,
+     *     "message": "Human-readable message",
+     *     "data": {"parent_id": 123, "unlinked": [124, 125]} (on success)
+     *   }
+     */
+    public function dissolveHierarchy($parentId, $csrfToken = null) {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        // 1. Validate parent ticket ID
+        if (!$this->isValidPositiveInteger($parentId)) {
+            return $this->errorResponse('Invalid parent ticket ID');
+        }
+
+        // 2. Validate CSRF token and permissions
+        $securityCheck = $this->validateSecurityRequirements($csrfToken);
+        if ($securityCheck !== true) {
+            return $securityCheck;
+        }
+
+        // 3. SECURITY: Validate staff has access to the parent and all children
+        $ticketAccess = $this->validateTicketAccess((int)$parentId);
+        if ($ticketAccess !== true) {
+            return $ticketAccess;
+        }
+
+        $children = $this->plugin->getChildren((int)$parentId);
+        if (!$children) {
+            return $this->errorResponse('Ticket has no subtickets');
+        }
+
+        foreach ($children as $child) {
+            $ticketAccess = $this->validateTicketAccess((int)$child['id']);
+            if ($ticketAccess !== true) {
+                return $ticketAccess;
+            }
+        }
+
+        // 4. Unlink all children in a single update
+        $outcome = $this->plugin->dissolveHierarchy((int)$parentId);
+        if (!$outcome['success']) {
+            return $this->errorResponse('Failed to dissolve hierarchy');
+        }
+
+        return $this->successResponse('Hierarchy dissolved', [
+            'parent_id' => $outcome['parent_id'],
+            'unlinked' => $outcome['unlinked'],
+        ]);
+    }
+
+    /**
+     * Promote a child to the parent of its former siblings
+     *
+     * The depth and children limits are checked for the whole operation
+     * before any ticket is moved.
+     *
+     * AJAX endpoint: POST /scp/ajax-subticket.php?action=promote
+     *
+     * @param int $childId Child ticket to promote
+     * @param int|string $keepParent 1 = stays below the old parent, 0 = detached from it
+     * @param string|null $csrfToken CSRF token for security validation
+     * @return array JSON response with structure:
+     *   {
+     *     "success": true/false,
+     *     "message": "Human-readable message",
+     *     "data": {parent_id, old_parent_id, moved, detached} (on success)
+     *   }
+     */
+    public function promoteChild($childId, $keepParent, $csrfToken = null) {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        // 1. Validate input
+        if (!$this->isValidPositiveInteger($childId)) {
+            return $this->errorResponse('Invalid child ticket ID');
+        }
+        if (!in_array((string)$keepParent, ['0', '1'], true)) {
+            return $this->errorResponse('Invalid keep_parent value');
+        }
+
+        // 2. Validate CSRF token and permissions
+        $securityCheck = $this->validateSecurityRequirements($csrfToken);
+        if ($securityCheck !== true) {
+            return $securityCheck;
+        }
+
+        // 3. SECURITY: Validate staff has access to the child, its parent and all siblings
+        $ticketAccess = $this->validateTicketAccess((int)$childId);
+        if ($ticketAccess !== true) {
+            return $ticketAccess;
+        }
+
+        $parent = $this->plugin->getParent((int)$childId);
+        if (!$parent) {
+            return $this->errorResponse($this->describePromoteRestriction('NO_PARENT', []));
+        }
+
+        $ticketIds = [(int)$parent['ticket_id']];
+        foreach ($this->plugin->getChildren((int)$parent['ticket_id']) as $sibling) {
+            $ticketIds[] = (int)$sibling['id'];
+        }
+
+        foreach ($ticketIds as $ticketId) {
+            $ticketAccess = $this->validateTicketAccess($ticketId);
+            if ($ticketAccess !== true) {
+                return $ticketAccess;
+            }
+        }
+
+        // 4. Check limits for the whole operation, then move in a single update
+        $outcome = $this->plugin->promoteChild((int)$childId, (string)$keepParent === '1');
+        if (in_array($outcome['reason'], ['NESTED', 'MAX_DEPTH', 'MAX_CHILDREN'], true)) {
+            $limits = $this->plugin->getHierarchyLimits();
+            return $this->errorResponse(
+                $this->describePromoteRestriction($outcome['reason'], $limits),
+                ['limits' => $limits],
+                $outcome['reason']
+            );
+        }
+        if ($outcome['reason'] !== null) {
+            return $this->errorResponse($this->describePromoteRestriction($outcome['reason'], []));
+        }
+        if (!$outcome['success']) {
+            return $this->errorResponse('Failed to promote ticket');
+        }
+
+        return $this->successResponse('Ticket promoted to parent', [
+            'parent_id' => $outcome['parent_id'],
+            'old_parent_id' => $outcome['old_parent_id'],
+            'moved' => $outcome['moved'],
+            'detached' => $outcome['detached'],
+        ]);
+    }
+
+    /**
+     * Keep the parent open when its last open child gets closed
+     *
+     * One-shot opt-out of auto_close_parent for the next close of this
+     * ticket's parent (stored in the agent's session for five minutes).
+     *
+     * AJAX endpoint: POST /scp/ajax-subticket.php?action=keep_parent_open
+     *
+     * @param int $childId Child ticket about to be closed
+     * @param string|null $csrfToken CSRF token for security validation
+     * @return array JSON response with structure:
+     *   {
+     *     "success": true/false,
+     *     "message": "Human-readable message",
+     *     "data": {parent_id, parent_number}
+     *   }
+     */
+    public function keepParentOpen($childId, $csrfToken = null) {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        // 1. Validate child ticket ID
+        if (!$this->isValidPositiveInteger($childId)) {
+            return $this->errorResponse('Invalid child ticket ID');
+        }
+
+        // 2. Validate CSRF token and permissions
+        $securityCheck = $this->validateSecurityRequirements($csrfToken);
+        if ($securityCheck !== true) {
+            return $securityCheck;
+        }
+
+        // 3. SECURITY: Validate staff has access to the ticket
+        $ticketAccess = $this->validateTicketAccess((int)$childId);
+        if ($ticketAccess !== true) {
+            return $ticketAccess;
+        }
+
+        // 4. Flag the parent for this session
+        $parent = $this->plugin->keepParentOpen($childId);
+        if (!$parent) {
+            return $this->errorResponse('Ticket has no parent');
+        }
+
+        return $this->successResponse('Parent ticket will stay open', [
+            'parent_id' => (int)$parent['ticket_id'],
+            'parent_number' => $parent['number'],
+        ]);
+    }
+
+    /**
+     * Choose which descendants the next hold/assignment cascade skips
+     *
+     * Sent right before the agent changes the parent's status or assignee.
+     * An empty list clears earlier opt-outs; unused opt-outs expire after
+     * a few minutes.
+     *
+     * AJAX endpoint: POST /scp/ajax-subticket.php?action=cascade_exclude
+     *
+     * @param int $parentId Parent ticket ID
+     * @param string|array $excludeIds Comma-separated IDs of descendants to skip
+     * @param string|null $csrfToken CSRF token for security validation
+     * @return array JSON response with structure:
+     *   {
+     *     "success": true/false,
+     *     "message": "Human-readable message",
+     *     "data": {excluded: [ids]}
+     *   }
+     */
+    public function excludeFromCascade($parentId, $excludeIds, $csrfToken = null) {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        // 1. Validate parent ticket ID and excluded IDs
+        if (!$this->isValidPositiveInteger($parentId)) {
+            return $this->errorResponse('Invalid parent ticket ID');
+        }
+
+        $ids = [];
+        if ($excludeIds !== null && $excludeIds !== '' && $excludeIds !== []) {
+            $ids = $this->parseTicketIds($excludeIds);
+            if (isset($ids['success'])) {
+                return $ids;
+            }
+        }
+
+        // 2. Validate CSRF token and permissions
+        $securityCheck = $this->validateSecurityRequirements($csrfToken);
+        if ($securityCheck !== true) {
+            return $securityCheck;
+        }
+
+        // 3. SECURITY: Validate staff has access to the parent ticket
+        $ticketAccess = $this->validateTicketAccess((int)$parentId);
+        if ($ticketAccess !== true) {
+            return $ticketAccess;
+        }
+
+        $this->plugin->excludeFromNextCascade($parentId, $ids);
+
+        return $this->successResponse('Cascade exclusions saved', ['excluded' => $ids]);
+    }
+
+    /**
+     * Revert the most recent hold/assignment cascade of a parent
+     *
+     * AJAX endpoint: POST /scp/ajax-subticket.php?action=cascade_revert
+     *
+     * @param int $parentId Parent ticket ID
+     * @param string|null $csrfToken CSRF token for security validation
+     * @return array JSON response with structure:
+     *   {
+     *     "success": true/false,
+     *     "message": "Human-readable message",
+     *     "data": {restored: int}
+     *   }
+     */
+    public function revertCascade($parentId, $csrfToken = null) {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        // 1. Validate parent ticket ID
+        if (!$this->isValidPositiveInteger($parentId)) {
+            return $this->errorResponse('Invalid parent ticket ID');
+        }
+
+        // 2. Validate CSRF token and permissions
+        $securityCheck = $this->validateSecurityRequirements($csrfToken);
+        if ($securityCheck !== true) {
+            return $securityCheck;
+        }
+
+        // 3. SECURITY: Validate staff has access to the parent ticket
+        $ticketAccess = $this->validateTicketAccess((int)$parentId);
+        if ($ticketAccess !== true) {
+            return $ticketAccess;
+        }
+
+        // 4. Restore the previous values
+        $restored = $this->plugin->revertLastCascade($parentId);
+        if ($restored === 0) {
+            return $this->errorResponse('Nothing to revert');
+        }
+
+        return $this->successResponse(
+            'Reverted ' . $restored . ' subticket' . ($restored === 1 ? '' : 's'),
+            ['restored' => $restored]
+        );
+    }
+
+    /**
+     * Mark a ticket as blocked by another ticket (usually a sibling)
+     *
+     * AJAX endpoint: POST /scp/ajax-subticket.php?action=add_dependency
+     *
+     * @param int $ticketId Ticket that waits
+     * @param int $blockedById Ticket that has to be closed first
+     * @param string|null $csrfToken CSRF token for security validation
+     * @return array JSON response with structure:
+     *   {
+     *     "success": true/false,
+     *     "message": "Human-readable message",
+     *     "data": {ticket_id, blocked_by_id} (on success)
+     *   }
+     */
+    public function addDependency($ticketId, $blockedById, $csrfToken = null) {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        // 1. Validate ticket IDs
+        if (!$this->isValidPositiveInteger($ticketId)) {
+            return $this->errorResponse('Invalid ticket ID');
+        }
+        if (!$this->isValidPositiveInteger($blockedById)) {
+            return $this->errorResponse('Invalid blocking ticket ID');
+        }
+
+        // 2. Validate CSRF token and permissions
+        $securityCheck = $this->validateSecurityRequirements($csrfToken);
+        if ($securityCheck !== true) {
+            return $securityCheck;
+        }
+
+        // 3. SECURITY: Validate staff has access to both tickets
+        foreach ([(int)$ticketId, (int)$blockedById] as $id) {
+            $ticketAccess = $this->validateTicketAccess($id);
+            if ($ticketAccess !== true) {
+                return $ticketAccess;
+            }
+        }
+
+        // 4. Self, duplicate and cycle checks
+        $reason = $this->plugin->getDependencyRestriction((int)$ticketId, (int)$blockedById);
+        if ($reason !== null) {
+            return $this->errorResponse($this->describeDependencyRestriction($reason));
+        }
+
+        if ($this->plugin->addDependency((int)$ticketId, (int)$blockedById)) {
+            return $this->successResponse('Dependency added', [
+                'ticket_id' => (int)$ticketId,
+                'blocked_by_id' => (int)$blockedById,
+            ]);
+        }
+
+        return $this->errorResponse('Failed to add dependency');
+    }
+
+    /**
+     * Remove a "blocked by" link between two tickets
+     *
+     * AJAX endpoint: POST /scp/ajax-subticket.php?action=remove_dependency
+     *
+     * @param int $ticketId Ticket that waits
+     * @param int $blockedById Ticket blocking it
+     * @param string|null $csrfToken CSRF token for security validation
+     * @return array JSON response with structure:
+     *   {
+     *     "success": true/false,
+     *     "message": "Human-readable message"
+     *   }
+     */
+    public function removeDependency($ticketId, $blockedById, $csrfToken = null) {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        // 1. Validate ticket IDs
+        if (!$this->isValidPositiveInteger($ticketId)) {
+            return $this->errorResponse('Invalid ticket ID');
+        }
+        if (!$this->isValidPositiveInteger($blockedById)) {
+            return $this->errorResponse('Invalid blocking ticket ID');
+        }
+
+        // 2. Validate CSRF token and permissions
+        $securityCheck = $this->validateSecurityRequirements($csrfToken);
+        if ($securityCheck !== true) {
+            return $securityCheck;
+        }
+
+        // 3. SECURITY: Validate staff has access to the waiting ticket
+        $ticketAccess = $this->validateTicketAccess((int)$ticketId);
+        if ($ticketAccess !== true) {
+            return $ticketAccess;
+        }
+
+        if ($this->plugin->removeDependency((int)$ticketId, (int)$blockedById)) {
+            return $this->successResponse('Dependency removed');
+        }
+
+        return $this->errorResponse('Failed to remove dependency');
+    }
+
+    /**
+     * Get one page of the Ticket Hierarchies overview
+     *
+     * AJAX endpoint: GET /scp/ajax-subticket.php?action=overview
+     *
+     * Only parents in departments the agent can access are listed.
+     *
+     * @param array $params Query parameters: page, per_page, sort, dir and the filters
+     *   status_id, dept_id, staff_id, min_completion, max_completion, min_age, max_age, roots_only
+     * @return array JSON response with structure:
+     *   {
+     *     "success": true/false,
+     *     "message": "Human-readable message",
+     *     "data": {items: [...], total, page, per_page, pages}
+     *   }
+     */
+    public function getHierarchyOverview(array $params) {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        // 1. Validate paging and sorting
+        $page = $params['page'] ?? 1;
+        $perPage = $params['per_page'] ?? self::OVERVIEW_DEFAULT_PER_PAGE;
+        if (!$this->isValidPositiveInteger($page) || !$this->isValidPositiveInteger($perPage)) {
+            return $this->errorResponse('Invalid page');
+        }
+        $perPage = min((int)$perPage, self::OVERVIEW_MAX_PER_PAGE);
+
+        $sort = $params['sort'] ?? 'created';
+        if (!in_array($sort, $this->plugin->getOverviewSortColumns(), true)) {
+            return $this->errorResponse('Invalid sort column');
+        }
+        $direction = ($params['dir'] ?? 'desc') === 'asc' ? 'asc' : 'desc';
+
+        // 2. Validate filters
+        $filters = $this->parseOverviewFilters($params);
+        if (isset($filters['success'])) {
+            return $filters;
+        }
+
+        // 3. SECURITY: Restrict to departments the agent can access
+        $deptIds = $this->getAccessibleDepartmentIds();
+        if ($deptIds !== null) {
+            $filters['dept_ids'] = $deptIds;
+        }
+
+        $result = $this->plugin->getHierarchyOverview($filters, $sort, $direction, (int)$page, $perPage);
+
+        return $this->successResponse('Hierarchies retrieved', [
+            'items' => $result['items'],
+            'total' => $result['total'],
+            'page' => (int)$page,
+            'per_page' => $perPage,
+            'pages' => (int)ceil($result['total'] / $perPage)
+        ]);
+    }
+
+    /**
+     * Get the filter options of the overview page
+     *
+     * AJAX endpoint: GET /scp/ajax-subticket.php?action=overview_options
+     *
+     * @return array JSON response with structure:
+     *   {
+     *     "success": true/false,
+     *     "message": "Human-readable message",
+     *     "data": {statuses: [{id, name, state}], departments: [{id, name}], staff: [{id, name}]}
+     *   }
+     */
+    public function getOverviewOptions() {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        return $this->successResponse(
+            'Overview options retrieved',
+            $this->plugin->getOverviewOptions($this->getAccessibleDepartmentIds())
+        );
+    }
+
+    /**
+     * Get the full nested tree below a parent ticket
+     *
+     * AJAX endpoint: GET /scp/ajax-subticket.php?action=subtree&tid=123
+     *
+     * @param int $ticketId Parent ticket ID
+     * @return array JSON response with structure:
+     *   {
+     *     "success": true/false,
+     *     "message": "Human-readable message",
+     *     "data": {tree: {id, number, subject, status, status_state, children: [...]}}
+     *   }
+     */
+    public function getSubtree($ticketId) {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        if (!$this->isValidPositiveInteger($ticketId)) {
+            return $this->errorResponse('Invalid ticket ID');
+        }
+
+        // SECURITY: Validate staff has access to the ticket
+        $ticketAccess = $this->validateTicketAccess((int)$ticketId);
+        if ($ticketAccess !== true) {
+            return $ticketAccess;
+        }
+
+        $tree = $this->plugin->getSubtree($ticketId);
+        if (!$tree) {
+            return $this->errorResponse('Ticket not found');
+        }
+
+        return $this->successResponse('Tree retrieved', ['tree' => $tree]);
+    }
+
+    /**
+     * Run a bulk action on selected hierarchies of the overview page
+     *
+     * Actions:
+     * - unlink_all: unlink all direct children of each parent
+     * - close_completed: close each parent whose children are all closed
+     *
+     * AJAX endpoint: POST /scp/ajax-subticket.php?action=overview_bulk
+     *
+     * @param string $action Bulk action
+     * @param string|array $parentIds Comma-separated parent ticket IDs
+     * @param string|null $csrfToken CSRF token for security validation
+     * @return array JSON response with structure:
+     *   {
+     *     "success": true/false,
+     *     "message": "Closed 2 of 3 hierarchies",
+     *     "data": {results: [{ticket_id, success, message}], succeeded, failed}
+     *   }
+     */
+    public function bulkHierarchyAction($action, $parentIds, $csrfToken = null) {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        // 1. Validate action and parent IDs
+        if (!in_array($action, ['unlink_all', 'close_completed'], true)) {
+            return $this->errorResponse('Invalid bulk action');
+        }
+
+        $ids = $this->parseTicketIds($parentIds);
+        if (isset($ids['success'])) {
+            return $ids;
+        }
+
+        // 2. Validate CSRF token and permissions
+        $securityCheck = $this->validateSecurityRequirements($csrfToken);
+        if ($securityCheck !== true) {
+            return $securityCheck;
+        }
+
+        // 3. Process each hierarchy independently
+        $results = [];
+        foreach ($ids as $parentId) {
+            $ticketAccess = $this->validateTicketAccess($parentId);
+            if ($ticketAccess !== true) {
+                $results[] = $this->batchResult($parentId, false, $ticketAccess['message']);
+                continue;
+            }
+
+            if ($action === 'unlink_all') {
+                $results[] = $this->plugin->unlinkChildren($parentId)
+                    ? $this->batchResult($parentId, true, 'Subtickets unlinked')
+                    : $this->batchResult($parentId, false, 'Failed to unlink subtickets');
+            } else {
+                $results[] = $this->plugin->closeIfCompleted($parentId)
+                    ? $this->batchResult($parentId, true, 'Parent closed')
+                    : $this->batchResult($parentId, false, 'Not all subtickets are closed');
+            }
+        }
+
+        return $this->batchResponse($action === 'unlink_all' ? 'Unlinked' : 'Closed', $results, 'hierarchies');
+    }
+
+    /**
+     * Export one tree or all hierarchies as CSV or JSON
+     *
+     * AJAX endpoint: GET /scp/ajax-subticket.php?action=export&format=csv[&tid=123]
+     *
+     * With a ticket ID the whole tree the ticket belongs to is exported,
+     * without one all hierarchies in the agent's departments.
+     *
+     * @param int|null $ticketId Any ticket of the tree, null/'' for all hierarchies
+     * @param string $format 'csv' or 'json'
+     * @return array JSON response with structure:
+     *   {
+     *     "success": true/false,
+     *     "message": "Human-readable message",
+     *     "data": {filename, content_type, content}
+     *   }
+     */
+    public function exportHierarchy($ticketId, $format) {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
+        // 1. Validate format
+        if (!in_array($format, $this->plugin->getExportFormats(), true)) {
+            return $this->errorResponse('Invalid export format');
+        }
+
+        // 2. System-wide export, restricted to accessible departments
+        if ($ticketId === null || $ticketId === '') {
+            $export = $this->plugin->exportHierarchy($format, null, $this->getAccessibleDepartmentIds());
+
+            return $this->successResponse('Hierarchies exported', $export);
+        }
+
+        // 3. Single tree
+        if (!$this->isValidPositiveInteger($ticketId)) {
+            return $this->errorResponse('Invalid ticket ID');
+        }
+
+        // SECURITY: Validate staff has access to the ticket
+        $ticketAccess = $this->validateTicketAccess((int)$ticketId);
+        if ($ticketAccess !== true) {
+            return $ticketAccess;
+        }
+
+        $export = $this->plugin->exportHierarchy($format, (int)$ticketId);
+        if (!$export) {
+            return $this->errorResponse('Ticket is not part of a hierarchy');
+        }
+
+        return $this->successResponse('Hierarchy exported', $export);
+    }
+
+    /**
+     * Get form options for the inline "create subticket" form
+     *
+     * AJAX endpoint: GET /scp/ajax-subticket.php?action=create_options&tid={parentId}
+     *
+     * Returns the departments and staff members the form offers, plus the
+     * defaults inherited from the parent ticket (department and requester).
      *
      * @param int $parentId Parent ticket ID
-     * @param string $subject Ticket subject
-     * @param int $deptId Department ID
-     * @param string $message Ticket message/description
-     * @param string|null $csrfToken CSRF token for security validation
      * @return array JSON response with structure:
      *   {
      *     "success": true/false,
      *     "message": "Human-readable message",
      *     "data": {
-     *       "ticket_number": "ABC-123-456" (on success)
+     *       "defaults": {dept_id, requester_name, requester_email},
+     *       "departments": [{id, name}],
+     *       "staff": [{id, name}]
      *     }
      *   }
      */
-    public function createSubticket($parentId, $subject, $deptId, $message, $csrfToken = null) {
+    public function getCreateOptions($parentId) {
         // Check rate limit (DoS protection)
         if ($rateLimitError = $this->checkRateLimit()) {
             return $rateLimitError;
         }
 
-        // 1. Validate parent ticket ID
+        // Validate parent ticket ID
         if (!$this->isValidPositiveInteger($parentId)) {
             return $this->errorResponse('Invalid parent ticket ID');
         }
 
-        // 2. Validate subject
-        if (!$subject || trim($subject) === '') {
-            return $this->errorResponse('Invalid subject');
-        }
-
-        if (strlen($subject) > 50) {
-            return $this->errorResponse('Subject too long (max 50 characters)');
-        }
-
-        // 3. Validate department ID
-        if (!$this->isValidPositiveInteger($deptId)) {
-            return $this->errorResponse('Invalid department ID');
-        }
-
-        // 4. Validate message
-        if (!$message || trim($message) === '') {
-            return $this->errorResponse('Invalid message');
-        }
-
-        // 5. Validate CSRF token and permissions
-        $securityCheck = $this->validateSecurityRequirements($csrfToken);
-        if ($securityCheck !== true) {
-            return $securityCheck; // Return error response
-        }
-
-        // 6. SECURITY: Validate staff has access to parent ticket
+        // SECURITY: Validate staff has access to parent ticket
         $parentAccess = $this->validateTicketAccess((int)$parentId);
         if ($parentAccess !== true) {
             return $parentAccess;
         }
 
-        // 7. Create ticket via TicketAPI
-        $ticketResult = $this->createTicketViaApi($parentId, $subject, $deptId, $message);
+        // Defaults inherited from the parent ticket
+        $sql = "SELECT t.dept_id, u.name as requester_name, ue.address as requester_email
+                FROM ost_ticket t
+                LEFT JOIN ost_user u ON t.user_id = u.id
+                LEFT JOIN ost_user_email ue ON u.default_email_id = ue.id
+                WHERE t.ticket_id = " . db_input((int)$parentId);
 
-        if (!$ticketResult || !isset($ticketResult['success']) || !$ticketResult['success']) {
-            return $this->errorResponse('Failed to create ticket');
+        $parent = db_fetch_array(db_query($sql));
+        if (!$parent) {
+            return $this->errorResponse('Parent ticket not found');
         }
 
-        // 8. Link new ticket to parent
-        $newTicketId = $ticketResult['ticket_id'];
-        $linkResult = $this->plugin->linkTicket($newTicketId, $parentId);
+        $departments = $this->getAccessibleDepartments();
 
-        if (!$linkResult) {
-            return $this->errorResponse('Ticket created but linking failed');
+        // Active staff members (possible assignees)
+        $staff = [];
+        $result = db_query("SELECT staff_id, firstname, lastname FROM ost_staff
+                WHERE isactive = 1 ORDER BY lastname ASC, firstname ASC");
+        while ($result && ($row = db_fetch_array($result))) {
+            $staff[] = [
+                'id' => (int)$row['staff_id'],
+                'name' => trim($row['firstname'] . ' ' . $row['lastname'])
+            ];
         }
 
-        // 9. Return success response with ticket number
-        return $this->successResponse(
-            'Subticket created successfully',
-            ['ticket_number' => $ticketResult['ticket_number']]
-        );
+        return $this->successResponse('Create options retrieved', [
+            'defaults' => [
+                'dept_id' => (int)($parent['dept_id'] ?? 0),
+                'requester_name' => $parent['requester_name'] ?? '',
+                'requester_email' => $parent['requester_email'] ?? ''
+            ],
+            'departments' => $departments,
+            'staff' => $staff
+        ]);
     }
 
     // ============================================================
@@ -354,6 +1973,312 @@ class SubticketController {
         return $value && is_numeric($value) && $value > 0;
     }
 
+    /**
+     * Validate the subject of a new subticket
+     *
+     * Used by every create path (inline form, templates, split).
+     *
+     * @param mixed $subject Subject to validate
+     * @return true|array Returns true if valid, error response array if invalid
+     */
+    private function validateSubject($subject) {
+        $subject = is_scalar($subject) ? trim((string)$subject) : '';
+
+        if ($subject === '') {
+            return $this->errorResponse('Invalid subject');
+        }
+
+        if (strlen($subject) > self::SUBJECT_MAX_LENGTH) {
+            return $this->errorResponse('Subject too long (max ' . self::SUBJECT_MAX_LENGTH . ' characters)');
+        }
+
+        return true;
+    }
+
+    /**
+     * Validate ticket number format
+     *
+     * osTicket ticket numbers are configurable and may contain letters and
+     * dashes (e.g. "ABC-123-456"), but always contain at least one digit.
+     *
+     * @param mixed $value Value to validate
+     * @return bool True if value looks like a ticket number
+     */
+    private function isValidTicketNumber($value) {
+        if (!is_scalar($value) || is_bool($value)) {
+            return false;
+        }
+
+        $value = trim((string)$value);
+        if (is_numeric($value)) {
+            return $this->isValidPositiveInteger($value);
+        }
+
+        return (bool)preg_match('/^(?=.*\d)[A-Za-z0-9-]{1,32}$/', $value);
+    }
+
+    /**
+     * Get the active departments (Dept::FLAG_ACTIVE = 0x0004) the staff can access
+     *
+     * @return array<int, array{id: int, name: string}> Departments by name
+     */
+    private function getAccessibleDepartments() {
+        $departments = [];
+        $result = db_query("SELECT id, name FROM ost_department WHERE (flags & 4) != 0 ORDER BY name ASC");
+        while ($result && ($row = db_fetch_array($result))) {
+            if ($this->canAccessDepartment((int)$row['id'])) {
+                $departments[] = ['id' => (int)$row['id'], 'name' => $row['name']];
+            }
+        }
+
+        return $departments;
+    }
+
+    /**
+     * Check whether the current staff member may access a department
+     *
+     * @param int $deptId Department ID
+     * @return bool True if access is granted (or cannot be checked)
+     */
+    private function canAccessDepartment($deptId) {
+        global $thisstaff;
+
+        if (!$thisstaff || !method_exists($thisstaff, 'canAccessDept')) {
+            return true;
+        }
+
+        if (method_exists($thisstaff, 'isAdmin') && $thisstaff->isAdmin()) {
+            return true;
+        }
+
+        return (bool)$thisstaff->canAccessDept($deptId);
+    }
+
+    /**
+     * Parse and validate a list of ticket IDs for batch operations
+     *
+     * @param string|array $ticketIds Ticket IDs (array or comma-separated)
+     * @return int[]|array Unique ticket IDs, or error response if invalid
+     */
+    private function parseTicketIds($ticketIds) {
+        if (!is_array($ticketIds)) {
+            $ticketIds = explode(',', (string)$ticketIds);
+        }
+
+        $ids = [];
+        foreach ($ticketIds as $id) {
+            if ($this->isValidPositiveInteger($id)) {
+                $ids[(int)$id] = (int)$id;
+            }
+        }
+
+        if (empty($ids)) {
+            return $this->errorResponse('No valid ticket IDs provided');
+        }
+
+        // Limit to max 100 tickets per request (prevent abuse)
+        if (count($ids) > self::BATCH_MAX_TICKETS) {
+            return $this->errorResponse('Too many ticket IDs (max ' . self::BATCH_MAX_TICKETS . ')');
+        }
+
+        return array_values($ids);
+    }
+
+    /**
+     * Build a single per-ticket result of a batch operation
+     *
+     * @param int $ticketId Ticket ID
+     * @param bool $success Whether the operation succeeded for this ticket
+     * @param string $message Human-readable result
+     * @return array
+     */
+    private function batchResult($ticketId, $success, $message) {
+        return [
+            'ticket_id' => (int)$ticketId,
+            'success' => $success,
+            'message' => $message
+        ];
+    }
+
+    /**
+     * Build the response of a batch operation
+     *
+     * The response is successful as soon as the batch was processed;
+     * the per-ticket outcome is in data.results.
+     *
+     * @param string $verb Past tense of the operation ("Linked", "Unlinked")
+     * @param array $results Per-ticket results
+     * @param string $noun What was processed ("tickets", "hierarchies")
+     * @return array JSON response structure
+     */
+    private function batchResponse($verb, array $results, $noun = 'tickets') {
+        $succeeded = count(array_filter($results, function($result) {
+            return $result['success'];
+        }));
+
+        return $this->successResponse(
+            "$verb $succeeded of " . count($results) . " $noun",
+            [
+                'results' => $results,
+                'succeeded' => $succeeded,
+                'failed' => count($results) - $succeeded
+            ]
+        );
+    }
+
+    /**
+     * Check whether a staff ID belongs to an active staff member
+     *
+     * @param int $staffId Staff ID
+     * @return bool True if the staff member exists and is active
+     */
+    private function isActiveStaff($staffId) {
+        $result = db_query("SELECT staff_id FROM ost_staff
+                WHERE staff_id = " . db_input((int)$staffId) . " AND isactive = 1");
+
+        return $result && db_num_rows($result) > 0;
+    }
+
+    /**
+     * Build the error response of a hierarchy rule
+     *
+     * The code lets the panel show its own (translated) message.
+     *
+     * @param string $code Error code from LinkValidator (e.g. 'MAX_DEPTH')
+     * @return array JSON response with code and data.limits
+     */
+    private function restrictionError($code) {
+        $limits = $this->plugin->getHierarchyLimits();
+
+        return $this->errorResponse($this->describeLinkRestriction($code, $limits), ['limits' => $limits], $code);
+    }
+
+    /**
+     * Translate a link error code into a message
+     *
+     * @param string $code Error code from LinkValidator (e.g. 'MAX_DEPTH')
+     * @param array $limits Effective limits (max_depth, max_children)
+     * @return string Human-readable reason
+     */
+    private function describeLinkRestriction($code, array $limits) {
+        switch ($code) {
+            case 'SELF':
+                return 'This is the current ticket';
+            case 'CYCLE':
+                return 'Would create a circular hierarchy';
+            case 'PARENT_CLOSED':
+                return 'Subtickets cannot be added to a closed ticket';
+            case 'NESTED':
+                return 'Nested subtickets are disabled';
+            case 'MAX_DEPTH':
+                return 'Would exceed the maximum depth of ' . $limits['max_depth'] . ' levels';
+            case 'MAX_CHILDREN':
+                return 'Already has the maximum of ' . $limits['max_children'] . ' subtickets';
+            default:
+                return 'Cannot be linked';
+        }
+    }
+
+    /**
+     * Describe why a child cannot be promoted
+     *
+     * @param string $reason Restriction code from HierarchyService::promoteChild()
+     * @param array $limits Hierarchy limits (max_depth, max_children)
+     * @return string Human-readable reason
+     */
+    private function describePromoteRestriction($reason, array $limits) {
+        switch ($reason) {
+            case 'NO_PARENT':
+                return 'Ticket is not a subticket';
+            case 'NO_SIBLINGS':
+                return 'Ticket has no sibling subtickets';
+            case 'MAX_CHILDREN':
+                return 'Would exceed the maximum of ' . $limits['max_children'] . ' subtickets';
+            default:
+                return $this->describeLinkRestriction($reason, $limits);
+        }
+    }
+
+    /**
+     * Describe why a dependency cannot be added
+     *
+     * @param string $reason Restriction code from DependencyService::getRestriction()
+     * @return string Human-readable reason
+     */
+    private function describeDependencyRestriction($reason) {
+        switch ($reason) {
+            case 'self':
+                return 'A ticket cannot block itself';
+            case 'exists':
+                return 'Ticket is already blocked by this ticket';
+            case 'cycle':
+                return 'Would create a circular dependency';
+            default:
+                return 'Cannot add dependency';
+        }
+    }
+
+    /**
+     * Parse the filters of the overview page
+     *
+     * Empty values are ignored. Completion is a percentage, ages are days.
+     *
+     * @param array $params Query parameters
+     * @return array Filters, or error response array
+     */
+    private function parseOverviewFilters(array $params) {
+        $filters = [];
+
+        foreach (['status_id', 'dept_id', 'staff_id', 'min_completion', 'max_completion', 'min_age', 'max_age'] as $key) {
+            if (!isset($params[$key]) || $params[$key] === '') {
+                continue;
+            }
+
+            $value = $params[$key];
+            if (!is_numeric($value) || (int)$value != $value || (int)$value < 0) {
+                return $this->errorResponse('Invalid filter: ' . $key);
+            }
+            $filters[$key] = (int)$value;
+        }
+
+        foreach (['min_completion', 'max_completion'] as $key) {
+            if (isset($filters[$key]) && $filters[$key] > 100) {
+                return $this->errorResponse('Invalid filter: ' . $key);
+            }
+        }
+
+        $filters['roots_only'] = !isset($params['roots_only']) || $params['roots_only'] !== '0';
+
+        return $filters;
+    }
+
+    /**
+     * Get the departments the current agent can access
+     *
+     * @return array<int, int>|null Department IDs, null if the agent can access all
+     */
+    private function getAccessibleDepartmentIds() {
+        global $thisstaff;
+
+        if (!$thisstaff || !method_exists($thisstaff, 'canAccessDept')) {
+            return null;
+        }
+
+        if (method_exists($thisstaff, 'isAdmin') && $thisstaff->isAdmin()) {
+            return null;
+        }
+
+        $deptIds = [];
+        $result = db_query("SELECT id FROM ost_department");
+        while ($result && ($row = db_fetch_array($result))) {
+            if ($thisstaff->canAccessDept((int)$row['id'])) {
+                $deptIds[] = (int)$row['id'];
+            }
+        }
+
+        return $deptIds;
+    }
+
     /**
      * Validate security requirements (CSRF token + staff permissions)
      *
@@ -442,6 +2367,35 @@ class SubticketController {
         return true;
     }
 
+    /**
+     * Validate the client portal user has access to a ticket
+     *
+     * SECURITY: Users may only see tickets they own or collaborate on
+     * (osTicket's own client access check).
+     *
+     * @param int $ticketId Ticket ID to check
+     * @return object|array Current user if access granted, error response otherwise
+     */
+    private function validateClientAccess(int $ticketId) {
+        global $thisclient;
+
+        if (!$thisclient || !method_exists($thisclient, 'getId')) {
+            return $this->errorResponse('Access denied');
+        }
+
+        $ticket = \Ticket::lookup($ticketId);
+        if (!$ticket) {
+            return $this->errorResponse('Ticket not found');
+        }
+
+        if (!$ticket->checkUserAccess($thisclient)) {
+            subticket_log('SECURITY: User ' . $thisclient->getId() . ' denied access to ticket ' . $ticketId);
+            return $this->errorResponse('You do not have access to this ticket');
+        }
+
+        return $thisclient;
+    }
+
     /**
      * Build success response
      *
@@ -462,14 +2416,21 @@ class SubticketController {
      *
      * @param string $message Error message
      * @param array $data Optional error data
+     * @param string|null $code Optional machine-readable error code (e.g. 'MAX_DEPTH')
      * @return array JSON response structure
      */
-    private function errorResponse($message, $data = []) {
-        return [
+    private function errorResponse($message, $data = [], $code = null) {
+        $response = [
             'success' => false,
             'message' => $message,
             'data' => $data
         ];
+
+        if ($code !== null) {
+            $response['code'] = $code;
+        }
+
+        return $response;
     }
 
     /**
@@ -486,14 +2447,17 @@ class SubticketController {
      * @param string $subject Ticket subject
      * @param int $deptId Department ID for the new ticket
      * @param string $message Ticket message/description
+     * @param int|null $staffId Assignee (null = staff member creating the subticket)
+     * @param int|null $topicId Help topic (null = parent's topic or the department default)
+     * @param array $attachments Files of the first message [{id, name, inline}] (existing files, not copied)
      * @return array Array with structure:
      *   - success (bool): Whether ticket creation succeeded
      *   - ticket_id (int): New ticket's ID (on success)
      *   - ticket_number (string): New ticket's number (on success)
      *   - error (string): Error message (on failure)
      */
-    private function createTicketViaApi($parentTicketId, $subject, $deptId, $message) {
-        subticket_log('createTicketViaApi() called', 'parentId=' . $parentTicketId . ', subject=' . $subject . ', deptId=' . $deptId);
+    private function createTicketViaApi($parentTicketId, $subject, $deptId, $message, $staffId = null, $topicId = null, array $attachments = []) {
+        subticket_log('createTicketViaApi() called', 'parentId=' . $parentTicketId . ', subject=' . $subject . ', deptId=' . $deptId . ', staffId=' . $staffId);
 
         // SECURITY: Additional validation layer (Defense-in-Depth)
         $parentTicketId = (int)$parentTicketId;
@@ -536,8 +2500,8 @@ class SubticketController {
             // Build ticket creation variables array
             subticket_log('Building ticket vars');
 
-            // Get topic ID - if parent has no topic (0), get default topic for department
-            $topicId = $parentTicket->getTopicId();
+            // Get topic ID - if none given and parent has no topic (0), get default topic for department
+            $topicId = $topicId ?: $parentTicket->getTopicId();
             if (!$topicId || $topicId == 0) {
                 // Get default topic for this department
                 $topicId = $this->getDefaultTopicForDepartment($deptId);
@@ -561,8 +2525,9 @@ class SubticketController {
                 'source'   => 'Staff',  // Ticket created by staff
                 'ip'       => $this->getClientIp(),
 
-                // Staff who created the subticket
-                'staffId'  => $thisstaff->getId(),
+                // Assignee - Ticket::create() assigns the ticket to staffId
+                // (defaults to the staff member who created the subticket)
+                'staffId'  => $staffId ?: $thisstaff->getId(),
 
                 // Priority and SLA (inherit from parent)
                 'priorityId' => $parentTicket->getPriorityId(),
@@ -575,6 +2540,9 @@ class SubticketController {
                 // Disable auto-responses (subticket is internal operation)
                 'cannedResponseId' => 0,
 
+                // Files attached to the first message (split thread entries)
+                'attachments' => $attachments,
+
                 // Note about parent relationship
                 'note'     => sprintf('Created as subticket of #%s', $parentTicket->getNumber())
             ];
@@ -740,13 +2708,29 @@ class SubticketController {
     /**
      * Get batch parent status for multiple tickets
      *
-     * Returns parent status (is_parent, child_count) for multiple ticket IDs.
+     * Returns parent status (is_parent, child_count and open/on-hold/closed
+     * child counts) for multiple ticket IDs. With "Effective Due Date on
+     * Parents" enabled, also the rolled-up due_date and is_overdue flag.
      * Used by queue-indicator.js to show parent icons in ticket lists.
      *
+     * The response carries an ETag computed by a cheap fingerprint query
+     * (children, their last update and due dates passed); not_modified is
+     * set when it matches the If-None-Match header, so the handler can
+     * answer 304 without the status query running at all.
+     *
+     * Tickets of departments the agent cannot access are reported as
+     * regular tickets.
+     *
      * @param string $ticketIds Comma-separated list of ticket IDs
-     * @return array Success response with parent status data
+     * @param string $ifNoneMatch If-None-Match request header
+     * @return array Success response with parent status data (empty if not modified), etag and not_modified
      */
-    public function getBatchParentStatus($ticketIds) {
+    public function getBatchParentStatus($ticketIds, $ifNoneMatch = '') {
+        // Check rate limit (DoS protection)
+        if ($rateLimitError = $this->checkRateLimit()) {
+            return $rateLimitError;
+        }
+
         // Parse ticket IDs
         $ids = array_filter(array_map('intval', explode(',', $ticketIds)));
 
@@ -754,20 +2738,50 @@ class SubticketController {
             return $this->errorResponse('No valid ticket IDs provided');
         }
 
-        // Limit to max 100 tickets per request (prevent abuse)
+        // Limit to max 100 tickets per request (prevent abuse, queue-indicator.js sends chunks)
         if (count($ids) > 100) {
             return $this->errorResponse('Too many ticket IDs (max 100)');
         }
 
         // Build query to get child counts for all tickets in one query
         $idsList = implode(',', $ids);
+        $withDueDates = $this->plugin->isEffectiveDueDateEnabled();
+
+        // SECURITY: Only report tickets of departments the agent can access
+        $deptIds = $this->getAccessibleDepartmentIds();
+        $deptFilter = $deptIds !== null
+            ? ' AND parent.dept_id IN (' . (implode(',', $deptIds) ?: '0') . ')'
+            : '';
+
+        $etag = $this->getBatchStatusEtag($ids, $deptFilter, $withDueDates);
+        if ($etag === null) {
+            return $this->errorResponse('Database query failed');
+        }
 
+        if ($this->matchesEtag($ifNoneMatch, $etag)) {
+            $response = $this->successResponse('Parent status not modified', []);
+            $response['etag'] = $etag;
+            $response['not_modified'] = true;
+
+            return $response;
+        }
+
+        // Status buckets match HierarchyService::classifyStatus(),
+        // due dates HierarchyService::getEffectiveDueDate()
         $sql = "SELECT
                     parent.ticket_id,
-                    COUNT(child.ticket_id) as child_count
+                    COUNT(child.ticket_id) as child_count,
+                    SUM(CASE WHEN cs.state IN ('closed', 'archived') THEN 1 ELSE 0 END) as closed_count,
+                    SUM(CASE WHEN cs.state NOT IN ('closed', 'archived') AND cs.name LIKE '%hold%' THEN 1 ELSE 0 END) as on_hold_count,
+                    MIN(CASE WHEN cs.state NOT IN ('closed', 'archived')
+                            AND (child.isoverdue = 1 OR COALESCE(child.duedate, child.est_duedate) < NOW())
+                        THEN COALESCE(child.duedate, child.est_duedate) END) as earliest_overdue,
+                    MAX(CASE WHEN cs.state NOT IN ('closed', 'archived')
+                        THEN COALESCE(child.duedate, child.est_duedate) END) as latest_due
                 FROM ost_ticket parent
                 LEFT JOIN ost_ticket child ON parent.ticket_id = child.ticket_pid
-                WHERE parent.ticket_id IN ($idsList)
+                LEFT JOIN ost_ticket_status cs ON child.status_id = cs.id
+                WHERE parent.ticket_id IN ($idsList)$deptFilter
                 GROUP BY parent.ticket_id";
 
         $result = db_query($sql);
@@ -781,11 +2795,23 @@ class SubticketController {
         while ($row = db_fetch_array($result)) {
             $ticketId = (int)$row['ticket_id'];
             $childCount = (int)$row['child_count'];
+            $closedCount = (int)($row['closed_count'] ?? 0);
+            $onHoldCount = (int)($row['on_hold_count'] ?? 0);
 
             $data[$ticketId] = [
                 'is_parent' => $childCount > 0,
-                'child_count' => $childCount
+                'child_count' => $childCount,
+                'open_count' => $childCount - $closedCount - $onHoldCount,
+                'on_hold_count' => $onHoldCount,
+                'closed_count' => $closedCount
             ];
+
+            // Effective due date: earliest overdue child, otherwise the latest child due date
+            if ($withDueDates) {
+                $overdue = $row['earliest_overdue'] ?? null;
+                $data[$ticketId]['due_date'] = $overdue ?? ($row['latest_due'] ?? null);
+                $data[$ticketId]['is_overdue'] = $overdue !== null;
+            }
         }
 
         // Fill in missing tickets (tickets that weren't found in DB)
@@ -793,12 +2819,81 @@ class SubticketController {
             if (!isset($data[$id])) {
                 $data[$id] = [
                     'is_parent' => false,
-                    'child_count' => 0
+                    'child_count' => 0,
+                    'open_count' => 0,
+                    'on_hold_count' => 0,
+                    'closed_count' => 0
                 ];
             }
         }
 
-        return $this->successResponse('Parent status retrieved', $data);
+        ksort($data);
+
+        $response = $this->successResponse('Parent status retrieved', $data);
+        $response['etag'] = $etag;
+        $response['not_modified'] = false;
+
+        return $response;
+    }
+
+    /**
+     * Compute the ETag of a batch parent status without building the status
+     *
+     * Any link, unlink or move changes the child IDs; any status, assignment
+     * or due date change bumps the child's updated timestamp. Due dates
+     * passing since the last request are counted separately.
+     *
+     * @param array<int, int> $ids Ticket IDs
+     * @param string $deptFilter Department filter on the parent (SQL)
+     * @param bool $withDueDates Whether due dates are part of the status
+     * @return string|null Quoted ETag, null if the query failed
+     */
+    private function getBatchStatusEtag(array $ids, $deptFilter, $withDueDates) {
+        $result = db_query("SELECT
+                    COUNT(DISTINCT parent.ticket_id) as parent_count,
+                    SUM(DISTINCT parent.ticket_id) as parent_sum,
+                    COUNT(child.ticket_id) as child_count,
+                    SUM(child.ticket_id) as child_sum,
+                    MAX(child.updated) as last_updated,
+                    SUM(CASE WHEN COALESCE(child.duedate, child.est_duedate) < NOW() THEN 1 ELSE 0 END) as past_due
+                FROM ost_ticket parent
+                LEFT JOIN ost_ticket child ON parent.ticket_id = child.ticket_pid
+                WHERE parent.ticket_id IN (" . implode(',', $ids) . ")$deptFilter");
+
+        if (!$result) {
+            return null;
+        }
+
+        // Same tickets in any order give the same ETag
+        sort($ids);
+        $fingerprint = [$ids, (bool)$withDueDates, array_map('strval', db_fetch_array($result) ?: [])];
+
+        return '"' . md5(json_encode($fingerprint)) . '"';
+    }
+
+    /**
+     * Check if an If-None-Match header lists an ETag
+     *
+     * Weak validators (W/"...") match as well - compression proxies
+     * weaken the ETags they pass through.
+     *
+     * @param string $ifNoneMatch If-None-Match header (comma-separated ETags)
+     * @param string $etag Current ETag
+     * @return bool True if the client already has this version
+     */
+    private function matchesEtag($ifNoneMatch, $etag) {
+        foreach (explode(',', (string)$ifNoneMatch) as $candidate) {
+            $candidate = trim($candidate);
+            if (strpos($candidate, 'W/') === 0) {
+                $candidate = substr($candidate, 2);
+            }
+
+            if ($candidate === $etag) {
+                return true;
+            }
+        }
+
+        return false;
     }
 
     /**
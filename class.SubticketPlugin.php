@@ -42,9 +42,20 @@ subticket_log('Plugin class file loaded: ' . __FILE__);
  * - Asset\AssetDeployer: File deployment to scp/
  * - Config\ConfigCache: Singleton for config caching
  * - Database\DatabaseService: Schema management
+ * - Hierarchy\AuditService: History of hierarchy changes (audit log + thread notes)
+ * - Hierarchy\ChangeFeedService: Changes since a cursor (live panel/queue updates)
+ * - Hierarchy\DependencyService: "Blocked by" links between tickets
  * - Hierarchy\HierarchyService: Parent-child relationships
+ * - Hierarchy\LinkValidator: Hierarchy rules with error codes (link, create, move)
+ * - Hierarchy\ExportService: CSV/JSON export of hierarchies
+ * - Hierarchy\OverviewService: Ticket Hierarchies overview queries
+ * - Hierarchy\SplitService: Thread entries split into subtickets
+ * - I18n\Translator: UI string catalogues (i18n/<language>.php)
  * - Signal\TicketEventHandler: Signal handlers
+ * - Template\TemplateService: Admin-defined subticket templates
  * - UI\PanelRenderer: HTML rendering
+ * - Workflow\AutoCloseService: Auto-close parent when last child closes
+ * - Workflow\CascadeService: Cascade hold/assignment to subtickets
  */
 
 require_once(INCLUDE_DIR . 'class.plugin.php');
@@ -62,9 +73,20 @@ if (file_exists(__DIR__ . '/vendor/autoload.php')) {
 use SubticketManager\Asset\AssetDeployer;
 use SubticketManager\Config\ConfigCache;
 use SubticketManager\Database\DatabaseService;
+use SubticketManager\Hierarchy\AuditService;
+use SubticketManager\Hierarchy\ChangeFeedService;
+use SubticketManager\Hierarchy\DependencyService;
+use SubticketManager\Hierarchy\ExportService;
 use SubticketManager\Hierarchy\HierarchyService;
+use SubticketManager\Hierarchy\LinkValidator;
+use SubticketManager\Hierarchy\OverviewService;
+use SubticketManager\Hierarchy\SplitService;
 use SubticketManager\Signal\TicketEventHandler;
+use SubticketManager\Template\TemplateService;
+use SubticketManager\I18n\Translator;
 use SubticketManager\UI\PanelRenderer;
+use SubticketManager\Workflow\AutoCloseService;
+use SubticketManager\Workflow\CascadeService;
 
 class SubticketPlugin extends Plugin
 {
@@ -78,8 +100,19 @@ class SubticketPlugin extends Plugin
     private ?AssetDeployer $assetDeployer = null;
     private ?DatabaseService $databaseService = null;
     private ?HierarchyService $hierarchyService = null;
+    private ?LinkValidator $linkValidator = null;
+    private ?AuditService $auditService = null;
+    private ?ChangeFeedService $changeFeedService = null;
+    private ?DependencyService $dependencyService = null;
+    private ?SplitService $splitService = null;
+    private ?OverviewService $overviewService = null;
+    private ?ExportService $exportService = null;
     private ?TicketEventHandler $eventHandler = null;
+    private ?Translator $translator = null;
     private ?PanelRenderer $panelRenderer = null;
+    private ?AutoCloseService $autoCloseService = null;
+    private ?CascadeService $cascadeService = null;
+    private ?TemplateService $templateService = null;
 
     /**
      * Only one instance of this plugin makes sense
@@ -122,7 +155,7 @@ class SubticketPlugin extends Plugin
 
         // Deploy files
         subticket_log('Deploying files (always runs on enable)...');
-        $this->assetDeployer->deployAll($errors);
+        $this->assetDeployer->deployAll($errors, (bool)$this->getConfig()->get('client_portal_panel'));
 
         subticket_log('getNumInstances AFTER: ' . $this->getNumInstances());
         return empty($errors) ? true : $errors;
@@ -159,6 +192,9 @@ class SubticketPlugin extends Plugin
         // Load queue indicator script if on queue page
         $this->loadQueueIndicatorScript();
 
+        // Load client panel script if on a client portal ticket page
+        $this->loadClientPanelScript();
+
         subticket_log('Bootstrap completed');
     }
 
@@ -172,11 +208,27 @@ class SubticketPlugin extends Plugin
 
         $this->assetDeployer = new AssetDeployer(__DIR__, $scpDir);
         $this->databaseService = new DatabaseService();
-        $this->hierarchyService = new HierarchyService();
-        $this->panelRenderer = new PanelRenderer($pluginUrl);
+        $this->auditService = new AuditService();
+        $this->changeFeedService = new ChangeFeedService();
+        $this->hierarchyService = new HierarchyService($this->auditService);
+        $this->linkValidator = new LinkValidator($this->hierarchyService);
+        $this->overviewService = new OverviewService();
+        $this->exportService = new ExportService($this->hierarchyService);
+        $this->translator = new Translator(__DIR__ . '/i18n');
+        $this->panelRenderer = new PanelRenderer($pluginUrl, $this->translator);
+        $this->autoCloseService = new AutoCloseService($this->hierarchyService);
+        $this->cascadeService = new CascadeService($this->hierarchyService, $this->auditService);
+        $this->templateService = new TemplateService();
+        $this->dependencyService = new DependencyService($this->hierarchyService);
+        $this->splitService = new SplitService();
         $this->eventHandler = new TicketEventHandler(
             $this->hierarchyService,
-            $this->panelRenderer
+            $this->panelRenderer,
+            $this->autoCloseService,
+            $this->cascadeService,
+            $this->templateService,
+            $this->dependencyService,
+            $this->linkValidator
         );
     }
 
@@ -197,6 +249,9 @@ class SubticketPlugin extends Plugin
             'notify_on_auto_close' => $config->get('notify_on_auto_close') ?? true,
             'max_depth' => (int)($config->get('max_depth') ?? 3),
             'max_children' => (int)($config->get('max_children') ?? 50),
+            'subticket_templates' => (string)($config->get('subticket_templates') ?? ''),
+            'effective_due_date' => $config->get('effective_due_date') ?? false,
+            'client_portal_panel' => $config->get('client_portal_panel') ?? false,
         ]);
     }
 
@@ -270,22 +325,51 @@ class SubticketPlugin extends Plugin
         subticket_log('Queue indicator script loaded');
     }
 
+    /**
+     * Load client panel script on client portal ticket pages (if enabled)
+     */
+    private function loadClientPanelScript(): void
+    {
+        global $__test_is_staff_area;
+        $isStaffArea = isset($__test_is_staff_area) ? $__test_is_staff_area : defined('STAFFINC_DIR');
+
+        if ($isStaffArea) {
+            return;
+        }
+
+        $ticketId = $this->eventHandler->getClientPanelTicketId();
+        if ($ticketId === null) {
+            return;
+        }
+
+        echo $this->panelRenderer->getClientJavaScript($ticketId);
+        subticket_log('Client panel script loaded', "ticketId=$ticketId");
+    }
+
     /**
      * Check version and auto-deploy files if needed
+     *
+     * The client portal endpoint is only deployed while client_portal_panel
+     * is enabled - also when the option is turned on after the last deployment.
      */
     private function checkAndAutoDeployFiles(): void
     {
         $pluginInfo = $this->getPluginInfo();
         $currentVersion = $pluginInfo['version'] ?? 'unknown';
+        $clientPortal = (bool)ConfigCache::getInstance()->get('client_portal_panel', false);
+        $errors = [];
 
         if (!$this->assetDeployer->isDeploymentNeeded($currentVersion)) {
+            if ($clientPortal && !$this->assetDeployer->isClientFileDeployed()
+                && !$this->assetDeployer->deployClientFiles($errors)) {
+                subticket_log('Client endpoint deployment failed', json_encode($errors));
+            }
             return;
         }
 
         subticket_log('Auto-deploying files', "Version changed to $currentVersion");
 
-        $errors = [];
-        if ($this->assetDeployer->deployAll($errors)) {
+        if ($this->assetDeployer->deployAll($errors, $clientPortal)) {
             $this->assetDeployer->updateVersionMarker($currentVersion);
             subticket_log('Auto-deployment successful');
         } else {
@@ -367,6 +451,40 @@ class SubticketPlugin extends Plugin
         return $this->hierarchyService->getParent((int)$childId);
     }
 
+    /**
+     * Get the rendered panel and its data for a ticket (AJAX refresh)
+     *
+     * @param int $ticketId
+     * @return array{html: string, parent: array|null, children: array<int, array>}
+     */
+    public function getPanel($ticketId): array
+    {
+        $this->ensureServicesInitialized();
+        return $this->eventHandler->getPanel((int)$ticketId, $this->getCsrfToken());
+    }
+
+    /**
+     * Check if the client portal panel is enabled
+     */
+    public function isClientPanelEnabled(): bool
+    {
+        $this->ensureServicesInitialized();
+        return $this->eventHandler->isClientPanelEnabled();
+    }
+
+    /**
+     * Get the read-only client portal panel of a parent ticket
+     *
+     * @param int $ticketId Parent ticket ID
+     * @param int $userId User viewing the ticket (only their subtickets are listed)
+     * @return array{html: string, children: array<int, array>, progress: array}
+     */
+    public function getClientPanel($ticketId, $userId): array
+    {
+        $this->ensureServicesInitialized();
+        return $this->eventHandler->getClientPanel((int)$ticketId, (int)$userId);
+    }
+
     /**
      * Link a ticket as child to a parent (by number)
      *
@@ -405,6 +523,396 @@ class SubticketPlugin extends Plugin
         return $this->hierarchyService->unlinkTicket((int)$childId);
     }
 
+    /**
+     * Resolve a ticket number to its internal ID
+     *
+     * @param string|int $number Ticket number
+     * @return int|null
+     */
+    public function getTicketIdByNumber($number): ?int
+    {
+        $this->ensureServicesInitialized();
+        return $this->hierarchyService->getTicketIdByNumber($number);
+    }
+
+    /**
+     * Search open tickets that could become a parent
+     *
+     * @param string $term Search term (number, subject, requester name/email)
+     * @return array
+     */
+    public function searchTickets($term): array
+    {
+        $this->ensureServicesInitialized();
+        return $this->hierarchyService->searchTickets((string)$term);
+    }
+
+    /**
+     * Get the reason a ticket cannot be linked below a parent
+     *
+     * @param int $childId
+     * @param int $parentId
+     * @return string|null LinkValidator code or null if the link is allowed
+     */
+    public function getLinkRestriction($childId, $parentId): ?string
+    {
+        $this->ensureServicesInitialized();
+        return $this->hierarchyService->getLinkRestriction((int)$childId, (int)$parentId);
+    }
+
+    /**
+     * Validate linking a ticket below a parent (see LinkValidator)
+     *
+     * @param int $childId
+     * @param int $parentId
+     * @return string|null Error code (e.g. 'MAX_DEPTH') or null if the link is allowed
+     */
+    public function validateLink($childId, $parentId): ?string
+    {
+        $this->ensureServicesInitialized();
+        return $this->linkValidator->validateLink((int)$childId, (int)$parentId);
+    }
+
+    /**
+     * Validate creating new subtickets below a parent (see LinkValidator)
+     *
+     * @param int $parentId
+     * @param int $count Number of subtickets created at once
+     * @return string|null Error code (e.g. 'PARENT_CLOSED') or null if they can be created
+     */
+    public function validateNewChildren($parentId, int $count = 1): ?string
+    {
+        $this->ensureServicesInitialized();
+        return $this->linkValidator->validateNewChildren((int)$parentId, $count);
+    }
+
+    /**
+     * Get the effective hierarchy limits
+     *
+     * @return array{max_depth: int, max_children: int}
+     */
+    public function getHierarchyLimits(): array
+    {
+        $this->ensureServicesInitialized();
+        return [
+            'max_depth' => $this->hierarchyService->getMaxDepth(),
+            'max_children' => $this->hierarchyService->getMaxChildren(),
+        ];
+    }
+
+    /**
+     * Check if parents show the effective due date of their children
+     */
+    public function isEffectiveDueDateEnabled(): bool
+    {
+        $this->ensureServicesInitialized();
+        return $this->hierarchyService->isEffectiveDueDateEnabled();
+    }
+
+    /**
+     * Skip the next auto-close of a ticket's parent
+     *
+     * @param int $childId Child ticket about to be closed
+     * @return array|null Parent that stays open, null if the ticket has no parent
+     */
+    public function keepParentOpen($childId): ?array
+    {
+        $this->ensureServicesInitialized();
+        return $this->autoCloseService->keepParentOpen((int)$childId);
+    }
+
+    /**
+     * Skip descendants in the next hold/assignment cascade of a parent
+     *
+     * @param int $parentId Parent ticket ID
+     * @param array<int, int> $ticketIds Descendants to leave unchanged
+     */
+    public function excludeFromNextCascade($parentId, array $ticketIds): void
+    {
+        $this->ensureServicesInitialized();
+        $this->cascadeService->excludeFromNextCascade((int)$parentId, $ticketIds);
+    }
+
+    /**
+     * Revert the most recent hold/assignment cascade of a parent
+     *
+     * @param int $parentId Parent ticket ID
+     * @return int Number of tickets restored
+     */
+    public function revertLastCascade($parentId): int
+    {
+        $this->ensureServicesInitialized();
+        return $this->cascadeService->revertLastCascade((int)$parentId);
+    }
+
+    /**
+     * Get one page of the Ticket Hierarchies overview
+     *
+     * @param array $filters Validated filters (see OverviewService::getParents())
+     * @param string $sort Sort column
+     * @param string $direction 'asc' or 'desc'
+     * @param int $page Page number (1-based)
+     * @param int $perPage Rows per page
+     * @return array{items: array, total: int}
+     */
+    public function getHierarchyOverview(array $filters, string $sort, string $direction, int $page, int $perPage): array
+    {
+        $this->ensureServicesInitialized();
+        return $this->overviewService->getParents($filters, $sort, $direction, $page, $perPage);
+    }
+
+    /**
+     * Get the filter options of the overview page
+     *
+     * @param array<int, int>|null $deptIds Accessible departments (null = all)
+     * @return array{statuses: array, departments: array, staff: array}
+     */
+    public function getOverviewOptions(?array $deptIds = null): array
+    {
+        $this->ensureServicesInitialized();
+        return $this->overviewService->getFilterOptions($deptIds);
+    }
+
+    /**
+     * Get the sortable columns of the overview page
+     *
+     * @return array<int, string>
+     */
+    public function getOverviewSortColumns(): array
+    {
+        $this->ensureServicesInitialized();
+        return $this->overviewService->getSortColumns();
+    }
+
+    /**
+     * Get the nested tree below a ticket
+     *
+     * @param int $ticketId Ticket ID (treated as the root)
+     * @return array|null Root node {id, number, subject, status, status_state, children}
+     */
+    public function getSubtree($ticketId): ?array
+    {
+        $this->ensureServicesInitialized();
+        $tree = $this->hierarchyService->getTree((int)$ticketId, false);
+
+        return $tree ? $tree['root'] : null;
+    }
+
+    /**
+     * Store the order of a parent's children
+     *
+     * @param int $parentId Parent ticket ID
+     * @param int[] $childIds Child IDs in their new order
+     * @return bool True on success
+     */
+    public function reorderChildren($parentId, array $childIds): bool
+    {
+        $this->ensureServicesInitialized();
+        return $this->hierarchyService->reorderChildren((int)$parentId, $childIds);
+    }
+
+    /**
+     * Get the recorded hierarchy changes of a ticket (as child or parent)
+     *
+     * @param int $ticketId Ticket ID
+     * @return array<int, array> Events, newest first (see AuditService::getHistory())
+     */
+    public function getHierarchyHistory($ticketId): array
+    {
+        $this->ensureServicesInitialized();
+        return $this->auditService->getHistory((int)$ticketId);
+    }
+
+    /**
+     * Get the reason a ticket cannot be marked as blocked by another one
+     *
+     * @param int $ticketId Ticket that would wait
+     * @param int $blockedById Ticket that would block it
+     * @return string|null Restriction code or null if the link is allowed
+     */
+    public function getDependencyRestriction($ticketId, $blockedById): ?string
+    {
+        $this->ensureServicesInitialized();
+        return $this->dependencyService->getRestriction((int)$ticketId, (int)$blockedById);
+    }
+
+    /**
+     * Mark a ticket as blocked by another one
+     *
+     * @param int $ticketId Ticket that waits
+     * @param int $blockedById Ticket that has to be closed first
+     * @return bool True on success
+     */
+    public function addDependency($ticketId, $blockedById): bool
+    {
+        $this->ensureServicesInitialized();
+        return $this->dependencyService->addDependency((int)$ticketId, (int)$blockedById);
+    }
+
+    /**
+     * Remove a "blocked by" link
+     *
+     * @param int $ticketId Ticket that waits
+     * @param int $blockedById Ticket blocking it
+     * @return bool True on success
+     */
+    public function removeDependency($ticketId, $blockedById): bool
+    {
+        $this->ensureServicesInitialized();
+        return $this->dependencyService->removeDependency((int)$ticketId, (int)$blockedById);
+    }
+
+    /**
+     * Get the thread entries of a ticket that can be split into subtickets
+     *
+     * @param int $ticketId Ticket ID
+     * @param array<int, int>|null $entryIds Only these entries (null = the newest ones)
+     * @return array<int, array> Entries by ID {id, type, poster, title, created, body, excerpt, attachments}
+     */
+    public function getSplitEntries($ticketId, ?array $entryIds = null): array
+    {
+        $this->ensureServicesInitialized();
+        return $this->splitService->getEntries((int)$ticketId, $entryIds);
+    }
+
+    /**
+     * Post an internal note on the parent listing the subtickets split off
+     *
+     * @param int $parentId Parent ticket ID
+     * @param array<int, array{ticket_id: int, ticket_number: string, subject: string}> $children New subtickets
+     * @return bool True if the note was posted
+     */
+    public function postSplitNote($parentId, array $children): bool
+    {
+        $this->ensureServicesInitialized();
+        return $this->splitService->postSplitNote((int)$parentId, $children);
+    }
+
+    /**
+     * Get the hierarchy changes made by other agents since a cursor
+     *
+     * @param int $since Cursor from the previous call (0 = start watching)
+     * @param array<int, int>|null $deptIds Accessible departments (null = all)
+     * @return array{cursor: int, changes: array, truncated: bool}
+     */
+    public function getHierarchyChanges($since, ?array $deptIds = null): array
+    {
+        $this->ensureServicesInitialized();
+        return $this->changeFeedService->getChanges((int)$since, $deptIds);
+    }
+
+    /**
+     * Get a subticket template
+     *
+     * @param int $templateId Template ID
+     * @return array|null Template {id, name, items} or null if not defined
+     */
+    public function getSubticketTemplate($templateId): ?array
+    {
+        $this->ensureServicesInitialized();
+        return $this->templateService->getTemplate((int)$templateId);
+    }
+
+    /**
+     * Unlink all direct children of a parent
+     *
+     * @param int $parentId Parent ticket ID
+     * @return bool True on success
+     */
+    public function unlinkChildren($parentId): bool
+    {
+        $this->ensureServicesInitialized();
+        return $this->hierarchyService->unlinkChildren((int)$parentId);
+    }
+
+    /**
+     * Dissolve a hierarchy: unlink all direct children of a parent at once
+     *
+     * @param int $parentId Parent ticket ID
+     * @return array{success: bool, parent_id: int, unlinked: int[]}
+     */
+    public function dissolveHierarchy($parentId): array
+    {
+        $this->ensureServicesInitialized();
+        return $this->hierarchyService->dissolveHierarchy((int)$parentId);
+    }
+
+    /**
+     * Promote a child to the parent of its former siblings
+     *
+     * @param int $childId Child ticket ID
+     * @param bool $keepParent Keep the old parent as parent of the promoted ticket
+     * @return array{success: bool, reason: string|null, parent_id: int, old_parent_id: int|null, moved: int[], detached: bool}
+     */
+    public function promoteChild($childId, bool $keepParent): array
+    {
+        $this->ensureServicesInitialized();
+        return $this->hierarchyService->promoteChild((int)$childId, $keepParent);
+    }
+
+    /**
+     * Close a parent ticket if all of its children are closed
+     *
+     * @param int $parentId Parent ticket ID
+     * @return bool True if the parent was closed
+     */
+    public function closeIfCompleted($parentId): bool
+    {
+        $this->ensureServicesInitialized();
+        return $this->autoCloseService->closeIfCompleted((int)$parentId);
+    }
+
+    /**
+     * Translate a UI string into the agent's language
+     *
+     * @param string $key Catalogue key (see i18n/en.php)
+     * @param array<string, string|int> $params Values for {placeholders}
+     * @return string Translated string
+     */
+    public function translate(string $key, array $params = []): string
+    {
+        $this->ensureServicesInitialized();
+        return $this->translator->translate($key, $params);
+    }
+
+    /**
+     * Get the string catalogue for the frontend scripts
+     *
+     * Used by the overview page before it loads hierarchy-overview.js.
+     *
+     * @return string HTML script tags
+     */
+    public function getI18nJavaScript(): string
+    {
+        $this->ensureServicesInitialized();
+        return $this->panelRenderer->getI18nJavaScript();
+    }
+
+    /**
+     * Get the supported hierarchy export formats
+     *
+     * @return array<int, string>
+     */
+    public function getExportFormats(): array
+    {
+        $this->ensureServicesInitialized();
+        return $this->exportService->getFormats();
+    }
+
+    /**
+     * Export one tree or all hierarchies as CSV or JSON
+     *
+     * @param string $format 'csv' or 'json'
+     * @param int|null $ticketId Any ticket of the tree to export, null = all hierarchies
+     * @param array<int, int>|null $deptIds Accessible departments (null = all)
+     * @return array{filename: string, content_type: string, content: string}|null
+     */
+    public function exportHierarchy(string $format, ?int $ticketId = null, ?array $deptIds = null): ?array
+    {
+        $this->ensureServicesInitialized();
+        return $this->exportService->export($format, $ticketId, $deptIds);
+    }
+
     // =========================================================================
     // Helper Methods
     // =========================================================================
@@ -0,0 +1,76 @@
+<?php
+/**
+ * Subticket Client Portal AJAX Handler
+ *
+ * Read-only endpoint for the client portal panel (logged-in users only).
+ * Deployed to the osTicket root as ajax-subticket-client.php, next to the
+ * client portal's tickets.php (avoids core file modifications).
+ *
+ * Usage:
+ * - GET /ajax-subticket-client.php?action=panel&tid=123
+ *
+ * @package SubticketManager
+ * @license GPL-2.0
+ */
+
+define('AJAX_REQUEST', 1);
+require('client.inc.php');
+
+// Clean house
+ini_set('display_errors', '0');
+ini_set('display_startup_errors', '0');
+
+if (!defined('INCLUDE_DIR')) {
+    Http::response(500, 'Server configuration error');
+}
+
+// Check client access (guests and staff use their own interfaces)
+if (!$thisclient || !$thisclient->isValid()) {
+    Http::response(403, 'Access denied');
+}
+
+// Resolve plugin directory dynamically (see scp/ajax-subticket.php)
+$_pluginMatches = glob(INCLUDE_DIR . 'plugins/*/class.SubticketPlugin.php');
+if ($_pluginMatches === false || count($_pluginMatches) !== 1) {
+    Http::response(500, 'SubticketPlugin not found');
+}
+$pluginDir = dirname($_pluginMatches[0]);
+unset($_pluginMatches);
+
+// Load controller
+$controllerFile = $pluginDir . '/ajax/SubticketController.php';
+if (!file_exists($controllerFile)) {
+    Http::response(500, 'Controller not found');
+}
+
+require_once($controllerFile);
+
+if (!class_exists('SubticketPlugin')) {
+    require_once($pluginDir . '/class.SubticketPlugin.php');
+}
+
+$controller = new SubticketController(new SubticketPlugin());
+
+// Get action
+$action = $_REQUEST['action'] ?? '';
+
+// Route to controller method
+try {
+    switch ($action) {
+        case 'panel':
+            // GET /ajax-subticket-client.php?action=panel&tid=123
+            $tid = $_GET['tid'] ?? null;
+            if (!$tid) {
+                Http::response(400, json_encode(array('error' => 'Missing ticket ID')));
+            }
+            $result = $controller->getClientPanel($tid);
+            Http::response(200, json_encode($result), 'application/json');
+            break;
+
+        default:
+            Http::response(400, json_encode(array('error' => 'Invalid action')));
+    }
+} catch (Exception $e) {
+    error_log('[SUBTICKET-CLIENT-AJAX] Exception: ' . $e->getMessage());
+    Http::response(500, json_encode(array('error' => 'Internal error')));
+}
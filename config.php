@@ -125,6 +125,40 @@ class SubticketPluginConfig extends PluginConfig
                 'default' => true
             ]),
 
+            'effective_due_date' => new BooleanField([
+                'id' => 'effective_due_date',
+                'label' => 'Effective Due Date on Parents',
+                'configuration' => [
+                    'desc' => 'Show a due date rolled up from the open subtickets (latest due date, or the earliest overdue one) '
+                        . 'on parent tickets and highlight overdue subtickets'
+                ],
+                'default' => false
+            ]),
+
+            'client_portal_panel' => new BooleanField([
+                'id' => 'client_portal_panel',
+                'label' => 'Show Subtickets in Client Portal',
+                'configuration' => [
+                    'desc' => 'Show users a read-only list of their subtickets with progress on the parent ticket page'
+                ],
+                'default' => false
+            ]),
+
+            'subticket_templates' => new TextareaField([
+                'id' => 'subticket_templates',
+                'label' => 'Subticket Templates',
+                'configuration' => [
+                    'rows' => 10,
+                    'cols' => 60,
+                    'html' => false,
+                    'desc' => 'JSON list of templates offered by "Apply template" in the ticket view, e.g. '
+                        . '[{"name": "Onboarding", "items": [{"subject": "Create account", "dept_id": 3, '
+                        . '"topic_id": 12, "staff_id": 5, "message": "..."}]}]. '
+                        . 'dept_id is required; topic_id, staff_id and message are optional (max 25 items per template)'
+                ],
+                'default' => ''
+            ]),
+
             'remove_data_on_uninstall' => new BooleanField([
                 'id' => 'remove_data_on_uninstall',
                 'label' => 'Remove Data on Uninstall',
@@ -138,4 +172,25 @@ class SubticketPluginConfig extends PluginConfig
             // in class.SubticketPlugin.php (line 12). UI config coming in future version.
         ];
     }
+
+    /**
+     * Validate the configuration before saving
+     *
+     * @param array $config Submitted configuration values
+     * @param array $errors Form errors ('err' is shown above the form)
+     * @return bool True if the configuration is valid
+     */
+    function pre_save(&$config, &$errors)
+    {
+        $templateErrors = [];
+        (new \SubticketManager\Template\TemplateService())
+            ->parse((string)($config['subticket_templates'] ?? ''), $templateErrors);
+
+        if ($templateErrors) {
+            $errors['err'] = 'Subticket Templates: ' . implode('; ', $templateErrors);
+            return false;
+        }
+
+        return true;
+    }
 }
@@ -0,0 +1,243 @@
+<?php
+
+/**
+ * Subticket Manager - German UI strings
+ *
+ * See en.php for the complete list of keys and the value format.
+ *
+ * @package SubticketManager
+ */
+
+return [
+    // Shared
+    'common.bulk_failed' => 'Sammelaktion fehlgeschlagen',
+    'common.cancel' => 'Abbrechen',
+    'common.close' => 'Schließen',
+    'common.continue' => 'Weiter',
+    'common.error' => 'Fehler: {message}',
+    'common.loading' => 'Wird geladen…',
+    'common.server_error' => 'Serverfehler: {error}',
+    'common.unknown' => 'Unbekannt',
+
+    // Ticket view panel (PanelRenderer + subticket-panel.js)
+    'panel.add_blocker' => 'Blocker hinzufügen',
+    'panel.already_has_parent' => 'Dieses Ticket hat bereits ein übergeordnetes Ticket',
+    'panel.apply' => 'Anwenden',
+    'panel.apply_template' => 'Vorlage anwenden',
+    'panel.assignee' => 'Zuständig',
+    'panel.assignee_me' => '— Ich —',
+    'panel.autoclose_title' => 'Übergeordnetes Ticket ebenfalls schließen?',
+    'panel.autoclose_warning' => 'Dies ist das letzte offene Subticket von #{number}. Beim Schließen wird auch das übergeordnete Ticket geschlossen.',
+    'panel.badge_subtickets' => ['{count} Subticket', '{count} Subtickets'],
+    'panel.blocked_by' => 'Blockiert durch',
+    'panel.blocker_select' => 'Blockierendes Geschwister-Ticket',
+    'panel.blocking' => 'Blockiert',
+    'panel.breadcrumbs_label' => 'Ticket-Hierarchie',
+    'panel.cascade_assignment_intro' => 'Die geänderte Zuweisung gilt auch für diese Subtickets:',
+    'panel.cascade_assignment_title' => 'Subtickets ebenfalls neu zuweisen?',
+    'panel.cascade_exclude_failed' => 'Auswahl konnte nicht gespeichert werden',
+    'panel.cascade_hint' => 'Subtickets, die unverändert bleiben sollen, abwählen.',
+    'panel.cascade_hold_intro' => 'Wird dieses Ticket zurückgestellt, werden auch diese Subtickets zurückgestellt:',
+    'panel.cascade_hold_title' => 'Subtickets ebenfalls zurückstellen?',
+    'panel.cascade_notice' => [
+        'Die letzte Zurückstellung/Zuweisung wurde auf {count} Subticket übertragen ({created}).',
+        'Die letzte Zurückstellung/Zuweisung wurde auf {count} Subtickets übertragen ({created}).',
+    ],
+    'panel.changed' => 'Aktualisiert',
+    'panel.child_tickets' => 'Untergeordnete Tickets',
+    'panel.child_tickets_label' => 'Untergeordnete Tickets',
+    'panel.close_both' => 'Beide schließen',
+    'panel.collapse' => 'Einklappen',
+    'panel.create' => 'Erstellen',
+    'panel.create_failed' => 'Subticket konnte nicht erstellt werden',
+    'panel.create_subticket' => 'Subticket erstellen',
+    'panel.created' => 'Subticket erfolgreich erstellt: #{number}',
+    'panel.creating' => 'Subticket wird erstellt...',
+    'panel.department' => 'Abteilung',
+    'panel.dependencies' => 'Abhängigkeiten',
+    'panel.dependency_failed' => 'Abhängigkeit konnte nicht gespeichert werden',
+    'panel.dissolve' => 'Auflösen',
+    'panel.dissolve_confirm' => [
+        'Das {count} Subticket dieses Tickets lösen?',
+        'Alle {count} Subtickets dieses Tickets lösen?',
+    ],
+    'panel.dissolve_failed' => 'Hierarchie konnte nicht aufgelöst werden',
+    'panel.dissolve_hierarchy' => 'Hierarchie auflösen',
+    'panel.dissolve_title' => 'Hierarchie auflösen?',
+    'panel.dissolved' => [
+        '{count} Subticket gelöst',
+        '{count} Subtickets gelöst',
+    ],
+    'panel.dissolving' => 'Hierarchie wird aufgelöst...',
+    'panel.due_date' => 'Fällig {date}',
+    'panel.effective_due' => 'Effektives Fälligkeitsdatum: {date} (#{number})',
+    'panel.effective_due_overdue' => 'Überfällig seit {date} (#{number})',
+    'panel.expand' => 'Ausklappen',
+    'panel.export_hierarchy' => 'Hierarchie exportieren:',
+    'panel.form_failed' => 'Subticket-Formular konnte nicht geladen werden',
+    'panel.form_incomplete' => 'Bitte Betreff, Abteilung und Nachricht ausfüllen',
+    'panel.hierarchy' => 'Hierarchie',
+    'panel.history_cascade' => '#{ticket}: {details}',
+    'panel.history_empty' => 'Bisher keine Änderungen an der Hierarchie.',
+    'panel.history_failed' => 'Verlauf konnte nicht geladen werden',
+    'panel.history_link' => '#{ticket} mit übergeordnetem Ticket #{new_parent} verknüpft',
+    'panel.history_reparent' => '#{ticket} von #{old_parent} nach #{new_parent} verschoben',
+    'panel.history_system' => 'System',
+    'panel.history_unlink' => '#{ticket} vom übergeordneten Ticket #{old_parent} gelöst',
+    'panel.keep_parent_open' => 'Übergeordnetes Ticket offen lassen',
+    'panel.keep_parent_open_failed' => 'Übergeordnetes Ticket konnte nicht offen gehalten werden',
+    'panel.link_failed' => 'Verknüpfung mit übergeordnetem Ticket fehlgeschlagen',
+    'panel.link_to_parent' => 'Mit übergeordnetem Ticket verknüpfen',
+    'panel.linked' => 'Erfolgreich mit übergeordnetem Ticket #{number} verknüpft',
+    'panel.linking' => 'Wird mit übergeordnetem Ticket verknüpft...',
+    'panel.loading_form' => 'Formular wird geladen...',
+    'panel.message' => 'Nachricht',
+    'panel.move_failed' => 'Ticket konnte nicht verschoben werden',
+    'panel.moved' => 'Ticket verschoben',
+    'panel.moving' => 'Ticket wird verschoben...',
+    'panel.no_blockers' => 'Wird von keinem Ticket blockiert',
+    'panel.no_children' => 'Keine untergeordneten Tickets',
+    'panel.no_matches' => 'Keine passenden offenen Tickets gefunden.',
+    'panel.no_parent' => 'Kein übergeordnetes Ticket',
+    'panel.open_full_form' => 'Vollständiges Formular öffnen',
+    'panel.order_saved' => 'Reihenfolge gespeichert',
+    'panel.overdue' => 'Überfällig',
+    'panel.parent_ticket' => 'Übergeordnetes Ticket',
+    'panel.picker_hint' => 'Mindestens 2 Zeichen eingeben, um offene Tickets zu suchen.',
+    'panel.picker_placeholder' => 'Nach Ticketnummer, Betreff oder Anfragendem suchen',
+    'panel.picker_title' => 'Mit übergeordnetem Ticket verknüpfen',
+    'panel.progress_breakdown' => '{closed} geschlossen, {on_hold} zurückgestellt, {open} offen',
+    'panel.progress_done' => '{closed}/{total} erledigt',
+    'panel.promote_child' => 'Hochstufen',
+    'panel.promote_child_hint' => 'Dieses Subticket wird zum übergeordneten Ticket seiner Geschwister-Subtickets.',
+    'panel.promote_detach' => 'Von diesem Ticket lösen',
+    'panel.promote_failed' => 'Subticket konnte nicht hochgestuft werden',
+    'panel.promote_keep_parent' => 'Als Subticket dieses Tickets behalten',
+    'panel.promote_title' => 'Ticket #{id} hochstufen',
+    'panel.promoted_child' => [
+        'Ticket #{id} ist jetzt übergeordnet zu {count} Subticket',
+        'Ticket #{id} ist jetzt übergeordnet zu {count} Subtickets',
+    ],
+    'panel.promoting' => 'Subticket wird hochgestuft...',
+    'panel.refresh_failed' => 'Subticket-Bereich konnte nicht aktualisiert werden',
+    'panel.remove_dependency' => 'Entfernen',
+    'panel.reorder_failed' => 'Reihenfolge konnte nicht gespeichert werden',
+    'panel.requester' => 'Anfragender:',
+    'panel.requester_same' => 'Wie beim übergeordneten Ticket',
+    'panel.restriction_cycle' => 'Würde eine zirkuläre Hierarchie erzeugen',
+    'panel.restriction_max_children' => 'Würde das Maximum von {max_children} Subtickets pro Ticket überschreiten',
+    'panel.restriction_max_depth' => 'Würde die maximale Tiefe von {max_depth} Ebenen überschreiten',
+    'panel.restriction_nested' => 'Verschachtelte Subtickets sind deaktiviert',
+    'panel.restriction_parent_closed' => 'Einem geschlossenen Ticket können keine Subtickets hinzugefügt werden',
+    'panel.restriction_self' => 'Ein Ticket kann nicht sein eigenes übergeordnetes Ticket sein',
+    'panel.revert' => 'Rückgängig machen',
+    'panel.revert_confirm' => 'Vorherigen Status und Zuständigen der betroffenen Subtickets wiederherstellen?',
+    'panel.revert_failed' => 'Rückgängig machen fehlgeschlagen',
+    'panel.revert_title' => 'Übertragung rückgängig machen?',
+    'panel.reverting' => 'Wird rückgängig gemacht...',
+    'panel.saving_order' => 'Reihenfolge wird gespeichert...',
+    'panel.search_error' => 'Suche fehlgeschlagen',
+    'panel.search_failed' => 'Suche fehlgeschlagen: {error}',
+    'panel.searching' => 'Suche läuft...',
+    'panel.split' => 'Subtickets erstellen',
+    'panel.split_applied' => '{created} von {total} Nachrichten in Subtickets aufgeteilt',
+    'panel.split_attachments' => ['{count} Anhang', '{count} Anhänge'],
+    'panel.split_hint' => 'Wählen Sie die Nachrichten aus, die zu Subtickets werden sollen, und geben Sie für jede einen Betreff und eine Abteilung an. Nachrichtentext und Anhänge werden übernommen.',
+    'panel.split_incomplete' => 'Bitte geben Sie für jede ausgewählte Nachricht Betreff und Abteilung an',
+    'panel.split_results' => 'Ergebnis der Aufteilung',
+    'panel.split_select_entries' => 'Bitte wählen Sie mindestens eine Nachricht aus',
+    'panel.split_thread' => 'In Subtickets aufteilen',
+    'panel.split_title' => 'In Subtickets aufteilen',
+    'panel.splitting' => 'Subtickets werden erstellt...',
+    'panel.subject' => 'Betreff',
+    'panel.tab_history' => 'Verlauf',
+    'panel.tab_subtickets' => 'Subtickets',
+    'panel.template' => 'Vorlage',
+    'panel.template_applied' => '{created} von {total} Subtickets erstellt',
+    'panel.template_hint' => 'Subtickets, die nicht erstellt werden sollen, abwählen.',
+    'panel.template_item_failed' => '{subject}: {message}',
+    'panel.template_progress' => ['{count} Subticket wird erstellt...', '{count} Subtickets werden erstellt...'],
+    'panel.template_results' => 'Ergebnis der Vorlage',
+    'panel.template_select_items' => 'Bitte mindestens ein Subticket auswählen',
+    'panel.template_title' => 'Vorlage anwenden',
+    'panel.unlink' => 'Verknüpfung lösen',
+    'panel.unlink_child_confirm' => 'Dieses untergeordnete Ticket entfernen?',
+    'panel.unlink_child_failed' => 'Untergeordnetes Ticket konnte nicht gelöst werden',
+    'panel.unlink_child_title' => 'Untergeordnetes Ticket lösen?',
+    'panel.unlink_from_parent' => 'Vom übergeordneten Ticket lösen',
+    'panel.unlink_parent_confirm' => 'Verknüpfung zum übergeordneten Ticket entfernen?',
+    'panel.unlink_parent_failed' => 'Lösen vom übergeordneten Ticket fehlgeschlagen',
+    'panel.unlink_parent_title' => 'Vom übergeordneten Ticket lösen?',
+    'panel.unlinked_child' => 'Untergeordnetes Ticket #{id} erfolgreich gelöst',
+    'panel.unlinked_parent' => 'Erfolgreich vom übergeordneten Ticket gelöst',
+    'panel.unlinking_child' => 'Untergeordnetes Ticket wird gelöst...',
+    'panel.unlinking_parent' => 'Wird vom übergeordneten Ticket gelöst...',
+
+    // Client portal panel (PanelRenderer::renderClientPanel)
+    'client.title' => 'Subtickets Ihrer Anfrage',
+
+    // Ticket queue (queue-indicator.js)
+    'queue.changed_tooltip' => 'Von einem anderen Agenten geändert',
+    'queue.children_failed' => 'Subtickets konnten nicht geladen werden',
+    'queue.confirm_unlink' => [
+        'Verknüpfung von {count} Ticket zum übergeordneten Ticket entfernen?',
+        'Verknüpfung von {count} Tickets zum übergeordneten Ticket entfernen?',
+    ],
+    'queue.loading_children' => 'Subtickets werden geladen...',
+    'queue.make_subtickets' => 'Zu Subtickets machen von…',
+    'queue.no_children' => 'Keine Subtickets',
+    'queue.overdue_tooltip' => 'Ein Subticket ist überfällig (fällig {date})',
+    'queue.parent_number' => 'Nummer des übergeordneten Tickets',
+    'queue.parent_number_required' => 'Bitte die Nummer des übergeordneten Tickets eingeben',
+    'queue.progress_tooltip' => [
+        '{count} Subticket: {closed} geschlossen, {on_hold} zurückgestellt, {open} offen - zum Aufklappen klicken',
+        '{count} Subtickets: {closed} geschlossen, {on_hold} zurückgestellt, {open} offen - zum Aufklappen klicken',
+    ],
+    'queue.select_tickets' => 'Bitte mindestens ein Ticket auswählen',
+    'queue.selected_tickets' => 'Ausgewählte Tickets:',
+    'queue.unassigned' => 'Nicht zugewiesen',
+    'queue.unlink_from_parent' => 'Vom übergeordneten Ticket lösen',
+
+    // Ticket Hierarchies overview (subtickets.php + hierarchy-overview.js)
+    'overview.age' => 'Alter (Tage)',
+    'overview.all' => 'Alle',
+    'overview.bulk_close_completed' => 'Erledigte übergeordnete Tickets schließen',
+    'overview.bulk_unlink_all' => 'Alle Subtickets lösen',
+    'overview.column_assignee' => 'Zuständig',
+    'overview.column_completion' => 'Fortschritt',
+    'overview.column_created' => 'Erstellt',
+    'overview.column_department' => 'Abteilung',
+    'overview.column_parent' => 'Übergeordnetes Ticket',
+    'overview.column_status' => 'Status',
+    'overview.column_subject' => 'Betreff',
+    'overview.column_subtickets' => 'Subtickets',
+    'overview.completion' => 'Fortschritt %',
+    'overview.confirm_unlink_all' => [
+        'Alle Subtickets von {count} übergeordnetem Ticket lösen?',
+        'Alle Subtickets von {count} übergeordneten Tickets lösen?',
+    ],
+    'overview.empty' => 'Keine Ticket-Hierarchien gefunden.',
+    'overview.export_all' => 'Alle exportieren:',
+    'overview.intro' => 'Übersicht aller Parent-Child-Beziehungen zwischen Tickets im System.',
+    'overview.load_failed' => 'Hierarchien konnten nicht geladen werden',
+    'overview.max' => 'max',
+    'overview.min' => 'min',
+    'overview.next' => 'Weiter',
+    'overview.options_failed' => 'Filteroptionen konnten nicht geladen werden',
+    'overview.page_info' => [
+        'Seite {page} von {pages} ({count} Hierarchie)',
+        'Seite {page} von {pages} ({count} Hierarchien)',
+    ],
+    'overview.previous' => 'Zurück',
+    'overview.roots_only' => 'Nur oberste übergeordnete Tickets',
+    'overview.select_all' => 'Alle auswählen',
+    'overview.select_hierarchies' => 'Bitte mindestens eine Hierarchie auswählen',
+    'overview.show_subtickets' => 'Subtickets anzeigen',
+    'overview.title' => 'Ticket-Hierarchien',
+
+    // Applications page (apps.php)
+    'apps.hierarchies_description' => 'Verwalten Sie Parent-Child-Beziehungen zwischen Tickets. Erstellen Sie Subtickets und behalten Sie die Übersicht über komplexe Ticket-Strukturen.',
+    'apps.intro' => 'Übersicht aller verfügbaren Anwendungen für die Ticket-Verwaltung.',
+    'apps.open_overview' => 'Übersicht öffnen',
+    'apps.title' => 'Anwendungen',
+];
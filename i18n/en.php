@@ -0,0 +1,249 @@
+<?php
+
+/**
+ * Subticket Manager - English UI strings
+ *
+ * Complete catalogue: every key used by PanelRenderer, the scp pages and
+ * the frontend scripts is defined here. Other catalogues only need the
+ * keys they translate - missing keys fall back to this file.
+ *
+ * Values are strings, or [singular, plural] for keys used with
+ * Translator::plural() / SubticketI18n.n(). {name} placeholders are
+ * filled in by the caller ({count} always for plurals).
+ *
+ * @package SubticketManager
+ */
+
+return [
+    // Shared
+    'common.bulk_failed' => 'Bulk action failed',
+    'common.cancel' => 'Cancel',
+    'common.close' => 'Close',
+    'common.continue' => 'Continue',
+    'common.error' => 'Error: {message}',
+    'common.loading' => 'Loading…',
+    'common.server_error' => 'Server error: {error}',
+    'common.unknown' => 'Unknown',
+
+    // Ticket view panel (PanelRenderer + subticket-panel.js)
+    'panel.add_blocker' => 'Add blocker',
+    'panel.already_has_parent' => 'This ticket already has a parent',
+    'panel.apply' => 'Apply',
+    'panel.apply_template' => 'Apply template',
+    'panel.assignee' => 'Assignee',
+    'panel.assignee_me' => '— Me —',
+    'panel.autoclose_title' => 'Close parent ticket too?',
+    'panel.autoclose_warning' => 'This is the last open subticket of #{number}. Closing it will close the parent ticket as well.',
+    'panel.badge_subtickets' => ['{count} Sub-Ticket', '{count} Sub-Tickets'],
+    'panel.blocked_by' => 'Blocked by',
+    'panel.blocker_select' => 'Blocking sibling ticket',
+    'panel.blocking' => 'Blocking',
+    'panel.breadcrumbs_label' => 'Ticket hierarchy',
+    'panel.cascade_assignment_intro' => 'Changing the assignment also reassigns these subtickets:',
+    'panel.cascade_assignment_title' => 'Reassign subtickets too?',
+    'panel.cascade_exclude_failed' => 'Failed to save the selection',
+    'panel.cascade_hint' => 'Uncheck subtickets that should stay unchanged.',
+    'panel.cascade_hold_intro' => 'Putting this ticket on hold also puts these subtickets on hold:',
+    'panel.cascade_hold_title' => 'Hold subtickets too?',
+    'panel.cascade_notice' => [
+        'Last hold/assignment change was applied to {count} subticket ({created}).',
+        'Last hold/assignment change was applied to {count} subtickets ({created}).',
+    ],
+    'panel.changed' => 'Updated',
+    'panel.child_tickets' => 'Child Tickets',
+    'panel.child_tickets_label' => 'Child tickets',
+    'panel.close_both' => 'Close both',
+    'panel.collapse' => 'Collapse',
+    'panel.create' => 'Create',
+    'panel.create_failed' => 'Failed to create subticket',
+    'panel.create_subticket' => 'Create Subticket',
+    'panel.created' => 'Subticket created successfully: #{number}',
+    'panel.creating' => 'Creating subticket...',
+    'panel.department' => 'Department',
+    'panel.dependencies' => 'Dependencies',
+    'panel.dependency_failed' => 'Failed to update the dependency',
+    'panel.dissolve' => 'Dissolve',
+    'panel.dissolve_confirm' => [
+        'Unlink the {count} subticket of this ticket?',
+        'Unlink all {count} subtickets of this ticket?',
+    ],
+    'panel.dissolve_failed' => 'Failed to dissolve the hierarchy',
+    'panel.dissolve_hierarchy' => 'Dissolve hierarchy',
+    'panel.dissolve_title' => 'Dissolve hierarchy?',
+    'panel.dissolved' => [
+        'Unlinked {count} subticket',
+        'Unlinked {count} subtickets',
+    ],
+    'panel.dissolving' => 'Dissolving hierarchy...',
+    'panel.due_date' => 'Due {date}',
+    'panel.effective_due' => 'Effective due date: {date} (#{number})',
+    'panel.effective_due_overdue' => 'Overdue since {date} (#{number})',
+    'panel.expand' => 'Expand',
+    'panel.export_hierarchy' => 'Export hierarchy:',
+    'panel.form_failed' => 'Failed to load subticket form',
+    'panel.form_incomplete' => 'Please fill in subject, department and message',
+    'panel.hierarchy' => 'Hierarchy',
+    'panel.history_cascade' => '#{ticket}: {details}',
+    'panel.history_empty' => 'No hierarchy changes recorded yet.',
+    'panel.history_failed' => 'Failed to load history',
+    'panel.history_link' => 'Linked #{ticket} to parent #{new_parent}',
+    'panel.history_reparent' => 'Moved #{ticket} from #{old_parent} to #{new_parent}',
+    'panel.history_system' => 'System',
+    'panel.history_unlink' => 'Unlinked #{ticket} from parent #{old_parent}',
+    'panel.keep_parent_open' => 'Keep parent open',
+    'panel.keep_parent_open_failed' => 'Failed to keep parent open',
+    'panel.link_failed' => 'Failed to link to parent',
+    'panel.link_to_parent' => 'Link to Parent',
+    'panel.linked' => 'Successfully linked to parent ticket #{number}',
+    'panel.linking' => 'Linking to parent...',
+    'panel.loading_form' => 'Loading form...',
+    'panel.message' => 'Message',
+    'panel.move_failed' => 'Failed to move ticket',
+    'panel.moved' => 'Ticket moved',
+    'panel.moving' => 'Moving ticket...',
+    'panel.no_blockers' => 'Not blocked by any ticket',
+    'panel.no_children' => 'No child tickets',
+    'panel.no_matches' => 'No matching open tickets found.',
+    'panel.no_parent' => 'No parent ticket',
+    'panel.open_full_form' => 'Open full form',
+    'panel.order_saved' => 'Order saved',
+    'panel.overdue' => 'Overdue',
+    'panel.parent_ticket' => 'Parent Ticket',
+    'panel.picker_hint' => 'Type at least 2 characters to search open tickets.',
+    'panel.picker_placeholder' => 'Search by ticket number, subject or requester',
+    'panel.picker_title' => 'Link to Parent Ticket',
+    'panel.progress_breakdown' => '{closed} closed, {on_hold} on hold, {open} open',
+    'panel.progress_done' => '{closed}/{total} done',
+    'panel.promote_child' => 'Promote',
+    'panel.promote_child_hint' => 'Make this subticket the parent of its sibling subtickets.',
+    'panel.promote_detach' => 'Detach it from this ticket',
+    'panel.promote_failed' => 'Failed to promote the subticket',
+    'panel.promote_keep_parent' => 'Keep it as a subticket of this ticket',
+    'panel.promote_title' => 'Promote ticket #{id}',
+    'panel.promoted_child' => [
+        'Ticket #{id} is now the parent of {count} subticket',
+        'Ticket #{id} is now the parent of {count} subtickets',
+    ],
+    'panel.promoting' => 'Promoting subticket...',
+    'panel.refresh_failed' => 'Failed to refresh subticket panel',
+    'panel.remove_dependency' => 'Remove',
+    'panel.reorder_failed' => 'Failed to save the order',
+    'panel.requester' => 'Requester:',
+    'panel.requester_same' => 'Same as parent ticket',
+    'panel.restriction_cycle' => 'Would create a circular hierarchy',
+    'panel.restriction_max_children' => 'Would exceed the maximum of {max_children} subtickets per ticket',
+    'panel.restriction_max_depth' => 'Would exceed the maximum depth of {max_depth} levels',
+    'panel.restriction_nested' => 'Nested subtickets are disabled',
+    'panel.restriction_parent_closed' => 'Subtickets cannot be added to a closed ticket',
+    'panel.restriction_self' => 'A ticket cannot be its own parent',
+    'panel.revert' => 'Revert',
+    'panel.revert_confirm' => 'Restore the previous status and assignee of the affected subtickets?',
+    'panel.revert_failed' => 'Failed to revert',
+    'panel.revert_title' => 'Revert cascade?',
+    'panel.reverting' => 'Reverting...',
+    'panel.saving_order' => 'Saving order...',
+    'panel.search_error' => 'Search failed',
+    'panel.search_failed' => 'Search failed: {error}',
+    'panel.searching' => 'Searching...',
+    'panel.split' => 'Create subtickets',
+    'panel.split_applied' => 'Split {created} of {total} messages into subtickets',
+    'panel.split_attachments' => ['{count} attachment', '{count} attachments'],
+    'panel.split_hint' => 'Select the messages that should become subtickets and enter a subject and department for each. The message text and its attachments are copied.',
+    'panel.split_incomplete' => 'Please enter a subject and department for every selected message',
+    'panel.split_results' => 'Split results',
+    'panel.split_select_entries' => 'Please select at least one message',
+    'panel.split_thread' => 'Split into subtickets',
+    'panel.split_title' => 'Split into Subtickets',
+    'panel.splitting' => 'Creating subtickets...',
+    'panel.subject' => 'Subject',
+    'panel.tab_history' => 'History',
+    'panel.tab_subtickets' => 'Subtickets',
+    'panel.template' => 'Template',
+    'panel.template_applied' => 'Created {created} of {total} subtickets',
+    'panel.template_hint' => 'Uncheck subtickets that should not be created.',
+    'panel.template_item_failed' => '{subject}: {message}',
+    'panel.template_progress' => ['Creating {count} subticket...', 'Creating {count} subtickets...'],
+    'panel.template_results' => 'Template results',
+    'panel.template_select_items' => 'Please select at least one subticket',
+    'panel.template_title' => 'Apply Template',
+    'panel.unlink' => 'Unlink',
+    'panel.unlink_child_confirm' => 'Remove this child ticket?',
+    'panel.unlink_child_failed' => 'Failed to unlink child ticket',
+    'panel.unlink_child_title' => 'Unlink child ticket?',
+    'panel.unlink_from_parent' => 'Unlink from Parent',
+    'panel.unlink_parent_confirm' => 'Remove parent relationship?',
+    'panel.unlink_parent_failed' => 'Failed to unlink from parent',
+    'panel.unlink_parent_title' => 'Unlink from parent?',
+    'panel.unlinked_child' => 'Successfully unlinked child ticket #{id}',
+    'panel.unlinked_parent' => 'Successfully unlinked from parent',
+    'panel.unlinking_child' => 'Unlinking child ticket...',
+    'panel.unlinking_parent' => 'Unlinking from parent...',
+
+    // Client portal panel (PanelRenderer::renderClientPanel)
+    'client.title' => 'Subtickets of your request',
+
+    // Ticket queue (queue-indicator.js)
+    'queue.changed_tooltip' => 'Changed by another agent',
+    'queue.children_failed' => 'Failed to load subtickets',
+    'queue.confirm_unlink' => [
+        'Remove the parent relationship of {count} ticket?',
+        'Remove the parent relationship of {count} tickets?',
+    ],
+    'queue.loading_children' => 'Loading subtickets...',
+    'queue.make_subtickets' => 'Make subtickets of…',
+    'queue.no_children' => 'No subtickets',
+    'queue.overdue_tooltip' => 'A subticket is overdue (due {date})',
+    'queue.parent_number' => 'Parent ticket number',
+    'queue.parent_number_required' => 'Please enter the parent ticket number',
+    'queue.progress_tooltip' => [
+        '{count} subticket: {closed} closed, {on_hold} on hold, {open} open - click to expand',
+        '{count} subtickets: {closed} closed, {on_hold} on hold, {open} open - click to expand',
+    ],
+    'queue.select_tickets' => 'Please select at least one ticket',
+    'queue.selected_tickets' => 'Selected tickets:',
+    'queue.unassigned' => 'Unassigned',
+    'queue.unlink_from_parent' => 'Unlink from parent',
+
+    // Ticket Hierarchies overview (subtickets.php + hierarchy-overview.js)
+    'overview.age' => 'Age (days)',
+    'overview.all' => 'All',
+    'overview.bulk_close_completed' => 'Close completed parents',
+    'overview.bulk_unlink_all' => 'Unlink all subtickets',
+    'overview.column_assignee' => 'Assignee',
+    'overview.column_completion' => 'Completion',
+    'overview.column_created' => 'Created',
+    'overview.column_department' => 'Department',
+    'overview.column_parent' => 'Parent Ticket',
+    'overview.column_status' => 'Status',
+    'overview.column_subject' => 'Subject',
+    'overview.column_subtickets' => 'Subtickets',
+    'overview.completion' => 'Completion %',
+    'overview.confirm_unlink_all' => [
+        'Unlink all subtickets of {count} parent ticket?',
+        'Unlink all subtickets of {count} parent tickets?',
+    ],
+    'overview.empty' => 'No ticket hierarchies found.',
+    'overview.export_all' => 'Export all:',
+    'overview.intro' => 'Overview of all parent/child ticket relationships in the system.',
+    'overview.load_failed' => 'Failed to load hierarchies',
+    'overview.max' => 'max',
+    'overview.min' => 'min',
+    'overview.next' => 'Next',
+    'overview.options_failed' => 'Failed to load filter options',
+    'overview.page_info' => [
+        'Page {page} of {pages} ({count} hierarchy)',
+        'Page {page} of {pages} ({count} hierarchies)',
+    ],
+    'overview.previous' => 'Previous',
+    'overview.roots_only' => 'Top-level parents only',
+    'overview.select_all' => 'Select all',
+    'overview.select_hierarchies' => 'Select at least one hierarchy',
+    'overview.show_subtickets' => 'Show subtickets',
+    'overview.title' => 'Ticket Hierarchies',
+
+    // Applications page (apps.php)
+    'apps.hierarchies_description' => 'Manage parent/child relationships between tickets. Create subtickets and keep track of complex ticket structures.',
+    'apps.intro' => 'Overview of all applications available for ticket management.',
+    'apps.open_overview' => 'Open overview',
+    'apps.title' => 'Applications',
+];
@@ -0,0 +1,487 @@
+/**
+ * Hierarchy Overview - Client side of the Ticket Hierarchies page (scp/subtickets.php)
+ *
+ * Loads parent tickets page by page from ajax-subticket.php?action=overview,
+ * applies the filter bar and column sorting, expands a parent into its full
+ * nested tree and runs bulk actions on the selected hierarchies.
+ *
+ * @since 2.1.0
+ */
+
+// Wait for jQuery to be available
+(function waitForJQuery() {
+    'use strict';
+
+    if (typeof jQuery === 'undefined') {
+        setTimeout(waitForJQuery, 100);
+        return;
+    }
+
+    (function($) {
+
+    /**
+     * Translate a UI string from the agent's catalogue (js/subticket-i18n.js)
+     */
+    function t(key, params) {
+        return window.SubticketI18n.t(key, params);
+    }
+
+    /**
+     * Translate a UI string with plural forms ({count} is filled in)
+     */
+    function n(key, count, params) {
+        return window.SubticketI18n.n(key, count, params);
+    }
+
+    var HierarchyOverview = {
+        /**
+         * Delay before reloading after a filter change (ms)
+         */
+        FILTER_DEBOUNCE: 300,
+
+        /**
+         * Current query state
+         */
+        state: {
+            page: 1,
+            perPage: 25,
+            sort: 'created',
+            dir: 'desc'
+        },
+
+        /**
+         * Per-hierarchy results of the last bulk action, keyed by ticket ID
+         */
+        bulkResults: {},
+
+        /**
+         * Pending debounced reload timer
+         */
+        filterTimer: null,
+
+        /**
+         * In-flight overview request
+         */
+        pendingRequest: null,
+
+        /**
+         * Initialize the page
+         */
+        init: function() {
+            $(document).ready(function() {
+                if (!$('#subticket-admin-page').length) {
+                    return;
+                }
+
+                HierarchyOverview.bindEvents();
+                HierarchyOverview.updateSortIndicator();
+                HierarchyOverview.loadOptions();
+                HierarchyOverview.load();
+            });
+        },
+
+        /**
+         * Bind filter, sort, selection, expand, paging and bulk handlers
+         */
+        bindEvents: function() {
+            var self = this;
+            var $page = $('#subticket-admin-page');
+
+            $page.on('change input', '.hierarchy-filters :input', function() {
+                clearTimeout(self.filterTimer);
+                self.filterTimer = setTimeout(function() {
+                    self.state.page = 1;
+                    self.load();
+                }, self.FILTER_DEBOUNCE);
+            });
+
+            $page.on('click', 'th[data-sort]', function() {
+                var column = $(this).data('sort');
+
+                if (self.state.sort === column) {
+                    self.state.dir = self.state.dir === 'asc' ? 'desc' : 'asc';
+                } else {
+                    self.state.sort = column;
+                    self.state.dir = 'asc';
+                }
+
+                self.state.page = 1;
+                self.updateSortIndicator();
+                self.load();
+            });
+
+            $page.on('change', '.hierarchy-select-all', function() {
+                $page.find('.hierarchy-select').prop('checked', this.checked);
+            });
+
+            $page.on('click', '.hierarchy-toggle', function() {
+                self.toggleTree($(this).closest('tr'));
+            });
+
+            $page.on('click', '.hierarchy-pager button', function() {
+                self.state.page = parseInt($(this).data('page'), 10);
+                self.load();
+            });
+
+            $page.on('click', '[data-bulk]', function() {
+                self.runBulkAction($(this).data('bulk'));
+            });
+        },
+
+        /**
+         * Collect the filter bar values (empty values are omitted)
+         *
+         * @return {Object} Filter parameters
+         */
+        getFilters: function() {
+            var filters = {};
+            var $form = $('.hierarchy-filters');
+
+            $form.find('select, input[type="number"]').each(function() {
+                var value = $(this).val();
+                if (value !== '' && value !== null) {
+                    filters[this.name] = value;
+                }
+            });
+
+            filters.roots_only = $form.find('[name="roots_only"]').is(':checked') ? '1' : '0';
+
+            return filters;
+        },
+
+        /**
+         * Fill the filter dropdowns
+         */
+        loadOptions: function() {
+            var self = this;
+
+            $.ajax({
+                url: 'ajax-subticket.php?action=overview_options',
+                method: 'GET',
+                dataType: 'json',
+                success: function(response) {
+                    if (!response.success) {
+                        self.showMessage(response.message || t('overview.options_failed'), 'error');
+                        return;
+                    }
+
+                    self.fillSelect('status_id', response.data.statuses);
+                    self.fillSelect('dept_id', response.data.departments);
+                    self.fillSelect('staff_id', response.data.staff);
+                }
+            });
+        },
+
+        /**
+         * Append options to a filter dropdown
+         *
+         * SECURITY: Names are inserted via text() to prevent XSS
+         *
+         * @param {string} name Select name
+         * @param {Array} options Options ({id, name})
+         */
+        fillSelect: function(name, options) {
+            var $select = $('.hierarchy-filters select[name="' + name + '"]');
+
+            (options || []).forEach(function(option) {
+                $select.append($('<option>').val(option.id).text(option.name));
+            });
+        },
+
+        /**
+         * Load the current page of hierarchies
+         */
+        load: function() {
+            var self = this;
+
+            if (this.pendingRequest) {
+                this.pendingRequest.abort();
+            }
+
+            this.pendingRequest = $.ajax({
+                url: 'ajax-subticket.php?action=overview',
+                method: 'GET',
+                data: $.extend({
+                    page: this.state.page,
+                    per_page: this.state.perPage,
+                    sort: this.state.sort,
+                    dir: this.state.dir
+                }, this.getFilters()),
+                dataType: 'json',
+                success: function(response) {
+                    if (!response.success) {
+                        self.renderMessage(response.message || t('overview.load_failed'));
+                        return;
+                    }
+
+                    self.renderRows(response.data.items);
+                    self.renderPager(response.data);
+                },
+                error: function(xhr, status, error) {
+                    if (status !== 'abort') {
+                        self.renderMessage(t('common.server_error', { error: error }));
+                    }
+                },
+                complete: function() {
+                    self.pendingRequest = null;
+                }
+            });
+        },
+
+        /**
+         * Render the table rows
+         *
+         * SECURITY: All values are inserted via text() to prevent XSS
+         *
+         * @param {Array} items Parent tickets
+         */
+        renderRows: function(items) {
+            var $tbody = $('table.hierarchy-overview tbody').empty();
+
+            $('.hierarchy-select-all').prop('checked', false);
+
+            if (!items || items.length === 0) {
+                this.renderMessage(t('overview.empty'));
+                return;
+            }
+
+            items.forEach(function(item) {
+                var $progress = $('<span class="hierarchy-progress">')
+                    .append($('<span>').css('width', item.completion + '%'));
+
+                $('<tr class="hierarchy-row">')
+                    .attr('data-ticket-id', item.id)
+                    .append($('<td>').append(
+                        $('<input type="checkbox" class="hierarchy-select">').val(item.id)
+                    ))
+                    .append($('<td>')
+                        .append($('<span class="hierarchy-toggle">').attr('title', t('overview.show_subtickets')).text('▸'))
+                        .append($('<a target="_blank">')
+                            .attr('href', 'tickets.php?id=' + encodeURIComponent(item.id))
+                            .text('#' + item.number)))
+                    .append($('<td>').text(item.subject))
+                    .append($('<td>').text(item.status))
+                    .append($('<td>').text(item.department))
+                    .append($('<td>').text(item.assignee))
+                    .append($('<td style="text-align: center;">').append($('<strong>').text(item.children)))
+                    .append($('<td>').append($progress).append(
+                        $('<small>').text(item.closed + '/' + item.children)
+                    ))
+                    .append($('<td>').text(item.created))
+                    .appendTo($tbody);
+            });
+
+            this.reportBulkResults();
+        },
+
+        /**
+         * Show the outcome of the last bulk action below each ticket number
+         *
+         * SECURITY: Messages are inserted via text() to prevent XSS
+         */
+        reportBulkResults: function() {
+            var results = this.bulkResults;
+            this.bulkResults = {};
+
+            $.each(results, function(ticketId, result) {
+                $('tr.hierarchy-row[data-ticket-id="' + ticketId + '"] td').eq(1).append(
+                    $('<small class="hierarchy-result">')
+                        .css('color', result.success ? '#3c763d' : '#a94442')
+                        .text((result.success ? '\u2713 ' : '\u2717 ') + result.message)
+                );
+            });
+        },
+
+        /**
+         * Replace the table body with a single message row
+         *
+         * @param {string} message Message text
+         */
+        renderMessage: function(message) {
+            $('table.hierarchy-overview tbody').empty().append(
+                $('<tr>').append(
+                    $('<td colspan="9" style="text-align: center; padding: 40px;">').append($('<em>').text(message))
+                )
+            );
+            $('.hierarchy-pager').empty();
+        },
+
+        /**
+         * Render previous/next paging controls
+         *
+         * @param {Object} data Overview response data ({total, page, pages})
+         */
+        renderPager: function(data) {
+            var $pager = $('.hierarchy-pager').empty();
+
+            if (data.pages > 1) {
+                $pager
+                    .append($('<button type="button" class="button">')
+                        .attr('data-page', data.page - 1)
+                        .prop('disabled', data.page <= 1)
+                        .text('‹ ' + t('overview.previous')))
+                    .append($('<button type="button" class="button">')
+                        .attr('data-page', data.page + 1)
+                        .prop('disabled', data.page >= data.pages)
+                        .text(t('overview.next') + ' ›'));
+            }
+
+            $pager.append($('<span>').text(n('overview.page_info', data.total, {
+                page: data.page,
+                pages: Math.max(data.pages, 1)
+            })));
+        },
+
+        /**
+         * Mark the sorted column header
+         */
+        updateSortIndicator: function() {
+            $('table.hierarchy-overview th[data-sort]')
+                .removeClass('sorted-asc sorted-desc')
+                .filter('[data-sort="' + this.state.sort + '"]')
+                .addClass('sorted-' + this.state.dir);
+        },
+
+        /**
+         * Expand or collapse the nested tree below a parent row
+         *
+         * @param {jQuery} $row Parent row
+         */
+        toggleTree: function($row) {
+            var self = this;
+            var $detail = $row.next('.hierarchy-tree-row');
+            var $toggle = $row.find('.hierarchy-toggle');
+
+            if ($detail.length) {
+                $detail.remove();
+                $toggle.text('▸');
+                return;
+            }
+
+            $toggle.text('▾');
+
+            var $cell = $('<td colspan="9">').append($('<em>').text(t('common.loading')));
+            $('<tr class="hierarchy-tree-row">').append($cell).insertAfter($row);
+
+            $.ajax({
+                url: 'ajax-subticket.php?action=subtree',
+                method: 'GET',
+                data: { tid: $row.data('ticket-id') },
+                dataType: 'json',
+                success: function(response) {
+                    $cell.empty();
+
+                    if (!response.success) {
+                        $cell.append($('<em>').text(response.message || t('queue.children_failed')));
+                        return;
+                    }
+
+                    $cell.append(self.buildTreeList(response.data.tree.children || []));
+                },
+                error: function(xhr, status, error) {
+                    $cell.empty().append($('<em>').text(t('common.server_error', { error: error })));
+                }
+            });
+        },
+
+        /**
+         * Build a nested list for tree nodes
+         *
+         * SECURITY: All values are inserted via text() to prevent XSS
+         *
+         * @param {Array} nodes Tree nodes ({id, number, subject, status, children})
+         * @return {jQuery} List element
+         */
+        buildTreeList: function(nodes) {
+            var self = this;
+            var $list = $('<ul class="hierarchy-tree">');
+
+            nodes.forEach(function(node) {
+                var $item = $('<li>')
+                    .append($('<a target="_blank">')
+                        .attr('href', 'tickets.php?id=' + encodeURIComponent(node.id))
+                        .text('#' + node.number))
+                    .append(document.createTextNode(' - ' + (node.subject || '') + ' (' + node.status + ')'));
+
+                if (node.children && node.children.length) {
+                    $item.append(self.buildTreeList(node.children));
+                }
+
+                $list.append($item);
+            });
+
+            return $list;
+        },
+
+        /**
+         * Run a bulk action on the selected hierarchies
+         *
+         * @param {string} action unlink_all or close_completed
+         */
+        runBulkAction: function(action) {
+            var self = this;
+            var ids = $('.hierarchy-select:checked').map(function() {
+                return $(this).val();
+            }).get();
+
+            if (ids.length === 0) {
+                this.showMessage(t('overview.select_hierarchies'), 'warning');
+                return;
+            }
+
+            if (action === 'unlink_all' && !confirm(n('overview.confirm_unlink_all', ids.length))) {
+                return;
+            }
+
+            var $buttons = $('[data-bulk]').prop('disabled', true);
+
+            $.ajax({
+                url: 'ajax-subticket.php?action=overview_bulk',
+                method: 'POST',
+                data: {
+                    bulk_action: action,
+                    parent_ids: ids.join(','),
+                    csrf_token: $('meta[name="csrf_token"]').attr('content') || ''
+                },
+                dataType: 'json',
+                success: function(response) {
+                    if (!response.success) {
+                        self.showMessage(response.message || t('common.bulk_failed'), 'error');
+                        return;
+                    }
+
+                    (response.data.results || []).forEach(function(result) {
+                        self.bulkResults[result.ticket_id] = result;
+                    });
+
+                    self.showMessage(response.message, response.data.failed ? 'warning' : 'notice');
+                    self.load();
+                },
+                error: function(xhr, status, error) {
+                    self.showMessage(t('common.server_error', { error: error }), 'error');
+                },
+                complete: function() {
+                    $buttons.prop('disabled', false);
+                }
+            });
+        },
+
+        /**
+         * Show a message using osTicket's notification system if available
+         *
+         * @param {string} message Message text
+         * @param {string} type notice, warning or error
+         */
+        showMessage: function(message, type) {
+            if (typeof displayMessage === 'function') {
+                displayMessage(message, type);
+            } else {
+                alert(message);
+            }
+        }
+    };
+
+    HierarchyOverview.init();
+
+    })(jQuery);
+})();
@@ -3,6 +3,11 @@
  *
  * Automatically adds code-fork icons to parent tickets in queue views.
  * Runs on all ticket list pages and queries the server for parent status.
+ * Clicking an icon expands the parent's children as sub-rows; the bar
+ * above the queue links/unlinks the checked tickets in bulk.
+ *
+ * Parent status is requested in chunks of BATCH_SIZE rows (the server
+ * limit) and cached briefly in sessionStorage (js/subticket-status-cache.js).
  *
  * Debug mode: Set window.SUBTICKET_DEBUG = true in browser console
  *
@@ -10,20 +15,54 @@
  */
 
 // Wait for jQuery to be available
-(function() {
+(function waitForJQuery() {
     'use strict';
 
     // Check if jQuery is loaded
     if (typeof jQuery === 'undefined') {
-        // Retry after a short delay
-        setTimeout(arguments.callee, 100);
+        // Retry after a short delay (named function - arguments.callee is forbidden in strict mode)
+        setTimeout(waitForJQuery, 100);
         return;
     }
 
     // jQuery is available, initialize with jQuery
     (function($) {
 
+    /**
+     * Translate a UI string from the agent's catalogue (js/subticket-i18n.js)
+     */
+    function t(key, params) {
+        return window.SubticketI18n.t(key, params);
+    }
+
+    /**
+     * Translate a UI string with plural forms ({count} is filled in)
+     */
+    function n(key, count, params) {
+        return window.SubticketI18n.n(key, count, params);
+    }
+
     var QueueIndicator = {
+        /**
+         * Delay before re-scanning after DOM changes (ms)
+         */
+        SCAN_DEBOUNCE: 200,
+
+        /**
+         * Pending debounced scan timer
+         */
+        scanTimer: null,
+
+        /**
+         * Maximum tickets per batch_parent_status request (server limit)
+         */
+        BATCH_SIZE: 100,
+
+        /**
+         * In-flight batch_parent_status requests ({xhr, items})
+         */
+        pendingRequests: [],
+
         /**
          * Initialize queue indicator
          */
@@ -33,22 +72,182 @@
                 return;
             }
 
-            // Wait for page load and queue table to render
             $(document).ready(function() {
-                // osTicket may load queue table via AJAX, wait a bit
-                setTimeout(function() {
-                    QueueIndicator.addParentIndicators();
-                }, 500);
+                QueueIndicator.scan();
+                QueueIndicator.observeQueue();
+
+                // Live updates when other agents change hierarchies (js/subticket-changes.js)
+                if (window.SubticketChanges) {
+                    window.SubticketChanges.subscribe(QueueIndicator.handleRemoteChanges.bind(QueueIndicator));
+                }
+            });
+        },
+
+        /**
+         * Update the indicators of queue rows changed by other agents
+         *
+         * Rows of changed tickets and of parents whose children changed get
+         * fresh counts; expanded child lists are reloaded.
+         *
+         * @param {Array} changes Changes {event, ticket_id, parent_id}
+         * @param {boolean} truncated Too many changes to list - refresh all rows
+         */
+        handleRemoteChanges: function(changes, truncated) {
+            var self = this;
+
+            if (truncated) {
+                this.refreshIndicators();
+                return;
+            }
+
+            var ids = [];
+            changes.forEach(function(change) {
+                ids.push(change.ticket_id);
+                if (change.parent_id) {
+                    ids.push(change.parent_id);
+                }
+            });
+
+            var items = [];
+            $('table.queue tbody tr').not('.subticket-child-row').each(function() {
+                var $row = $(this);
+                var ticketId = parseInt(self.getTicketIdFromRow($row), 10);
+
+                if (ticketId && ids.indexOf(ticketId) !== -1) {
+                    items.push({
+                        id: ticketId,
+                        row: $row,
+                        expanded: !!$row.data('subticket-expanded')
+                    });
+                }
+            });
+
+            if (window.SubticketStatusCache) {
+                window.SubticketStatusCache.invalidate(ids);
+            }
+
+            if (items.length === 0) {
+                return;
+            }
+
+            items.forEach(function(item) {
+                var $numberCell = item.row.find('td:has(a[href*="tickets.php"])').first();
+
+                $numberCell.find('.parent-indicator, .subticket-overdue-marker, .subticket-changed-marker').remove();
+                $numberCell.append(self.renderChangedMarker());
+                self.getChildRows(item.id).remove();
+                item.row.removeData('subticket-expanded subticket-children');
+            });
+
+            this.fetchParentStatus(items, function() {
+                // Reopen child lists that were expanded (loads the current children)
+                items.forEach(function(item) {
+                    var $indicator = item.row.find('.parent-indicator').first();
+
+                    if (item.expanded && $indicator.length) {
+                        self.toggleChildRows(item.id, item.row, $indicator);
+                    }
+                });
+            });
+        },
+
+        /**
+         * Render the marker of a row changed by another agent
+         *
+         * @return {jQuery} Marker element
+         */
+        renderChangedMarker: function() {
+            var title = t('queue.changed_tooltip');
+
+            return $('<span class="subticket-changed-marker" role="img" style="margin-left: 4px; color: #f0ad4e; white-space: nowrap;">')
+                .attr({ title: title, 'aria-label': title })
+                .append($('<i class="icon-refresh" aria-hidden="true"></i>'))
+                .tooltip();
+        },
+
+        /**
+         * Decorate all queue rows that have not been decorated yet
+         */
+        scan: function() {
+            this.addParentIndicators();
+            this.initBulkActions();
+        },
+
+        /**
+         * Schedule a debounced scan
+         *
+         * Sorting, paging, quick filters and pjax navigation replace the
+         * queue table in several DOM operations - scan once they are done.
+         */
+        scheduleScan: function() {
+            var self = this;
+
+            clearTimeout(this.scanTimer);
+            this.scanTimer = setTimeout(function() {
+                self.scan();
+            }, this.SCAN_DEBOUNCE);
+        },
+
+        /**
+         * Watch the queue container for AJAX refreshes
+         */
+        observeQueue: function() {
+            var self = this;
+
+            if (typeof MutationObserver === 'undefined') {
+                return;
+            }
+
+            // osTicket swaps page content inside #pjax-container
+            var container = document.getElementById('pjax-container') || document.body;
+
+            var observer = new MutationObserver(function(mutations) {
+                for (var i = 0; i < mutations.length; i++) {
+                    if (self.isQueueMutation(mutations[i])) {
+                        self.scheduleScan();
+                        return;
+                    }
+                }
             });
 
-            // Re-run when queue is refreshed (AJAX pagination, sorting, etc.)
-            $(document).on('DOMContentLoaded', function() {
-                setTimeout(function() {
-                    QueueIndicator.addParentIndicators();
-                }, 500);
+            observer.observe(container, {
+                childList: true,
+                subtree: true
             });
         },
 
+        /**
+         * Check whether a mutation added queue rows
+         *
+         * Ignores our own decorations (indicators, child rows, bulk bar)
+         * and unrelated nodes such as tooltips, so decorating the queue
+         * does not trigger another scan.
+         *
+         * @param {MutationRecord} mutation DOM mutation
+         * @return {boolean} True if queue rows were added
+         */
+        isQueueMutation: function(mutation) {
+            for (var i = 0; i < mutation.addedNodes.length; i++) {
+                var node = mutation.addedNodes[i];
+
+                if (node.nodeType !== 1) {
+                    continue;
+                }
+
+                var $node = $(node);
+
+                if ($node.is('.subticket-child-row, .parent-indicator, .subticket-bulk-bar, .subticket-bulk-result')) {
+                    continue;
+                }
+
+                if ($node.is('table.queue, table.queue tr, table.queue tbody') || $node.find('table.queue').length) {
+                    return true;
+                }
+            }
+
+            return false;
+        },
+
         /**
          * Check if current page is a queue page
          */
@@ -62,8 +261,15 @@
         addParentIndicators: function() {
             var self = this;
 
-            // Find all ticket rows in the queue table
-            var $rows = $('table.queue tbody tr');
+            // A newer scan supersedes the in-flight requests - their rows are re-scanned
+            this.abortPendingRequests();
+
+            // Find undecorated ticket rows in the queue table (skip expanded child rows)
+            var $rows = $('table.queue tbody tr')
+                .not('.subticket-child-row')
+                .filter(function() {
+                    return !$(this).data('subticket-scanned');
+                });
 
             if ($rows.length === 0) {
                 return;
@@ -87,10 +293,32 @@
                 return;
             }
 
-            // Query server for parent status (batch request)
+            // Mark rows as decorated so later scans skip them
+            ticketIds.forEach(function(item) {
+                item.row.data('subticket-scanned', true);
+            });
+
+            // Query server for parent status (batch requests)
             self.fetchParentStatus(ticketIds);
         },
 
+        /**
+         * Abort the in-flight parent status requests
+         *
+         * Their rows are unmarked so the next scan picks them up again.
+         */
+        abortPendingRequests: function() {
+            var pending = this.pendingRequests;
+            this.pendingRequests = [];
+
+            pending.forEach(function(request) {
+                request.items.forEach(function(item) {
+                    item.row.removeData('subticket-scanned');
+                });
+                request.xhr.abort();
+            });
+        },
+
         /**
          * Extract ticket ID from row
          */
@@ -119,33 +347,162 @@
 
         /**
          * Fetch parent status from server
+         *
+         * Rows with a fresh cache entry are rendered right away, the others
+         * are requested in chunks of BATCH_SIZE.
+         *
+         * @param {Array} ticketData Rows {id, row}
+         * @param {Function} [onRendered] Called after the indicators of all rows were rendered
+         */
+        fetchParentStatus: function(ticketData, onRendered) {
+            var cache = window.SubticketStatusCache;
+            var cached = {};
+            var missing = [];
+
+            ticketData.forEach(function(item) {
+                var status = cache ? cache.get(item.id) : null;
+
+                if (status) {
+                    cached[item.id] = status;
+                } else {
+                    missing.push(item);
+                }
+            });
+
+            if (missing.length < ticketData.length) {
+                this.renderIndicators(ticketData, cached);
+            }
+
+            var chunks = [];
+            for (var i = 0; i < missing.length; i += this.BATCH_SIZE) {
+                chunks.push(missing.slice(i, i + this.BATCH_SIZE));
+            }
+
+            var remaining = chunks.length;
+            var chunkDone = function() {
+                remaining--;
+                if (remaining === 0 && onRendered) {
+                    onRendered();
+                }
+            };
+
+            if (remaining === 0) {
+                if (onRendered) {
+                    onRendered();
+                }
+                return;
+            }
+
+            chunks.forEach(function(chunk) {
+                this.fetchChunk(chunk, chunkDone);
+            }, this);
+        },
+
+        /**
+         * Request the parent status of up to BATCH_SIZE rows
+         *
+         * If all rows have a cached entry from the same response, its ETag
+         * is sent along - the server answers 304 while nothing changed and
+         * the cached entries are used again.
+         *
+         * @param {Array} chunk Rows {id, row}
+         * @param {Function} onDone Called after the indicators were rendered
          */
-        fetchParentStatus: function(ticketData) {
+        fetchChunk: function(chunk, onDone) {
             var self = this;
+            var cache = window.SubticketStatusCache;
+            var etag = this.getChunkEtag(chunk);
 
             // Build comma-separated list of ticket IDs
-            var ids = ticketData.map(function(item) {
+            var ids = chunk.map(function(item) {
                 return item.id;
             }).join(',');
 
-            $.ajax({
+            var request = {
+                items: chunk,
+                xhr: null
+            };
+
+            request.xhr = $.ajax({
                 url: 'ajax-subticket.php?action=batch_parent_status',
                 method: 'GET',
                 data: {
                     ticket_ids: ids
                 },
+                headers: etag ? { 'If-None-Match': etag } : {},
                 dataType: 'json',
-                success: function(response) {
-                    if (response.success && response.data) {
-                        self.renderIndicators(ticketData, response.data);
+                success: function(response, status, xhr) {
+                    var parentStatus = {};
+
+                    if (xhr.status === 304) {
+                        // Unchanged since the cached response - reuse its entries
+                        chunk.forEach(function(item) {
+                            var entry = cache.getStale(item.id);
+
+                            if (entry) {
+                                parentStatus[item.id] = entry.status;
+                                cache.touch(item.id);
+                            }
+                        });
+                    } else if (response && response.success && response.data) {
+                        var responseEtag = xhr.getResponseHeader('ETag');
+                        parentStatus = response.data;
+
+                        if (cache) {
+                            chunk.forEach(function(item) {
+                                if (parentStatus[item.id]) {
+                                    cache.set(item.id, parentStatus[item.id], responseEtag);
+                                }
+                            });
+                        }
                     } else {
                         console.error('[SubticketManager] Invalid response:', response);
+                        return;
                     }
+
+                    self.renderIndicators(chunk, parentStatus);
+                    onDone();
                 },
                 error: function(xhr, status, error) {
-                    console.error('[SubticketManager] Failed to fetch parent status:', error);
+                    if (status !== 'abort') {
+                        console.error('[SubticketManager] Failed to fetch parent status:', error);
+                    }
+                },
+                complete: function() {
+                    var index = self.pendingRequests.indexOf(request);
+                    if (index !== -1) {
+                        self.pendingRequests.splice(index, 1);
+                    }
                 }
             });
+
+            this.pendingRequests.push(request);
+        },
+
+        /**
+         * Get the ETag shared by the cache entries of all rows of a chunk
+         *
+         * @param {Array} chunk Rows {id, row}
+         * @return {string|null} ETag, null if any row is missing or came from another response
+         */
+        getChunkEtag: function(chunk) {
+            var cache = window.SubticketStatusCache;
+            var etag = null;
+
+            if (!cache) {
+                return null;
+            }
+
+            for (var i = 0; i < chunk.length; i++) {
+                var entry = cache.getStale(chunk[i].id);
+
+                if (!entry || !entry.etag || (etag !== null && entry.etag !== etag)) {
+                    return null;
+                }
+                etag = entry.etag;
+            }
+
+            return etag;
         },
 
         /**
@@ -166,19 +523,397 @@
                         return;
                     }
 
-                    // Create indicator
-                    var $indicator = $('<span class="parent-indicator" style="margin-left: 5px;" title="' + status.child_count + ' Sub-Ticket(s)">' +
+                    // Create indicator (click toggles the child rows)
+                    var $indicator = $('<span class="parent-indicator" role="button" tabindex="0" aria-expanded="false" style="margin-left: 5px; cursor: pointer; white-space: nowrap;">' +
                         '<i class="icon-code-fork" style="color: #1e90ff;"></i> ' +
-                        '<small style="color: #666;">' + status.child_count + '</small>' +
-                        '</span>');
+                        '</span>')
+                        .attr('title', self.getProgressTooltip(status))
+                        .append(self.renderProgress(status));
+
+                    $indicator.on('click keydown', function(e) {
+                        if (e.type === 'keydown' && e.key !== 'Enter' && e.key !== ' ') {
+                            return;
+                        }
+                        e.preventDefault();
+                        e.stopPropagation();
+                        self.toggleChildRows(item.id, item.row, $indicator);
+                    });
 
                     // Add tooltip
                     $indicator.tooltip();
 
                     // Append to number cell
                     $numberCell.append($indicator);
+
+                    // A subticket is blocking the parent's deadline
+                    if (status.is_overdue) {
+                        $numberCell.append(self.renderOverdueMarker(status));
+                    }
+                }
+            });
+        },
+
+        /**
+         * Render a compact child progress bar ("3/5")
+         *
+         * @param {Object} status Parent status from batch_parent_status
+         * @return {jQuery} Progress element
+         */
+        renderProgress: function(status) {
+            var total = parseInt(status.child_count, 10) || 0;
+            var closed = parseInt(status.closed_count, 10) || 0;
+            var percent = total > 0 ? Math.round(closed / total * 100) : 0;
+
+            return $('<span class="subticket-progress">')
+                .append(
+                    $('<span style="display: inline-block; width: 40px; height: 6px; background: #d6e4ec; border-radius: 3px; overflow: hidden; vertical-align: middle;">')
+                        .append($('<span style="display: block; height: 100%;">').css({
+                            width: percent + '%',
+                            background: closed === total ? '#5cb85c' : '#1e90ff'
+                        }))
+                )
+                .append($('<small style="color: #666; margin-left: 3px;">').text(closed + '/' + total));
+        },
+
+        /**
+         * Render the overdue marker of a parent with an overdue subticket
+         *
+         * @param {Object} status Parent status from batch_parent_status
+         * @return {jQuery} Marker element
+         */
+        renderOverdueMarker: function(status) {
+            var title = t('queue.overdue_tooltip', { date: status.due_date });
+
+            return $('<span class="subticket-overdue-marker" role="img" style="margin-left: 4px; color: #d9534f; white-space: nowrap;">')
+                .attr({ title: title, 'aria-label': title })
+                .append($('<i class="icon-warning-sign" aria-hidden="true"></i>'))
+                .tooltip();
+        },
+
+        /**
+         * Build the tooltip text with the status breakdown of the children
+         *
+         * @param {Object} status Parent status from batch_parent_status
+         * @return {string} Tooltip text
+         */
+        getProgressTooltip: function(status) {
+            return n('queue.progress_tooltip', parseInt(status.child_count, 10) || 0, {
+                closed: status.closed_count || 0,
+                on_hold: status.on_hold_count || 0,
+                open: status.open_count || 0
+            });
+        },
+
+        /**
+         * Expand or collapse the child rows of a parent row
+         *
+         * Children are loaded lazily from the children action on first expand.
+         *
+         * @param {number} parentId Parent ticket ID
+         * @param {jQuery} $row Parent queue row
+         * @param {jQuery} $indicator Parent indicator element
+         */
+        toggleChildRows: function(parentId, $row, $indicator) {
+            var self = this;
+
+            if ($row.data('subticket-expanded')) {
+                this.getChildRows(parentId).remove();
+                $row.data('subticket-expanded', false);
+                $indicator.attr('aria-expanded', 'false');
+                return;
+            }
+
+            $row.data('subticket-expanded', true);
+            $indicator.attr('aria-expanded', 'true');
+
+            var cached = $row.data('subticket-children');
+            if (cached) {
+                this.renderChildRows(parentId, $row, cached);
+                return;
+            }
+
+            this.renderChildRows(parentId, $row, null);
+
+            $.ajax({
+                url: 'ajax-subticket.php',
+                method: 'GET',
+                data: {
+                    action: 'children',
+                    tid: parentId
+                },
+                dataType: 'json',
+                success: function(response) {
+                    if (!response.success) {
+                        self.renderChildRows(parentId, $row, [], response.message || t('queue.children_failed'));
+                        return;
+                    }
+
+                    $row.data('subticket-children', response.data || []);
+
+                    // Parent may have been collapsed while loading
+                    if ($row.data('subticket-expanded')) {
+                        self.renderChildRows(parentId, $row, response.data || []);
+                    }
+                },
+                error: function(xhr, status, error) {
+                    self.renderChildRows(parentId, $row, [], t('common.server_error', { error: error }));
+                }
+            });
+        },
+
+        /**
+         * Get the child rows currently shown below a parent row
+         *
+         * @param {number} parentId Parent ticket ID
+         * @return {jQuery} Child rows
+         */
+        getChildRows: function(parentId) {
+            return $('table.queue tr.subticket-child-row').filter(function() {
+                return $(this).data('parent-id') == parentId;
+            });
+        },
+
+        /**
+         * Render child rows below a parent row
+         *
+         * SECURITY: All ticket data is inserted via text() to prevent XSS
+         *
+         * @param {number} parentId Parent ticket ID
+         * @param {jQuery} $row Parent queue row
+         * @param {Array|null} children Children (null = still loading)
+         * @param {string} [error] Error message to show instead
+         */
+        renderChildRows: function(parentId, $row, children, error) {
+            var colspan = Math.max(1, $row.children('td').length - 1);
+            var rows = [];
+
+            var buildRow = function() {
+                return $('<tr class="subticket-child-row">')
+                    .data('parent-id', parentId)
+                    .append('<td></td>')
+                    .append($('<td style="padding-left: 20px; background: #f9f9f9;">').attr('colspan', colspan));
+            };
+
+            if (error || children === null || !children.length) {
+                var text = error || (children === null ? t('queue.loading_children') : t('queue.no_children'));
+                var $info = buildRow();
+                $info.children('td').last().append($('<em style="color: #999;">').text(text));
+                rows.push($info);
+            } else {
+                children.forEach(function(child) {
+                    var $child = buildRow();
+                    $child.children('td').last()
+                        .append($('<span style="color: #999;">').text('\u21b3 '))
+                        .append($('<a>').attr('href', 'tickets.php?id=' + encodeURIComponent(child.id)).text('#' + child.number))
+                        .append(' ')
+                        .append($('<span>').text(child.subject))
+                        .append(' ')
+                        .append($('<span class="faded">').text('(' + child.status + ')'))
+                        .append(' ')
+                        .append($('<small style="color: #666;">').text('\u2014 ' + (child.assignee || t('queue.unassigned'))));
+                    rows.push($child);
+                });
+            }
+
+            this.getChildRows(parentId).remove();
+
+            // Insert in order directly below the parent row
+            var $after = $row;
+            rows.forEach(function($child) {
+                $child.insertAfter($after);
+                $after = $child;
+            });
+        },
+
+        /**
+         * Reload parent indicators after hierarchy changes
+         */
+        refreshIndicators: function() {
+            if (window.SubticketStatusCache) {
+                window.SubticketStatusCache.clear();
+            }
+
+            $('table.queue .parent-indicator, table.queue .subticket-overdue-marker').remove();
+            $('table.queue tr.subticket-child-row').remove();
+            $('table.queue tbody tr').removeData('subticket-expanded subticket-children subticket-scanned');
+            this.addParentIndicators();
+        },
+
+        /**
+         * Add bulk link/unlink action bar above the queue table
+         *
+         * Acts on the rows checked in the queue ("Make subtickets of..."
+         * and "Unlink from parent").
+         */
+        initBulkActions: function() {
+            var self = this;
+            var $table = $('table.queue').first();
+
+            if (!$table.length || $('.subticket-bulk-bar').length) {
+                return;
+            }
+
+            var $parentInput = $('<input type="text" class="subticket-bulk-parent" size="14">')
+                .attr('placeholder', t('queue.parent_number'));
+
+            var $bar = $('<div class="subticket-bulk-bar" style="margin: 5px 0;">')
+                .append('<i class="icon-code-fork" style="color: #1e90ff;"></i> ')
+                .append($('<span>').text(t('queue.selected_tickets') + ' '))
+                .append($parentInput)
+                .append(' ')
+                .append($('<button type="button" class="button subticket-bulk-link">').text(t('queue.make_subtickets')))
+                .append(' ')
+                .append($('<button type="button" class="button subticket-bulk-unlink">').text(t('queue.unlink_from_parent')));
+
+            $bar.on('click', '.subticket-bulk-link', function() {
+                var parentNumber = $.trim($parentInput.val());
+
+                if (!parentNumber) {
+                    self.showMessage(t('queue.parent_number_required'), 'error');
+                    $parentInput.trigger('focus');
+                    return;
+                }
+
+                self.runBulkAction('batch_link', { parent_number: parentNumber });
+            });
+
+            $bar.on('click', '.subticket-bulk-unlink', function() {
+                self.runBulkAction('batch_unlink', {});
+            });
+
+            $parentInput.on('keydown', function(e) {
+                if (e.key === 'Enter') {
+                    e.preventDefault(); // Don't submit the queue mass-action form
+                    $bar.find('.subticket-bulk-link').trigger('click');
+                }
+            });
+
+            $bar.insertBefore($table);
+        },
+
+        /**
+         * Get checked queue rows
+         *
+         * @return {Array} List of {id, row} objects
+         */
+        getSelectedRows: function() {
+            var self = this;
+            var selected = [];
+
+            $('table.queue tbody tr').not('.subticket-child-row').each(function() {
+                var $row = $(this);
+                var $checkbox = $row.find('input[type="checkbox"]:checked').first();
+
+                if (!$checkbox.length) {
+                    return;
+                }
+
+                // osTicket queue checkboxes carry the ticket ID as value (tids[])
+                var ticketId = parseInt($checkbox.val(), 10) || self.getTicketIdFromRow($row);
+
+                if (ticketId) {
+                    selected.push({
+                        id: ticketId,
+                        row: $row
+                    });
+                }
+            });
+
+            return selected;
+        },
+
+        /**
+         * Run a batch link/unlink request for the checked rows
+         *
+         * @param {string} action batch_link or batch_unlink
+         * @param {Object} data Additional request data
+         */
+        runBulkAction: function(action, data) {
+            var self = this;
+            var selected = this.getSelectedRows();
+
+            if (!selected.length) {
+                this.showMessage(t('queue.select_tickets'), 'error');
+                return;
+            }
+
+            if (action === 'batch_unlink' && !confirm(n('queue.confirm_unlink', selected.length))) {
+                return;
+            }
+
+            var $buttons = $('.subticket-bulk-bar button').prop('disabled', true);
+
+            $.ajax({
+                url: 'ajax-subticket.php?action=' + action,
+                method: 'POST',
+                data: $.extend({
+                    child_ids: selected.map(function(item) { return item.id; }).join(','),
+                    csrf_token: $('meta[name="csrf_token"]').attr('content') || ''
+                }, data),
+                dataType: 'json',
+                success: function(response) {
+                    if (!response.success) {
+                        self.showMessage(response.message || t('common.bulk_failed'), 'error');
+                        return;
+                    }
+
+                    self.reportBulkResults(selected, response.data.results);
+                    self.showMessage(response.message, response.data.failed ? 'warning' : 'notice');
+                    self.refreshIndicators();
+                },
+                error: function(xhr, status, error) {
+                    self.showMessage(t('common.server_error', { error: error }), 'error');
+                },
+                complete: function() {
+                    $buttons.prop('disabled', false);
                 }
             });
+        },
+
+        /**
+         * Show the per-ticket outcome of a bulk action in each row
+         *
+         * SECURITY: Messages are inserted via text() to prevent XSS
+         *
+         * @param {Array} selected Checked rows ({id, row})
+         * @param {Array} results Per-ticket results from the server
+         */
+        reportBulkResults: function(selected, results) {
+            var rows = {};
+            selected.forEach(function(item) {
+                rows[item.id] = item.row;
+            });
+
+            (results || []).forEach(function(result) {
+                var $row = rows[result.ticket_id];
+
+                if (!$row) {
+                    return;
+                }
+
+                var $numberCell = $row.find('td:has(a[href*="tickets.php"])').first();
+                $numberCell.find('.subticket-bulk-result').remove();
+
+                $numberCell.append(
+                    $('<small class="subticket-bulk-result" style="display: block;">')
+                        .css('color', result.success ? '#3c763d' : '#a94442')
+                        .text((result.success ? '\u2713 ' : '\u2717 ') + result.message)
+                );
+            });
+        },
+
+        /**
+         * Show a message using osTicket's notification system if available
+         *
+         * @param {string} message Message text
+         * @param {string} type notice, warning or error
+         */
+        showMessage: function(message, type) {
+            if (typeof displayMessage === 'function') {
+                displayMessage(message, type);
+            } else {
+                alert(message);
+            }
         }
     };
 
@@ -0,0 +1,172 @@
+/**
+ * Subticket Manager - Hierarchy change feed
+ *
+ * Polls the changes action of ajax-subticket.php while the browser tab is
+ * visible and hands hierarchy changes made by other agents to the panel
+ * and the queue indicators:
+ *
+ *   SubticketChanges.subscribe(function(changes, truncated) { ... });
+ *
+ * Each change is {event, ticket_id, parent_id}; parent_id is the parent
+ * whose children changed (null for cascades). truncated means there were
+ * too many changes to list - subscribers should reload everything.
+ *
+ * Polling backs off while nothing changes and pauses in hidden tabs.
+ * Loaded before jQuery may be available; jQuery is only used once the
+ * first subscriber (which waits for jQuery) starts polling.
+ *
+ * @since 2.1.0
+ */
+
+(function(window, document) {
+    'use strict';
+
+    var SubticketChanges = {
+        /**
+         * Delay after a poll that returned changes (ms)
+         */
+        MIN_DELAY: 10000,
+
+        /**
+         * Longest delay while nothing changes (ms)
+         */
+        MAX_DELAY: 120000,
+
+        /**
+         * Current delay, doubled after every poll without changes
+         */
+        delay: 10000,
+
+        /**
+         * Cursor returned by the last poll (0 = not started)
+         */
+        cursor: 0,
+
+        /**
+         * Subscribed callbacks
+         */
+        subscribers: [],
+
+        /**
+         * Timer of the next poll
+         */
+        timer: null,
+
+        /**
+         * Poll in flight
+         */
+        polling: false,
+
+        /**
+         * Register a callback for changes and start polling
+         *
+         * @param {Function} callback Called with (changes, truncated)
+         */
+        subscribe: function(callback) {
+            this.subscribers.push(callback);
+
+            if (this.subscribers.length === 1) {
+                document.addEventListener('visibilitychange', this.handleVisibilityChange.bind(this));
+                this.poll();
+            }
+        },
+
+        /**
+         * Pause polling in hidden tabs, catch up when the tab is shown again
+         */
+        handleVisibilityChange: function() {
+            clearTimeout(this.timer);
+
+            if (!document.hidden) {
+                this.delay = this.MIN_DELAY;
+                this.poll();
+            }
+        },
+
+        /**
+         * Schedule the next poll with the current delay
+         */
+        schedule: function() {
+            clearTimeout(this.timer);
+
+            if (!document.hidden) {
+                this.timer = setTimeout(this.poll.bind(this), this.delay);
+            }
+        },
+
+        /**
+         * Fetch the changes since the last cursor
+         */
+        poll: function() {
+            var self = this;
+
+            if (this.polling || document.hidden) {
+                return;
+            }
+            this.polling = true;
+
+            window.jQuery.ajax({
+                url: 'ajax-subticket.php',
+                method: 'GET',
+                data: {
+                    action: 'changes',
+                    since: this.cursor
+                },
+                dataType: 'json',
+                success: function(response) {
+                    if (!response.success || !response.data) {
+                        self.backOff();
+                        return;
+                    }
+
+                    var changes = response.data.changes || [];
+                    var started = self.cursor > 0;
+                    self.cursor = parseInt(response.data.cursor, 10) || self.cursor;
+
+                    if (!started) {
+                        return;
+                    }
+
+                    if (changes.length || response.data.truncated) {
+                        self.delay = self.MIN_DELAY;
+                        self.notify(changes, !!response.data.truncated);
+                    } else {
+                        self.backOff();
+                    }
+                },
+                error: function() {
+                    self.backOff();
+                },
+                complete: function() {
+                    self.polling = false;
+                    self.schedule();
+                }
+            });
+        },
+
+        /**
+         * Double the delay up to MAX_DELAY
+         */
+        backOff: function() {
+            this.delay = Math.min(this.delay * 2, this.MAX_DELAY);
+        },
+
+        /**
+         * Pass changes to all subscribers
+         *
+         * @param {Array} changes Changes {event, ticket_id, parent_id}
+         * @param {boolean} truncated More changes than listed
+         */
+        notify: function(changes, truncated) {
+            this.subscribers.forEach(function(callback) {
+                try {
+                    callback(changes, truncated);
+                } catch (e) {
+                    console.error('[Subticket] Change subscriber failed:', e);
+                }
+            });
+        }
+    };
+
+    window.SubticketChanges = window.SubticketChanges || SubticketChanges;
+})(window, document);
@@ -0,0 +1,83 @@
+/**
+ * Subticket Client Panel - Read-only subtickets on the client portal
+ *
+ * Fetches the panel of the current ticket from the client endpoint
+ * (ajax-subticket-client.php) and inserts it below the ticket
+ * information. Tickets without subtickets of the user get no panel.
+ *
+ * Expects window.SubticketClient = { ticketId: <id> } (set by the plugin).
+ *
+ * @since 2.1.0
+ */
+
+(function waitForJQuery() {
+    'use strict';
+
+    if (typeof jQuery === 'undefined') {
+        setTimeout(waitForJQuery, 100);
+        return;
+    }
+
+    (function($) {
+
+    var SubticketClientPanel = {
+        /**
+         * Elements the panel is inserted after (first match wins)
+         */
+        ANCHORS: ['#ticketInfo', '#ticketThread', '.thread-body'],
+
+        /**
+         * Load and insert the panel
+         *
+         * @param {number} ticketId Ticket ID
+         */
+        load: function(ticketId) {
+            $.ajax({
+                url: 'ajax-subticket-client.php',
+                method: 'GET',
+                data: {
+                    action: 'panel',
+                    tid: ticketId
+                },
+                dataType: 'json',
+                success: function(response) {
+                    if (response.success && response.data && response.data.html) {
+                        this.insert(response.data.html);
+                    }
+                }.bind(this)
+            });
+        },
+
+        /**
+         * Insert the rendered panel into the ticket page
+         *
+         * @param {string} html Panel HTML from the server
+         */
+        insert: function(html) {
+            // parseHTML() without keepScripts - the panel markup carries no scripts
+            var $panel = $($.parseHTML($.trim(html))).filter('.subticket-client-panel').first();
+
+            if (!$panel.length || $('.subticket-client-panel').length) {
+                return;
+            }
+
+            for (var i = 0; i < this.ANCHORS.length; i++) {
+                var $anchor = $(this.ANCHORS[i]).first();
+                if ($anchor.length) {
+                    $anchor.after($panel);
+                    return;
+                }
+            }
+        }
+    };
+
+    $(function() {
+        var config = window.SubticketClient || {};
+
+        if (config.ticketId) {
+            SubticketClientPanel.load(config.ticketId);
+        }
+    });
+
+    })(jQuery);
+})();
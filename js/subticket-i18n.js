@@ -0,0 +1,115 @@
+/**
+ * Subticket Manager - UI string catalogue
+ *
+ * The catalogue of the agent's language is rendered inline by the server
+ * (window.SubticketI18n = {language, strings}) before this script loads.
+ * This script adds the lookup functions used by the panel, the queue
+ * indicator and the overview page:
+ *
+ *   SubticketI18n.t('panel.unlink_child_confirm')
+ *   SubticketI18n.t('panel.linked', {number: '100001'})
+ *   SubticketI18n.n('queue.confirm_unlink', 3)   // {count} is filled in
+ *
+ * Plural rules mirror SubticketManager\I18n\Translator::getPluralIndex().
+ *
+ * @since 2.1.0
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Languages whose singular form also covers 0 (all others: only 1)
+     */
+    var SINGULAR_INCLUDES_ZERO = ['fr', 'pt_BR'];
+
+    var catalogue = window.SubticketI18n || {};
+
+    var SubticketI18n = {
+        /**
+         * Normalized language code (e.g. 'de' or 'pt_BR')
+         */
+        language: catalogue.language || 'en',
+
+        /**
+         * Catalogue: key => string, or key => plural forms
+         */
+        strings: catalogue.strings || {},
+
+        /**
+         * Translate a string
+         *
+         * @param {string} key Catalogue key
+         * @param {Object} [params] Values for {placeholders}
+         * @return {string} Translated string, the key itself if unknown
+         */
+        t: function(key, params) {
+            var string = this.strings.hasOwnProperty(key) ? this.strings[key] : key;
+
+            if (Array.isArray(string)) {
+                string = string[0];
+            }
+
+            return this.interpolate(string, params);
+        },
+
+        /**
+         * Translate a string with plural forms ({count} is always available)
+         *
+         * @param {string} key Catalogue key
+         * @param {number} count Number that selects the form
+         * @param {Object} [params] Values for further {placeholders}
+         * @return {string} Translated string
+         */
+        n: function(key, count, params) {
+            var forms = this.strings.hasOwnProperty(key) ? this.strings[key] : key;
+
+            if (!Array.isArray(forms)) {
+                forms = [forms];
+            }
+
+            var values = { count: count };
+            for (var name in params) {
+                if (params.hasOwnProperty(name)) {
+                    values[name] = params[name];
+                }
+            }
+
+            return this.interpolate(forms[Math.min(this.getPluralIndex(count), forms.length - 1)], values);
+        },
+
+        /**
+         * Get the plural form index for a number
+         *
+         * @param {number} count Number
+         * @return {number} 0 = singular, 1 = plural
+         */
+        getPluralIndex: function(count) {
+            if (SINGULAR_INCLUDES_ZERO.indexOf(this.language) !== -1) {
+                return count > 1 ? 1 : 0;
+            }
+
+            return count === 1 ? 0 : 1;
+        },
+
+        /**
+         * Replace {placeholders} in a string
+         *
+         * @param {string} string String with placeholders
+         * @param {Object} [params] Placeholder values
+         * @return {string}
+         */
+        interpolate: function(string, params) {
+            if (!params) {
+                return string;
+            }
+
+            return String(string).replace(/\{(\w+)\}/g, function(match, name) {
+                return params.hasOwnProperty(name) ? String(params[name]) : match;
+            });
+        }
+    };
+
+    window.SubticketI18n = SubticketI18n;
+
+})(window);
@@ -5,8 +5,13 @@
  * - Link/unlink parent tickets
  * - Link/unlink child tickets
  * - Create subtickets
+ * - Split thread messages into subtickets
+ * - Warn before closing the last open subticket (auto-close parent)
+ * - Confirm/revert hold and assignment cascades to subtickets
+ * - Reorder children and move tickets in the hierarchy tree (drag-and-drop)
+ * - Keyboard shortcuts, accessible dialogs and screen reader announcements
  *
- * Dependencies: jQuery 3.6 (provided by osTicket)
+ * Dependencies: jQuery 3.6 (provided by osTicket), js/subticket-i18n.js
  *
  * @since 1.4.0
  */
@@ -14,6 +19,24 @@
 (function($) {
     'use strict';
 
+    /**
+     * Translate a UI string from the agent's catalogue (js/subticket-i18n.js)
+     *
+     * @param {string} key Catalogue key
+     * @param {Object} [params] Values for {placeholders}
+     * @return {string}
+     */
+    function t(key, params) {
+        return window.SubticketI18n.t(key, params);
+    }
+
+    /**
+     * Translate a UI string with plural forms ({count} is filled in)
+     */
+    function n(key, count, params) {
+        return window.SubticketI18n.n(key, count, params);
+    }
+
     /**
      * Subticket Panel Controller
      */
@@ -23,6 +46,38 @@
          */
         initialized: false,
 
+        /**
+         * Keyboard shortcuts (Alt+Shift+key, matched on KeyboardEvent.code)
+         *
+         * Keep in sync with the aria-keyshortcuts attributes rendered by PanelRenderer.
+         */
+        SHORTCUTS: {
+            KeyL: 'link-parent',
+            KeyN: 'create-child',
+            KeyC: 'focus-children'
+        },
+
+        /**
+         * Selector for focusable elements inside a modal (focus trap)
+         */
+        FOCUSABLE: 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), '
+            + 'textarea:not([disabled]), [tabindex]:not([tabindex="-1"])',
+
+        /**
+         * Counter for unique modal title IDs (aria-labelledby)
+         */
+        modalCount: 0,
+
+        /**
+         * Drag-and-drop items: children (reorder) and tree nodes (reparent)
+         */
+        DRAGGABLE: '.children-list .child-item, .subticket-tree-node',
+
+        /**
+         * Item being dragged (jQuery), null when no drag is in progress
+         */
+        $dragItem: null,
+
         /**
          * Initialize panel - attach event handlers
          */
@@ -35,297 +90,2249 @@
 
             // Remove any existing handlers first, then attach new ones
             // This prevents duplicate handlers if init() is called multiple times
-            $(document).off('click.subticket').on('click.subticket', '.subticket-action', this.handleButtonClick.bind(this));
+            $(document).off('click.subticket')
+                .on('click.subticket', '.subticket-action', this.handleButtonClick.bind(this))
+                .on('click.subticket', '.subticket-tree-toggle', this.toggleTreeNode.bind(this))
+                .on('click.subticket', '.subticket-tab', this.handleTabClick.bind(this))
+                .on('click.subticket', '.subticket-split-entry', this.handleSplitEntryClick.bind(this));
+
+            $(document).off('dragstart.subticket dragover.subticket dragleave.subticket drop.subticket dragend.subticket')
+                .on('dragstart.subticket', this.DRAGGABLE, this.handleDragStart.bind(this))
+                .on('dragover.subticket', this.DRAGGABLE, this.handleDragOver.bind(this))
+                .on('dragleave.subticket', this.DRAGGABLE, this.handleDragLeave.bind(this))
+                .on('drop.subticket', this.DRAGGABLE, this.handleDrop.bind(this))
+                .on('dragend.subticket', this.DRAGGABLE, this.handleDragEnd.bind(this));
+
+            $(document).off('keydown.subticket')
+                .on('keydown.subticket', this.handleShortcut.bind(this))
+                .on('keydown.subticket', '.children-list .ticket-link', this.handleChildListKeydown.bind(this))
+                .on('keydown.subticket', '.subticket-tab', this.handleTabKeydown.bind(this));
+
+            // Capture phase: runs before osTicket's own status/assign menu handlers
+            document.addEventListener('click', this.interceptTicketAction.bind(this), true);
+
+            // Live updates when other agents change the hierarchy (js/subticket-changes.js)
+            if (window.SubticketChanges) {
+                window.SubticketChanges.subscribe(this.handleRemoteChanges.bind(this));
+            }
         },
 
         /**
-         * Handle button clicks based on data-action attribute
+         * Delay before retrying a live update while the agent is busy (ms)
+         */
+        REMOTE_RETRY_DELAY: 5000,
+
+        /**
+         * Changed ticket IDs waiting for the next live update
+         */
+        pendingRemoteChanges: [],
+
+        /**
+         * Timer of a postponed live update
+         */
+        remoteRetryTimer: null,
+
+        /**
+         * Refresh the panel when other agents changed tickets shown in it
+         *
+         * @param {Array} changes Changes {event, ticket_id, parent_id}
+         * @param {boolean} truncated Too many changes to list - refresh anyway
+         */
+        handleRemoteChanges: function(changes, truncated) {
+            var $panel = $('.subticket-panel').first();
+
+            if (!$panel.length) {
+                return;
+            }
+
+            var watched = this.getShownTicketIds($panel);
+            var relevant = truncated;
+            var pending = this.pendingRemoteChanges;
+
+            changes.forEach(function(change) {
+                if (watched.indexOf(change.ticket_id) !== -1 || watched.indexOf(change.parent_id) !== -1) {
+                    relevant = true;
+                    if (pending.indexOf(change.ticket_id) === -1) {
+                        pending.push(change.ticket_id);
+                    }
+                }
+            });
+
+            if (relevant) {
+                this.applyRemoteChanges($panel.data('ticket-id'));
+            }
+        },
+
+        /**
+         * Get the IDs of all tickets shown in the panel
+         *
+         * @param {jQuery} $panel Panel element
+         * @return {Array} Ticket IDs (current ticket, parent, children, tree)
+         */
+        getShownTicketIds: function($panel) {
+            var ids = [parseInt($panel.data('ticket-id'), 10)];
+
+            $panel.find('.parent-info[data-parent-id], .child-item[data-child-id], .subticket-tree-node[data-ticket-id]').each(function() {
+                var $item = $(this);
+                ids.push(parseInt($item.data('parent-id') || $item.data('child-id') || $item.data('ticket-id'), 10));
+            });
+
+            return ids;
+        },
+
+        /**
+         * Reload the panel and flag the changed rows
+         *
+         * Waits while a dialog is open, a drag is running or the panel is
+         * busy, so the agent's current action is not interrupted.
+         *
+         * @param {number} ticketId Current ticket ID
+         */
+        applyRemoteChanges: function(ticketId) {
+            var self = this;
+            var $panel = this.findPanel(ticketId);
+
+            if ($('.subticket-modal').length || $panel.hasClass('subticket-loading') || $panel.find('.is-dragging').length) {
+                clearTimeout(this.remoteRetryTimer);
+                this.remoteRetryTimer = setTimeout(function() {
+                    self.applyRemoteChanges(ticketId);
+                }, this.REMOTE_RETRY_DELAY);
+                return;
+            }
+
+            var changedIds = this.pendingRemoteChanges;
+            var showHistory = $panel.find('.subticket-tab.active').data('tab') === 'history';
+            this.pendingRemoteChanges = [];
+
+            this.reloadPanel(ticketId, function($newPanel) {
+                if (showHistory) {
+                    self.selectTab($newPanel.find('.subticket-tab[data-tab="history"]'));
+                }
+
+                changedIds.forEach(function(id) {
+                    $newPanel.find('.child-item, .subticket-tree-node').filter(function() {
+                        return ($(this).data('child-id') || $(this).data('ticket-id')) == id;
+                    }).each(function() {
+                        $(this).addClass('is-changed')
+                            .children('.status-label')
+                            .after($('<span class="subticket-changed-label">').text(t('panel.changed')));
+                    });
+                });
+            });
+        },
+
+        /**
+         * Flag set while replaying a confirmed ticket action click
+         */
+        actionPromptBypass: false,
+
+        /**
+         * Intercept status/assignment actions that affect other tickets
+         *
+         * - Closing the last open subticket (panel has data-closes-parent)
+         * - Putting a parent on hold or reassigning it (panel has data-cascade)
+         *
+         * @param {Event} e Native click event
+         */
+        interceptTicketAction: function(e) {
+            if (this.actionPromptBypass || !e.target.closest) {
+                return;
+            }
+
+            var link = e.target.closest('a[href*="tickets/"]');
+            var $panel = $('.subticket-panel').first();
+
+            if (!link || !$panel.length) {
+                return;
+            }
+
+            // Only this ticket's menus (#tickets/<id>/status/close/<status>, #tickets/<id>/assign, ...)
+            var href = link.getAttribute('href') || '';
+            var prefix = 'tickets/' + $panel.data('ticket-id') + '/';
+            var pos = href.indexOf(prefix);
+            if (pos === -1) {
+                return;
+            }
+
+            var action = href.substr(pos + prefix.length);
+
+            if ($panel.is('[data-closes-parent]') && action.indexOf('status/close') === 0) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                this.showAutoCloseWarning(link, $panel);
+                return;
+            }
+
+            var cascadeType = this.getCascadeType($panel, action, link);
+            if (cascadeType) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                this.showCascadeConfirmation(link, $panel, cascadeType);
+            }
+        },
+
+        /**
+         * Determine whether a ticket action cascades to the subtickets
+         *
+         * @param {jQuery} $panel Panel element
+         * @param {string} action Action path after tickets/<id>/
+         * @param {HTMLElement} link Clicked link
+         * @returns {string|null} 'hold', 'assignment' or null
+         */
+        getCascadeType: function($panel, action, link) {
+            var types = ($panel.attr('data-cascade') || '').split(' ');
+
+            if (types.indexOf('hold') !== -1 && action.indexOf('status/') === 0 && /hold/i.test($(link).text())) {
+                return 'hold';
+            }
+
+            if (types.indexOf('assignment') !== -1 && /^(assign|claim|release)/.test(action)) {
+                return 'assignment';
+            }
+
+            return null;
+        },
+
+        /**
+         * Ask whether the parent should be closed along with this ticket
+         *
+         * @param {HTMLElement} link Status menu link that was clicked
+         * @param {jQuery} $panel Panel element
+         */
+        showAutoCloseWarning: function(link, $panel) {
+            var self = this;
+            var parentNumber = $panel.attr('data-closes-parent');
+
+            var $content = $('<div class="subticket-autoclose-warning">')
+                .append($('<p>').text(t('panel.autoclose_warning', { number: parentNumber })))
+                .append($('<div class="subticket-form-actions">')
+                    .append($('<button type="button" class="button button-primary subticket-close-both">').text(t('panel.close_both')))
+                    .append($('<button type="button" class="button subticket-keep-open">').text(t('panel.keep_parent_open'))));
+
+            var $modal = this.openModal(t('panel.autoclose_title'), $content);
+
+            $content.on('click', '.subticket-close-both', function() {
+                self.closeModal($modal);
+                self.replayClick(link);
+            });
+
+            $content.on('click', '.subticket-keep-open', function() {
+                $content.find('button').prop('disabled', true);
+
+                self.keepParentOpen($panel.data('ticket-id'), $panel.data('csrf-token'), function() {
+                    self.closeModal($modal);
+                    self.replayClick(link);
+                }, function() {
+                    $content.find('button').prop('disabled', false);
+                });
+            });
+        },
+
+        /**
+         * Tell the server to skip the next auto-close of the parent
+         *
+         * @param {number} ticketId Child ticket ID
+         * @param {string} csrfToken CSRF token
+         * @param {Function} onSuccess Called once the parent is flagged
+         * @param {Function} onFailure Called if the request failed
+         */
+        keepParentOpen: function(ticketId, csrfToken, onSuccess, onFailure) {
+            $.ajax({
+                url: 'ajax-subticket.php?action=keep_parent_open',
+                method: 'POST',
+                data: {
+                    child_id: ticketId,
+                    csrf_token: csrfToken
+                },
+                dataType: 'json',
+                success: function(response) {
+                    if (response.success) {
+                        onSuccess();
+                    } else {
+                        this.showError(response.message || t('panel.keep_parent_open_failed'));
+                        onFailure();
+                    }
+                }.bind(this),
+                error: function(xhr, status, error) {
+                    this.showError(t('common.server_error', { error: error }));
+                    onFailure();
+                }.bind(this)
+            });
+        },
+
+        /**
+         * Ask which subtickets should follow a hold/assignment change
+         *
+         * @param {HTMLElement} link Status/assign menu link that was clicked
+         * @param {jQuery} $panel Panel element
+         * @param {string} type 'hold' or 'assignment'
+         */
+        showCascadeConfirmation: function(link, $panel, type) {
+            var self = this;
+            var targets = [];
+
+            try {
+                targets = JSON.parse($panel.attr('data-cascade-targets') || '[]');
+            } catch (err) {
+                targets = [];
+            }
+
+            var $list = $('<ul class="subticket-cascade-list">');
+            $.each(targets, function(i, ticket) {
+                $list.append($('<li>').append(
+                    $('<label>')
+                        .append($('<input type="checkbox" checked>').val(ticket.id))
+                        .append(document.createTextNode(' #' + ticket.number + ' ' + ticket.subject))
+                        .append($('<span class="subticket-picker-meta">').text(ticket.status))
+                ));
+            });
+
+            var $content = $('<div class="subticket-cascade-confirm">')
+                .append($('<p>').text(type === 'hold'
+                    ? t('panel.cascade_hold_intro')
+                    : t('panel.cascade_assignment_intro')))
+                .append($list)
+                .append($('<p class="subticket-picker-hint">').text(t('panel.cascade_hint')))
+                .append($('<div class="subticket-form-actions">')
+                    .append($('<button type="button" class="button button-primary subticket-cascade-continue">').text(t('common.continue')))
+                    .append($('<button type="button" class="button subticket-cascade-cancel">').text(t('common.cancel'))));
+
+            var $modal = this.openModal(type === 'hold' ? t('panel.cascade_hold_title') : t('panel.cascade_assignment_title'), $content);
+
+            $content.on('click', '.subticket-cascade-cancel', function() {
+                self.closeModal($modal);
+            });
+
+            $content.on('click', '.subticket-cascade-continue', function() {
+                var excluded = $list.find('input:not(:checked)').map(function() {
+                    return this.value;
+                }).get();
+
+                $content.find('button').prop('disabled', true);
+
+                $.ajax({
+                    url: 'ajax-subticket.php?action=cascade_exclude',
+                    method: 'POST',
+                    data: {
+                        parent_id: $panel.data('ticket-id'),
+                        exclude_ids: excluded.join(','),
+                        csrf_token: $panel.data('csrf-token')
+                    },
+                    dataType: 'json',
+                    success: function(response) {
+                        if (response.success) {
+                            self.closeModal($modal);
+                            self.replayClick(link);
+                        } else {
+                            self.showError(response.message || t('panel.cascade_exclude_failed'));
+                            $content.find('button').prop('disabled', false);
+                        }
+                    },
+                    error: function(xhr, status, error) {
+                        self.showError(t('common.server_error', { error: error }));
+                        $content.find('button').prop('disabled', false);
+                    }
+                });
+            });
+        },
+
+        /**
+         * Revert the last hold/assignment cascade of a parent
+         *
+         * @param {number} ticketId Parent ticket ID
+         * @param {string} csrfToken CSRF token
+         * @param {jQuery} $panel Panel element
+         */
+        revertCascade: function(ticketId, csrfToken, $panel) {
+            this.confirmDialog(
+                t('panel.revert_title'),
+                t('panel.revert_confirm'),
+                t('panel.revert'),
+                function() {
+                    this.submitRevertCascade(ticketId, csrfToken, $panel);
+                }.bind(this)
+            );
+        },
+
+        /**
+         * Send the confirmed cascade revert
+         *
+         * @param {number} ticketId Parent ticket ID
+         * @param {string} csrfToken CSRF token
+         * @param {jQuery} $panel Panel element
+         */
+        submitRevertCascade: function(ticketId, csrfToken, $panel) {
+            this.showLoading($panel, t('panel.reverting'));
+
+            $.ajax({
+                url: 'ajax-subticket.php?action=cascade_revert',
+                method: 'POST',
+                data: {
+                    parent_id: ticketId,
+                    csrf_token: csrfToken
+                },
+                dataType: 'json',
+                success: function(response) {
+                    this.hideLoading($panel);
+
+                    if (response.success) {
+                        this.showSuccess(response.message);
+                        this.reloadPanel(ticketId);
+                    } else {
+                        this.showError(response.message || t('panel.revert_failed'));
+                    }
+                }.bind(this),
+                error: function(xhr, status, error) {
+                    this.hideLoading($panel);
+                    this.showError(t('common.server_error', { error: error }));
+                }.bind(this)
+            });
+        },
+
+        /**
+         * Add or remove a "blocked by" link and refresh the panel
+         *
+         * @param {string} action 'add_dependency' or 'remove_dependency'
+         * @param {number} ticketId Ticket that waits
+         * @param {number} blockedById Ticket blocking it
+         * @param {string} csrfToken CSRF token
+         * @param {jQuery} $panel Panel element
+         */
+        updateDependency: function(action, ticketId, blockedById, csrfToken, $panel) {
+            if (!blockedById) {
+                return;
+            }
+
+            this.showLoading($panel, t('common.loading'));
+
+            $.ajax({
+                url: 'ajax-subticket.php?action=' + action,
+                method: 'POST',
+                data: {
+                    ticket_id: ticketId,
+                    blocked_by_id: blockedById,
+                    csrf_token: csrfToken
+                },
+                dataType: 'json',
+                success: function(response) {
+                    this.hideLoading($panel);
+
+                    if (response.success) {
+                        this.showSuccess(response.message);
+                        this.reloadPanel($panel.data('ticket-id'));
+                    } else {
+                        this.showError(response.message || t('panel.dependency_failed'));
+                    }
+                }.bind(this),
+                error: function(xhr, status, error) {
+                    this.hideLoading($panel);
+                    this.showError(t('common.server_error', { error: error }));
+                }.bind(this)
+            });
+        },
+
+        /**
+         * Replay an intercepted ticket action click without prompting again
+         *
+         * @param {HTMLElement} link Menu link
+         */
+        replayClick: function(link) {
+            this.actionPromptBypass = true;
+            link.click();
+            this.actionPromptBypass = false;
+        },
+
+        /**
+         * Collapse or expand a node of the hierarchy tree
          *
          * @param {Event} e Click event
          */
-        handleButtonClick: function(e) {
-            // Prevent default behavior and stop propagation
+        toggleTreeNode: function(e) {
             e.preventDefault();
-            e.stopPropagation();
-            e.stopImmediatePropagation();
 
-            var $btn = $(e.currentTarget);
+            var $toggle = $(e.currentTarget);
+            var $node = $toggle.closest('.subticket-tree-node');
+            var collapsed = $node.toggleClass('is-collapsed').hasClass('is-collapsed');
 
-            // Prevent double-clicks by checking if already processing
-            if ($btn.data('processing')) {
-                console.log('[Subticket] Ignoring click - already processing');
-                return false;
+            $node.attr('aria-expanded', collapsed ? 'false' : 'true');
+            $toggle.attr('aria-label', collapsed ? t('panel.expand') : t('panel.collapse'));
+        },
+
+        /**
+         * Switch panel tab on click
+         *
+         * @param {Event} e Click event
+         */
+        handleTabClick: function(e) {
+            e.preventDefault();
+            this.selectTab($(e.currentTarget));
+        },
+
+        /**
+         * Move between panel tabs with the arrow keys (WAI-ARIA tabs pattern)
+         *
+         * @param {Event} e Keydown event
+         */
+        handleTabKeydown: function(e) {
+            var step = { ArrowLeft: -1, ArrowRight: 1 }[e.key];
+
+            if (!step) {
+                return;
             }
 
-            var action = $btn.data('action');
+            e.preventDefault();
+
+            var $tabs = $(e.currentTarget).closest('[role="tablist"]').find('.subticket-tab');
+            var index = ($tabs.index(e.currentTarget) + step + $tabs.length) % $tabs.length;
+            var $tab = $tabs.eq(index);
+
+            this.selectTab($tab);
+            $tab.trigger('focus');
+        },
+
+        /**
+         * Show the tab panel of a tab (loads the history on first use)
+         *
+         * @param {jQuery} $tab Tab button
+         */
+        selectTab: function($tab) {
+            var $panel = $tab.closest('.subticket-panel');
+            var tab = $tab.data('tab');
+
+            $panel.find('.subticket-tab').each(function() {
+                var selected = this === $tab[0];
+                $(this).toggleClass('active', selected)
+                    .attr('aria-selected', selected ? 'true' : 'false')
+                    .attr('tabindex', selected ? null : '-1');
+            });
+
+            $panel.find('.subticket-tab-panel').each(function() {
+                this.hidden = $(this).data('tab') !== tab;
+            });
+
+            if (tab === 'history') {
+                this.loadHistory($panel.data('ticket-id'), $panel.find('.subticket-history'));
+            }
+        },
+
+        /**
+         * Load the relationship history of a ticket into the History tab
+         *
+         * @param {number} ticketId Ticket ID
+         * @param {jQuery} $container History tab panel
+         */
+        loadHistory: function(ticketId, $container) {
+            var self = this;
+
+            $container.attr('aria-busy', 'true')
+                .empty()
+                .append($('<p class="subticket-history-empty">').text(t('common.loading')));
+
+            $.ajax({
+                url: 'ajax-subticket.php',
+                method: 'GET',
+                data: {
+                    action: 'history',
+                    tid: ticketId
+                },
+                dataType: 'json',
+                success: function(response) {
+                    if (response.success) {
+                        self.renderHistory($container, response.data || []);
+                    } else {
+                        $container.empty().append($('<p class="subticket-history-empty">')
+                            .text(response.message || t('panel.history_failed')));
+                    }
+                },
+                error: function(xhr, status, error) {
+                    $container.empty().append($('<p class="subticket-history-empty">')
+                        .text(t('common.server_error', { error: error })));
+                },
+                complete: function() {
+                    $container.attr('aria-busy', 'false');
+                }
+            });
+        },
+
+        /**
+         * Render the history events (newest first)
+         *
+         * SECURITY: Use jQuery DOM methods to prevent XSS
+         *
+         * @param {jQuery} $container History tab panel
+         * @param {Array} events Events from the history endpoint
+         */
+        renderHistory: function($container, events) {
+            $container.empty();
+
+            if (!events.length) {
+                $container.append($('<p class="subticket-history-empty">').text(t('panel.history_empty')));
+                return;
+            }
+
+            var $list = $('<ul class="subticket-history-list">');
+
+            events.forEach(function(event) {
+                var text = t('panel.history_' + event.event, {
+                    ticket: event.number || event.ticket_id,
+                    old_parent: event.old_parent_number || event.old_parent_id,
+                    new_parent: event.new_parent_number || event.new_parent_id,
+                    details: event.details
+                });
+
+                $list.append($('<li>')
+                    .append($('<span class="subticket-history-meta">')
+                        .text(event.created + ' · ' + (event.staff || t('panel.history_system'))))
+                    .append($('<span class="subticket-history-text">').text(text)));
+            });
+
+            $container.append($list);
+        },
+
+        /**
+         * Handle button clicks based on data-action attribute
+         *
+         * @param {Event} e Click event
+         */
+        handleButtonClick: function(e) {
+            // Prevent default behavior and stop propagation
+            e.preventDefault();
+            e.stopPropagation();
+            e.stopImmediatePropagation();
+
+            var $btn = $(e.currentTarget);
+
+            // Prevent double-clicks by checking if already processing
+            if ($btn.data('processing')) {
+                console.log('[Subticket] Ignoring click - already processing');
+                return false;
+            }
+
+            var action = $btn.data('action');
             var ticketId = $btn.data('ticket-id');
             var childId = $btn.data('child-id');
             var $panel = $btn.closest('.subticket-panel');
             var csrfToken = $panel.data('csrf-token');
 
-            console.log('[Subticket] Button click:', action, 'ticketId:', ticketId);
+            console.log('[Subticket] Button click:', action, 'ticketId:', ticketId);
+
+            // Dispatch to appropriate handler
+            switch(action) {
+                case 'link-parent':
+                    this.showLinkParentDialog(ticketId, csrfToken);
+                    break;
+
+                case 'unlink-parent':
+                    this.unlinkParent(ticketId, csrfToken, $panel);
+                    break;
+
+                case 'unlink-child':
+                    this.unlinkChild(childId, csrfToken, $panel);
+                    break;
+
+                case 'create-child':
+                    this.showCreateSubticketDialog(ticketId, csrfToken);
+                    break;
+
+                case 'apply-template':
+                    this.showApplyTemplateDialog(ticketId, csrfToken, $btn.data('templates') || []);
+                    break;
+
+                case 'split-thread':
+                    this.showSplitDialog(ticketId, csrfToken, null);
+                    break;
+
+                case 'dissolve-hierarchy':
+                    this.dissolveHierarchy(ticketId, $btn.data('count'), csrfToken, $panel);
+                    break;
+
+                case 'promote-child':
+                    this.showPromoteDialog(childId, csrfToken, $panel);
+                    break;
+
+                case 'revert-cascade':
+                    this.revertCascade(ticketId, csrfToken, $panel);
+                    break;
+
+                case 'add-dependency':
+                    this.updateDependency('add_dependency', ticketId, $panel.find('.dependency-candidates').val(), csrfToken, $panel);
+                    break;
+
+                case 'remove-dependency':
+                    this.updateDependency('remove_dependency', ticketId, $btn.data('blocked-by-id'), csrfToken, $panel);
+                    break;
+            }
+
+            return false;
+        },
+
+        /**
+         * Show dialog to link current ticket to a parent
+         *
+         * Opens a modal with an autocomplete search over open tickets.
+         * Candidates that cannot be linked (cycle, depth or children limit)
+         * are shown greyed out with the reason.
+         *
+         * @param {number} ticketId Current ticket ID
+         * @param {string} csrfToken CSRF token
+         */
+        showLinkParentDialog: function(ticketId, csrfToken) {
+            var self = this;
+
+            var $input = $('<input type="text" class="subticket-picker-input" autocomplete="off">')
+                .attr('placeholder', t('panel.picker_placeholder'));
+            var $hint = $('<p class="subticket-picker-hint">')
+                .text(t('panel.picker_hint'));
+            var $results = $('<ul class="subticket-picker-results" role="listbox">');
+
+            var $modal = this.openModal(
+                t('panel.picker_title'),
+                $('<div class="subticket-picker">').append($input, $hint, $results)
+            );
+
+            var searchTimer = null;
+            var searchXhr = null;
+
+            $input.on('input', function() {
+                var term = $.trim($input.val());
+
+                clearTimeout(searchTimer);
+                if (searchXhr) {
+                    searchXhr.abort();
+                    searchXhr = null;
+                }
+
+                if (term.length < 2) {
+                    $results.empty();
+                    $hint.text(t('panel.picker_hint')).show();
+                    return;
+                }
+
+                // Debounce - only search once the agent stops typing
+                searchTimer = setTimeout(function() {
+                    $hint.text(t('panel.searching')).show();
+
+                    searchXhr = $.ajax({
+                        url: 'ajax-subticket.php',
+                        method: 'GET',
+                        data: {
+                            action: 'search',
+                            tid: ticketId,
+                            q: term
+                        },
+                        dataType: 'json',
+                        success: function(response) {
+                            searchXhr = null;
+                            self.renderPickerResults($results, $hint, response);
+                        },
+                        error: function(xhr, status, error) {
+                            searchXhr = null;
+                            if (status !== 'abort') {
+                                $results.empty();
+                                $hint.text(t('panel.search_failed', { error: error })).show();
+                            }
+                        }
+                    });
+                }, 250);
+            });
+
+            // Keyboard navigation: arrows move the selection, Enter links
+            $input.on('keydown', function(e) {
+                var $items = $results.children('.subticket-picker-item').not('.is-disabled');
+                var $active = $items.filter('.is-active');
+                var index = $items.index($active);
+
+                if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    if (!$items.length) {
+                        return;
+                    }
+                    index = e.key === 'ArrowDown' ? index + 1 : index - 1;
+                    index = (index + $items.length) % $items.length;
+                    $items.removeClass('is-active');
+                    $items.eq(index).addClass('is-active')[0].scrollIntoView({ block: 'nearest' });
+                } else if (e.key === 'Enter') {
+                    e.preventDefault();
+                    ($active.length ? $active : $items.first()).trigger('click');
+                }
+            });
+
+            $results.on('click', '.subticket-picker-item', function() {
+                var $item = $(this);
+
+                if ($item.hasClass('is-disabled')) {
+                    return;
+                }
+
+                self.closeModal($modal);
+                self.linkToParent(ticketId, $item.attr('data-number'), csrfToken);
+            });
+
+            $input.trigger('focus');
+        },
+
+        /**
+         * Render search results in the parent picker
+         *
+         * SECURITY: All ticket data is inserted via text() to prevent XSS
+         *
+         * @param {jQuery} $results Result list element
+         * @param {jQuery} $hint Hint element
+         * @param {Object} response Search response
+         */
+        renderPickerResults: function($results, $hint, response) {
+            $results.empty();
+
+            if (!response.success) {
+                $hint.text(response.message || t('panel.search_error')).show();
+                return;
+            }
+
+            if (!response.data || !response.data.length) {
+                $hint.text(t('panel.no_matches')).show();
+                return;
+            }
+
+            $hint.hide();
+
+            $.each(response.data, function(i, candidate) {
+                var meta = [candidate.status, candidate.department, candidate.requester]
+                    .filter(function(value) { return !!value; })
+                    .join(' \u00b7 ');
+
+                var $item = $('<li class="subticket-picker-item" role="option">')
+                    .attr('data-number', candidate.number)
+                    .append($('<strong>').text('#' + candidate.number + ' '))
+                    .append($('<span class="subticket-picker-subject">').text(candidate.subject))
+                    .append($('<span class="subticket-picker-meta">').text(meta));
+
+                if (!candidate.selectable) {
+                    $item.addClass('is-disabled')
+                        .attr('aria-disabled', 'true')
+                        .attr('title', candidate.reason_text)
+                        .append($('<span class="subticket-picker-reason">').text(candidate.reason_text));
+                }
+
+                $results.append($item);
+            });
+        },
+
+        /**
+         * Open a modal dialog
+         *
+         * Closes on the close button, a click on the backdrop and Escape.
+         * Tab/Shift+Tab stay inside the dialog; focus returns to the
+         * previously focused element on close.
+         *
+         * @param {string} title Dialog title
+         * @param {jQuery} $content Dialog body content
+         * @return {jQuery} Modal backdrop element (pass to closeModal())
+         */
+        openModal: function(title, $content) {
+            var self = this;
+            var titleId = 'subticket-modal-title-' + (++this.modalCount);
+
+            var $dialog = $('<div class="subticket-modal" role="dialog" aria-modal="true">')
+                .attr('aria-labelledby', titleId)
+                .append(
+                    $('<div class="subticket-modal-header">')
+                        .append($('<h3>').attr('id', titleId).text(title))
+                        .append($('<button type="button" class="subticket-modal-close">').attr('aria-label', t('common.close')).html('&times;'))
+                )
+                .append($('<div class="subticket-modal-body">').append($content));
+
+            var $modal = $('<div class="subticket-modal-backdrop">')
+                .data('subticket-return-focus', document.activeElement)
+                .append($dialog);
+
+            $modal.on('click', function(e) {
+                if (e.target === this || $(e.target).hasClass('subticket-modal-close')) {
+                    self.closeModal($modal);
+                }
+            });
+
+            $(document).on('keydown.subticketModal', function(e) {
+                if (e.key === 'Escape') {
+                    self.closeModal($modal);
+                } else if (e.key === 'Tab') {
+                    self.trapFocus(e, $dialog);
+                }
+            });
+
+            $('body').append($modal);
+
+            // Callers may focus a specific field afterwards
+            $dialog.find(this.FOCUSABLE).not('.subticket-modal-close').first().trigger('focus');
+
+            return $modal;
+        },
+
+        /**
+         * Close a modal dialog opened with openModal()
+         *
+         * @param {jQuery} $modal Modal backdrop element
+         */
+        closeModal: function($modal) {
+            var returnFocus = $modal.data('subticket-return-focus');
+
+            $(document).off('keydown.subticketModal');
+            $modal.remove();
+
+            if (returnFocus && document.body.contains(returnFocus)) {
+                returnFocus.focus();
+            }
+        },
+
+        /**
+         * Keep Tab/Shift+Tab focus inside a dialog
+         *
+         * @param {Event} e Keydown event (Tab)
+         * @param {jQuery} $dialog Dialog element
+         */
+        trapFocus: function(e, $dialog) {
+            var $focusable = $dialog.find(this.FOCUSABLE).filter(':visible');
+
+            if (!$focusable.length) {
+                e.preventDefault();
+                return;
+            }
+
+            var first = $focusable[0];
+            var last = $focusable[$focusable.length - 1];
+            var inside = $.contains($dialog[0], document.activeElement);
+
+            if (e.shiftKey && (document.activeElement === first || !inside)) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+                e.preventDefault();
+                first.focus();
+            }
+        },
+
+        /**
+         * Ask for confirmation in an accessible modal (replaces confirm())
+         *
+         * @param {string} title Dialog title
+         * @param {string} message Question shown to the agent
+         * @param {string} confirmLabel Label of the confirm button
+         * @param {Function} onConfirm Called when the agent confirms
+         */
+        confirmDialog: function(title, message, confirmLabel, onConfirm) {
+            var self = this;
+            var messageId = 'subticket-modal-message-' + (this.modalCount + 1);
+
+            var $content = $('<div class="subticket-confirm">')
+                .append($('<p>').attr('id', messageId).text(message))
+                .append($('<div class="subticket-form-actions">')
+                    .append($('<button type="button" class="button button-primary subticket-confirm-ok">').text(confirmLabel))
+                    .append($('<button type="button" class="button subticket-confirm-cancel">').text(t('common.cancel'))));
+
+            var $modal = this.openModal(title, $content);
+
+            $modal.find('.subticket-modal')
+                .attr('role', 'alertdialog')
+                .attr('aria-describedby', messageId);
+
+            $content.on('click', '.subticket-confirm-cancel', function() {
+                self.closeModal($modal);
+            });
+
+            $content.on('click', '.subticket-confirm-ok', function() {
+                self.closeModal($modal);
+                onConfirm();
+            });
+        },
+
+        /**
+         * Handle the panel keyboard shortcuts (Alt+Shift+L/N/C)
+         *
+         * Ignored while a dialog is open or the agent is typing.
+         *
+         * @param {Event} e Keydown event
+         */
+        handleShortcut: function(e) {
+            var action = this.SHORTCUTS[e.code];
+
+            if (!action || !e.altKey || !e.shiftKey || e.ctrlKey || e.metaKey) {
+                return;
+            }
+
+            // Alt+Shift+letter types characters on some layouts
+            if ($(e.target).is(':input, [contenteditable], [contenteditable] *')) {
+                return;
+            }
+
+            var $panel = $('.subticket-panel').first();
+            if (!$panel.length || $('.subticket-modal-backdrop').length) {
+                return;
+            }
+
+            e.preventDefault();
+
+            if (action === 'focus-children') {
+                var $first = $panel.find('.children-list .ticket-link').first();
+
+                if ($first.length) {
+                    $first.trigger('focus');
+                } else {
+                    this.announce(t('panel.no_children'));
+                }
+                return;
+            }
+
+            var $buttons = $panel.find('[data-action="' + action + '"]');
+            var $button = $buttons.not(':disabled').first();
+
+            if ($button.length) {
+                $button.trigger('click');
+            } else if ($buttons.filter('[data-restriction]').length) {
+                // Disabled by a hierarchy limit - the title explains which
+                this.announce($buttons.filter('[data-restriction]').first().attr('title'), true);
+            } else if (action === 'link-parent') {
+                this.announce(t('panel.already_has_parent'));
+            }
+        },
+
+        /**
+         * Move focus through the children list with the arrow keys
+         *
+         * ArrowDown/ArrowUp move to the next/previous child, Home/End to the
+         * first/last one; Enter follows the link as usual. Alt+ArrowUp/Down
+         * move the focused child itself (keyboard alternative to dragging).
+         *
+         * @param {Event} e Keydown event on a child ticket link
+         */
+        handleChildListKeydown: function(e) {
+            if (e.altKey && !e.shiftKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+                e.preventDefault();
+                this.moveChild($(e.currentTarget), e.key === 'ArrowUp');
+                return;
+            }
+
+            var $links = $(e.currentTarget).closest('.children-list').find('.ticket-link');
+            var index = $links.index(e.currentTarget);
+
+            switch (e.key) {
+                case 'ArrowDown':
+                    index = Math.min(index + 1, $links.length - 1);
+                    break;
+                case 'ArrowUp':
+                    index = Math.max(index - 1, 0);
+                    break;
+                case 'Home':
+                    index = 0;
+                    break;
+                case 'End':
+                    index = $links.length - 1;
+                    break;
+                default:
+                    return;
+            }
+
+            e.preventDefault();
+            $links.eq(index).trigger('focus');
+        },
+
+        /**
+         * Move a child one position up or down and save the new order
+         *
+         * @param {jQuery} $link Focused child ticket link
+         * @param {boolean} up True to move up, false to move down
+         */
+        moveChild: function($link, up) {
+            var $item = $link.closest('.child-item');
+            var $sibling = up ? $item.prev('.child-item') : $item.next('.child-item');
+
+            if (!$sibling.length) {
+                return;
+            }
+
+            if (up) {
+                $item.insertBefore($sibling);
+            } else {
+                $item.insertAfter($sibling);
+            }
+
+            $link.trigger('focus');
+            this.saveChildOrder($item.closest('.subticket-panel'));
+        },
+
+        /**
+         * Start dragging a child or tree node
+         *
+         * @param {Event} e Dragstart event
+         */
+        handleDragStart: function(e) {
+            var $item = $(e.currentTarget);
+
+            // Only nodes below the root can be moved; the innermost node wins
+            if ($item.attr('draggable') !== 'true') {
+                return;
+            }
+            e.stopPropagation();
+
+            this.$dragItem = $item.addClass('is-dragging');
+
+            var transfer = e.originalEvent.dataTransfer;
+            transfer.effectAllowed = 'move';
+            transfer.setData('text/plain', String($item.data('child-id') || $item.data('ticket-id')));
+        },
+
+        /**
+         * Allow dropping on valid targets and highlight them
+         *
+         * @param {Event} e Dragover event
+         */
+        handleDragOver: function(e) {
+            var $target = $(e.currentTarget);
+
+            if (!this.isDropTarget($target)) {
+                return;
+            }
+
+            e.preventDefault();
+            e.stopPropagation();
+            e.originalEvent.dataTransfer.dropEffect = 'move';
+
+            $('.is-drop-target').not($target).removeClass('is-drop-target');
+            $target.addClass('is-drop-target');
+        },
+
+        /**
+         * Remove the highlight when the pointer leaves a target
+         *
+         * @param {Event} e Dragleave event
+         */
+        handleDragLeave: function(e) {
+            $(e.currentTarget).removeClass('is-drop-target');
+        },
+
+        /**
+         * Drop: reorder within the children list or reparent in the tree
+         *
+         * @param {Event} e Drop event
+         */
+        handleDrop: function(e) {
+            var $target = $(e.currentTarget);
+            var $item = this.$dragItem;
+
+            if (!this.isDropTarget($target)) {
+                return;
+            }
+
+            e.preventDefault();
+            e.stopPropagation();
+
+            var $panel = $target.closest('.subticket-panel');
+
+            if ($item.hasClass('child-item')) {
+                // Dragged downwards: place after the target, upwards: before it
+                if ($item.index() < $target.index()) {
+                    $item.insertAfter($target);
+                } else {
+                    $item.insertBefore($target);
+                }
+                this.saveChildOrder($panel);
+            } else {
+                this.reparentTicket($item.data('ticket-id'), $target.data('ticket-id'), $panel);
+            }
+
+            this.handleDragEnd();
+        },
+
+        /**
+         * Clean up after a drag (dropped or cancelled)
+         */
+        handleDragEnd: function() {
+            $('.is-dragging, .is-drop-target').removeClass('is-dragging is-drop-target');
+            this.$dragItem = null;
+        },
+
+        /**
+         * Check whether the dragged item may be dropped on a target
+         *
+         * Children are reordered within their own list. Tree nodes can go
+         * onto any other node except their own subtree and current parent
+         * (the server checks the hierarchy limits).
+         *
+         * @param {jQuery} $target Element under the pointer
+         * @return {boolean}
+         */
+        isDropTarget: function($target) {
+            var $item = this.$dragItem;
+
+            if (!$item || $target.is($item)) {
+                return false;
+            }
+
+            if ($item.hasClass('child-item')) {
+                return $target.hasClass('child-item') && $target.parent().is($item.parent());
+            }
+
+            return $target.hasClass('subticket-tree-node')
+                && !$.contains($item[0], $target[0])
+                && !$item.parent().closest('.subticket-tree-node').is($target);
+        },
+
+        /**
+         * Save the order of the children list
+         *
+         * On failure the panel is reloaded to show the stored order again.
+         *
+         * @param {jQuery} $panel Panel element
+         */
+        saveChildOrder: function($panel) {
+            var parentId = $panel.data('ticket-id');
+            var childIds = $panel.find('.children-list .child-item').map(function() {
+                return $(this).data('child-id');
+            }).get();
+
+            this.showLoading($panel, t('panel.saving_order'));
+
+            $.ajax({
+                url: 'ajax-subticket.php?action=reorder',
+                method: 'POST',
+                data: {
+                    parent_id: parentId,
+                    child_ids: childIds.join(','),
+                    csrf_token: $panel.data('csrf-token')
+                },
+                dataType: 'json',
+                success: function(response) {
+                    this.hideLoading($panel);
+
+                    if (response.success) {
+                        this.announce(t('panel.order_saved'));
+                    } else {
+                        this.showError(response.message || t('panel.reorder_failed'));
+                        this.reloadPanel(parentId);
+                    }
+                }.bind(this),
+                error: function(xhr, status, error) {
+                    this.hideLoading($panel);
+                    this.showError(t('common.server_error', { error: error }));
+                    this.reloadPanel(parentId);
+                }.bind(this)
+            });
+        },
+
+        /**
+         * Move a ticket below another parent (one request, checked like a link)
+         *
+         * @param {number} childId Ticket to move
+         * @param {number} parentId New parent ticket ID
+         * @param {jQuery} $panel Panel element
+         */
+        reparentTicket: function(childId, parentId, $panel) {
+            var currentTicketId = $panel.data('ticket-id');
+
+            this.showLoading($panel, t('panel.moving'));
+
+            $.ajax({
+                url: 'ajax-subticket.php?action=reparent',
+                method: 'POST',
+                data: {
+                    child_id: childId,
+                    parent_id: parentId,
+                    csrf_token: $panel.data('csrf-token')
+                },
+                dataType: 'json',
+                success: function(response) {
+                    this.hideLoading($panel);
+
+                    if (response.success) {
+                        this.showSuccess(t('panel.moved'));
+                        this.reloadPanel(currentTicketId);
+                    } else {
+                        this.showError(this.getErrorMessage(response, t('panel.move_failed')));
+                    }
+                }.bind(this),
+                error: function(xhr, status, error) {
+                    this.hideLoading($panel);
+                    this.showError(t('common.server_error', { error: error }));
+                }.bind(this)
+            });
+        },
+
+        /**
+         * Flag to prevent concurrent AJAX requests
+         */
+        isLinking: false,
+
+        /**
+         * Link current ticket to parent via AJAX
+         *
+         * @param {number} childId Current ticket ID (becomes child)
+         * @param {string} parentId Parent ticket number
+         * @param {string} csrfToken CSRF token
+         */
+        linkToParent: function(childId, parentId, csrfToken) {
+            var self = this;
+
+            // Prevent concurrent requests
+            if (this.isLinking) {
+                console.log('[Subticket] Link request already in progress, ignoring');
+                return;
+            }
+            this.isLinking = true;
+
+            console.log('[Subticket] linkToParent called:', childId, '->', parentId);
+
+            var $panel = this.findPanel(childId);
+
+            this.showLoading($panel, t('panel.linking'));
+
+            $.ajax({
+                url: 'ajax-subticket.php?action=link',
+                method: 'POST',
+                data: {
+                    child_id: childId,
+                    parent_id: parentId,
+                    csrf_token: csrfToken
+                },
+                dataType: 'json',
+                success: function(response) {
+                    console.log('[Subticket] Link response:', response);
+                    self.isLinking = false;
+                    self.hideLoading($panel);
+
+                    if (response.success) {
+                        self.showSuccess(t('panel.linked', { number: parentId }));
+                        self.reloadPanel(childId);
+                    } else {
+                        self.showError(self.getErrorMessage(response, t('panel.link_failed')));
+                    }
+                },
+                error: function(xhr, status, error) {
+                    console.error('[Subticket] Link error:', status, error);
+                    self.isLinking = false;
+                    self.hideLoading($panel);
+                    self.showError(t('common.server_error', { error: error }));
+                }
+            });
+        },
+
+        /**
+         * Unlink current ticket from its parent
+         *
+         * @param {number} ticketId Current ticket ID
+         * @param {string} csrfToken CSRF token
+         * @param {jQuery} $panel Panel element
+         */
+        unlinkParent: function(ticketId, csrfToken, $panel) {
+            this.confirmDialog(t('panel.unlink_parent_title'), t('panel.unlink_parent_confirm'), t('panel.unlink'), function() {
+                this.submitUnlinkParent(ticketId, csrfToken, $panel);
+            }.bind(this));
+        },
+
+        /**
+         * Send the confirmed unlink from the parent
+         *
+         * @param {number} ticketId Current ticket ID
+         * @param {string} csrfToken CSRF token
+         * @param {jQuery} $panel Panel element
+         */
+        submitUnlinkParent: function(ticketId, csrfToken, $panel) {
+            this.showLoading($panel, t('panel.unlinking_parent'));
+
+            $.ajax({
+                url: 'ajax-subticket.php?action=unlink',
+                method: 'POST',
+                data: {
+                    child_id: ticketId,
+                    csrf_token: csrfToken
+                },
+                dataType: 'json',
+                success: function(response) {
+                    this.hideLoading($panel);
+
+                    if (response.success) {
+                        this.showSuccess(t('panel.unlinked_parent'));
+                        this.reloadPanel(ticketId);
+                    } else {
+                        this.showError(response.message || t('panel.unlink_parent_failed'));
+                    }
+                }.bind(this),
+                error: function(xhr, status, error) {
+                    this.hideLoading($panel);
+                    this.showError(t('common.server_error', { error: error }));
+                }.bind(this)
+            });
+        },
+
+        /**
+         * Unlink child ticket
+         *
+         * @param {number} childId Child ticket ID to unlink
+         * @param {string} csrfToken CSRF token
+         * @param {jQuery} $panel Panel element
+         */
+        unlinkChild: function(childId, csrfToken, $panel) {
+            this.confirmDialog(t('panel.unlink_child_title'), t('panel.unlink_child_confirm'), t('panel.unlink'), function() {
+                this.submitUnlinkChild(childId, csrfToken, $panel);
+            }.bind(this));
+        },
+
+        /**
+         * Send the confirmed unlink of a child ticket
+         *
+         * @param {number} childId Child ticket ID to unlink
+         * @param {string} csrfToken CSRF token
+         * @param {jQuery} $panel Panel element
+         */
+        submitUnlinkChild: function(childId, csrfToken, $panel) {
+            var currentTicketId = $panel.data('ticket-id');
+
+            this.showLoading($panel, t('panel.unlinking_child'));
+
+            $.ajax({
+                url: 'ajax-subticket.php?action=unlink',
+                method: 'POST',
+                data: {
+                    child_id: childId,
+                    csrf_token: csrfToken
+                },
+                dataType: 'json',
+                success: function(response) {
+                    this.hideLoading($panel);
+
+                    if (response.success) {
+                        this.showSuccess(t('panel.unlinked_child', { id: childId }));
+                        this.reloadPanel(currentTicketId);
+                    } else {
+                        this.showError(response.message || t('panel.unlink_child_failed'));
+                    }
+                }.bind(this),
+                error: function(xhr, status, error) {
+                    this.hideLoading($panel);
+                    this.showError(t('common.server_error', { error: error }));
+                }.bind(this)
+            });
+        },
+
+        /**
+         * Unlink all children of a ticket after confirmation
+         *
+         * The server unlinks them in one step, so the hierarchy is either
+         * dissolved completely or left as it was.
+         *
+         * @param {number} parentId Parent ticket ID
+         * @param {number} count Number of children (for the confirmation)
+         * @param {string} csrfToken CSRF token
+         * @param {jQuery} $panel Panel element
+         */
+        dissolveHierarchy: function(parentId, count, csrfToken, $panel) {
+            this.confirmDialog(t('panel.dissolve_title'), n('panel.dissolve_confirm', count), t('panel.dissolve'), function() {
+                this.showLoading($panel, t('panel.dissolving'));
+
+                $.ajax({
+                    url: 'ajax-subticket.php?action=dissolve',
+                    method: 'POST',
+                    data: {
+                        parent_id: parentId,
+                        csrf_token: csrfToken
+                    },
+                    dataType: 'json',
+                    success: function(response) {
+                        this.hideLoading($panel);
+
+                        if (response.success && response.data) {
+                            this.showSuccess(n('panel.dissolved', response.data.unlinked.length));
+                            this.reloadPanel(parentId);
+                        } else {
+                            this.showError(response.message || t('panel.dissolve_failed'));
+                        }
+                    }.bind(this),
+                    error: function(xhr, status, error) {
+                        this.hideLoading($panel);
+                        this.showError(t('common.server_error', { error: error }));
+                    }.bind(this)
+                });
+            }.bind(this));
+        },
+
+        /**
+         * Ask how a child should be promoted over its siblings
+         *
+         * The promoted child either stays below the current parent (one
+         * level is inserted) or is detached from it.
+         *
+         * @param {number} childId Child ticket to promote
+         * @param {string} csrfToken CSRF token
+         * @param {jQuery} $panel Panel element
+         */
+        showPromoteDialog: function(childId, csrfToken, $panel) {
+            var self = this;
+
+            var $options = $('<div class="subticket-promote-options">')
+                .append($('<label>')
+                    .append($('<input type="radio" name="keep_parent" value="1" checked>'), ' ', t('panel.promote_keep_parent')))
+                .append($('<label>')
+                    .append($('<input type="radio" name="keep_parent" value="0">'), ' ', t('panel.promote_detach')));
+
+            var $content = $('<div class="subticket-promote-dialog">')
+                .append($('<p class="subticket-picker-hint">').text(t('panel.promote_child_hint')))
+                .append($options)
+                .append($('<div class="subticket-form-actions">')
+                    .append($('<button type="button" class="button button-primary subticket-promote-submit">').text(t('panel.promote_child')))
+                    .append($('<button type="button" class="button subticket-promote-cancel">').text(t('common.cancel'))));
+
+            var $modal = this.openModal(t('panel.promote_title', { id: childId }), $content);
+
+            $content.on('click', '.subticket-promote-cancel', function() {
+                self.closeModal($modal);
+            });
+
+            $content.on('click', '.subticket-promote-submit', function() {
+                var keepParent = $options.find('input[name="keep_parent"]:checked').val();
+
+                self.closeModal($modal);
+                self.promoteChild(childId, keepParent, csrfToken, $panel);
+            });
+
+            $options.find('input:checked').trigger('focus');
+        },
+
+        /**
+         * Make a child the parent of its former siblings
+         *
+         * @param {number} childId Child ticket to promote
+         * @param {string} keepParent '1' = stays below the current parent, '0' = detached
+         * @param {string} csrfToken CSRF token
+         * @param {jQuery} $panel Panel element
+         */
+        promoteChild: function(childId, keepParent, csrfToken, $panel) {
+            var currentTicketId = $panel.data('ticket-id');
+
+            this.showLoading($panel, t('panel.promoting'));
+
+            $.ajax({
+                url: 'ajax-subticket.php?action=promote',
+                method: 'POST',
+                data: {
+                    child_id: childId,
+                    keep_parent: keepParent,
+                    csrf_token: csrfToken
+                },
+                dataType: 'json',
+                success: function(response) {
+                    this.hideLoading($panel);
+
+                    if (response.success && response.data) {
+                        this.showSuccess(n('panel.promoted_child', response.data.moved.length, { id: childId }));
+                        this.reloadPanel(currentTicketId);
+                    } else {
+                        this.showError(this.getErrorMessage(response, t('panel.promote_failed')));
+                    }
+                }.bind(this),
+                error: function(xhr, status, error) {
+                    this.hideLoading($panel);
+                    this.showError(t('common.server_error', { error: error }));
+                }.bind(this)
+            });
+        },
+
+        /**
+         * Show inline form to create a subticket
+         *
+         * The form is rendered inside the panel, so the agent never leaves
+         * the parent ticket. Department and requester are prefilled from
+         * the parent via the create_options action.
+         *
+         * @param {number} parentId Parent ticket ID
+         * @param {string} csrfToken CSRF token
+         */
+        showCreateSubticketDialog: function(parentId, csrfToken) {
+            var self = this;
+            var $panel = this.findPanel(parentId);
+            var $existing = $panel.find('.subticket-create-form');
+
+            // Form already open - just focus it
+            if ($existing.length) {
+                $existing.find('[name="subject"]').trigger('focus');
+                return;
+            }
+
+            this.showLoading($panel, t('panel.loading_form'));
+
+            $.ajax({
+                url: 'ajax-subticket.php',
+                method: 'GET',
+                data: {
+                    action: 'create_options',
+                    tid: parentId
+                },
+                dataType: 'json',
+                success: function(response) {
+                    self.hideLoading($panel);
+
+                    if (!response.success) {
+                        self.showError(response.message || t('panel.form_failed'));
+                        return;
+                    }
+
+                    var $form = self.buildCreateForm(parentId, response.data);
+
+                    $form.on('submit', function(e) {
+                        e.preventDefault();
+                        self.submitCreateForm($form, parentId, csrfToken);
+                    });
+
+                    $form.on('click', '.subticket-create-cancel', function() {
+                        $form.remove();
+                    });
+
+                    $panel.find('.children-section [data-action="create-child"]').after($form);
+                    $form.find('[name="subject"]').trigger('focus');
+                },
+                error: function(xhr, status, error) {
+                    self.hideLoading($panel);
+                    self.showError(t('common.server_error', { error: error }));
+                }
+            });
+        },
+
+        /**
+         * Build the inline create form
+         *
+         * SECURITY: All server data is inserted via text()/val() to prevent XSS
+         *
+         * @param {number} parentId Parent ticket ID
+         * @param {Object} options Response data of the create_options action
+         * @return {jQuery} Form element
+         */
+        buildCreateForm: function(parentId, options) {
+            var defaults = options.defaults || {};
+
+            var $dept = $('<select name="dept_id" required>');
+            $.each(options.departments || [], function(i, dept) {
+                $dept.append($('<option>').val(dept.id).text(dept.name));
+            });
+            $dept.val(String(defaults.dept_id));
+
+            var $staff = $('<select name="staff_id">')
+                .append($('<option value="">').text(t('panel.assignee_me')));
+            $.each(options.staff || [], function(i, staff) {
+                $staff.append($('<option>').val(staff.id).text(staff.name));
+            });
+
+            var requester = defaults.requester_name || '';
+            if (defaults.requester_email) {
+                requester += ' <' + defaults.requester_email + '>';
+            }
+
+            var field = function(label, $input) {
+                return $('<label class="subticket-form-field">')
+                    .append($('<span>').text(label))
+                    .append($input);
+            };
+
+            return $('<form class="subticket-create-form">')
+                .append($('<p class="subticket-form-requester">')
+                    .append($('<strong>').text(t('panel.requester') + ' '))
+                    .append($('<span>').text(requester || t('panel.requester_same'))))
+                .append(field(t('panel.subject'), $('<input type="text" name="subject" maxlength="50" required>')))
+                .append(field(t('panel.department'), $dept))
+                .append(field(t('panel.assignee'), $staff))
+                .append(field(t('panel.message'), $('<textarea name="message" rows="4" required>')))
+                .append($('<div class="subticket-form-actions">')
+                    .append($('<button type="submit" class="button button-primary">').text(t('panel.create')))
+                    .append($('<button type="button" class="button subticket-create-cancel">').text(t('common.cancel')))
+                    .append($('<a class="subticket-form-full">')
+                        .attr('href', 'tickets.php?a=open&subticket_parent=' + encodeURIComponent(parentId))
+                        .text(t('panel.open_full_form'))));
+        },
+
+        /**
+         * Submit the inline create form
+         *
+         * @param {jQuery} $form Form element
+         * @param {number} parentId Parent ticket ID
+         * @param {string} csrfToken CSRF token
+         */
+        submitCreateForm: function($form, parentId, csrfToken) {
+            var subject = $.trim($form.find('[name="subject"]').val());
+            var message = $.trim($form.find('[name="message"]').val());
+            var deptId = $form.find('[name="dept_id"]').val();
+            var staffId = $form.find('[name="staff_id"]').val();
+
+            if (!subject || !message || !deptId) {
+                this.showError(t('panel.form_incomplete'));
+                return;
+            }
+
+            this.createSubticket(parentId, subject, deptId, message, csrfToken, staffId);
+        },
+
+        /**
+         * Create new subticket via AJAX
+         *
+         * @param {number} parentId Parent ticket ID
+         * @param {string} subject Subject line
+         * @param {number} deptId Department ID
+         * @param {string} message Message/description
+         * @param {string} csrfToken CSRF token
+         * @param {number} [staffId] Optional assignee (defaults to current staff)
+         */
+        createSubticket: function(parentId, subject, deptId, message, csrfToken, staffId) {
+            var self = this;
+
+            var $panel = this.findPanel(parentId);
+
+            this.showLoading($panel, t('panel.creating'));
+
+            $.ajax({
+                url: 'ajax-subticket.php?action=create',
+                method: 'POST',
+                data: {
+                    parent_id: parentId,
+                    subject: subject,
+                    dept_id: deptId,
+                    message: message,
+                    staff_id: staffId || '',
+                    csrf_token: csrfToken
+                },
+                dataType: 'json',
+                success: function(response) {
+                    self.hideLoading($panel);
+
+                    if (response.success) {
+                        self.showSuccess(t('panel.created', { number: response.data.ticket_number }));
+
+                        // Reload panel to show new child (also removes the form)
+                        self.reloadPanel(parentId);
+                    } else {
+                        // Keep the form so the agent can correct the input
+                        self.showError(self.getErrorMessage(response, t('panel.create_failed')));
+                    }
+                },
+                error: function(xhr, status, error) {
+                    self.hideLoading($panel);
+                    self.showError(t('common.server_error', { error: error }));
+                }
+            });
+        },
+
+        /**
+         * Ask which template (and which of its subtickets) to apply
+         *
+         * @param {number} parentId Parent ticket ID
+         * @param {string} csrfToken CSRF token
+         * @param {Array} templates Templates {id, name, items} from the panel
+         */
+        showApplyTemplateDialog: function(parentId, csrfToken, templates) {
+            var self = this;
+
+            if (!templates.length) {
+                return;
+            }
+
+            var $select = $('<select class="subticket-template-select">')
+                .attr('aria-label', t('panel.template'));
+            $.each(templates, function(i, template) {
+                $select.append($('<option>').val(template.id).text(template.name));
+            });
+
+            var $list = $('<ul class="subticket-cascade-list subticket-template-items">');
+
+            var renderItems = function() {
+                var template = self.findTemplate(templates, $select.val());
+
+                $list.empty();
+                $.each(template.items, function(i, subject) {
+                    $list.append($('<li>').append(
+                        $('<label>')
+                            .append($('<input type="checkbox" checked>').val(i + 1))
+                            .append(document.createTextNode(' ' + subject))
+                    ));
+                });
+            };
+
+            var $content = $('<div class="subticket-template-dialog">')
+                .append($('<label>').text(t('panel.template') + ' ').append($select))
+                .append($list)
+                .append($('<p class="subticket-picker-hint">').text(t('panel.template_hint')))
+                .append($('<div class="subticket-form-actions">')
+                    .append($('<button type="button" class="button button-primary subticket-template-apply">').text(t('panel.apply')))
+                    .append($('<button type="button" class="button subticket-template-cancel">').text(t('common.cancel'))));
+
+            // A single template needs no choice
+            if (templates.length === 1) {
+                $select.closest('label').hide();
+            }
+
+            renderItems();
+            $select.on('change', renderItems);
+
+            var $modal = this.openModal(t('panel.template_title'), $content);
+
+            $content.on('click', '.subticket-template-cancel', function() {
+                self.closeModal($modal);
+            });
+
+            $content.on('click', '.subticket-template-apply', function() {
+                var items = $list.find('input:checked').map(function() {
+                    return parseInt(this.value, 10);
+                }).get();
+
+                if (!items.length) {
+                    self.showError(t('panel.template_select_items'));
+                    return;
+                }
+
+                self.closeModal($modal);
+                self.applyTemplate(parentId, self.findTemplate(templates, $select.val()), items, csrfToken);
+            });
+        },
+
+        /**
+         * Find a template by ID
+         *
+         * @param {Array} templates Templates {id, name, items}
+         * @param {string|number} templateId Template ID
+         * @return {Object} Template (first one if not found)
+         */
+        findTemplate: function(templates, templateId) {
+            var found = templates[0];
+
+            $.each(templates, function(i, template) {
+                if (template.id == templateId) {
+                    found = template;
+                    return false;
+                }
+            });
+
+            return found;
+        },
+
+        /**
+         * Create the selected subtickets of a template
+         *
+         * All items go in one request, so the rate limit and the hierarchy
+         * limits apply to the template as a whole; a failing item does not
+         * stop the remaining ones. The per-item outcome is listed in the
+         * panel afterwards.
+         *
+         * @param {number} parentId Parent ticket ID
+         * @param {Object} template Template {id, name, items}
+         * @param {number[]} items Item numbers to create (1-based)
+         * @param {string} csrfToken CSRF token
+         */
+        applyTemplate: function(parentId, template, items, csrfToken) {
+            var $panel = this.findPanel(parentId);
+
+            this.showLoading($panel, n('panel.template_progress', items.length));
+
+            $.ajax({
+                url: 'ajax-subticket.php?action=apply_template',
+                method: 'POST',
+                data: {
+                    parent_id: parentId,
+                    template_id: template.id,
+                    items: items.join(','),
+                    csrf_token: csrfToken
+                },
+                dataType: 'json',
+                success: function(response) {
+                    if (response.success && response.data) {
+                        this.finishBatchCreate(parentId, response.data.results, t('panel.template_results'), 'panel.template_applied');
+                    } else {
+                        this.hideLoading($panel);
+                        this.showError(this.getErrorMessage(response, t('panel.create_failed')));
+                    }
+                }.bind(this),
+                error: function(xhr, status, error) {
+                    this.hideLoading($panel);
+                    this.showError(t('common.server_error', { error: error }));
+                }.bind(this)
+            });
+        },
+
+        /**
+         * Report the outcome of applying a template or splitting the thread
+         *
+         * @param {number} parentId Parent ticket ID
+         * @param {Array} results Per-item results {success, subject, message, ticket_number}
+         * @param {string} label Accessible name of the result list
+         * @param {string} summaryKey i18n key of the summary ({created} of {total})
+         */
+        finishBatchCreate: function(parentId, results, label, summaryKey) {
+            var created = results.filter(function(result) {
+                return result.success;
+            }).length;
+            var summary = t(summaryKey, { created: created, total: results.length });
 
-            // Dispatch to appropriate handler
-            switch(action) {
-                case 'link-parent':
-                    this.showLinkParentDialog(ticketId, csrfToken);
-                    break;
+            this.hideLoading(this.findPanel(parentId));
 
-                case 'unlink-parent':
-                    this.unlinkParent(ticketId, csrfToken, $panel);
-                    break;
+            if (created === results.length) {
+                this.showSuccess(summary);
+            } else {
+                this.showError(summary);
+            }
 
-                case 'unlink-child':
-                    this.unlinkChild(childId, csrfToken, $panel);
-                    break;
+            // The result list goes into the refreshed panel
+            this.reloadPanel(parentId, function($panel) {
+                var $list = $('<ul class="subticket-template-results">')
+                    .attr('aria-label', label);
 
-                case 'create-child':
-                    this.showCreateSubticketDialog(ticketId, csrfToken);
-                    break;
-            }
+                $.each(results, function(i, result) {
+                    $list.append($('<li>')
+                        .addClass(result.success ? 'is-success' : 'is-error')
+                        .text(result.success
+                            ? '✓ #' + result.ticket_number + ' ' + result.subject
+                            : '✗ ' + t('panel.template_item_failed', { subject: result.subject, message: result.message })));
+                });
 
-            return false;
+                $panel.find('.children-section').append($list);
+            });
         },
 
         /**
-         * Show dialog to link current ticket to a parent
+         * Add a "Split into subtickets" button to the messages and responses of the thread
          *
-         * @param {number} ticketId Current ticket ID
-         * @param {string} csrfToken CSRF token
+         * Runs once the panel is on the page; entries already decorated are skipped.
          */
-        showLinkParentDialog: function(ticketId, csrfToken) {
-            var parentId = prompt('Enter parent ticket number or ID:');
-
-            if (!parentId) {
-                return; // User cancelled
-            }
+        decorateThreadEntries: function() {
+            var self = this;
 
-            // Validate input - max 10 digits to prevent overflow
-            parentId = parentId.trim();
-            if (!/^\d{1,10}$/.test(parentId)) {
-                alert('Please enter a valid ticket number (max 10 digits)');
+            if (!$('.subticket-panel').length) {
                 return;
             }
 
-            // Call API
-            this.linkToParent(ticketId, parentId, csrfToken);
+            $('.thread-entry.message, .thread-entry.response').each(function() {
+                var $entry = $(this);
+                var $header = $entry.children('.header').first();
+
+                if (!$header.length || $header.find('.subticket-split-entry').length) {
+                    return;
+                }
+
+                var label = t('panel.split_thread');
+
+                $('<button type="button" class="subticket-split-entry">')
+                    .attr({ title: label, 'aria-label': label })
+                    .data('entry-id', self.getThreadEntryId($entry))
+                    .append($('<i class="icon-code-fork" aria-hidden="true"></i>'))
+                    .prependTo($header);
+            });
         },
 
         /**
-         * Flag to prevent concurrent AJAX requests
+         * Get the ID of a thread entry element
+         *
+         * osTicket versions carry it in different places (entry or body ID,
+         * data attribute, action dropdown).
+         *
+         * @param {jQuery} $entry Thread entry element
+         * @return {number|null} Thread entry ID
          */
-        isLinking: false,
+        getThreadEntryId: function($entry) {
+            var candidates = [
+                $entry.attr('data-id'),
+                $entry.attr('id'),
+                $entry.find('.thread-body[id]').first().attr('id'),
+                $entry.find('[data-dropdown^="#entry-action-more-"]').first().attr('data-dropdown')
+            ];
+
+            for (var i = 0; i < candidates.length; i++) {
+                var match = /(\d+)$/.exec(candidates[i] || '');
+                if (match) {
+                    return parseInt(match[1], 10);
+                }
+            }
+
+            return null;
+        },
 
         /**
-         * Link current ticket to parent via AJAX
+         * Open the split dialog from a thread entry (entry preselected)
          *
-         * @param {number} childId Current ticket ID (becomes child)
-         * @param {number} parentId Parent ticket ID
-         * @param {string} csrfToken CSRF token
+         * @param {Event} e Click event
          */
-        linkToParent: function(childId, parentId, csrfToken) {
-            var self = this;
+        handleSplitEntryClick: function(e) {
+            e.preventDefault();
 
-            // Prevent concurrent requests
-            if (this.isLinking) {
-                console.log('[Subticket] Link request already in progress, ignoring');
-                return;
-            }
-            this.isLinking = true;
+            var $panel = $('.subticket-panel').first();
 
-            console.log('[Subticket] linkToParent called:', childId, '->', parentId);
+            if ($panel.length) {
+                this.showSplitDialog($panel.data('ticket-id'), $panel.data('csrf-token'), $(e.currentTarget).data('entry-id'));
+            }
+        },
 
-            // SECURITY: Use filter() to prevent selector injection
-            var $panel = $('.subticket-panel').filter(function() {
-                return $(this).data('ticket-id') == childId;
-            });
+        /**
+         * Show dialog to split thread messages into subtickets
+         *
+         * Lists the messages and responses of the thread; every checked
+         * message gets its own subject and department.
+         *
+         * @param {number} ticketId Ticket whose thread is split (becomes the parent)
+         * @param {string} csrfToken CSRF token
+         * @param {number|null} entryId Thread entry to preselect
+         */
+        showSplitDialog: function(ticketId, csrfToken, entryId) {
+            var self = this;
+            var $panel = this.findPanel(ticketId);
 
-            this.showLoading($panel, 'Linking to parent...');
+            this.showLoading($panel, t('common.loading'));
 
             $.ajax({
-                url: 'ajax-subticket.php?action=link',
-                method: 'POST',
+                url: 'ajax-subticket.php',
+                method: 'GET',
                 data: {
-                    child_id: childId,
-                    parent_id: parentId,
-                    csrf_token: csrfToken
+                    action: 'split_options',
+                    tid: ticketId
                 },
                 dataType: 'json',
                 success: function(response) {
-                    console.log('[Subticket] Link response:', response);
-                    self.isLinking = false;
                     self.hideLoading($panel);
 
-                    if (response.success) {
-                        self.showSuccess('Successfully linked to parent ticket #' + parentId);
-                        self.reloadPanel(childId);
-                    } else {
-                        self.showError(response.message || 'Failed to link to parent');
+                    if (!response.success) {
+                        self.showError(response.message || t('panel.form_failed'));
+                        return;
                     }
+
+                    self.openSplitDialog(ticketId, csrfToken, entryId, response.data);
                 },
                 error: function(xhr, status, error) {
-                    console.error('[Subticket] Link error:', status, error);
-                    self.isLinking = false;
                     self.hideLoading($panel);
-                    self.showError('Server error: ' + error);
+                    self.showError(t('common.server_error', { error: error }));
                 }
             });
         },
 
         /**
-         * Unlink current ticket from its parent
+         * Build and open the split dialog
          *
-         * @param {number} ticketId Current ticket ID
+         * SECURITY: All server data is inserted via text()/val() to prevent XSS
+         *
+         * @param {number} ticketId Ticket whose thread is split
          * @param {string} csrfToken CSRF token
-         * @param {jQuery} $panel Panel element
+         * @param {number|null} entryId Thread entry to preselect
+         * @param {Object} options Response data of the split_options action
          */
-        unlinkParent: function(ticketId, csrfToken, $panel) {
-            if (!confirm('Remove parent relationship?')) {
-                return;
-            }
+        openSplitDialog: function(ticketId, csrfToken, entryId, options) {
+            var self = this;
+            var $list = $('<ul class="subticket-split-entries">');
+
+            $.each(options.entries || [], function(i, entry) {
+                var $dept = $('<select name="dept_id">');
+                $.each(options.departments || [], function(j, dept) {
+                    $dept.append($('<option>').val(dept.id).text(dept.name));
+                });
+                $dept.val(String((options.defaults || {}).dept_id));
+
+                var $fields = $('<div class="subticket-split-fields">')
+                    .append($('<label class="subticket-form-field">')
+                        .append($('<span>').text(t('panel.subject')))
+                        .append($('<input type="text" name="subject" maxlength="50">')
+                            .val((entry.title || entry.excerpt || '').substr(0, 50))))
+                    .append($('<label class="subticket-form-field">')
+                        .append($('<span>').text(t('panel.department')))
+                        .append($dept));
+
+                var $meta = $('<span class="subticket-split-meta">')
+                    .text(entry.poster + ' · ' + entry.created);
+                if (entry.attachment_count) {
+                    $meta.append(' · ')
+                        .append($('<i class="icon-paperclip" aria-hidden="true"></i>'))
+                        .append(document.createTextNode(' ' + n('panel.split_attachments', entry.attachment_count)));
+                }
 
-            this.showLoading($panel, 'Unlinking from parent...');
+                var $checkbox = $('<input type="checkbox">').val(entry.id);
 
-            $.ajax({
-                url: 'ajax-subticket.php?action=unlink',
-                method: 'POST',
-                data: {
-                    child_id: ticketId,
-                    csrf_token: csrfToken
-                },
-                dataType: 'json',
-                success: function(response) {
-                    this.hideLoading($panel);
+                var $item = $('<li class="subticket-split-entry-item">')
+                    .append($('<label>').append($checkbox, ' ', $meta))
+                    .append($('<p class="subticket-split-excerpt">').text(entry.excerpt))
+                    .append($fields);
 
-                    if (response.success) {
-                        this.showSuccess('Successfully unlinked from parent');
-                        this.reloadPanel(ticketId);
-                    } else {
-                        this.showError(response.message || 'Failed to unlink from parent');
-                    }
-                }.bind(this),
-                error: function(xhr, status, error) {
-                    this.hideLoading($panel);
-                    this.showError('Server error: ' + error);
-                }.bind(this)
+                $checkbox.on('change', function() {
+                    $item.toggleClass('is-selected', this.checked);
+                    $fields.find('input, select').prop('disabled', !this.checked);
+                });
+                $checkbox.prop('checked', entry.id === entryId).trigger('change');
+
+                $list.append($item);
+            });
+
+            var $content = $('<div class="subticket-split-dialog">')
+                .append($('<p class="subticket-picker-hint">').text(t('panel.split_hint')))
+                .append($list)
+                .append($('<div class="subticket-form-actions">')
+                    .append($('<button type="button" class="button button-primary subticket-split-submit">').text(t('panel.split')))
+                    .append($('<button type="button" class="button subticket-split-cancel">').text(t('common.cancel'))));
+
+            var $modal = this.openModal(t('panel.split_title'), $content);
+
+            $content.on('click', '.subticket-split-cancel', function() {
+                self.closeModal($modal);
+            });
+
+            $content.on('click', '.subticket-split-submit', function() {
+                var items = [];
+                var complete = true;
+
+                $list.find('.subticket-split-entry-item.is-selected').each(function() {
+                    var $item = $(this);
+                    var subject = $.trim($item.find('[name="subject"]').val());
+                    var deptId = $item.find('[name="dept_id"]').val();
+
+                    complete = complete && subject !== '' && !!deptId;
+                    items.push({
+                        entry_id: $item.find('input[type="checkbox"]').val(),
+                        subject: subject,
+                        dept_id: deptId
+                    });
+                });
+
+                if (!items.length) {
+                    self.showError(t('panel.split_select_entries'));
+                    return;
+                }
+
+                if (!complete) {
+                    self.showError(t('panel.split_incomplete'));
+                    return;
+                }
+
+                self.closeModal($modal);
+                self.splitThread(ticketId, items, csrfToken);
             });
+
+            // Start with the preselected message
+            $list.find('.is-selected [name="subject"]').first().trigger('focus');
         },
 
         /**
-         * Unlink child ticket
+         * Create the subtickets of the selected thread messages
          *
-         * @param {number} childId Child ticket ID to unlink
+         * Sent in one request, so the parent gets a single note listing
+         * all new subtickets; the per-item outcome is shown in the panel.
+         *
+         * @param {number} parentId Ticket whose thread is split
+         * @param {Array} items Selections {entry_id, subject, dept_id}
          * @param {string} csrfToken CSRF token
-         * @param {jQuery} $panel Panel element
          */
-        unlinkChild: function(childId, csrfToken, $panel) {
-            if (!confirm('Remove this child ticket?')) {
-                return;
-            }
-
-            var currentTicketId = $panel.data('ticket-id');
+        splitThread: function(parentId, items, csrfToken) {
+            var $panel = this.findPanel(parentId);
 
-            this.showLoading($panel, 'Unlinking child ticket...');
+            this.showLoading($panel, t('panel.splitting'));
 
             $.ajax({
-                url: 'ajax-subticket.php?action=unlink',
+                url: 'ajax-subticket.php?action=split',
                 method: 'POST',
                 data: {
-                    child_id: childId,
+                    parent_id: parentId,
+                    items: items,
                     csrf_token: csrfToken
                 },
                 dataType: 'json',
                 success: function(response) {
-                    this.hideLoading($panel);
-
-                    if (response.success) {
-                        this.showSuccess('Successfully unlinked child ticket #' + childId);
-                        this.reloadPanel(currentTicketId);
+                    if (response.success && response.data) {
+                        this.finishBatchCreate(parentId, response.data.results, t('panel.split_results'), 'panel.split_applied');
                     } else {
-                        this.showError(response.message || 'Failed to unlink child ticket');
+                        this.hideLoading($panel);
+                        this.showError(this.getErrorMessage(response, t('panel.create_failed')));
                     }
                 }.bind(this),
                 error: function(xhr, status, error) {
                     this.hideLoading($panel);
-                    this.showError('Server error: ' + error);
+                    this.showError(t('common.server_error', { error: error }));
                 }.bind(this)
             });
         },
 
         /**
-         * Show dialog to create subticket
+         * Find the panel element for a ticket
          *
-         * @param {number} parentId Parent ticket ID
-         * @param {string} csrfToken CSRF token
+         * SECURITY: Use filter() to prevent selector injection
+         *
+         * @param {number} ticketId Ticket ID
+         * @return {jQuery} Panel element (may be empty)
          */
-        showCreateSubticketDialog: function(parentId, csrfToken) {
-            // Redirect to "Open New Ticket" page with parent ID in URL
-            // The plugin will auto-link the new ticket to this parent after creation
-            var url = 'tickets.php?a=open&subticket_parent=' + parentId;
-
-            window.location.href = url;
+        findPanel: function(ticketId) {
+            return $('.subticket-panel').filter(function() {
+                return $(this).data('ticket-id') == ticketId;
+            });
         },
 
         /**
-         * Create new subticket via AJAX
+         * Reload panel content via AJAX
          *
-         * @param {number} parentId Parent ticket ID
-         * @param {string} subject Subject line
-         * @param {number} deptId Department ID
-         * @param {string} message Message/description
-         * @param {string} csrfToken CSRF token
+         * Fetches the freshly rendered panel and swaps it in place, so reply
+         * drafts and internal notes the agent is typing are not lost.
+         * The panel is reloaded after every hierarchy change, so the cached
+         * queue icons of the tickets shown before and after are dropped.
+         *
+         * @param {number} ticketId Ticket ID
+         * @param {Function} [onReloaded] Called with the new panel element
          */
-        createSubticket: function(parentId, subject, deptId, message, csrfToken) {
+        reloadPanel: function(ticketId, onReloaded) {
             var self = this;
+            var $panel = this.findPanel(ticketId);
 
-            // Find panel
-            var $panel = $('.subticket-panel').filter(function() {
-                return $(this).data('ticket-id') == parentId;
-            });
-
-            this.showLoading($panel, 'Creating subticket...');
+            this.invalidateStatusCache($panel);
 
             $.ajax({
-                url: 'ajax-subticket.php?action=create',
-                method: 'POST',
+                url: 'ajax-subticket.php',
+                method: 'GET',
                 data: {
-                    parent_id: parentId,
-                    subject: subject,
-                    dept_id: deptId,
-                    message: message,
-                    csrf_token: csrfToken
+                    action: 'panel',
+                    tid: ticketId
                 },
                 dataType: 'json',
                 success: function(response) {
-                    self.hideLoading($panel);
-
-                    if (response.success) {
-                        self.showSuccess('Subticket created successfully: #' + response.ticket_number);
+                    if (response.success && response.data && response.data.html) {
+                        self.replacePanel($panel, response.data.html);
+                        self.invalidateStatusCache(self.findPanel(ticketId));
 
-                        // Reload panel to show new child
-                        self.reloadPanel(parentId);
+                        if (onReloaded) {
+                            onReloaded(self.findPanel(ticketId));
+                        }
                     } else {
-                        self.showError(response.message || 'Failed to create subticket');
+                        self.showError(response.message || t('panel.refresh_failed'));
                     }
                 },
                 error: function(xhr, status, error) {
-                    self.hideLoading($panel);
-                    self.showError('Server error: ' + error);
+                    self.showError(t('common.server_error', { error: error }));
                 }
             });
         },
 
         /**
-         * Reload panel content via AJAX
+         * Drop the cached queue icons of the tickets shown in a panel
          *
-         * @param {number} ticketId Ticket ID
+         * @param {jQuery} $panel Panel element (may be empty)
          */
-        reloadPanel: function(ticketId) {
-            // Simple page reload for MVP
-            // TODO: Implement AJAX panel refresh
-            setTimeout(function() {
-                window.location.reload();
-            }, 1000);
+        invalidateStatusCache: function($panel) {
+            if (window.SubticketStatusCache && $panel.length) {
+                window.SubticketStatusCache.invalidate(this.getShownTicketIds($panel));
+            }
+        },
+
+        /**
+         * Replace panel element with freshly rendered markup
+         *
+         * @param {jQuery} $panel Current panel element
+         * @param {string} html Panel HTML from the server
+         */
+        replacePanel: function($panel, html) {
+            // parseHTML() without keepScripts - the panel markup carries no scripts
+            var $newPanel = $($.parseHTML($.trim(html))).filter('.subticket-panel').first();
+
+            if (!$newPanel.length) {
+                return;
+            }
+
+            if ($panel.length) {
+                $panel.replaceWith($newPanel);
+            } else {
+                $('body').append($newPanel);
+            }
+
+            repositionPanel();
+            repositionParentBadge();
+            repositionBreadcrumbs();
         },
 
         /**
@@ -342,14 +2349,17 @@
             // SECURITY: Use jQuery DOM methods to prevent XSS
             if (!$panel.find('.subticket-overlay').length) {
                 var $overlay = $('<div class="subticket-overlay">')
-                    .append($('<div class="subticket-spinner">'))
+                    .append($('<div class="subticket-spinner" aria-hidden="true">'))
                     .append($('<div class="subticket-loading-text">').text(message));
 
                 $panel.append($overlay);
             }
 
             // Disable all buttons
+            $panel.attr('aria-busy', 'true');
             $panel.find('.subticket-action').prop('disabled', true);
+
+            this.announce(message);
         },
 
         /**
@@ -358,11 +2368,59 @@
          * @param {jQuery} $panel Panel element
          */
         hideLoading: function($panel) {
-            $panel.removeClass('subticket-loading');
+            $panel.removeClass('subticket-loading').removeAttr('aria-busy');
             $panel.find('.subticket-overlay').remove();
             $panel.find('.subticket-action').prop('disabled', false);
         },
 
+        /**
+         * Announce a message to screen readers
+         *
+         * Uses a live region outside the panel, so announcements survive
+         * panel refreshes.
+         *
+         * @param {string} message Message text
+         * @param {boolean} [assertive] Interrupt the screen reader (errors)
+         */
+        announce: function(message, assertive) {
+            var id = assertive ? 'subticket-live-alert' : 'subticket-live-status';
+            var $region = $('#' + id);
+
+            if (!$region.length) {
+                $region = $('<div class="subticket-sr-only">')
+                    .attr('id', id)
+                    .attr('role', assertive ? 'alert' : 'status')
+                    .attr('aria-live', assertive ? 'assertive' : 'polite')
+                    .appendTo('body');
+            }
+
+            // Clear first so repeating the same message is announced again
+            $region.text('');
+            setTimeout(function() {
+                $region.text(message);
+            }, 50);
+        },
+
+        /**
+         * Show a message inline when osTicket's displayMessage() is missing
+         *
+         * @param {string} message Message text
+         * @param {string} type 'notice' or 'error'
+         */
+        showToast: function(message, type) {
+            var $toast = $('<div class="subticket-toast">')
+                .addClass('subticket-toast-' + type)
+                .attr('role', type === 'error' ? 'alert' : 'status')
+                .text(message)
+                .appendTo('body');
+
+            setTimeout(function() {
+                $toast.fadeOut(200, function() {
+                    $toast.remove();
+                });
+            }, 5000);
+        },
+
         /**
          * Show success message
          *
@@ -372,9 +2430,33 @@
             // Use osTicket's notification system if available
             if (typeof displayMessage === 'function') {
                 displayMessage(message, 'notice');
+                this.announce(message);
             } else {
-                alert('✓ ' + message);
+                this.showToast('✓ ' + message, 'notice');
+            }
+        },
+
+        /**
+         * Get the message of a failed response
+         *
+         * Hierarchy restrictions come with a code (MAX_DEPTH, CYCLE,
+         * PARENT_CLOSED, MAX_CHILDREN, ...) shown in the agent's language.
+         *
+         * @param {Object} response Response with success = false
+         * @param {string} fallback Message if the response has none
+         * @return {string}
+         */
+        getErrorMessage: function(response, fallback) {
+            if (response.code) {
+                var key = 'panel.restriction_' + String(response.code).toLowerCase();
+                var message = t(key, (response.data && response.data.limits) || {});
+
+                if (message !== key) {
+                    return message;
+                }
             }
+
+            return response.message || fallback;
         },
 
         /**
@@ -386,8 +2468,9 @@
             // Use osTicket's notification system if available
             if (typeof displayMessage === 'function') {
                 displayMessage(message, 'error');
+                this.announce(message, true);
             } else {
-                alert('✗ Error: ' + message);
+                this.showToast('✗ ' + t('common.error', { message: message }), 'error');
             }
 
             // Always log errors (even in production)
@@ -454,6 +2537,72 @@
             return; // No badge found (not a parent ticket)
         }
 
+        // Use the badge rendered inside the panel - a badge outside of it
+        // is left over from before an AJAX panel refresh
+        var $source = $badges.filter(function() {
+            return $(this).closest('.subticket-panel').length > 0;
+        }).first();
+
+        if (!$source.length) {
+            $badges.remove(); // Ticket has no children anymore
+            return;
+        }
+
+        var $ticketHeading = findTicketHeading();
+
+        if ($ticketHeading && $ticketHeading.length) {
+            // Clone the panel badge, then remove ALL badges
+            var $clonedBadge = $source.clone();
+            $badges.remove();
+
+            // Insert the clone after ticket heading
+            $clonedBadge.insertAfter($ticketHeading);
+
+            // Add some styling adjustments for the new position
+            $clonedBadge.css({
+                'margin-top': '10px',
+                'margin-bottom': '10px'
+            });
+        }
+    }
+
+    /**
+     * Move hierarchy breadcrumbs above the ticket heading
+     *
+     * Same approach as repositionParentBadge(): the panel carries the
+     * source, stale copies from before an AJAX refresh are removed.
+     */
+    function repositionBreadcrumbs() {
+        var $breadcrumbs = $('.subticket-breadcrumbs');
+
+        if (!$breadcrumbs.length) {
+            return; // Ticket has no parent
+        }
+
+        var $source = $breadcrumbs.filter(function() {
+            return $(this).closest('.subticket-panel').length > 0;
+        }).first();
+
+        if (!$source.length) {
+            $breadcrumbs.remove(); // Ticket was unlinked from its parent
+            return;
+        }
+
+        var $ticketHeading = findTicketHeading();
+
+        if ($ticketHeading && $ticketHeading.length) {
+            var $cloned = $source.clone();
+            $breadcrumbs.remove();
+            $cloned.insertBefore($ticketHeading);
+        }
+    }
+
+    /**
+     * Find the ticket number heading
+     *
+     * @return {jQuery|null} Heading element
+     */
+    function findTicketHeading() {
         // Try different selectors for ticket number heading
         var selectors = [
             'h2:contains("Ticket #")',      // Standard heading
@@ -470,20 +2619,7 @@
             }
         }
 
-        if ($ticketHeading && $ticketHeading.length) {
-            // Remove ALL badges first
-            $badges.remove();
-
-            // Clone the first badge and insert after ticket heading
-            var $clonedBadge = $badges.first().clone();
-            $clonedBadge.insertAfter($ticketHeading);
-
-            // Add some styling adjustments for the new position
-            $clonedBadge.css({
-                'margin-top': '10px',
-                'margin-bottom': '10px'
-            });
-        }
+        return $ticketHeading;
     }
 
     /**
@@ -496,6 +2632,8 @@
         setTimeout(function() {
             repositionPanel();
             repositionParentBadge();
+            repositionBreadcrumbs();
+            SubticketPanel.decorateThreadEntries();
         }, 100);
     });
 
@@ -0,0 +1,177 @@
+/**
+ * Subticket Manager - Parent status cache
+ *
+ * Keeps the batch_parent_status result of each ticket in sessionStorage
+ * for a short time, so paging back and forth in a queue does not fetch
+ * the same rows again:
+ *
+ *   SubticketStatusCache.get(ticketId)        // fresh entry or null
+ *   SubticketStatusCache.set(ticketId, status, etag)
+ *   SubticketStatusCache.invalidate([1, 2]);  // after link/unlink
+ *
+ * Entries older than TTL are not returned by get(), but stay available
+ * to getStale() until invalidated: with the ETag of the request that
+ * stored them, the server can answer "304 Not Modified" for them.
+ *
+ * Without sessionStorage (private mode, quota) every call is a no-op.
+ *
+ * @since 2.1.0
+ */
+
+(function(window) {
+    'use strict';
+
+    var SubticketStatusCache = {
+        /**
+         * Storage key prefix (one key per ticket)
+         */
+        PREFIX: 'subticket.parentStatus.',
+
+        /**
+         * How long an entry is used without asking the server (ms)
+         */
+        TTL: 60000,
+
+        /**
+         * Get the cached status of a ticket if it is still fresh
+         *
+         * @param {number} ticketId Ticket ID
+         * @return {Object|null} Status from batch_parent_status
+         */
+        get: function(ticketId) {
+            var entry = this.read(ticketId);
+
+            return entry && (Date.now() - entry.time) < this.TTL ? entry.status : null;
+        },
+
+        /**
+         * Get the cached entry of a ticket regardless of its age
+         *
+         * @param {number} ticketId Ticket ID
+         * @return {Object|null} Entry {status, etag, time}
+         */
+        getStale: function(ticketId) {
+            return this.read(ticketId);
+        },
+
+        /**
+         * Store the status of a ticket
+         *
+         * @param {number} ticketId Ticket ID
+         * @param {Object} status Status from batch_parent_status
+         * @param {string} [etag] ETag of the response the status came from
+         */
+        set: function(ticketId, status, etag) {
+            this.write(ticketId, {
+                status: status,
+                etag: etag || null,
+                time: Date.now()
+            });
+        },
+
+        /**
+         * Mark a stale entry as fresh again (server answered 304)
+         *
+         * @param {number} ticketId Ticket ID
+         */
+        touch: function(ticketId) {
+            var entry = this.read(ticketId);
+
+            if (entry) {
+                entry.time = Date.now();
+                this.write(ticketId, entry);
+            }
+        },
+
+        /**
+         * Drop the entries of tickets whose hierarchy changed
+         *
+         * @param {Array} ticketIds Ticket IDs (falsy values are skipped)
+         */
+        invalidate: function(ticketIds) {
+            var storage = this.getStorage();
+
+            if (!storage) {
+                return;
+            }
+
+            ticketIds.forEach(function(ticketId) {
+                if (ticketId) {
+                    storage.removeItem(this.PREFIX + ticketId);
+                }
+            }, this);
+        },
+
+        /**
+         * Drop all entries
+         */
+        clear: function() {
+            var storage = this.getStorage();
+
+            if (!storage) {
+                return;
+            }
+
+            // Collect first - removing shifts the key indexes
+            var keys = [];
+            for (var i = 0; i < storage.length; i++) {
+                if (storage.key(i).indexOf(this.PREFIX) === 0) {
+                    keys.push(storage.key(i));
+                }
+            }
+
+            keys.forEach(function(key) {
+                storage.removeItem(key);
+            });
+        },
+
+        /**
+         * Read and parse the entry of a ticket
+         */
+        read: function(ticketId) {
+            var storage = this.getStorage();
+
+            if (!storage) {
+                return null;
+            }
+
+            try {
+                return JSON.parse(storage.getItem(this.PREFIX + ticketId));
+            } catch (e) {
+                return null;
+            }
+        },
+
+        /**
+         * Serialize and store the entry of a ticket
+         */
+        write: function(ticketId, entry) {
+            var storage = this.getStorage();
+
+            if (!storage) {
+                return;
+            }
+
+            try {
+                storage.setItem(this.PREFIX + ticketId, JSON.stringify(entry));
+            } catch (e) {
+                // Quota exceeded - the next request simply fetches it again
+            }
+        },
+
+        /**
+         * Get sessionStorage if the browser allows it
+         *
+         * @return {Storage|null}
+         */
+        getStorage: function() {
+            try {
+                return window.sessionStorage || null;
+            } catch (e) {
+                return null;
+            }
+        }
+    };
+
+    window.SubticketStatusCache = window.SubticketStatusCache || SubticketStatusCache;
+})(window);
@@ -7,9 +7,33 @@
  *
  * Usage:
  * - GET  /scp/ajax-subticket.php?action=children&tid=123
+ * - GET  /scp/ajax-subticket.php?action=panel&tid=123
+ * - GET  /scp/ajax-subticket.php?action=history&tid=123
+ * - GET  /scp/ajax-subticket.php?action=changes&since=1700000000
+ * - GET  /scp/ajax-subticket.php?action=search&tid=123&q=term
  * - POST /scp/ajax-subticket.php?action=link
  * - POST /scp/ajax-subticket.php?action=unlink
  * - POST /scp/ajax-subticket.php?action=create
+ * - GET  /scp/ajax-subticket.php?action=create_options&tid=123
+ * - POST /scp/ajax-subticket.php?action=apply_template
+ * - GET  /scp/ajax-subticket.php?action=split_options&tid=123
+ * - POST /scp/ajax-subticket.php?action=split
+ * - POST /scp/ajax-subticket.php?action=batch_link
+ * - POST /scp/ajax-subticket.php?action=batch_unlink
+ * - POST /scp/ajax-subticket.php?action=reorder
+ * - POST /scp/ajax-subticket.php?action=reparent
+ * - POST /scp/ajax-subticket.php?action=dissolve
+ * - POST /scp/ajax-subticket.php?action=promote
+ * - POST /scp/ajax-subticket.php?action=keep_parent_open
+ * - POST /scp/ajax-subticket.php?action=cascade_exclude
+ * - POST /scp/ajax-subticket.php?action=cascade_revert
+ * - POST /scp/ajax-subticket.php?action=add_dependency
+ * - POST /scp/ajax-subticket.php?action=remove_dependency
+ * - GET  /scp/ajax-subticket.php?action=overview&page=1&sort=created&dir=desc&...
+ * - GET  /scp/ajax-subticket.php?action=overview_options
+ * - GET  /scp/ajax-subticket.php?action=subtree&tid=123
+ * - POST /scp/ajax-subticket.php?action=overview_bulk
+ * - GET  /scp/ajax-subticket.php?action=export&format=csv[&tid=123]
  *
  * @package SubticketManager
  * @author  Claude Code
@@ -107,6 +131,42 @@ try {
             Http::response(200, json_encode($result), 'application/json');
             break;
 
+        case 'panel':
+            // GET /scp/ajax-subticket.php?action=panel&tid=123
+            $tid = $_GET['tid'] ?? null;
+            if (!$tid) {
+                Http::response(400, json_encode(array('error' => 'Missing ticket ID')));
+            }
+            $result = $controller->getPanel($tid);
+            Http::response(200, json_encode($result), 'application/json');
+            break;
+
+        case 'history':
+            // GET /scp/ajax-subticket.php?action=history&tid=123
+            $tid = $_GET['tid'] ?? null;
+            if (!$tid) {
+                Http::response(400, json_encode(array('error' => 'Missing ticket ID')));
+            }
+            $result = $controller->getHistory($tid);
+            Http::response(200, json_encode($result), 'application/json');
+            break;
+
+        case 'changes':
+            // GET /scp/ajax-subticket.php?action=changes&since=1700000000
+            $result = $controller->getChanges($_GET['since'] ?? null);
+            Http::response(200, json_encode($result), 'application/json');
+            break;
+
+        case 'search':
+            // GET /scp/ajax-subticket.php?action=search&tid=123&q=term
+            $tid = $_GET['tid'] ?? null;
+            if (!$tid) {
+                Http::response(400, json_encode(array('error' => 'Missing ticket ID')));
+            }
+            $result = $controller->searchTickets($_GET['q'] ?? '', $tid);
+            Http::response(200, json_encode($result), 'application/json');
+            break;
+
         case 'link':
             // POST /scp/ajax-subticket.php?action=link
             $parentId = $_POST['parent_id'] ?? null;
@@ -132,6 +192,7 @@ try {
             $subject = $_POST['subject'] ?? null;
             $deptId = $_POST['dept_id'] ?? null;
             $message = $_POST['message'] ?? null;
+            $staffId = $_POST['staff_id'] ?? null;
             $csrfToken = $_POST['__CSRFToken__'] ?? $_POST['csrf_token'] ?? null;
 
             $result = $controller->createSubticket(
@@ -139,15 +200,213 @@ try {
                 $subject,
                 $deptId,
                 $message,
-                $csrfToken
+                $csrfToken,
+                $staffId
             );
             Http::response(200, json_encode($result), 'application/json');
             break;
 
+        case 'create_options':
+            // GET /scp/ajax-subticket.php?action=create_options&tid=123
+            $tid = $_GET['tid'] ?? null;
+            if (!$tid) {
+                Http::response(400, json_encode(array('error' => 'Missing ticket ID')));
+            }
+            $result = $controller->getCreateOptions($tid);
+            Http::response(200, json_encode($result), 'application/json');
+            break;
+
+        case 'batch_link':
+            // POST /scp/ajax-subticket.php?action=batch_link
+            $childIds = $_POST['child_ids'] ?? '';
+            $parentNumber = $_POST['parent_number'] ?? null;
+            $csrfToken = $_POST['__CSRFToken__'] ?? $_POST['csrf_token'] ?? null;
+
+            $result = $controller->batchLinkTickets($childIds, $parentNumber, $csrfToken);
+            Http::response(200, json_encode($result), 'application/json');
+            break;
+
+        case 'batch_unlink':
+            // POST /scp/ajax-subticket.php?action=batch_unlink
+            $childIds = $_POST['child_ids'] ?? '';
+            $csrfToken = $_POST['__CSRFToken__'] ?? $_POST['csrf_token'] ?? null;
+
+            $result = $controller->batchUnlinkTickets($childIds, $csrfToken);
+            Http::response(200, json_encode($result), 'application/json');
+            break;
+
+        case 'reorder':
+            // POST /scp/ajax-subticket.php?action=reorder
+            $parentId = $_POST['parent_id'] ?? null;
+            $childIds = $_POST['child_ids'] ?? '';
+            $csrfToken = $_POST['__CSRFToken__'] ?? $_POST['csrf_token'] ?? null;
+
+            $result = $controller->reorderChildren($parentId, $childIds, $csrfToken);
+            Http::response(200, json_encode($result), 'application/json');
+            break;
+
+        case 'reparent':
+            // POST /scp/ajax-subticket.php?action=reparent
+            $childId = $_POST['child_id'] ?? null;
+            $parentId = $_POST['parent_id'] ?? null;
+            $csrfToken = $_POST['__CSRFToken__'] ?? $_POST['csrf_token'] ?? null;
+
+            $result = $controller->reparentTicket($childId, $parentId, $csrfToken);
+            Http::response(200, json_encode($result), 'application/json');
+            break;
+
+        case 'dissolve':
+            // POST /scp/ajax-subticket.php?action=dissolve
+            $parentId = $_POST['parent_id'] ?? null;
+            $csrfToken = $_POST['__CSRFToken__'] ?? $_POST['csrf_token'] ?? null;
+
+            $result = $controller->dissolveHierarchy($parentId, $csrfToken);
+            Http::response(200, json_encode($result), 'application/json');
+            break;
+
+        case 'promote':
+            // POST /scp/ajax-subticket.php?action=promote
+            $childId = $_POST['child_id'] ?? null;
+            $keepParent = $_POST['keep_parent'] ?? null;
+            $csrfToken = $_POST['__CSRFToken__'] ?? $_POST['csrf_token'] ?? null;
+
+            $result = $controller->promoteChild($childId, $keepParent, $csrfToken);
+            Http::response(200, json_encode($result), 'application/json');
+            break;
+
+        case 'apply_template':
+            // POST /scp/ajax-subticket.php?action=apply_template
+            $parentId = $_POST['parent_id'] ?? null;
+            $templateId = $_POST['template_id'] ?? null;
+            $items = $_POST['items'] ?? null;
+            $csrfToken = $_POST['__CSRFToken__'] ?? $_POST['csrf_token'] ?? null;
+
+            $result = $controller->applyTemplate($parentId, $templateId, $items, $csrfToken);
+            Http::response(200, json_encode($result), 'application/json');
+            break;
+
+        case 'split_options':
+            // GET /scp/ajax-subticket.php?action=split_options&tid=123
+            $tid = $_GET['tid'] ?? null;
+            if (!$tid) {
+                Http::response(400, json_encode(array('error' => 'Missing ticket ID')));
+            }
+            $result = $controller->getSplitOptions($tid);
+            Http::response(200, json_encode($result), 'application/json');
+            break;
+
+        case 'split':
+            // POST /scp/ajax-subticket.php?action=split
+            // items[0][entry_id]=5&items[0][subject]=...&items[0][dept_id]=2
+            $parentId = $_POST['parent_id'] ?? null;
+            $items = $_POST['items'] ?? null;
+            $csrfToken = $_POST['__CSRFToken__'] ?? $_POST['csrf_token'] ?? null;
+
+            $result = $controller->splitTicket($parentId, $items, $csrfToken);
+            Http::response(200, json_encode($result), 'application/json');
+            break;
+
+        case 'keep_parent_open':
+            // POST /scp/ajax-subticket.php?action=keep_parent_open
+            $childId = $_POST['child_id'] ?? null;
+            $csrfToken = $_POST['__CSRFToken__'] ?? $_POST['csrf_token'] ?? null;
+
+            $result = $controller->keepParentOpen($childId, $csrfToken);
+            Http::response(200, json_encode($result), 'application/json');
+            break;
+
+        case 'cascade_exclude':
+            // POST /scp/ajax-subticket.php?action=cascade_exclude
+            $parentId = $_POST['parent_id'] ?? null;
+            $excludeIds = $_POST['exclude_ids'] ?? '';
+            $csrfToken = $_POST['__CSRFToken__'] ?? $_POST['csrf_token'] ?? null;
+
+            $result = $controller->excludeFromCascade($parentId, $excludeIds, $csrfToken);
+            Http::response(200, json_encode($result), 'application/json');
+            break;
+
+        case 'cascade_revert':
+            // POST /scp/ajax-subticket.php?action=cascade_revert
+            $parentId = $_POST['parent_id'] ?? null;
+            $csrfToken = $_POST['__CSRFToken__'] ?? $_POST['csrf_token'] ?? null;
+
+            $result = $controller->revertCascade($parentId, $csrfToken);
+            Http::response(200, json_encode($result), 'application/json');
+            break;
+
+        case 'add_dependency':
+            // POST /scp/ajax-subticket.php?action=add_dependency
+            $ticketId = $_POST['ticket_id'] ?? null;
+            $blockedById = $_POST['blocked_by_id'] ?? null;
+            $csrfToken = $_POST['__CSRFToken__'] ?? $_POST['csrf_token'] ?? null;
+
+            $result = $controller->addDependency($ticketId, $blockedById, $csrfToken);
+            Http::response(200, json_encode($result), 'application/json');
+            break;
+
+        case 'remove_dependency':
+            // POST /scp/ajax-subticket.php?action=remove_dependency
+            $ticketId = $_POST['ticket_id'] ?? null;
+            $blockedById = $_POST['blocked_by_id'] ?? null;
+            $csrfToken = $_POST['__CSRFToken__'] ?? $_POST['csrf_token'] ?? null;
+
+            $result = $controller->removeDependency($ticketId, $blockedById, $csrfToken);
+            Http::response(200, json_encode($result), 'application/json');
+            break;
+
+        case 'overview':
+            // GET /scp/ajax-subticket.php?action=overview&page=1&sort=created&dir=desc&...
+            $result = $controller->getHierarchyOverview($_GET);
+            Http::response(200, json_encode($result), 'application/json');
+            break;
+
+        case 'overview_options':
+            // GET /scp/ajax-subticket.php?action=overview_options
+            $result = $controller->getOverviewOptions();
+            Http::response(200, json_encode($result), 'application/json');
+            break;
+
+        case 'subtree':
+            // GET /scp/ajax-subticket.php?action=subtree&tid=123
+            $tid = $_GET['tid'] ?? null;
+            if (!$tid) {
+                Http::response(400, json_encode(array('error' => 'Missing ticket ID')));
+            }
+            $result = $controller->getSubtree($tid);
+            Http::response(200, json_encode($result), 'application/json');
+            break;
+
+        case 'overview_bulk':
+            // POST /scp/ajax-subticket.php?action=overview_bulk
+            $bulkAction = $_POST['bulk_action'] ?? '';
+            $parentIds = $_POST['parent_ids'] ?? '';
+            $csrfToken = $_POST['__CSRFToken__'] ?? $_POST['csrf_token'] ?? null;
+
+            $result = $controller->bulkHierarchyAction($bulkAction, $parentIds, $csrfToken);
+            Http::response(200, json_encode($result), 'application/json');
+            break;
+
+        case 'export':
+            // GET /scp/ajax-subticket.php?action=export&format=csv[&tid=123]
+            $result = $controller->exportHierarchy($_GET['tid'] ?? null, $_GET['format'] ?? 'csv');
+            if (!$result['success']) {
+                Http::response(200, json_encode($result), 'application/json');
+            }
+            Http::download($result['data']['filename'], $result['data']['content_type'], $result['data']['content']);
+            break;
+
         case 'batch_parent_status':
             // GET /scp/ajax-subticket.php?action=batch_parent_status&ticket_ids=1,2,3
+            // Answers 304 if the If-None-Match ETag still matches
             $ticketIds = $_GET['ticket_ids'] ?? '';
-            $result = $controller->getBatchParentStatus($ticketIds);
+            $result = $controller->getBatchParentStatus($ticketIds, $_SERVER['HTTP_IF_NONE_MATCH'] ?? '');
+            if ($result['success']) {
+                header('ETag: ' . $result['etag']);
+                header('Cache-Control: private, no-cache');
+                if ($result['not_modified']) {
+                    Http::response(304, '');
+                }
+            }
             Http::response(200, json_encode($result), 'application/json');
             break;
 
@@ -13,6 +13,21 @@ if (!$thisstaff || !$thisstaff->isStaff()) {
     exit;
 }
 
+// UI strings in the agent's language (i18n/<language>.php)
+$_pluginMatches = glob(INCLUDE_DIR . 'plugins/*/class.SubticketPlugin.php');
+if ($_pluginMatches === false || count($_pluginMatches) !== 1) {
+    Http::response(500, 'SubticketPlugin not found');
+    exit;
+}
+if (!class_exists('SubticketPlugin')) {
+    require_once($_pluginMatches[0]);
+}
+unset($_pluginMatches);
+$plugin = new SubticketPlugin();
+$t = function (string $key, array $params = []) use ($plugin): string {
+    return Format::htmlchars($plugin->translate($key, $params));
+};
+
 // Page title
 $nav->setTabActive('apps');
 $ost->addExtraHeader('<style>
@@ -64,9 +79,9 @@ include(STAFFINC_DIR . 'header.inc.php');
 ?>
 
 <div id="apps-page">
-    <h1>Anwendungen</h1>
+    <h1><?php echo $t('apps.title'); ?></h1>
     <p style="color: #666; margin-bottom: 30px;">
-        Übersicht aller verfügbaren Anwendungen für die Ticket-Verwaltung.
+        <?php echo $t('apps.intro'); ?>
     </p>
 
     <div class="app-grid">
@@ -74,17 +89,16 @@ include(STAFFINC_DIR . 'header.inc.php');
             <div class="app-icon">
                 <i class="icon-sitemap"></i>
             </div>
-            <h3>Ticket Hierarchies</h3>
+            <h3><?php echo $t('overview.title'); ?></h3>
             <p>
-                Verwalten Sie Parent-Child Beziehungen zwischen Tickets.
-                Erstellen Sie Subtickets und behalten Sie die Übersicht über komplexe Ticket-Strukturen.
+                <?php echo $t('apps.hierarchies_description'); ?>
             </p>
             <a href="subtickets.php" class="btn">
-                Übersicht öffnen <i class="icon-chevron-right"></i>
+                <?php echo $t('apps.open_overview'); ?> <i class="icon-chevron-right"></i>
             </a>
         </div>
 
-        <!-- Weitere Anwendungen können hier ergänzt werden -->
+        <!-- Further applications can be added here -->
     </div>
 </div>
 
@@ -4,6 +4,9 @@
  *
  * Shows all parent-child ticket relationships in the system.
  * Available to all staff members for better ticket management.
+ *
+ * The page is a shell only - js/hierarchy-overview.js loads the rows from
+ * ajax-subticket.php?action=overview (paginated, filtered, sorted).
  */
 
 require('staff.inc.php');
@@ -14,6 +17,25 @@ if (!$thisstaff || !$thisstaff->isStaff()) {
     exit;
 }
 
+// Resolve plugin directory dynamically (same lookup as ajax-subticket.php)
+$_pluginMatches = glob(INCLUDE_DIR . 'plugins/*/class.SubticketPlugin.php');
+if ($_pluginMatches === false || count($_pluginMatches) !== 1) {
+    Http::response(500, 'SubticketPlugin not found');
+    exit;
+}
+$pluginDir = dirname($_pluginMatches[0]);
+$pluginUrl = ROOT_PATH . 'include/plugins/' . basename($pluginDir);
+unset($_pluginMatches);
+
+// UI strings in the agent's language (i18n/<language>.php)
+if (!class_exists('SubticketPlugin')) {
+    require_once($pluginDir . '/class.SubticketPlugin.php');
+}
+$plugin = new SubticketPlugin();
+$t = function (string $key, array $params = []) use ($plugin): string {
+    return Format::htmlchars($plugin->translate($key, $params));
+};
+
 // Page title
 $nav->setTabActive('tickets');
 $ost->addExtraHeader('<style>
@@ -25,6 +47,19 @@ $ost->addExtraHeader('<style>
     margin: 10px 0 20px 0;
     border-radius: 4px;
 }
+.hierarchy-filters {
+    margin-bottom: 10px;
+}
+.hierarchy-filters label {
+    display: inline-block;
+    margin: 0 12px 6px 0;
+}
+.hierarchy-filters input[type="number"] {
+    width: 60px;
+}
+.hierarchy-bulk-bar {
+    margin: 10px 0;
+}
 table.list {
     width: 100%;
     background: #fff;
@@ -39,6 +74,16 @@ table.list th {
     text-align: left;
     border-bottom: 1px solid #ddd;
 }
+table.list th[data-sort] {
+    cursor: pointer;
+    white-space: nowrap;
+}
+table.list th.sorted-asc:after {
+    content: " \25B2";
+}
+table.list th.sorted-desc:after {
+    content: " \25BC";
+}
 table.list td {
     padding: 8px;
     border-bottom: 1px solid #eee;
@@ -47,121 +92,118 @@ table.list td {
 table.list tbody tr:hover {
     background-color: #f9f9f9;
 }
+.hierarchy-toggle {
+    cursor: pointer;
+    display: inline-block;
+    width: 14px;
+}
+.hierarchy-tree {
+    margin: 0;
+    padding-left: 20px;
+}
+.hierarchy-progress {
+    display: inline-block;
+    width: 60px;
+    height: 8px;
+    margin-right: 6px;
+    background: #eee;
+    border-radius: 4px;
+    overflow: hidden;
+    vertical-align: middle;
+}
+.hierarchy-progress span {
+    display: block;
+    height: 100%;
+    background: #5cb85c;
+}
+.hierarchy-result {
+    display: block;
+}
+.hierarchy-pager {
+    margin: 10px 0;
+}
+.hierarchy-pager button {
+    margin-right: 6px;
+}
 </style>');
+$ost->addExtraHeader($plugin->getI18nJavaScript());
+$ost->addExtraHeader('<script type="text/javascript" src="'
+    . Format::htmlchars($pluginUrl . '/js/hierarchy-overview.js') . '"></script>');
 
 // Render with admin header
 include(STAFFINC_DIR . 'header.inc.php');
 ?>
 
 <div id="subticket-admin-page">
-    <h1>Ticket Hierarchies</h1>
+    <h1><?php echo $t('overview.title'); ?></h1>
 
     <p style="margin-bottom: 20px; color: #666;">
-        Übersicht aller Parent-Child Ticket-Beziehungen im System.
+        <?php echo $t('overview.intro'); ?>
     </p>
 
-    <?php
-    // Fetch all tickets with parent relationships
-    // Simple query - we'll use osTicket Ticket class to get subject
-    $sql = "SELECT t.ticket_id, t.number, t.ticket_pid,
-                   s.name as status,
-                   t.created
-            FROM ost_ticket t
-            LEFT JOIN ost_ticket_status s ON t.status_id = s.id
-            WHERE t.ticket_pid IS NOT NULL AND t.ticket_pid > 0
-            ORDER BY t.ticket_pid, t.created ASC
-            LIMIT 100";
-
-    $result = db_query($sql);
-    $subtickets = array();
-
-    while ($row = db_fetch_array($result)) {
-        $parentId = $row['ticket_pid'];
-        if (!isset($subtickets[$parentId])) {
-            $subtickets[$parentId] = array();
-        }
-
-        // Use osTicket Ticket class to get subject
-        $ticket = Ticket::lookup($row['ticket_id']);
-        $row['subject'] = $ticket ? $ticket->getSubject() : 'Unknown';
+    <form class="hierarchy-filters" onsubmit="return false;">
+        <label><?php echo $t('overview.column_status'); ?>
+            <select name="status_id"><option value=""><?php echo $t('overview.all'); ?></option></select>
+        </label>
+        <label><?php echo $t('overview.column_department'); ?>
+            <select name="dept_id"><option value=""><?php echo $t('overview.all'); ?></option></select>
+        </label>
+        <label><?php echo $t('overview.column_assignee'); ?>
+            <select name="staff_id">
+                <option value=""><?php echo $t('overview.all'); ?></option>
+                <option value="0"><?php echo $t('queue.unassigned'); ?></option>
+            </select>
+        </label>
+        <label><?php echo $t('overview.completion'); ?>
+            <input type="number" name="min_completion" min="0" max="100" placeholder="<?php echo $t('overview.min'); ?>">
+            &ndash;
+            <input type="number" name="max_completion" min="0" max="100" placeholder="<?php echo $t('overview.max'); ?>">
+        </label>
+        <label><?php echo $t('overview.age'); ?>
+            <input type="number" name="min_age" min="0" placeholder="<?php echo $t('overview.min'); ?>">
+            &ndash;
+            <input type="number" name="max_age" min="0" placeholder="<?php echo $t('overview.max'); ?>">
+        </label>
+        <label>
+            <input type="checkbox" name="roots_only" value="1" checked>
+            <?php echo $t('overview.roots_only'); ?>
+        </label>
+    </form>
 
-        $subtickets[$parentId][] = $row;
-    }
+    <div class="hierarchy-bulk-bar">
+        <button type="button" class="button" data-bulk="unlink_all"><?php echo $t('overview.bulk_unlink_all'); ?></button>
+        <button type="button" class="button" data-bulk="close_completed"><?php echo $t('overview.bulk_close_completed'); ?></button>
+        <span style="float: right;">
+            <?php echo $t('overview.export_all'); ?>
+            <a href="ajax-subticket.php?action=export&amp;format=csv" class="button" download>CSV</a>
+            <a href="ajax-subticket.php?action=export&amp;format=json" class="button" download>JSON</a>
+        </span>
+    </div>
 
-    // Get parent ticket info
-    $parentIds = array_keys($subtickets);
-    $parents = array();
-
-    if (!empty($parentIds)) {
-        foreach ($parentIds as $parentId) {
-            $ticket = Ticket::lookup($parentId);
-            if ($ticket) {
-                $parents[$parentId] = array(
-                    'ticket_id' => $parentId,
-                    'number' => $ticket->getNumber(),
-                    'subject' => $ticket->getSubject(),
-                    'status' => $ticket->getStatus()->getName()
-                );
-            } else {
-                $parents[$parentId] = array(
-                    'number' => 'Unknown',
-                    'subject' => 'Unknown',
-                    'status' => 'Unknown'
-                );
-            }
-        }
-    }
-    ?>
-
-    <table class="list" border="0" cellspacing="1" cellpadding="2">
+    <table class="list hierarchy-overview" border="0" cellspacing="1" cellpadding="2">
         <thead>
             <tr>
-                <th width="10%">Parent-Ticket</th>
-                <th width="20%">Betreff</th>
-                <th width="10%">Status</th>
-                <th width="8%">Anzahl</th>
-                <th width="52%">Child-Tickets</th>
+                <th width="3%"><input type="checkbox" class="hierarchy-select-all" title="<?php echo $t('overview.select_all'); ?>"></th>
+                <th width="10%" data-sort="number"><?php echo $t('overview.column_parent'); ?></th>
+                <th width="25%" data-sort="subject"><?php echo $t('overview.column_subject'); ?></th>
+                <th width="10%" data-sort="status"><?php echo $t('overview.column_status'); ?></th>
+                <th width="12%" data-sort="department"><?php echo $t('overview.column_department'); ?></th>
+                <th width="12%" data-sort="assignee"><?php echo $t('overview.column_assignee'); ?></th>
+                <th width="6%" data-sort="children"><?php echo $t('overview.column_subtickets'); ?></th>
+                <th width="10%" data-sort="completion"><?php echo $t('overview.column_completion'); ?></th>
+                <th width="12%" data-sort="created"><?php echo $t('overview.column_created'); ?></th>
             </tr>
         </thead>
         <tbody>
-            <?php if (empty($subtickets)): ?>
             <tr>
-                <td colspan="5" style="text-align: center; padding: 40px;">
-                    <em>Keine Ticket-Hierarchien gefunden.</em>
+                <td colspan="9" style="text-align: center; padding: 40px;">
+                    <em><?php echo $t('common.loading'); ?></em>
                 </td>
             </tr>
-            <?php else: ?>
-            <?php foreach ($subtickets as $parentId => $children):
-                $parent = $parents[$parentId] ?? array('number' => 'Unknown', 'subject' => 'Unknown', 'status' => 'Unknown');
-            ?>
-            <tr>
-                <td>
-                    <a href="tickets.php?id=<?php echo $parentId; ?>" target="_blank">
-                        #<?php echo Format::htmlchars($parent['number']); ?>
-                    </a>
-                </td>
-                <td><?php echo Format::htmlchars($parent['subject']); ?></td>
-                <td><?php echo Format::htmlchars($parent['status']); ?></td>
-                <td style="text-align: center;"><strong><?php echo count($children); ?></strong></td>
-                <td>
-                    <ul style="margin: 0; padding-left: 20px;">
-                        <?php foreach ($children as $child): ?>
-                        <li>
-                            <a href="tickets.php?id=<?php echo $child['ticket_id']; ?>" target="_blank">
-                                #<?php echo Format::htmlchars($child['number']); ?>
-                            </a>
-                            - <?php echo Format::htmlchars($child['subject']); ?>
-                            (<?php echo Format::htmlchars($child['status']); ?>)
-                            <em style="color: #666; font-size: 0.9em;"><?php echo Format::datetime($child['created']); ?></em>
-                        </li>
-                        <?php endforeach; ?>
-                    </ul>
-                </td>
-            </tr>
-            <?php endforeach; ?>
-            <?php endif; ?>
         </tbody>
     </table>
+
+    <div class="hierarchy-pager"></div>
 </div>
 
 <?php
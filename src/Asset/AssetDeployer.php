@@ -10,6 +10,8 @@ namespace SubticketManager\Asset;
  * Handles deployment of:
  * - Admin pages to /scp/ directory
  * - AJAX handlers to /scp/ directory
+ * - Client portal AJAX handler to the osTicket root directory (only
+ *   with client_portal_panel enabled)
  * - Version tracking for auto-deployment
  *
  * @package SubticketManager
@@ -18,12 +20,14 @@ final class AssetDeployer
 {
     private string $pluginDir;
     private string $scpDir;
+    private string $rootDir;
     private string $versionFile;
 
     public function __construct(string $pluginDir, string $scpDir)
     {
         $this->pluginDir = rtrim($pluginDir, '/');
         $this->scpDir = rtrim($scpDir, '/');
+        $this->rootDir = dirname($this->scpDir);
         $this->versionFile = $this->scpDir . '/.subticket-deployed-version';
     }
 
@@ -31,9 +35,10 @@ final class AssetDeployer
      * Deploy all plugin files
      *
      * @param array<string> $errors Error messages (by reference)
+     * @param bool $withClientFiles Also deploy the client portal endpoint (client_portal_panel)
      * @return bool True if all deployments successful
      */
-    public function deployAll(array &$errors): bool
+    public function deployAll(array &$errors, bool $withClientFiles = false): bool
     {
         $results = [
             $this->deployFile('scp-files/subtickets.php', 'subtickets.php', $errors),
@@ -41,21 +46,56 @@ final class AssetDeployer
             $this->deployFile('scp-files/apps.php', 'apps.php', $errors),
         ];
 
+        if ($withClientFiles) {
+            $results[] = $this->deployClientFiles($errors);
+        }
+
         return !in_array(false, $results, true);
     }
 
     /**
-     * Deploy a single file from plugin to scp/ directory
+     * Check if the client portal endpoint is deployed
+     */
+    public function isClientFileDeployed(): bool
+    {
+        return file_exists($this->rootDir . '/ajax-subticket-client.php');
+    }
+
+    /**
+     * Deploy the client portal endpoint to the osTicket root (parent of scp/)
+     *
+     * The root is only written to if it contains osTicket's client.inc.php,
+     * which the endpoint requires.
+     *
+     * @param array<string> $errors Error messages (by reference)
+     * @return bool True on success
+     */
+    public function deployClientFiles(array &$errors): bool
+    {
+        if (!file_exists($this->rootDir . '/client.inc.php')) {
+            $error = "osTicket root directory not found: {$this->rootDir}";
+            $this->log('ERROR: Root not found', $error);
+            $errors[] = $error;
+            return false;
+        }
+
+        return $this->deployFile('client-files/ajax-subticket-client.php', 'ajax-subticket-client.php', $errors, $this->rootDir);
+    }
+
+    /**
+     * Deploy a single file from plugin to scp/ (or another osTicket directory)
      *
      * @param string $sourceRelative Source path relative to plugin dir
-     * @param string $targetFilename Target filename in scp/
+     * @param string $targetFilename Target filename in the target directory
      * @param array<string> $errors Error messages (by reference)
+     * @param string|null $targetDir Target directory (null = scp/)
      * @return bool True on success
      */
-    public function deployFile(string $sourceRelative, string $targetFilename, array &$errors): bool
+    public function deployFile(string $sourceRelative, string $targetFilename, array &$errors, ?string $targetDir = null): bool
     {
+        $targetDir = $targetDir ?? $this->scpDir;
         $source = $this->pluginDir . '/' . $sourceRelative;
-        $target = $this->scpDir . '/' . $targetFilename;
+        $target = $targetDir . '/' . $targetFilename;
 
         $this->log('Deploying file', "Source: $source | Target: $target");
 
@@ -68,15 +108,15 @@ final class AssetDeployer
         }
 
         // Validate target directory
-        if (!is_dir($this->scpDir)) {
-            $error = "Target directory not found: {$this->scpDir}";
+        if (!is_dir($targetDir)) {
+            $error = "Target directory not found: $targetDir";
             $this->log('ERROR: Directory not found', $error);
             $errors[] = $error;
             return false;
         }
 
-        if (!is_writable($this->scpDir)) {
-            $error = "Target directory not writable: {$this->scpDir}";
+        if (!is_writable($targetDir)) {
+            $error = "Target directory not writable: $targetDir";
             $this->log('ERROR: Directory not writable', $error);
             $errors[] = $error;
             return false;
@@ -84,7 +124,7 @@ final class AssetDeployer
 
         // Copy file (overwrite if exists)
         if (!@copy($source, $target)) {
-            $error = "Failed to deploy file to scp/$targetFilename";
+            $error = "Failed to deploy file to $target";
             $this->log('ERROR: Copy failed', $error);
             $errors[] = $error;
             return false;
@@ -145,6 +185,7 @@ final class AssetDeployer
             $this->scpDir . '/subtickets.php',
             $this->scpDir . '/ajax-subticket.php',
             $this->scpDir . '/apps.php',
+            $this->rootDir . '/ajax-subticket-client.php',
             $this->versionFile,
         ];
 
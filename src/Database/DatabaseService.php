@@ -8,9 +8,10 @@ namespace SubticketManager\Database;
  * DatabaseService - Handles database initialization and schema management
  *
  * Manages:
- * - Table creation (ost_ticket_hierarchy_metadata, ost_ticket_progress)
+ * - Table creation (ost_ticket_hierarchy_metadata, ost_ticket_progress, ost_ticket_cascade_log,
+ *   ost_ticket_audit_log, ost_ticket_dependency)
  * - Index creation
- * - Column migrations
+ * - Column migrations (ost_ticket.version, ost_ticket.subticket_sort)
  * - Foreign key constraints
  *
  * @package SubticketManager
@@ -33,7 +34,6 @@ final class DatabaseService
                 `ticket_id` int(11) unsigned PRIMARY KEY,
                 `auto_close_enabled` tinyint(1) DEFAULT 1,
                 `inherit_settings` text,
-                `dependency_type` enum('blocks','depends_on','relates_to') DEFAULT 'relates_to',
                 `max_children` int(11) DEFAULT 50,
                 `created` timestamp DEFAULT CURRENT_TIMESTAMP,
                 `updated` timestamp DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
@@ -82,6 +82,18 @@ final class DatabaseService
         // Add foreign key constraints
         $this->addForeignKeyConstraints();
 
+        // Cascade log (added after the initial schema)
+        $this->createCascadeLogTable();
+
+        // Manual order of children (added after the initial schema)
+        $this->addSortColumn();
+
+        // Relationship history (added after the initial schema)
+        $this->createAuditLogTable();
+
+        // "Blocked by" links between tickets (added after the initial schema)
+        $this->createDependencyTable();
+
         $this->log('Database initialization completed');
     }
 
@@ -92,13 +104,101 @@ final class DatabaseService
      */
     public function removeAll(): void
     {
+        db_query("DROP TABLE IF EXISTS `ost_ticket_dependency`");
+        db_query("DROP TABLE IF EXISTS `ost_ticket_audit_log`");
+        db_query("DROP TABLE IF EXISTS `ost_ticket_cascade_log`");
         db_query("DROP TABLE IF EXISTS `ost_ticket_progress`");
         db_query("DROP TABLE IF EXISTS `ost_ticket_hierarchy_metadata`");
         db_query("ALTER TABLE `ost_ticket` DROP COLUMN IF EXISTS `version`");
+        db_query("ALTER TABLE `ost_ticket` DROP COLUMN IF EXISTS `subticket_sort`");
         db_query("DROP INDEX IF EXISTS `idx_ticket_pid` ON `ost_ticket`");
         db_query("DROP INDEX IF EXISTS `idx_ticket_hierarchy` ON `ost_ticket`");
     }
 
+    /**
+     * Create the log of cascaded hold/assignment changes (used for reverting)
+     */
+    private function createCascadeLogTable(): void
+    {
+        if ($this->tableExists('ost_ticket_cascade_log')) {
+            return;
+        }
+
+        $this->log('Creating table', 'ost_ticket_cascade_log');
+        $this->executeQuery("CREATE TABLE IF NOT EXISTS `ost_ticket_cascade_log` (
+            `id` int(11) unsigned NOT NULL AUTO_INCREMENT PRIMARY KEY,
+            `batch_id` varchar(16) NOT NULL,
+            `parent_id` int(11) unsigned NOT NULL,
+            `ticket_id` int(11) unsigned NOT NULL,
+            `field` varchar(16) NOT NULL,
+            `old_value` int(11) unsigned DEFAULT 0,
+            `new_value` int(11) unsigned DEFAULT 0,
+            `created` timestamp DEFAULT CURRENT_TIMESTAMP,
+            `reverted` timestamp NULL DEFAULT NULL,
+            KEY `idx_cascade_parent` (`parent_id`, `reverted`),
+            KEY `idx_cascade_batch` (`batch_id`)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4", 1, 1);
+    }
+
+    /**
+     * Add the position of a child among its siblings (0 = not sorted yet)
+     */
+    private function addSortColumn(): void
+    {
+        if ($this->columnExists('ost_ticket', 'subticket_sort')) {
+            return;
+        }
+
+        $this->log('Adding column', 'subticket_sort to ost_ticket');
+        $this->executeQuery("ALTER TABLE `ost_ticket` ADD COLUMN `subticket_sort` int(11) unsigned NOT NULL DEFAULT 0", 1, 1);
+    }
+
+    /**
+     * Create the audit log of hierarchy changes (link, unlink, reparent, cascade)
+     */
+    private function createAuditLogTable(): void
+    {
+        if ($this->tableExists('ost_ticket_audit_log')) {
+            return;
+        }
+
+        $this->log('Creating table', 'ost_ticket_audit_log');
+        $this->executeQuery("CREATE TABLE IF NOT EXISTS `ost_ticket_audit_log` (
+            `id` int(11) unsigned NOT NULL AUTO_INCREMENT PRIMARY KEY,
+            `event` varchar(16) NOT NULL,
+            `ticket_id` int(11) unsigned NOT NULL,
+            `old_parent_id` int(11) unsigned DEFAULT NULL,
+            `new_parent_id` int(11) unsigned DEFAULT NULL,
+            `staff_id` int(11) unsigned NOT NULL DEFAULT 0,
+            `details` varchar(255) NOT NULL DEFAULT '',
+            `created` timestamp DEFAULT CURRENT_TIMESTAMP,
+            KEY `idx_audit_ticket` (`ticket_id`),
+            KEY `idx_audit_old_parent` (`old_parent_id`),
+            KEY `idx_audit_new_parent` (`new_parent_id`),
+            KEY `idx_audit_created` (`created`)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4", 1, 1);
+    }
+
+    /**
+     * Create the "blocked by" links between tickets (ticket_id waits for blocked_by_id)
+     */
+    private function createDependencyTable(): void
+    {
+        if ($this->tableExists('ost_ticket_dependency')) {
+            return;
+        }
+
+        $this->log('Creating table', 'ost_ticket_dependency');
+        $this->executeQuery("CREATE TABLE IF NOT EXISTS `ost_ticket_dependency` (
+            `ticket_id` int(11) unsigned NOT NULL,
+            `blocked_by_id` int(11) unsigned NOT NULL,
+            `staff_id` int(11) unsigned NOT NULL DEFAULT 0,
+            `created` timestamp DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (`ticket_id`, `blocked_by_id`),
+            KEY `idx_dependency_blocker` (`blocked_by_id`)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4", 1, 1);
+    }
+
     /**
      * Check if a table exists
      */
@@ -0,0 +1,181 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SubticketManager\Hierarchy;
+
+/**
+ * AuditService - Persistent history of hierarchy changes
+ *
+ * Handles:
+ * - Recording link, unlink, reparent and cascade events in ost_ticket_audit_log
+ *   (staff member, timestamp, old and new parent)
+ * - Posting an internal note on the affected child and parent threads
+ * - Loading the history of a ticket for the panel's "History" tab
+ *
+ * @package SubticketManager
+ */
+final class AuditService
+{
+    /**
+     * Recorded event types
+     */
+    public const EVENTS = ['link', 'unlink', 'reparent', 'cascade'];
+
+    /**
+     * Record a hierarchy change and post thread notes
+     *
+     * @param string $event Event type (see EVENTS)
+     * @param int $ticketId Affected ticket (the child; the parent for cascades)
+     * @param int|null $oldParentId Parent before the change
+     * @param int|null $newParentId Parent after the change
+     * @param string $details Additional description (cascades)
+     */
+    public function record(string $event, int $ticketId, ?int $oldParentId, ?int $newParentId, string $details = ''): void
+    {
+        if (!in_array($event, self::EVENTS, true) || $ticketId < 1) {
+            return;
+        }
+
+        $staff = $this->getCurrentStaff();
+        $staffId = $staff ? (int)$staff->getId() : 0;
+        $event_escaped = db_input($event, false);
+        $details_escaped = db_input(mb_substr($details, 0, 255), false);
+
+        db_query("INSERT INTO ost_ticket_audit_log (event, ticket_id, old_parent_id, new_parent_id, staff_id, details)
+                VALUES ('$event_escaped', $ticketId, " . ($oldParentId ?: 'NULL') . ', ' . ($newParentId ?: 'NULL')
+                . ", $staffId, '$details_escaped')");
+
+        $this->log('Hierarchy change recorded', "$event: ticket $ticketId, parent " . ($oldParentId ?: '-') . ' -> ' . ($newParentId ?: '-'));
+
+        $this->postNotes($event, $ticketId, $oldParentId, $newParentId, $details, $staff);
+    }
+
+    /**
+     * Get the hierarchy changes involving a ticket (as child or as parent)
+     *
+     * @param int $ticketId Ticket ID
+     * @param int $limit Maximum number of events (newest first)
+     * @return array<int, array{id: int, event: string, ticket_id: int, number: string|null, old_parent_id: int|null, old_parent_number: string|null, new_parent_id: int|null, new_parent_number: string|null, staff: string|null, details: string, created: string}>
+     */
+    public function getHistory(int $ticketId, int $limit = 50): array
+    {
+        $ticketId_escaped = db_input($ticketId);
+        $limit = max(1, $limit);
+
+        $result = db_query("SELECT a.id, a.event, a.ticket_id, a.old_parent_id, a.new_parent_id, a.details, a.created,
+                    t.number, op.number AS old_parent_number, np.number AS new_parent_number,
+                    CONCAT(s.firstname, ' ', s.lastname) AS staff
+                FROM ost_ticket_audit_log a
+                LEFT JOIN ost_ticket t ON a.ticket_id = t.ticket_id
+                LEFT JOIN ost_ticket op ON a.old_parent_id = op.ticket_id
+                LEFT JOIN ost_ticket np ON a.new_parent_id = np.ticket_id
+                LEFT JOIN ost_staff s ON a.staff_id = s.staff_id
+                WHERE a.ticket_id = $ticketId_escaped
+                    OR a.old_parent_id = $ticketId_escaped
+                    OR a.new_parent_id = $ticketId_escaped
+                ORDER BY a.id DESC
+                LIMIT $limit");
+
+        $events = [];
+        while ($result && ($row = db_fetch_array($result))) {
+            $events[] = [
+                'id' => (int)$row['id'],
+                'event' => $row['event'],
+                'ticket_id' => (int)$row['ticket_id'],
+                'number' => $row['number'] ?? null,
+                'old_parent_id' => $row['old_parent_id'] ? (int)$row['old_parent_id'] : null,
+                'old_parent_number' => $row['old_parent_number'] ?? null,
+                'new_parent_id' => $row['new_parent_id'] ? (int)$row['new_parent_id'] : null,
+                'new_parent_number' => $row['new_parent_number'] ?? null,
+                'staff' => isset($row['staff']) ? trim($row['staff']) : null,
+                'details' => (string)($row['details'] ?? ''),
+                'created' => $row['created'],
+            ];
+        }
+
+        return $events;
+    }
+
+    /**
+     * Post an internal note about the change on every affected thread
+     *
+     * @param string $event Event type
+     * @param int $ticketId Affected ticket
+     * @param int|null $oldParentId Parent before the change
+     * @param int|null $newParentId Parent after the change
+     * @param string $details Additional description
+     * @param object|null $staff Staff member making the change (null = system)
+     */
+    private function postNotes(string $event, int $ticketId, ?int $oldParentId, ?int $newParentId, string $details, $staff): void
+    {
+        $child = '#' . $this->getNumber($ticketId);
+        $oldParent = $oldParentId ? '#' . $this->getNumber($oldParentId) : '';
+        $newParent = $newParentId ? '#' . $this->getNumber($newParentId) : '';
+
+        switch ($event) {
+            case 'link':
+                $notes = [
+                    $ticketId => "Linked to parent ticket $newParent",
+                    $newParentId => "Subticket $child linked",
+                ];
+                break;
+            case 'unlink':
+                $notes = [
+                    $ticketId => "Unlinked from parent ticket $oldParent",
+                    $oldParentId => "Subticket $child unlinked",
+                ];
+                break;
+            case 'reparent':
+                $notes = [
+                    $ticketId => "Moved from parent ticket $oldParent to $newParent",
+                    $oldParentId => "Subticket $child moved to $newParent",
+                    $newParentId => "Subticket $child moved here from $oldParent",
+                ];
+                break;
+            default:
+                $notes = [$ticketId => $details];
+        }
+
+        $poster = ($staff instanceof \Staff) ? $staff : 'SYSTEM';
+
+        foreach ($notes as $id => $note) {
+            $ticket = $id ? \Ticket::lookup($id) : null;
+            if ($ticket) {
+                $ticket->logNote('Subticket hierarchy changed', htmlspecialchars($note), $poster, false);
+            }
+        }
+    }
+
+    /**
+     * Get the number of a ticket for notes (falls back to the ID)
+     */
+    private function getNumber(int $ticketId): string
+    {
+        $ticket = \Ticket::lookup($ticketId);
+
+        return $ticket ? (string)$ticket->getNumber() : (string)$ticketId;
+    }
+
+    /**
+     * Get the staff member of the current request
+     *
+     * @return object|null Staff with getId(), null outside a staff session
+     */
+    private function getCurrentStaff()
+    {
+        $staff = $GLOBALS['thisstaff'] ?? null;
+
+        return is_object($staff) && method_exists($staff, 'getId') ? $staff : null;
+    }
+
+    /**
+     * Log helper
+     */
+    private function log(string $title, string $message = ''): void
+    {
+        if (function_exists('subticket_log')) {
+            subticket_log($title, $message);
+        }
+    }
+}
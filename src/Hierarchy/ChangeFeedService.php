@@ -0,0 +1,158 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SubticketManager\Hierarchy;
+
+/**
+ * ChangeFeedService - Hierarchy changes since a cursor (live panel/queue updates)
+ *
+ * Handles:
+ * - Links, unlinks, moves and cascades from the audit log
+ *   (changes made by the requesting agent are left out)
+ * - Updated subtickets (status, assignment, ...) via ost_ticket.updated,
+ *   unless the thread events since the cursor are all the requesting agent's
+ * - Cursors as database timestamps, so web server clocks do not matter
+ *
+ * @package SubticketManager
+ */
+final class ChangeFeedService
+{
+    /**
+     * Maximum number of rows read per source; more means "reload everything"
+     */
+    private const MAX_CHANGES = 200;
+
+    /**
+     * Get the hierarchy changes since a cursor
+     *
+     * A cursor of 0 only returns the current cursor (first poll). Changes
+     * at the cursor's second are reported again on the next poll, so
+     * nothing is missed between two polls.
+     *
+     * @param int $since Cursor from the previous call (0 = start watching)
+     * @param array<int, int>|null $deptIds Accessible departments (null = all)
+     * @return array{cursor: int, changes: array<int, array{event: string, ticket_id: int, parent_id: int|null}>, truncated: bool}
+     */
+    public function getChanges(int $since, ?array $deptIds = null): array
+    {
+        $feed = ['cursor' => $this->getCursor(), 'changes' => [], 'truncated' => false];
+
+        if ($since < 1 || ($deptIds !== null && empty($deptIds))) {
+            return $feed;
+        }
+
+        $since_escaped = db_input($since);
+        $deptFilter = $deptIds !== null
+            ? ' AND t.dept_id IN (' . implode(',', array_map('intval', $deptIds)) . ')'
+            : '';
+
+        $staff = $GLOBALS['thisstaff'] ?? null;
+        $staffId = is_object($staff) && method_exists($staff, 'getId') ? (int)$staff->getId() : 0;
+        $staffFilter = $staffId ? " AND a.staff_id != $staffId" : '';
+
+        // Hierarchy changes (link, unlink, reparent, cascade)
+        $result = db_query("SELECT a.event, a.ticket_id, a.old_parent_id, a.new_parent_id
+                FROM ost_ticket_audit_log a
+                INNER JOIN ost_ticket t ON a.ticket_id = t.ticket_id
+                WHERE a.created >= FROM_UNIXTIME($since_escaped)$staffFilter$deptFilter
+                ORDER BY a.id ASC
+                LIMIT " . self::MAX_CHANGES);
+
+        $rows = 0;
+        while ($result && ($row = db_fetch_array($result))) {
+            $rows++;
+            $ticketId = (int)$row['ticket_id'];
+
+            switch ($row['event']) {
+                case 'link':
+                    $this->addChange($feed['changes'], 'link', $ticketId, (int)$row['new_parent_id']);
+                    break;
+                case 'unlink':
+                    $this->addChange($feed['changes'], 'unlink', $ticketId, (int)$row['old_parent_id']);
+                    break;
+                case 'reparent':
+                    $this->addChange($feed['changes'], 'reparent', $ticketId, (int)$row['old_parent_id']);
+                    $this->addChange($feed['changes'], 'reparent', $ticketId, (int)$row['new_parent_id']);
+                    break;
+                default:
+                    // Cascades are recorded on the parent; its descendants changed
+                    $this->addChange($feed['changes'], $row['event'], $ticketId, null);
+            }
+        }
+        $feed['truncated'] = $rows >= self::MAX_CHANGES;
+
+        // Updated subtickets (closed, put on hold, reassigned, ...); updates
+        // without thread events (e.g. a user reply) count as someone else's
+        $eventJoin = '';
+        $ownFilter = '';
+        if ($staffId) {
+            $eventJoin = "LEFT JOIN ost_thread th ON th.object_type = 'T' AND th.object_id = t.ticket_id
+                LEFT JOIN ost_thread_event e ON e.thread_id = th.id AND e.timestamp >= FROM_UNIXTIME($since_escaped)";
+            $ownFilter = "HAVING COUNT(e.id) = 0 OR SUM(e.staff_id != $staffId) > 0";
+        }
+
+        $result = db_query("SELECT t.ticket_id, t.ticket_pid
+                FROM ost_ticket t
+                $eventJoin
+                WHERE t.ticket_pid IS NOT NULL AND t.ticket_pid > 0
+                    AND t.updated >= FROM_UNIXTIME($since_escaped)$deptFilter
+                GROUP BY t.ticket_id, t.ticket_pid
+                $ownFilter
+                ORDER BY MAX(t.updated) ASC
+                LIMIT " . self::MAX_CHANGES);
+
+        $rows = 0;
+        while ($result && ($row = db_fetch_array($result))) {
+            $rows++;
+            $this->addChange($feed['changes'], 'update', (int)$row['ticket_id'], (int)$row['ticket_pid']);
+        }
+        $feed['truncated'] = $feed['truncated'] || $rows >= self::MAX_CHANGES;
+
+        $this->log('Change feed', "since $since: " . count($feed['changes']) . ' changes');
+
+        return $feed;
+    }
+
+    /**
+     * Add a change unless the same ticket/parent pair is already listed
+     *
+     * @param array $changes Changes collected so far
+     * @param string $event Event type
+     * @param int $ticketId Changed ticket
+     * @param int|null $parentId Parent whose children changed (0/null = none)
+     */
+    private function addChange(array &$changes, string $event, int $ticketId, ?int $parentId): void
+    {
+        $parentId = $parentId ?: null;
+
+        foreach ($changes as $change) {
+            if ($change['ticket_id'] === $ticketId && $change['parent_id'] === $parentId) {
+                return;
+            }
+        }
+
+        $changes[] = ['event' => $event, 'ticket_id' => $ticketId, 'parent_id' => $parentId];
+    }
+
+    /**
+     * Get the current database time as cursor
+     */
+    private function getCursor(): int
+    {
+        $result = db_query("SELECT UNIX_TIMESTAMP() AS now");
+        $row = $result ? db_fetch_array($result) : null;
+
+        return $row ? (int)$row['now'] : time();
+    }
+
+    /**
+     * Log helper
+     */
+    private function log(string $title, string $message = ''): void
+    {
+        if (function_exists('subticket_log')) {
+            subticket_log($title, $message);
+        }
+    }
+}
@@ -0,0 +1,321 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SubticketManager\Hierarchy;
+
+/**
+ * DependencyService - "Blocked by" links between tickets
+ *
+ * Handles:
+ * - Adding/removing links in ost_ticket_dependency (usually between siblings)
+ * - Circular dependency detection (same depth guard as parent links)
+ * - Blockers and blocked tickets of a ticket, with their status
+ * - Posting an internal note on tickets unblocked by closing their last open blocker
+ *
+ * @package SubticketManager
+ */
+final class DependencyService
+{
+    /**
+     * Maximum chain length followed by circular dependency checks
+     */
+    private const MAX_DEPENDENCY_DEPTH = 10;
+
+    private HierarchyService $hierarchyService;
+
+    public function __construct(HierarchyService $hierarchyService)
+    {
+        $this->hierarchyService = $hierarchyService;
+    }
+
+    /**
+     * Get the tickets a ticket is blocked by
+     *
+     * @param int $ticketId Ticket ID
+     * @return array<int, array{id: int, number: string, subject: string, status: string, status_state: string, status_group: string}>
+     */
+    public function getBlockers(int $ticketId): array
+    {
+        return $this->fetchLinked('d.blocked_by_id', 'd.ticket_id', $ticketId);
+    }
+
+    /**
+     * Get the tickets blocked by a ticket
+     *
+     * @param int $ticketId Ticket ID
+     * @return array<int, array{id: int, number: string, subject: string, status: string, status_state: string, status_group: string}>
+     */
+    public function getBlocking(int $ticketId): array
+    {
+        return $this->fetchLinked('d.ticket_id', 'd.blocked_by_id', $ticketId);
+    }
+
+    /**
+     * Get the reason a ticket cannot be marked as blocked by another one
+     *
+     * @param int $ticketId Ticket that would wait
+     * @param int $blockedById Ticket that would block it
+     * @return string|null 'self', 'exists', 'cycle' or null if the link is allowed
+     */
+    public function getRestriction(int $ticketId, int $blockedById): ?string
+    {
+        if ($ticketId === $blockedById) {
+            return 'self';
+        }
+
+        $ticketId_escaped = db_input($ticketId);
+        $blockedById_escaped = db_input($blockedById);
+        $result = db_query("SELECT 1 FROM ost_ticket_dependency
+                WHERE ticket_id = $ticketId_escaped AND blocked_by_id = $blockedById_escaped");
+        if ($result && db_num_rows($result) > 0) {
+            return 'exists';
+        }
+
+        if ($this->isBlockedBy($blockedById, $ticketId)) {
+            return 'cycle';
+        }
+
+        return null;
+    }
+
+    /**
+     * Mark a ticket as blocked by another one
+     *
+     * @param int $ticketId Ticket that waits
+     * @param int $blockedById Ticket that has to be closed first
+     * @return bool True on success
+     */
+    public function addDependency(int $ticketId, int $blockedById): bool
+    {
+        if ($ticketId < 1 || $blockedById < 1) {
+            return false;
+        }
+
+        $reason = $this->getRestriction($ticketId, $blockedById);
+        if ($reason !== null) {
+            $this->log('Dependency rejected', "$ticketId blocked by $blockedById: $reason");
+            return false;
+        }
+
+        $staff = $this->getCurrentStaff();
+        $staffId = $staff ? (int)$staff->getId() : 0;
+
+        $result = db_query("INSERT INTO ost_ticket_dependency (ticket_id, blocked_by_id, staff_id)
+                VALUES (" . db_input($ticketId) . ', ' . db_input($blockedById) . ", $staffId)");
+
+        $this->log('Dependency added', "$ticketId blocked by $blockedById");
+
+        return (bool)$result;
+    }
+
+    /**
+     * Remove a "blocked by" link
+     *
+     * @param int $ticketId Ticket that waits
+     * @param int $blockedById Ticket blocking it
+     * @return bool True on success
+     */
+    public function removeDependency(int $ticketId, int $blockedById): bool
+    {
+        $ticketId_escaped = db_input($ticketId);
+        $blockedById_escaped = db_input($blockedById);
+
+        $result = db_query("DELETE FROM ost_ticket_dependency
+                WHERE ticket_id = $ticketId_escaped AND blocked_by_id = $blockedById_escaped");
+
+        $this->log('Dependency removed', "$ticketId no longer blocked by $blockedById");
+
+        return (bool)$result;
+    }
+
+    /**
+     * Check if a ticket is blocked by another one, directly or through a chain
+     *
+     * @param int $ticketId Ticket to check
+     * @param int $blockerId Potential (indirect) blocker
+     * @return bool True if ticketId waits for blockerId
+     */
+    public function isBlockedBy(int $ticketId, int $blockerId): bool
+    {
+        $current = [$ticketId];
+        $visited = [$ticketId => true];
+
+        for ($i = 0; $i < self::MAX_DEPENDENCY_DEPTH && $current; $i++) {
+            $ids = implode(', ', array_map('intval', $current));
+            $result = db_query("SELECT blocked_by_id FROM ost_ticket_dependency WHERE ticket_id IN ($ids)");
+
+            $next = [];
+            while ($result && ($row = db_fetch_array($result))) {
+                $id = (int)$row['blocked_by_id'];
+
+                if ($id === $blockerId) {
+                    return true;
+                }
+
+                if (!isset($visited[$id])) {
+                    $visited[$id] = true;
+                    $next[] = $id;
+                }
+            }
+
+            $current = $next;
+        }
+
+        return false;
+    }
+
+    /**
+     * Get the dependencies shown in a ticket's panel
+     *
+     * @param int $ticketId Ticket ID
+     * @param array<int, array> $siblings Other children of the ticket's parent (tree nodes or getChildren() rows)
+     * @return array{blocked_by: array, blocking: array, candidates: array}|null Null if the ticket has neither siblings nor dependencies
+     */
+    public function getPanelData(int $ticketId, array $siblings): ?array
+    {
+        $blockedBy = $this->getBlockers($ticketId);
+        $blocking = $this->getBlocking($ticketId);
+
+        $linked = array_merge([$ticketId], array_column($blockedBy, 'id'), array_column($blocking, 'id'));
+        $candidates = [];
+        foreach ($siblings as $sibling) {
+            if (!in_array((int)$sibling['id'], $linked, true)) {
+                $candidates[] = [
+                    'id' => (int)$sibling['id'],
+                    'number' => $sibling['number'],
+                    'subject' => $sibling['subject'] ?? '',
+                ];
+            }
+        }
+
+        if (!$blockedBy && !$blocking && !$candidates) {
+            return null;
+        }
+
+        return ['blocked_by' => $blockedBy, 'blocking' => $blocking, 'candidates' => $candidates];
+    }
+
+    /**
+     * Handle a ticket update and notify tickets it no longer blocks
+     *
+     * A ticket counts as unblocked once the closed ticket was its last
+     * open blocker; closed tickets are not notified.
+     *
+     * @param mixed $ticket Updated model (only Ticket instances are handled)
+     * @param array $changes Signal data, either ['dirty' => [...]] or the dirty fields
+     * @return int Number of tickets notified
+     */
+    public function handleStatusChange($ticket, array $changes): int
+    {
+        if (!($ticket instanceof \Ticket)) {
+            return 0;
+        }
+
+        $dirty = $changes['dirty'] ?? $changes;
+        if (!is_array($dirty) || !array_key_exists('status_id', $dirty) || !$ticket->isClosed()) {
+            return 0;
+        }
+
+        $staff = $this->getCurrentStaff();
+        $poster = ($staff instanceof \Staff) ? $staff : 'SYSTEM';
+        $note = htmlspecialchars('Blocking ticket #' . $ticket->getNumber() . ' was closed - this ticket is no longer blocked');
+        $notified = 0;
+
+        foreach ($this->getBlocking((int)$ticket->getId()) as $blocked) {
+            if ($blocked['status_group'] === 'closed' || $this->hasOpenBlockers($blocked['id'])) {
+                continue;
+            }
+
+            $target = \Ticket::lookup($blocked['id']);
+            if ($target) {
+                $target->logNote('Subticket unblocked', $note, $poster, false);
+                $notified++;
+            }
+        }
+
+        $this->log('Unblocked tickets notified', 'Ticket ' . $ticket->getId() . ": $notified");
+
+        return $notified;
+    }
+
+    /**
+     * Check if any blocker of a ticket is still open
+     */
+    private function hasOpenBlockers(int $ticketId): bool
+    {
+        foreach ($this->getBlockers($ticketId) as $blocker) {
+            if ($blocker['status_group'] !== 'closed') {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Load the tickets on one side of the links of a ticket
+     *
+     * @param string $column Column holding the listed tickets
+     * @param string $filter Column matched against the ticket
+     * @param int $ticketId Ticket ID
+     */
+    private function fetchLinked(string $column, string $filter, int $ticketId): array
+    {
+        if ($ticketId < 1) {
+            return [];
+        }
+
+        $ticketId_escaped = db_input($ticketId);
+
+        $result = db_query("SELECT t.ticket_id, t.number,
+                       cdata.subject as subject,
+                       s.name as status,
+                       s.state as status_state
+                FROM ost_ticket_dependency d
+                INNER JOIN ost_ticket t ON t.ticket_id = $column
+                LEFT JOIN ost_ticket__cdata cdata ON t.ticket_id = cdata.ticket_id
+                LEFT JOIN ost_ticket_status s ON t.status_id = s.id
+                WHERE $filter = $ticketId_escaped
+                ORDER BY d.created ASC, t.ticket_id ASC");
+
+        $tickets = [];
+        while ($result && ($row = db_fetch_array($result))) {
+            $status = $row['status'] ?? 'Unknown';
+            $state = $row['status_state'] ?? 'open';
+
+            $tickets[] = [
+                'id' => (int)$row['ticket_id'],
+                'number' => $row['number'],
+                'subject' => $row['subject'] ?? '',
+                'status' => $status,
+                'status_state' => $state,
+                'status_group' => $this->hierarchyService->classifyStatus($state, $status),
+            ];
+        }
+
+        return $tickets;
+    }
+
+    /**
+     * Get the staff member of the current request
+     *
+     * @return object|null Staff with getId(), null outside a staff session
+     */
+    private function getCurrentStaff()
+    {
+        $staff = $GLOBALS['thisstaff'] ?? null;
+
+        return is_object($staff) && method_exists($staff, 'getId') ? $staff : null;
+    }
+
+    /**
+     * Log helper
+     */
+    private function log(string $title, string $message = ''): void
+    {
+        if (function_exists('subticket_log')) {
+            subticket_log($title, $message);
+        }
+    }
+}
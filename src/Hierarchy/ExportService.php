@@ -0,0 +1,289 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SubticketManager\Hierarchy;
+
+/**
+ * ExportService - CSV and JSON export of ticket hierarchies
+ *
+ * Handles:
+ * - Exporting one tree (root plus all descendants) or all hierarchies
+ * - Flat CSV rows in tree order with their depth
+ * - Nested JSON (children arrays) for external tooling
+ *
+ * @package SubticketManager
+ */
+final class ExportService
+{
+    /**
+     * Supported formats => content type
+     */
+    private const FORMATS = [
+        'csv' => 'text/csv; charset=utf-8',
+        'json' => 'application/json; charset=utf-8',
+    ];
+
+    /**
+     * Exported columns (CSV header order)
+     */
+    private const COLUMNS = [
+        'number', 'parent_number', 'depth', 'subject', 'status',
+        'department', 'assignee', 'created', 'closed',
+    ];
+
+    private HierarchyService $hierarchyService;
+
+    public function __construct(HierarchyService $hierarchyService)
+    {
+        $this->hierarchyService = $hierarchyService;
+    }
+
+    /**
+     * Get the supported export formats
+     *
+     * @return array<int, string>
+     */
+    public function getFormats(): array
+    {
+        return array_keys(self::FORMATS);
+    }
+
+    /**
+     * Export one tree or all hierarchies
+     *
+     * @param string $format 'csv' or 'json'
+     * @param int|null $ticketId Any ticket of the tree to export, null = all hierarchies
+     * @param array<int, int>|null $deptIds Accessible departments for the system-wide export (null = all)
+     * @return array{filename: string, content_type: string, content: string}|null
+     *   Null if the ticket is not part of a hierarchy
+     */
+    public function export(string $format, ?int $ticketId = null, ?array $deptIds = null): ?array
+    {
+        if (!isset(self::FORMATS[$format])) {
+            return null;
+        }
+
+        if ($ticketId !== null) {
+            $rows = $this->getTreeRows($ticketId);
+            if (count($rows) < 2) {
+                return null;
+            }
+            $filename = 'hierarchy-' . preg_replace('/[^A-Za-z0-9_-]/', '', (string)$rows[0]['number']);
+        } else {
+            $rows = $this->getAllRows($deptIds);
+            $filename = 'hierarchies-' . date('Y-m-d');
+        }
+
+        $this->log('Hierarchy exported', "$format, " . count($rows) . ' tickets');
+
+        return [
+            'filename' => "$filename.$format",
+            'content_type' => self::FORMATS[$format],
+            'content' => $format === 'csv'
+                ? $this->toCsv($rows)
+                : json_encode($this->toNested($rows), JSON_PRETTY_PRINT | JSON_UNESCAPED_UNICODE),
+        ];
+    }
+
+    /**
+     * Get the rows of the tree a ticket belongs to, in tree order
+     *
+     * @param int $ticketId Any ticket of the tree
+     * @return array<int, array> Rows (see COLUMNS, plus id and pid), root first
+     */
+    public function getTreeRows(int $ticketId): array
+    {
+        $ancestors = $this->hierarchyService->getAncestorIds($ticketId);
+        $rootId = empty($ancestors) ? $ticketId : end($ancestors);
+
+        $ids = [$rootId];
+        foreach ($this->hierarchyService->getDescendants($rootId) as $descendant) {
+            $ids[] = $descendant['id'];
+        }
+
+        return $this->orderTree($this->fetchTickets('t.ticket_id IN (' . implode(',', array_map('intval', $ids)) . ')'));
+    }
+
+    /**
+     * Get the rows of all hierarchies, in tree order
+     *
+     * Tickets outside the accessible departments are left out; their
+     * children are then listed as roots.
+     *
+     * @param array<int, int>|null $deptIds Accessible departments (null = all)
+     * @return array<int, array> Rows (see COLUMNS, plus id and pid)
+     */
+    public function getAllRows(?array $deptIds = null): array
+    {
+        if ($deptIds !== null && empty($deptIds)) {
+            return [];
+        }
+
+        $where = '(t.ticket_pid > 0 OR EXISTS (SELECT 1 FROM ost_ticket c WHERE c.ticket_pid = t.ticket_id))';
+        if ($deptIds !== null) {
+            $where .= ' AND t.dept_id IN (' . implode(',', array_map('intval', $deptIds)) . ')';
+        }
+
+        return $this->orderTree($this->fetchTickets($where));
+    }
+
+    /**
+     * Render rows as CSV (with header line)
+     *
+     * Cells starting with a formula character are prefixed with a quote
+     * so spreadsheets do not evaluate them.
+     *
+     * @param array<int, array> $rows Rows from getTreeRows() / getAllRows()
+     * @return string CSV content
+     */
+    public function toCsv(array $rows): string
+    {
+        $handle = fopen('php://temp', 'r+');
+        fputcsv($handle, self::COLUMNS, ',', '"', '');
+
+        foreach ($rows as $row) {
+            $line = [];
+            foreach (self::COLUMNS as $column) {
+                $value = (string)($row[$column] ?? '');
+                if ($value !== '' && strpos('=+-@', $value[0]) !== false) {
+                    $value = "'" . $value;
+                }
+                $line[] = $value;
+            }
+            fputcsv($handle, $line, ',', '"', '');
+        }
+
+        rewind($handle);
+        $csv = stream_get_contents($handle);
+        fclose($handle);
+
+        return $csv;
+    }
+
+    /**
+     * Nest rows into trees
+     *
+     * @param array<int, array> $rows Rows from getTreeRows() / getAllRows()
+     * @return array<int, array> Root nodes, each with a children array
+     */
+    public function toNested(array $rows): array
+    {
+        $childrenByParent = [];
+        $roots = [];
+
+        foreach ($rows as $row) {
+            if ($row['depth'] === 0) {
+                $roots[] = $row;
+            } else {
+                $childrenByParent[$row['pid']][] = $row;
+            }
+        }
+
+        $build = function (array $row) use (&$build, $childrenByParent): array {
+            $node = array_intersect_key($row, array_flip(self::COLUMNS));
+            unset($node['parent_number']);
+            $node['children'] = array_map($build, $childrenByParent[$row['id']] ?? []);
+
+            return $node;
+        };
+
+        return array_map($build, $roots);
+    }
+
+    /**
+     * Fetch export columns for tickets
+     *
+     * @param string $where SQL condition on ost_ticket t
+     * @return array<int, array> Rows keyed by ticket ID (without depth)
+     */
+    private function fetchTickets(string $where): array
+    {
+        $result = db_query("SELECT t.ticket_id, t.ticket_pid, t.number, t.created, t.closed,
+                       cdata.subject as subject,
+                       s.name as status,
+                       d.name as department,
+                       COALESCE(NULLIF(TRIM(CONCAT_WS(' ', st.firstname, st.lastname)), ''), tm.name) as assignee
+                FROM ost_ticket t
+                LEFT JOIN ost_ticket__cdata cdata ON t.ticket_id = cdata.ticket_id
+                LEFT JOIN ost_ticket_status s ON t.status_id = s.id
+                LEFT JOIN ost_department d ON t.dept_id = d.id
+                LEFT JOIN ost_staff st ON t.staff_id = st.staff_id
+                LEFT JOIN ost_team tm ON t.team_id = tm.team_id
+                WHERE $where
+                ORDER BY t.created ASC, t.ticket_id ASC");
+
+        $tickets = [];
+        while ($result && ($row = db_fetch_array($result))) {
+            $id = (int)$row['ticket_id'];
+            $tickets[$id] = [
+                'id' => $id,
+                'pid' => (int)($row['ticket_pid'] ?? 0),
+                'number' => $row['number'],
+                'subject' => $row['subject'] ?? '',
+                'status' => $row['status'] ?? 'Unknown',
+                'department' => $row['department'] ?? '',
+                'assignee' => $row['assignee'] ?? '',
+                'created' => $row['created'] ?? '',
+                'closed' => $row['closed'] ?? '',
+            ];
+        }
+
+        return $tickets;
+    }
+
+    /**
+     * Sort tickets depth-first (parents before their children) and set depth/parent_number
+     *
+     * Tickets whose parent is not in the list are treated as roots.
+     *
+     * @param array<int, array> $tickets Rows keyed by ticket ID
+     * @return array<int, array>
+     */
+    private function orderTree(array $tickets): array
+    {
+        $childrenByParent = [];
+        $roots = [];
+
+        foreach ($tickets as $id => $ticket) {
+            if (isset($tickets[$ticket['pid']]) && $ticket['pid'] !== $id) {
+                $childrenByParent[$ticket['pid']][] = $id;
+            } else {
+                $roots[] = $id;
+            }
+        }
+
+        $ordered = [];
+        $visit = function (int $id, int $depth) use (&$visit, &$ordered, $tickets, $childrenByParent): void {
+            if (isset($ordered[$id])) {
+                return;
+            }
+
+            $pid = $tickets[$id]['pid'];
+            $ordered[$id] = $tickets[$id] + [
+                'parent_number' => $depth > 0 ? $tickets[$pid]['number'] : '',
+                'depth' => $depth,
+            ];
+
+            foreach ($childrenByParent[$id] ?? [] as $childId) {
+                $visit($childId, $depth + 1);
+            }
+        };
+
+        foreach ($roots as $id) {
+            $visit($id, 0);
+        }
+
+        return array_values($ordered);
+    }
+
+    /**
+     * Log helper
+     */
+    private function log(string $title, string $message = ''): void
+    {
+        if (function_exists('subticket_log')) {
+            subticket_log($title, $message);
+        }
+    }
+}
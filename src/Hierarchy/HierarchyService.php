@@ -4,14 +4,22 @@ declare(strict_types=1);
 
 namespace SubticketManager\Hierarchy;
 
+use SubticketManager\Config\ConfigCache;
+
 /**
  * HierarchyService - Manages ticket parent-child relationships
  *
  * Handles:
- * - Linking/unlinking tickets
+ * - Linking/unlinking tickets (a re-link moves the child to another parent)
+ * - Recording every link, unlink and move in the audit log (AuditService)
+ * - Dissolving a hierarchy and promoting a child over its siblings
+ * - Manual order of children (subticket_sort)
  * - Getting parent/children
+ * - Effective due date of parents (rolled up from the children)
  * - Circular dependency detection
+ * - Hierarchy limits (max_depth, max_children, nesting)
  * - Ticket number to ID resolution
+ * - Searching link candidates
  *
  * @package SubticketManager
  */
@@ -23,14 +31,36 @@ final class HierarchyService
     private const MAX_HIERARCHY_DEPTH = 10;
 
     /**
-     * Get all children for a parent ticket
+     * Maximum number of results returned by searchTickets()
+     */
+    private const MAX_SEARCH_RESULTS = 20;
+
+    /**
+     * Sibling order: manually sorted children first, unsorted (0) ones
+     * after them in creation order
+     */
+    private const CHILD_ORDER = 't.subticket_sort = 0, t.subticket_sort ASC, t.created ASC';
+
+    private ?AuditService $auditService;
+
+    /**
+     * @param AuditService|null $auditService Records hierarchy changes (null = not recorded)
+     */
+    public function __construct(?AuditService $auditService = null)
+    {
+        $this->auditService = $auditService;
+    }
+
+    /**
+     * Get all children for a parent ticket (in sibling order)
      *
      * @param int $parentId Parent ticket ID
-     * @return array<int, array{id: int, number: string, subject: string, status: string, created: string}>
+     * @param int|null $userId Only children owned by this user (client portal), null = all
+     * @return array<int, array{id: int, number: string, subject: string, status: string, created: string, due_date: string|null, is_overdue: bool}>
      */
-    public function getChildren(int $parentId): array
+    public function getChildren(int $parentId, ?int $userId = null): array
     {
-        $this->log('getChildren() called', "parentId: $parentId");
+        $this->log('getChildren() called', "parentId: $parentId" . ($userId !== null ? ", userId: $userId" : ''));
 
         if ($parentId < 1) {
             $this->log('Invalid parent ID', 'Not numeric or < 1');
@@ -38,16 +68,25 @@ final class HierarchyService
         }
 
         $parentId_escaped = db_input($parentId);
+        $userFilter = $userId !== null ? ' AND t.user_id = ' . db_input($userId) : '';
 
         $sql = "SELECT t.ticket_id, t.number,
                        cdata.subject as subject,
                        s.name as status,
-                       t.created
+                       s.state as status_state,
+                       t.created,
+                       COALESCE(t.duedate, t.est_duedate) as due_date,
+                       CASE WHEN s.state IN ('closed', 'archived') THEN 0
+                            WHEN t.isoverdue = 1 OR COALESCE(t.duedate, t.est_duedate) < NOW() THEN 1
+                            ELSE 0 END as is_overdue,
+                       COALESCE(NULLIF(TRIM(CONCAT_WS(' ', st.firstname, st.lastname)), ''), tm.name) as assignee
                 FROM ost_ticket t
                 LEFT JOIN ost_ticket__cdata cdata ON t.ticket_id = cdata.ticket_id
                 LEFT JOIN ost_ticket_status s ON t.status_id = s.id
-                WHERE t.ticket_pid = $parentId_escaped
-                ORDER BY t.created ASC";
+                LEFT JOIN ost_staff st ON t.staff_id = st.staff_id
+                LEFT JOIN ost_team tm ON t.team_id = tm.team_id
+                WHERE t.ticket_pid = $parentId_escaped$userFilter
+                ORDER BY " . self::CHILD_ORDER;
 
         $this->log('SQL query', $sql);
 
@@ -68,7 +107,11 @@ final class HierarchyService
                 'number' => $row['number'],
                 'subject' => $row['subject'] ?? '',
                 'status' => $row['status'] ?? 'Unknown',
+                'status_state' => $row['status_state'] ?? 'open',
                 'created' => $row['created'],
+                'assignee' => $row['assignee'] ?? '',
+                'due_date' => $row['due_date'] ?? null,
+                'is_overdue' => !empty($row['is_overdue']),
             ];
         }
 
@@ -131,8 +174,9 @@ final class HierarchyService
             return null;
         }
 
-        // Escape as string (quoted) for SQL - ticket numbers can be alphanumeric
-        $number_escaped = db_input($number);
+        // Escape as string (quoted below) for SQL - ticket numbers can be alphanumeric.
+        // db_input() would add its own quotes to non-numeric values.
+        $number_escaped = db_input($number, false);
         $sql = "SELECT ticket_id FROM ost_ticket WHERE number = '$number_escaped'";
 
         $this->log('getTicketIdByNumber SQL', $sql);
@@ -199,7 +243,7 @@ final class HierarchyService
         $childId_escaped = db_input($childId);
         $parentId_escaped = db_input($parentId);
 
-        $child = db_query("SELECT ticket_id FROM ost_ticket WHERE ticket_id = $childId_escaped");
+        $child = db_query("SELECT ticket_id, ticket_pid FROM ost_ticket WHERE ticket_id = $childId_escaped");
         $parent = db_query("SELECT ticket_id FROM ost_ticket WHERE ticket_id = $parentId_escaped");
 
         if (!db_num_rows($child) || !db_num_rows($parent)) {
@@ -207,17 +251,31 @@ final class HierarchyService
             return false;
         }
 
+        $childRow = db_fetch_array($child);
+        $oldParentId = !empty($childRow['ticket_pid']) ? (int)$childRow['ticket_pid'] : null;
+
         // Prevent circular dependency
         if ($this->isDescendant($parentId, $childId)) {
             error_log('[SUBTICKET-PLUGIN] linkTicket failed: Circular dependency detected');
             return false;
         }
 
-        // Update ticket_pid
-        $sql = "UPDATE ost_ticket SET ticket_pid = $parentId_escaped WHERE ticket_id = $childId_escaped";
+        // Enforce configured hierarchy limits
+        $restriction = $this->getLimitRestriction($childId, $parentId);
+        if ($restriction !== null) {
+            error_log("[SUBTICKET-PLUGIN] linkTicket failed: Hierarchy limit reached ($restriction)");
+            return false;
+        }
+
+        // Update ticket_pid (single statement, so moving between parents is atomic);
+        // the child goes to the end of its new siblings
+        $sql = "UPDATE ost_ticket SET ticket_pid = $parentId_escaped, subticket_sort = 0 WHERE ticket_id = $childId_escaped";
         $result = db_query($sql);
 
         if ($result) {
+            if ($oldParentId !== $parentId) {
+                $this->audit($oldParentId ? 'reparent' : 'link', $childId, $oldParentId, $parentId);
+            }
             return true;
         }
 
@@ -239,10 +297,15 @@ final class HierarchyService
         }
 
         $childId_escaped = db_input($childId);
+        $oldParentId = $this->auditService ? $this->getParentId($childId) : null;
+
         $sql = "UPDATE ost_ticket SET ticket_pid = NULL WHERE ticket_id = $childId_escaped";
         $result = db_query($sql);
 
         if ($result) {
+            if ($oldParentId) {
+                $this->audit('unlink', $childId, $oldParentId, null);
+            }
             return true;
         }
 
@@ -250,6 +313,340 @@ final class HierarchyService
         return false;
     }
 
+    /**
+     * Unlink all direct children of a parent ticket
+     *
+     * @param int $parentId Parent ticket ID
+     * @return bool True on success
+     */
+    public function unlinkChildren(int $parentId): bool
+    {
+        return $this->dissolveHierarchy($parentId)['success'];
+    }
+
+    /**
+     * Dissolve a hierarchy: unlink all direct children of a parent
+     *
+     * The children are unlinked with a single UPDATE, so either all of
+     * them are detached or none.
+     *
+     * @param int $parentId Parent ticket ID
+     * @return array{success: bool, parent_id: int, unlinked: int[]}
+     */
+    public function dissolveHierarchy(int $parentId): array
+    {
+        $outcome = ['success' => false, 'parent_id' => $parentId, 'unlinked' => []];
+
+        if ($parentId < 1) {
+            error_log('[SUBTICKET-PLUGIN] dissolveHierarchy failed: Invalid parent ID');
+            return $outcome;
+        }
+
+        $parentId_escaped = db_input($parentId);
+
+        $childIds = [];
+        $children = db_query("SELECT ticket_id FROM ost_ticket WHERE ticket_pid = $parentId_escaped");
+        while ($children && ($row = db_fetch_array($children))) {
+            $childIds[] = (int)$row['ticket_id'];
+        }
+
+        $sql = "UPDATE ost_ticket SET ticket_pid = NULL WHERE ticket_pid = $parentId_escaped";
+        $result = db_query($sql);
+
+        if (!$result) {
+            error_log('[SUBTICKET-PLUGIN] dissolveHierarchy failed: Database error');
+            return $outcome;
+        }
+
+        foreach ($childIds as $childId) {
+            $this->audit('unlink', $childId, $parentId, null);
+        }
+
+        $this->log('Hierarchy dissolved', "Parent $parentId: " . count($childIds) . ' children unlinked');
+
+        $outcome['success'] = true;
+        $outcome['unlinked'] = $childIds;
+        return $outcome;
+    }
+
+    /**
+     * Promote a child to the parent of its former siblings
+     *
+     * The siblings become children of the promoted ticket. The promoted
+     * ticket either stays a child of the old parent ($keepParent) or is
+     * detached from it. The hierarchy limits are checked for the whole
+     * operation before anything changes, and all tickets are moved with a
+     * single UPDATE.
+     *
+     * @param int $childId Child ticket to promote
+     * @param bool $keepParent Keep the old parent as parent of the promoted ticket
+     * @return array{success: bool, reason: string|null, parent_id: int, old_parent_id: int|null, moved: int[], detached: bool}
+     *         reason: 'NO_PARENT', 'NO_SIBLINGS', a LinkValidator limit code or null
+     */
+    public function promoteChild(int $childId, bool $keepParent): array
+    {
+        $outcome = [
+            'success' => false,
+            'reason' => null,
+            'parent_id' => $childId,
+            'old_parent_id' => null,
+            'moved' => [],
+            'detached' => !$keepParent,
+        ];
+
+        $parentId = $childId > 0 ? $this->getParentId($childId) : null;
+        if ($parentId === null) {
+            $outcome['reason'] = 'NO_PARENT';
+            return $outcome;
+        }
+        $outcome['old_parent_id'] = $parentId;
+
+        $siblingIds = $this->getSiblingIds($childId, $parentId);
+        $reason = $siblingIds
+            ? $this->getPromoteRestriction($childId, $parentId, $siblingIds, $keepParent)
+            : 'NO_SIBLINGS';
+
+        if ($reason !== null) {
+            $this->log('Promotion rejected', "Child $childId: $reason");
+            $outcome['reason'] = $reason;
+            return $outcome;
+        }
+
+        $childId_escaped = db_input($childId);
+        $parentId_escaped = db_input($parentId);
+        $newPid = $keepParent ? $parentId_escaped : 'NULL';
+        $ids = implode(',', array_merge([$childId], $siblingIds));
+
+        // Only tickets still below the old parent are moved
+        $sql = "UPDATE ost_ticket
+                SET ticket_pid = CASE WHEN ticket_id = $childId_escaped THEN $newPid ELSE $childId_escaped END
+                WHERE ticket_id IN ($ids) AND ticket_pid = $parentId_escaped";
+        $result = db_query($sql);
+
+        if (!$result) {
+            error_log('[SUBTICKET-PLUGIN] promoteChild failed: Database error');
+            return $outcome;
+        }
+
+        foreach ($siblingIds as $siblingId) {
+            $this->audit('reparent', $siblingId, $parentId, $childId);
+        }
+        if (!$keepParent) {
+            $this->audit('unlink', $childId, $parentId, null);
+        }
+
+        $this->log('Child promoted', "Child $childId: " . count($siblingIds) . ' siblings moved');
+
+        $outcome['success'] = true;
+        $outcome['moved'] = $siblingIds;
+        return $outcome;
+    }
+
+    /**
+     * Store the order of a parent's children
+     *
+     * Tickets that are not children of the parent are left untouched.
+     *
+     * @param int $parentId Parent ticket ID
+     * @param int[] $childIds Child IDs in their new order
+     * @return bool True on success
+     */
+    public function reorderChildren(int $parentId, array $childIds): bool
+    {
+        if ($parentId < 1 || empty($childIds)) {
+            error_log('[SUBTICKET-PLUGIN] reorderChildren failed: Invalid parent or empty child list');
+            return false;
+        }
+
+        $cases = '';
+        $position = 1;
+        foreach ($childIds as $childId) {
+            $cases .= ' WHEN ' . (int)$childId . ' THEN ' . $position++;
+        }
+
+        $parentId_escaped = db_input($parentId);
+        $ids = implode(',', array_map('intval', $childIds));
+        $sql = "UPDATE ost_ticket SET subticket_sort = CASE ticket_id$cases END
+                WHERE ticket_pid = $parentId_escaped AND ticket_id IN ($ids)";
+
+        if (db_query($sql)) {
+            $this->log('Children reordered', "parentId: $parentId, order: $ids");
+            return true;
+        }
+
+        error_log('[SUBTICKET-PLUGIN] reorderChildren failed: Database error');
+        return false;
+    }
+
+    /**
+     * Get the IDs of all ancestors of a ticket (single query)
+     *
+     * Walks up the hierarchy with one self-JOIN per level
+     * (MySQL 5.7 has no recursive CTEs).
+     *
+     * @param int $ticketId Ticket ID
+     * @return int[] Ancestor IDs from the direct parent up to the root
+     */
+    public function getAncestorIds(int $ticketId): array
+    {
+        if ($ticketId < 1) {
+            return [];
+        }
+
+        $select = [];
+        $joins = '';
+        $previous = 't';
+
+        for ($level = 1; $level <= self::MAX_HIERARCHY_DEPTH; $level++) {
+            $select[] = "p$level.ticket_id as p$level";
+            $joins .= " LEFT JOIN ost_ticket p$level ON p$level.ticket_id = $previous.ticket_pid";
+            $previous = "p$level";
+        }
+
+        $ticketId_escaped = db_input($ticketId);
+        $sql = 'SELECT ' . implode(', ', $select) . " FROM ost_ticket t$joins WHERE t.ticket_id = $ticketId_escaped";
+
+        $row = db_fetch_array(db_query($sql));
+        $ancestors = [];
+
+        for ($level = 1; $row && !empty($row["p$level"]); $level++) {
+            $ancestors[] = (int)$row["p$level"];
+        }
+
+        return $ancestors;
+    }
+
+    /**
+     * Get the whole hierarchy a ticket belongs to
+     *
+     * Resolves the root ancestor (getAncestorIds()), then loads the tree like
+     * getDescendants(): the root, then one level at a time by ticket_pid, so
+     * every query can use the ticket_pid index.
+     *
+     * @param int $ticketId Current ticket ID
+     * @param bool $hasParent Whether the ticket has a parent (skips the ancestor lookup for roots)
+     * @return array|null {root: node, path: node[], height: int} or null if not part of a hierarchy.
+     *   A node is {id, number, subject, status, status_state, children: node[]}.
+     *   path lists the nodes from the root down to the current ticket.
+     */
+    public function getTree(int $ticketId, bool $hasParent = true): ?array
+    {
+        if ($ticketId < 1) {
+            return null;
+        }
+
+        $ancestors = $hasParent ? $this->getAncestorIds($ticketId) : [];
+        $rootId = empty($ancestors) ? $ticketId : end($ancestors);
+
+        // Below a parent the ticket itself may be deeper than a lowered max_depth
+        $levels = max($this->getMaxDepth(), count($ancestors));
+
+        $nodes = $this->fetchTreeNodes('t.ticket_id = ' . db_input($rootId));
+        $level = array_keys($nodes);
+
+        for ($depth = 0; $depth < $levels && !empty($level); $depth++) {
+            $children = $this->fetchTreeNodes('t.ticket_pid IN (' . implode(',', $level) . ')');
+            $nodes += $children;
+            $level = array_keys($children);
+        }
+
+        if (!isset($nodes[$rootId]) || !isset($nodes[$ticketId])) {
+            return null;
+        }
+
+        // Path from root down to the current ticket
+        $path = [];
+        foreach (array_merge(array_reverse($ancestors), [$ticketId]) as $id) {
+            if (isset($nodes[$id])) {
+                $path[] = $this->stripTreeNode($nodes[$id]);
+            }
+        }
+
+        $childrenByParent = [];
+        foreach ($nodes as $id => $node) {
+            if ($id !== $rootId) {
+                $childrenByParent[$node['pid']][] = $id;
+            }
+        }
+
+        $height = 0;
+        $root = $this->buildTreeNode($rootId, $nodes, $childrenByParent, 0, $height);
+
+        return [
+            'root' => $root,
+            'path' => $path,
+            'height' => $height,
+        ];
+    }
+
+    /**
+     * Load tree nodes matching a condition, in child order
+     *
+     * @param string $where SQL condition on ost_ticket t
+     * @return array<int, array{id: int, pid: int, number: string, subject: string, status: string, status_state: string}> Nodes keyed by ID
+     */
+    private function fetchTreeNodes(string $where): array
+    {
+        $result = db_query("SELECT t.ticket_id, t.ticket_pid, t.number,
+                       cdata.subject as subject,
+                       s.name as status,
+                       s.state as status_state
+                FROM ost_ticket t
+                LEFT JOIN ost_ticket__cdata cdata ON t.ticket_id = cdata.ticket_id
+                LEFT JOIN ost_ticket_status s ON t.status_id = s.id
+                WHERE $where
+                ORDER BY " . self::CHILD_ORDER);
+
+        $nodes = [];
+        while ($result && ($row = db_fetch_array($result))) {
+            $id = (int)$row['ticket_id'];
+            $nodes[$id] = [
+                'id' => $id,
+                'pid' => (int)($row['ticket_pid'] ?? 0),
+                'number' => $row['number'],
+                'subject' => $row['subject'] ?? '',
+                'status' => $row['status'] ?? 'Unknown',
+                'status_state' => $row['status_state'] ?? 'open',
+            ];
+        }
+
+        return $nodes;
+    }
+
+    /**
+     * Build a nested tree node from the flat node list
+     *
+     * @param int $id Node ID
+     * @param array $nodes Flat nodes keyed by ID
+     * @param array $childrenByParent Child IDs keyed by parent ID
+     * @param int $depth Depth of the node below the root
+     * @param int $height Deepest level found so far (updated)
+     * @return array Nested node
+     */
+    private function buildTreeNode(int $id, array $nodes, array $childrenByParent, int $depth, int &$height): array
+    {
+        $height = max($height, $depth);
+        $node = $this->stripTreeNode($nodes[$id]);
+        $node['children'] = [];
+
+        if ($depth < self::MAX_HIERARCHY_DEPTH) {
+            foreach ($childrenByParent[$id] ?? [] as $childId) {
+                $node['children'][] = $this->buildTreeNode($childId, $nodes, $childrenByParent, $depth + 1, $height);
+            }
+        }
+
+        return $node;
+    }
+
+    /**
+     * Remove internal fields from a tree node
+     */
+    private function stripTreeNode(array $node): array
+    {
+        unset($node['pid']);
+        return $node;
+    }
+
     /**
      * Check if ticket A is a descendant of ticket B
      *
@@ -281,6 +678,447 @@ final class HierarchyService
         return false;
     }
 
+    /**
+     * Summarize the status of a list of children
+     *
+     * Closed = closed/archived state. On hold = open state with a status
+     * name containing "hold" (osTicket has no native on-hold state).
+     *
+     * @param array<int, array> $children Children as returned by getChildren()
+     * @return array{total: int, open: int, on_hold: int, closed: int}
+     */
+    public function getProgress(array $children): array
+    {
+        $progress = ['total' => count($children), 'open' => 0, 'on_hold' => 0, 'closed' => 0];
+
+        foreach ($children as $child) {
+            $progress[$this->classifyStatus($child['status_state'] ?? 'open', $child['status'] ?? '')]++;
+        }
+
+        return $progress;
+    }
+
+    /**
+     * Check if parents show the effective due date of their children
+     */
+    public function isEffectiveDueDateEnabled(): bool
+    {
+        return (bool)ConfigCache::getInstance()->get('effective_due_date', false);
+    }
+
+    /**
+     * Get the effective due date of a parent from its children
+     *
+     * The earliest due date of an overdue child, otherwise the latest due
+     * date of the open children. Closed children and children without a
+     * due date (manual or SLA) are ignored.
+     *
+     * @param array<int, array> $children Children as returned by getChildren()
+     * @return array{due_date: string, is_overdue: bool, ticket_id: int, number: string}|null Null if no open child has a due date
+     */
+    public function getEffectiveDueDate(array $children): ?array
+    {
+        $latest = null;
+        $earliestOverdue = null;
+
+        foreach ($children as $child) {
+            $dueDate = $child['due_date'] ?? null;
+            if (!$dueDate || $this->classifyStatus($child['status_state'] ?? 'open', $child['status'] ?? '') === 'closed') {
+                continue;
+            }
+
+            if (!empty($child['is_overdue']) && (!$earliestOverdue || $dueDate < $earliestOverdue['due_date'])) {
+                $earliestOverdue = $child;
+            }
+
+            if (!$latest || $dueDate > $latest['due_date']) {
+                $latest = $child;
+            }
+        }
+
+        $effective = $earliestOverdue ?? $latest;
+        if (!$effective) {
+            return null;
+        }
+
+        return [
+            'due_date' => (string)$effective['due_date'],
+            'is_overdue' => $earliestOverdue !== null,
+            'ticket_id' => (int)$effective['id'],
+            'number' => (string)$effective['number'],
+        ];
+    }
+
+    /**
+     * Classify a ticket status as open, on_hold or closed
+     *
+     * @param string $state Status state (open, closed, archived, ...)
+     * @param string $name Status name
+     * @return string 'open', 'on_hold' or 'closed'
+     */
+    public function classifyStatus(string $state, string $name): string
+    {
+        if (in_array($state, ['closed', 'archived'], true)) {
+            return 'closed';
+        }
+
+        if (stripos($name, 'hold') !== false) {
+            return 'on_hold';
+        }
+
+        return 'open';
+    }
+
+    /**
+     * Get the reason a ticket cannot be linked below a parent
+     *
+     * Runs the same checks as linkTicket() without modifying anything,
+     * so the UI can grey out invalid candidates before submitting.
+     *
+     * @param int $childId Ticket that would become the child
+     * @param int $parentId Ticket that would become the parent
+     * @return string|null LinkValidator code (SELF, CYCLE, NESTED, MAX_DEPTH, MAX_CHILDREN) or null if linkable
+     */
+    public function getLinkRestriction(int $childId, int $parentId): ?string
+    {
+        if ($childId === $parentId) {
+            return LinkValidator::SELF;
+        }
+
+        if ($this->isDescendant($parentId, $childId)) {
+            return LinkValidator::CYCLE;
+        }
+
+        return $this->getLimitRestriction($childId, $parentId);
+    }
+
+    /**
+     * Get the number of ancestors above a ticket (root ticket = 0)
+     *
+     * @param int $ticketId Ticket ID
+     * @return int Depth in its hierarchy
+     */
+    public function getDepth(int $ticketId): int
+    {
+        $depth = 0;
+        $currentId = $ticketId;
+
+        for ($i = 0; $i < self::MAX_HIERARCHY_DEPTH; $i++) {
+            $currentId_escaped = db_input($currentId);
+            $result = db_query("SELECT ticket_pid FROM ost_ticket WHERE ticket_id = $currentId_escaped");
+            $row = db_fetch_array($result);
+
+            if (!$row || empty($row['ticket_pid'])) {
+                break;
+            }
+
+            $depth++;
+            $currentId = (int)$row['ticket_pid'];
+        }
+
+        return $depth;
+    }
+
+    /**
+     * Get the number of levels below a ticket (no children = 0)
+     *
+     * @param int $ticketId Ticket ID
+     * @return int Height of the subtree rooted at the ticket
+     */
+    public function getSubtreeHeight(int $ticketId): int
+    {
+        return $this->getLevelsBelow([$ticketId]);
+    }
+
+    /**
+     * Get the number of levels below a set of tickets (no children = 0)
+     *
+     * @param int[] $ticketIds Ticket IDs
+     * @return int Height of the deepest subtree rooted at one of the tickets
+     */
+    private function getLevelsBelow(array $ticketIds): int
+    {
+        $height = 0;
+        $level = $ticketIds;
+
+        while ($height < self::MAX_HIERARCHY_DEPTH) {
+            $ids = implode(',', array_map('intval', $level));
+            $result = db_query("SELECT ticket_id FROM ost_ticket WHERE ticket_pid IN ($ids)");
+
+            $level = [];
+            while ($result && ($row = db_fetch_array($result))) {
+                $level[] = (int)$row['ticket_id'];
+            }
+
+            if (empty($level)) {
+                break;
+            }
+
+            $height++;
+        }
+
+        return $height;
+    }
+
+    /**
+     * Get all tickets below a ticket, level by level
+     *
+     * @param int $ticketId Ticket ID
+     * @return array<int, array{id: int, pid: int, number: string, subject: string, status: string, status_state: string, status_id: int, staff_id: int, team_id: int}>
+     */
+    public function getDescendants(int $ticketId): array
+    {
+        $descendants = [];
+        $level = [$ticketId];
+
+        for ($depth = 0; $depth < self::MAX_HIERARCHY_DEPTH && !empty($level); $depth++) {
+            $ids = implode(',', array_map('intval', $level));
+            $result = db_query("SELECT t.ticket_id, t.ticket_pid, t.number,
+                           cdata.subject as subject,
+                           s.name as status,
+                           s.state as status_state,
+                           t.status_id, t.staff_id, t.team_id
+                    FROM ost_ticket t
+                    LEFT JOIN ost_ticket__cdata cdata ON t.ticket_id = cdata.ticket_id
+                    LEFT JOIN ost_ticket_status s ON t.status_id = s.id
+                    WHERE t.ticket_pid IN ($ids)
+                    ORDER BY t.created ASC");
+
+            $level = [];
+            while ($result && ($row = db_fetch_array($result))) {
+                $id = (int)$row['ticket_id'];
+                $level[] = $id;
+                $descendants[] = [
+                    'id' => $id,
+                    'pid' => (int)$row['ticket_pid'],
+                    'number' => $row['number'],
+                    'subject' => $row['subject'] ?? '',
+                    'status' => $row['status'] ?? 'Unknown',
+                    'status_state' => $row['status_state'] ?? 'open',
+                    'status_id' => (int)($row['status_id'] ?? 0),
+                    'staff_id' => (int)($row['staff_id'] ?? 0),
+                    'team_id' => (int)($row['team_id'] ?? 0),
+                ];
+            }
+        }
+
+        return $descendants;
+    }
+
+    /**
+     * Count the direct children of a ticket
+     *
+     * @param int $parentId Parent ticket ID
+     * @param int $excludeId Child to leave out of the count (e.g. when re-linking)
+     * @return int Number of children
+     */
+    public function countChildren(int $parentId, int $excludeId = 0): int
+    {
+        $parentId_escaped = db_input($parentId);
+        $excludeId_escaped = db_input($excludeId);
+
+        $result = db_query("SELECT COUNT(*) AS total FROM ost_ticket
+                WHERE ticket_pid = $parentId_escaped AND ticket_id != $excludeId_escaped");
+        $row = db_fetch_array($result);
+
+        return $row ? (int)($row['total'] ?? 0) : 0;
+    }
+
+    /**
+     * Search open tickets that could become a parent
+     *
+     * Matches ticket number, subject, requester name and requester email.
+     * Exact number matches are listed first.
+     *
+     * @param string $term Search term
+     * @param int $limit Maximum number of results
+     * @return array<int, array{id: int, number: string, subject: string, status: string, dept_id: int, department: string, requester: string}>
+     */
+    public function searchTickets(string $term, int $limit = self::MAX_SEARCH_RESULTS): array
+    {
+        $term = trim($term);
+        if ($term === '') {
+            return [];
+        }
+
+        $limit = max(1, min($limit, self::MAX_SEARCH_RESULTS));
+        $term_escaped = db_input($term, false);
+        $like_escaped = db_input('%' . addcslashes($term, '%_\\') . '%', false);
+
+        $sql = "SELECT t.ticket_id, t.number, t.dept_id,
+                       cdata.subject as subject,
+                       s.name as status,
+                       d.name as department,
+                       u.name as requester
+                FROM ost_ticket t
+                INNER JOIN ost_ticket_status s ON t.status_id = s.id
+                LEFT JOIN ost_ticket__cdata cdata ON t.ticket_id = cdata.ticket_id
+                LEFT JOIN ost_department d ON t.dept_id = d.id
+                LEFT JOIN ost_user u ON t.user_id = u.id
+                LEFT JOIN ost_user_email ue ON u.default_email_id = ue.id
+                WHERE s.state = 'open'
+                  AND (t.number LIKE '$like_escaped'
+                       OR cdata.subject LIKE '$like_escaped'
+                       OR u.name LIKE '$like_escaped'
+                       OR ue.address LIKE '$like_escaped')
+                ORDER BY (t.number = '$term_escaped') DESC, t.created DESC
+                LIMIT $limit";
+
+        $this->log('searchTickets SQL', $sql);
+
+        $result = db_query($sql);
+        $tickets = [];
+
+        while ($result && ($row = db_fetch_array($result))) {
+            $tickets[] = [
+                'id' => (int)$row['ticket_id'],
+                'number' => $row['number'],
+                'subject' => $row['subject'] ?? '',
+                'status' => $row['status'] ?? 'Unknown',
+                'dept_id' => (int)($row['dept_id'] ?? 0),
+                'department' => $row['department'] ?? '',
+                'requester' => $row['requester'] ?? '',
+            ];
+        }
+
+        return $tickets;
+    }
+
+    /**
+     * Check max_depth, max_children and allow_nested_subtickets for a link
+     *
+     * @param int $childId Ticket that would become the child
+     * @param int $parentId Ticket that would become the parent
+     * @return string|null LinkValidator code (NESTED, MAX_DEPTH, MAX_CHILDREN) or null if within limits
+     */
+    private function getLimitRestriction(int $childId, int $parentId): ?string
+    {
+        $config = ConfigCache::getInstance();
+        $allowNested = (bool)$config->get('allow_nested_subtickets', true);
+
+        // Depth of the deepest ticket after linking: parent's depth + child + child's own subtree
+        $resultingDepth = $this->getDepth($parentId) + 1 + $this->getSubtreeHeight($childId);
+
+        if (!$allowNested && $resultingDepth > 1) {
+            return LinkValidator::NESTED;
+        }
+
+        if ($resultingDepth > $this->getMaxDepth()) {
+            return LinkValidator::MAX_DEPTH;
+        }
+
+        $maxChildren = $this->getMaxChildren();
+        if ($maxChildren > 0 && $this->countChildren($parentId, $childId) >= $maxChildren) {
+            return LinkValidator::MAX_CHILDREN;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check the hierarchy limits for promoting a child over its siblings
+     *
+     * @param int $childId Ticket that would become the parent
+     * @param int $parentId Current parent of the ticket
+     * @param int[] $siblingIds Siblings that would become its children
+     * @param bool $keepParent Whether the ticket stays below its current parent
+     * @return string|null LinkValidator code (NESTED, MAX_DEPTH, MAX_CHILDREN) or null if within limits
+     */
+    private function getPromoteRestriction(int $childId, int $parentId, array $siblingIds, bool $keepParent): ?string
+    {
+        $config = ConfigCache::getInstance();
+        $allowNested = (bool)$config->get('allow_nested_subtickets', true);
+
+        // Depth of the deepest moved ticket: promoted ticket + sibling + the siblings' own subtrees
+        $childDepth = $keepParent ? $this->getDepth($parentId) + 1 : 0;
+        $resultingDepth = $childDepth + 1 + $this->getLevelsBelow($siblingIds);
+
+        if (!$allowNested && $resultingDepth > 1) {
+            return LinkValidator::NESTED;
+        }
+
+        if ($resultingDepth > $this->getMaxDepth()) {
+            return LinkValidator::MAX_DEPTH;
+        }
+
+        $maxChildren = $this->getMaxChildren();
+        if ($maxChildren > 0 && $this->countChildren($childId) + count($siblingIds) > $maxChildren) {
+            return LinkValidator::MAX_CHILDREN;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the configured maximum hierarchy depth
+     *
+     * A value < 1 means "no limit" and falls back to the hard MAX_HIERARCHY_DEPTH.
+     */
+    public function getMaxDepth(): int
+    {
+        $maxDepth = (int)ConfigCache::getInstance()->get('max_depth', 3);
+
+        if ($maxDepth < 1 || $maxDepth > self::MAX_HIERARCHY_DEPTH) {
+            return self::MAX_HIERARCHY_DEPTH;
+        }
+
+        return $maxDepth;
+    }
+
+    /**
+     * Get the configured maximum number of children per parent (0 = no limit)
+     */
+    public function getMaxChildren(): int
+    {
+        return max(0, (int)ConfigCache::getInstance()->get('max_children', 50));
+    }
+
+    /**
+     * Get the parent ID of a ticket
+     *
+     * @return int|null Parent ticket ID or null for root tickets
+     */
+    private function getParentId(int $ticketId): ?int
+    {
+        $ticketId_escaped = db_input($ticketId);
+
+        $result = db_query("SELECT ticket_pid FROM ost_ticket WHERE ticket_id = $ticketId_escaped");
+        $row = db_fetch_array($result);
+
+        return !empty($row['ticket_pid']) ? (int)$row['ticket_pid'] : null;
+    }
+
+    /**
+     * Get the other children of a ticket's parent
+     *
+     * @return int[] Sibling ticket IDs
+     */
+    private function getSiblingIds(int $ticketId, int $parentId): array
+    {
+        $ticketId_escaped = db_input($ticketId);
+        $parentId_escaped = db_input($parentId);
+
+        $result = db_query("SELECT ticket_id FROM ost_ticket
+                WHERE ticket_pid = $parentId_escaped AND ticket_id != $ticketId_escaped");
+
+        $siblingIds = [];
+        while ($result && ($row = db_fetch_array($result))) {
+            $siblingIds[] = (int)$row['ticket_id'];
+        }
+
+        return $siblingIds;
+    }
+
+    /**
+     * Record a hierarchy change if auditing is enabled
+     */
+    private function audit(string $event, int $ticketId, ?int $oldParentId, ?int $newParentId): void
+    {
+        if ($this->auditService) {
+            $this->auditService->record($event, $ticketId, $oldParentId, $newParentId);
+        }
+    }
+
     /**
      * Log message (uses global subticket_log if available)
      */
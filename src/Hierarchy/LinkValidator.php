@@ -0,0 +1,170 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SubticketManager\Hierarchy;
+
+use SubticketManager\Config\ConfigCache;
+
+/**
+ * LinkValidator - Hierarchy rules shared by all ways of adding a subticket
+ *
+ * Checks links (link, bulk link, move) and new subtickets (create,
+ * templates, split) against the configuration and returns a
+ * machine-readable code, so the panel can show a specific message:
+ * - SELF, CYCLE: the link itself is impossible
+ * - PARENT_CLOSED: require_parent_open and the parent is closed
+ * - NESTED: allow_nested_subtickets is off
+ * - MAX_DEPTH, MAX_CHILDREN: max_depth / max_children would be exceeded
+ *
+ * HierarchyService::linkTicket() still enforces cycles and limits itself;
+ * validating first avoids creating tickets that cannot be linked.
+ *
+ * @package SubticketManager
+ */
+final class LinkValidator
+{
+    public const SELF = 'SELF';
+    public const CYCLE = 'CYCLE';
+    public const PARENT_CLOSED = 'PARENT_CLOSED';
+    public const NESTED = 'NESTED';
+    public const MAX_DEPTH = 'MAX_DEPTH';
+    public const MAX_CHILDREN = 'MAX_CHILDREN';
+
+    private HierarchyService $hierarchyService;
+
+    public function __construct(HierarchyService $hierarchyService)
+    {
+        $this->hierarchyService = $hierarchyService;
+    }
+
+    /**
+     * Validate linking an existing ticket below a parent
+     *
+     * @param int $childId Ticket that would become the child
+     * @param int $parentId Ticket that would become the parent
+     * @return string|null Error code or null if the link is allowed
+     */
+    public function validateLink(int $childId, int $parentId): ?string
+    {
+        $reason = $this->hierarchyService->getLinkRestriction($childId, $parentId);
+
+        if ($reason === self::SELF || $reason === self::CYCLE) {
+            return $reason;
+        }
+
+        if ($this->isClosedParent($parentId)) {
+            return self::PARENT_CLOSED;
+        }
+
+        return $reason;
+    }
+
+    /**
+     * Validate creating new tickets below a parent
+     *
+     * @param int $parentId Parent ticket ID
+     * @param int $count Number of subtickets created at once
+     * @return string|null Error code or null if they can be created
+     */
+    public function validateNewChildren(int $parentId, int $count = 1): ?string
+    {
+        if ($this->isClosedParent($parentId)) {
+            return self::PARENT_CLOSED;
+        }
+
+        return $this->checkNewChildren(
+            $this->hierarchyService->getDepth($parentId),
+            $this->hierarchyService->countChildren($parentId) + $count
+        );
+    }
+
+    /**
+     * Get the restrictions of the panel buttons from the loaded panel data
+     *
+     * "Create Subticket" follows validateNewChildren() without querying what
+     * the panel already knows. "Link to Parent" is checked before a parent
+     * is chosen, so only the ticket's own subtree is considered.
+     *
+     * @param int $ticketId Current ticket ID
+     * @param int $depth Number of ancestors of the ticket
+     * @param int $childCount Number of children of the ticket
+     * @param int|null $height Levels below the ticket, null = has a parent ("Link to Parent" not shown)
+     * @return array{create: string|null, link: string|null, limits: array{max_depth: int, max_children: int}}
+     */
+    public function getPanelRestrictions(int $ticketId, int $depth, int $childCount, ?int $height): array
+    {
+        return [
+            'create' => $this->isClosedParent($ticketId)
+                ? self::PARENT_CLOSED
+                : $this->checkNewChildren($depth, $childCount + 1),
+            'link' => $height !== null ? $this->checkAsChild($height) : null,
+            'limits' => [
+                'max_depth' => $this->hierarchyService->getMaxDepth(),
+                'max_children' => $this->hierarchyService->getMaxChildren(),
+            ],
+        ];
+    }
+
+    /**
+     * Check nesting and limits for new children of a parent
+     *
+     * @param int $parentDepth Number of ancestors of the parent
+     * @param int $childCount Number of children the parent would have
+     */
+    private function checkNewChildren(int $parentDepth, int $childCount): ?string
+    {
+        if ($parentDepth > 0 && !$this->isNestingAllowed()) {
+            return self::NESTED;
+        }
+
+        if ($parentDepth + 1 > $this->hierarchyService->getMaxDepth()) {
+            return self::MAX_DEPTH;
+        }
+
+        $maxChildren = $this->hierarchyService->getMaxChildren();
+        if ($maxChildren > 0 && $childCount > $maxChildren) {
+            return self::MAX_CHILDREN;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check nesting and depth for linking a ticket with a subtree of $height levels
+     */
+    private function checkAsChild(int $height): ?string
+    {
+        if ($height > 0 && !$this->isNestingAllowed()) {
+            return self::NESTED;
+        }
+
+        if ($height + 1 > $this->hierarchyService->getMaxDepth()) {
+            return self::MAX_DEPTH;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether require_parent_open forbids adding children to a ticket
+     */
+    private function isClosedParent(int $parentId): bool
+    {
+        if (!ConfigCache::getInstance()->get('require_parent_open', true)) {
+            return false;
+        }
+
+        $parent = \Ticket::lookup($parentId);
+
+        return $parent && $parent->isClosed();
+    }
+
+    /**
+     * Check whether subtickets may have subtickets of their own
+     */
+    private function isNestingAllowed(): bool
+    {
+        return (bool)ConfigCache::getInstance()->get('allow_nested_subtickets', true);
+    }
+}
@@ -0,0 +1,200 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SubticketManager\Hierarchy;
+
+/**
+ * OverviewService - Queries for the Ticket Hierarchies overview page
+ *
+ * Handles:
+ * - Paginated list of parent tickets with child counts and completion
+ * - Filtering (status, department, assignee, completion, age)
+ * - Sorting by any column
+ * - Filter options (statuses, departments, agents)
+ *
+ * @package SubticketManager
+ */
+final class OverviewService
+{
+    /**
+     * Sortable columns => SQL expression
+     */
+    private const SORT_COLUMNS = [
+        'number' => 'p.number',
+        'subject' => 'subject',
+        'status' => 'status',
+        'department' => 'department',
+        'assignee' => 'assignee',
+        'children' => 'child_count',
+        'completion' => 'completion',
+        'created' => 'p.created',
+    ];
+
+    /**
+     * Get the names of the sortable columns
+     *
+     * @return array<int, string>
+     */
+    public function getSortColumns(): array
+    {
+        return array_keys(self::SORT_COLUMNS);
+    }
+
+    /**
+     * Get one page of parent tickets
+     *
+     * @param array $filters Validated filters:
+     *   status_id, dept_id, staff_id (0 = unassigned), min_completion, max_completion,
+     *   min_age, max_age (days), roots_only (bool), dept_ids (accessible departments, null = all)
+     * @param string $sort Column from getSortColumns()
+     * @param string $direction 'asc' or 'desc'
+     * @param int $page Page number (1-based)
+     * @param int $perPage Rows per page
+     * @return array{items: array, total: int}
+     */
+    public function getParents(array $filters, string $sort, string $direction, int $page, int $perPage): array
+    {
+        if (isset($filters['dept_ids']) && empty($filters['dept_ids'])) {
+            return ['items' => [], 'total' => 0];
+        }
+
+        $query = $this->buildParentsQuery($filters);
+
+        $result = db_query("SELECT COUNT(*) AS total FROM ($query) AS parents");
+        $row = db_fetch_array($result);
+        $total = $row ? (int)($row['total'] ?? 0) : 0;
+
+        if ($total === 0) {
+            return ['items' => [], 'total' => 0];
+        }
+
+        $orderBy = self::SORT_COLUMNS[$sort] ?? self::SORT_COLUMNS['created'];
+        $direction = strtolower($direction) === 'asc' ? 'ASC' : 'DESC';
+        $offset = max(0, ($page - 1) * $perPage);
+
+        $result = db_query("$query ORDER BY $orderBy $direction, p.ticket_id $direction LIMIT $offset, $perPage");
+
+        $items = [];
+        while ($result && ($row = db_fetch_array($result))) {
+            $items[] = [
+                'id' => (int)$row['ticket_id'],
+                'number' => $row['number'],
+                'subject' => $row['subject'] ?? '',
+                'status' => $row['status'] ?? 'Unknown',
+                'status_state' => $row['status_state'] ?? 'open',
+                'dept_id' => (int)($row['dept_id'] ?? 0),
+                'department' => $row['department'] ?? '',
+                'assignee' => $row['assignee'] ?? '',
+                'children' => (int)$row['child_count'],
+                'closed' => (int)$row['closed_count'],
+                'completion' => (int)$row['completion'],
+                'created' => $row['created'],
+            ];
+        }
+
+        return ['items' => $items, 'total' => $total];
+    }
+
+    /**
+     * Get the values offered in the filter dropdowns
+     *
+     * @param array<int, int>|null $deptIds Accessible departments (null = all)
+     * @return array{statuses: array, departments: array, staff: array}
+     */
+    public function getFilterOptions(?array $deptIds = null): array
+    {
+        $statuses = [];
+        $result = db_query("SELECT id, name, state FROM ost_ticket_status ORDER BY sort ASC, name ASC");
+        while ($result && ($row = db_fetch_array($result))) {
+            $statuses[] = ['id' => (int)$row['id'], 'name' => $row['name'], 'state' => $row['state']];
+        }
+
+        $departments = [];
+        $result = db_query("SELECT id, name FROM ost_department ORDER BY name ASC");
+        while ($result && ($row = db_fetch_array($result))) {
+            if ($deptIds === null || in_array((int)$row['id'], $deptIds, true)) {
+                $departments[] = ['id' => (int)$row['id'], 'name' => $row['name']];
+            }
+        }
+
+        $staff = [];
+        $result = db_query("SELECT staff_id, firstname, lastname FROM ost_staff
+                WHERE isactive = 1 ORDER BY lastname ASC, firstname ASC");
+        while ($result && ($row = db_fetch_array($result))) {
+            $staff[] = ['id' => (int)$row['staff_id'], 'name' => trim($row['firstname'] . ' ' . $row['lastname'])];
+        }
+
+        return [
+            'statuses' => $statuses,
+            'departments' => $departments,
+            'staff' => $staff,
+        ];
+    }
+
+    /**
+     * Build the parent query (without ORDER BY / LIMIT)
+     *
+     * Children are aggregated in a derived table so the outer query
+     * needs no GROUP BY over the joined parent columns.
+     */
+    private function buildParentsQuery(array $filters): string
+    {
+        $completion = 'ROUND(100 * agg.closed_count / agg.child_count)';
+        $where = [];
+
+        if (!empty($filters['roots_only'])) {
+            $where[] = '(p.ticket_pid IS NULL OR p.ticket_pid = 0)';
+        }
+        if (isset($filters['status_id'])) {
+            $where[] = 'p.status_id = ' . (int)$filters['status_id'];
+        }
+        if (isset($filters['dept_id'])) {
+            $where[] = 'p.dept_id = ' . (int)$filters['dept_id'];
+        }
+        if (isset($filters['dept_ids'])) {
+            $where[] = 'p.dept_id IN (' . implode(',', array_map('intval', $filters['dept_ids'])) . ')';
+        }
+        if (isset($filters['staff_id'])) {
+            $where[] = 'p.staff_id = ' . (int)$filters['staff_id'];
+        }
+        if (isset($filters['min_age'])) {
+            $where[] = 'p.created <= DATE_SUB(NOW(), INTERVAL ' . (int)$filters['min_age'] . ' DAY)';
+        }
+        if (isset($filters['max_age'])) {
+            $where[] = 'p.created >= DATE_SUB(NOW(), INTERVAL ' . (int)$filters['max_age'] . ' DAY)';
+        }
+        if (isset($filters['min_completion'])) {
+            $where[] = "$completion >= " . (int)$filters['min_completion'];
+        }
+        if (isset($filters['max_completion'])) {
+            $where[] = "$completion <= " . (int)$filters['max_completion'];
+        }
+
+        return "SELECT p.ticket_id, p.number, p.dept_id, p.created,
+                       cdata.subject as subject,
+                       ps.name as status,
+                       ps.state as status_state,
+                       d.name as department,
+                       COALESCE(NULLIF(TRIM(CONCAT_WS(' ', st.firstname, st.lastname)), ''), tm.name) as assignee,
+                       agg.child_count,
+                       agg.closed_count,
+                       $completion AS completion
+                FROM (
+                    SELECT c.ticket_pid,
+                           COUNT(*) AS child_count,
+                           SUM(CASE WHEN cs.state IN ('closed', 'archived') THEN 1 ELSE 0 END) AS closed_count
+                    FROM ost_ticket c
+                    LEFT JOIN ost_ticket_status cs ON c.status_id = cs.id
+                    WHERE c.ticket_pid > 0
+                    GROUP BY c.ticket_pid
+                ) agg
+                INNER JOIN ost_ticket p ON p.ticket_id = agg.ticket_pid
+                LEFT JOIN ost_ticket_status ps ON p.status_id = ps.id
+                LEFT JOIN ost_ticket__cdata cdata ON p.ticket_id = cdata.ticket_id
+                LEFT JOIN ost_department d ON p.dept_id = d.id
+                LEFT JOIN ost_staff st ON p.staff_id = st.staff_id
+                LEFT JOIN ost_team tm ON p.team_id = tm.team_id"
+            . ($where ? "\n                WHERE " . implode("\n                  AND ", $where) : '');
+    }
+}
@@ -0,0 +1,178 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SubticketManager\Hierarchy;
+
+/**
+ * SplitService - Thread entries of a ticket split into subtickets
+ *
+ * Handles:
+ * - Loading the messages and responses of a ticket thread
+ *   (body as HTML, excerpt and attachments)
+ * - Posting an internal note on the parent listing the new subtickets
+ *
+ * The subtickets themselves are created by the AJAX controller, like
+ * any other subticket.
+ *
+ * @package SubticketManager
+ */
+final class SplitService
+{
+    /**
+     * Thread entry types that can be split off (message, response)
+     */
+    private const ENTRY_TYPES = ['M', 'R'];
+
+    /**
+     * Maximum number of entries offered in the split dialog (newest)
+     */
+    private const MAX_ENTRIES = 50;
+
+    /**
+     * Maximum length of the excerpt shown in the split dialog
+     */
+    private const EXCERPT_LENGTH = 160;
+
+    /**
+     * Get the thread entries of a ticket that can be split off
+     *
+     * @param int $ticketId Ticket ID
+     * @param array<int, int>|null $entryIds Only these entries (null = the newest MAX_ENTRIES)
+     * @return array<int, array{id: int, type: string, poster: string, title: string, created: string, body: string, excerpt: string, attachments: array}> Entries by ID, oldest first
+     */
+    public function getEntries(int $ticketId, ?array $entryIds = null): array
+    {
+        if ($ticketId < 1 || ($entryIds !== null && empty($entryIds))) {
+            return [];
+        }
+
+        $ticketId_escaped = db_input($ticketId);
+        $idFilter = $entryIds !== null
+            ? ' AND e.id IN (' . implode(',', array_map('intval', $entryIds)) . ')'
+            : '';
+
+        $result = db_query("SELECT e.id, e.type, e.poster, e.title, e.body, e.format, e.created
+                FROM ost_thread_entry e
+                INNER JOIN ost_thread th ON e.thread_id = th.id
+                WHERE th.object_type = 'T' AND th.object_id = $ticketId_escaped
+                    AND e.type IN ('" . implode("', '", self::ENTRY_TYPES) . "')$idFilter
+                ORDER BY e.id DESC
+                LIMIT " . self::MAX_ENTRIES);
+
+        $entries = [];
+        while ($result && ($row = db_fetch_array($result))) {
+            $body = (string)($row['body'] ?? '');
+            if (($row['format'] ?? 'html') !== 'html') {
+                $body = nl2br(htmlspecialchars($body));
+            }
+
+            $entries[(int)$row['id']] = [
+                'id' => (int)$row['id'],
+                'type' => $row['type'],
+                'poster' => (string)($row['poster'] ?? ''),
+                'title' => (string)($row['title'] ?? ''),
+                'created' => $row['created'],
+                'body' => $body,
+                'excerpt' => $this->getExcerpt($body),
+                'attachments' => [],
+            ];
+        }
+
+        if (!$entries) {
+            return [];
+        }
+
+        ksort($entries);
+        $this->loadAttachments($entries);
+
+        return $entries;
+    }
+
+    /**
+     * Post an internal note on the parent listing the subtickets split off
+     *
+     * @param int $parentId Parent ticket ID
+     * @param array<int, array{ticket_id: int, ticket_number: string, subject: string}> $children New subtickets
+     * @return bool True if the note was posted
+     */
+    public function postSplitNote(int $parentId, array $children): bool
+    {
+        $parent = $children ? \Ticket::lookup($parentId) : null;
+        if (!$parent) {
+            return false;
+        }
+
+        $items = '';
+        foreach ($children as $child) {
+            $items .= sprintf(
+                '<li><a href="tickets.php?id=%d">#%s</a> %s</li>',
+                (int)$child['ticket_id'],
+                htmlspecialchars((string)$child['ticket_number']),
+                htmlspecialchars((string)$child['subject'])
+            );
+        }
+
+        $staff = $GLOBALS['thisstaff'] ?? null;
+        $poster = ($staff instanceof \Staff) ? $staff : 'SYSTEM';
+
+        $parent->logNote('Ticket split into subtickets', "Split into subtickets:<ul>$items</ul>", $poster, false);
+
+        $this->log('Split note posted', "Parent $parentId: " . count($children) . ' subtickets');
+
+        return true;
+    }
+
+    /**
+     * Add the attachments of the loaded entries (files are shared, not copied)
+     *
+     * @param array $entries Entries by ID
+     */
+    private function loadAttachments(array &$entries): void
+    {
+        $ids = implode(',', array_keys($entries));
+
+        $result = db_query("SELECT a.object_id, a.file_id, a.inline, COALESCE(a.name, f.name) AS name
+                FROM ost_attachment a
+                LEFT JOIN ost_file f ON a.file_id = f.id
+                WHERE a.type = 'H' AND a.object_id IN ($ids)
+                ORDER BY a.id ASC");
+
+        while ($result && ($row = db_fetch_array($result))) {
+            $entryId = (int)$row['object_id'];
+
+            if (isset($entries[$entryId])) {
+                $entries[$entryId]['attachments'][] = [
+                    'id' => (int)$row['file_id'],
+                    'name' => (string)($row['name'] ?? ''),
+                    'inline' => (bool)$row['inline'],
+                ];
+            }
+        }
+    }
+
+    /**
+     * Get a plain text excerpt of an entry body for the split dialog
+     */
+    private function getExcerpt(string $html): string
+    {
+        $text = html_entity_decode(strip_tags(preg_replace('/<(br|\/p|\/div|\/li)[^>]*>/i', ' ', $html)), ENT_QUOTES, 'UTF-8');
+        $text = trim((string)preg_replace('/\s+/u', ' ', $text));
+
+        if (mb_strlen($text) > self::EXCERPT_LENGTH) {
+            $text = rtrim(mb_substr($text, 0, self::EXCERPT_LENGTH - 1)) . '…';
+        }
+
+        return $text;
+    }
+
+    /**
+     * Log helper
+     */
+    private function log(string $title, string $message = ''): void
+    {
+        if (function_exists('subticket_log')) {
+            subticket_log($title, $message);
+        }
+    }
+}
@@ -0,0 +1,215 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SubticketManager\I18n;
+
+/**
+ * Translator - UI string catalogues for panel, queue indicator and overview page
+ *
+ * Handles:
+ * - Loading i18n/<language>.php catalogues (key => string, or key => plural forms)
+ * - Fallback chain: de_AT -> de -> en -> key
+ * - {placeholder} substitution and plural form selection
+ * - Exporting the catalogue for the frontend scripts
+ *
+ * @package SubticketManager
+ */
+final class Translator
+{
+    /**
+     * Language every catalogue falls back to
+     */
+    public const DEFAULT_LANGUAGE = 'en';
+
+    /**
+     * Languages whose singular form also covers 0 (all others: only 1)
+     */
+    private const SINGULAR_INCLUDES_ZERO = ['fr', 'pt_BR'];
+
+    private string $catalogueDir;
+
+    private ?string $language;
+
+    /** @var array<string, string|array<int, string>>|null */
+    private ?array $strings = null;
+
+    /**
+     * The catalogues are loaded on first use, so the agent's language is
+     * detected after the staff session is available (not at bootstrap).
+     *
+     * @param string $catalogueDir Directory holding the <language>.php catalogues
+     * @param string|null $language Language code (null = agent's language)
+     */
+    public function __construct(string $catalogueDir, ?string $language = null)
+    {
+        $this->catalogueDir = rtrim($catalogueDir, '/');
+        $this->language = $language !== null ? self::normalizeLanguage($language) : null;
+    }
+
+    /**
+     * Get the language of the current agent
+     *
+     * Uses osTicket's language selection (agent preference, then system
+     * default) when available.
+     */
+    public static function detectLanguage(): string
+    {
+        if (class_exists('Internationalization') && method_exists('Internationalization', 'getCurrentLanguage')) {
+            /** @disregard P1009 (osTicket class not available in IDE context) */
+            $language = \Internationalization::getCurrentLanguage();
+            if (is_string($language) && $language !== '') {
+                return $language;
+            }
+        }
+
+        return self::DEFAULT_LANGUAGE;
+    }
+
+    /**
+     * Get the normalized language code (e.g. 'de' or 'pt_BR')
+     */
+    public function getLanguage(): string
+    {
+        if ($this->language === null) {
+            $this->language = self::normalizeLanguage(self::detectLanguage());
+        }
+
+        return $this->language;
+    }
+
+    /**
+     * Translate a string
+     *
+     * @param string $key Catalogue key
+     * @param array<string, string|int> $params Values for {placeholders}
+     * @return string Translated string, the key itself if unknown
+     */
+    public function translate(string $key, array $params = []): string
+    {
+        $string = $this->getCatalogue()[$key] ?? $key;
+
+        if (is_array($string)) {
+            $string = (string)reset($string);
+        }
+
+        return $this->interpolate($string, $params);
+    }
+
+    /**
+     * Translate a string with plural forms
+     *
+     * {count} is always available as a placeholder.
+     *
+     * @param string $key Catalogue key (value is an array of plural forms)
+     * @param int $count Number that selects the form
+     * @param array<string, string|int> $params Values for further {placeholders}
+     * @return string Translated string
+     */
+    public function plural(string $key, int $count, array $params = []): string
+    {
+        $forms = $this->getCatalogue()[$key] ?? $key;
+        $forms = is_array($forms) ? array_values($forms) : [$forms];
+        $index = min($this->getPluralIndex($count), count($forms) - 1);
+
+        return $this->interpolate($forms[$index], $params + ['count' => $count]);
+    }
+
+    /**
+     * Get the plural form index for a number
+     *
+     * @return int 0 = singular, 1 = plural
+     */
+    public function getPluralIndex(int $count): int
+    {
+        if (in_array($this->getLanguage(), self::SINGULAR_INCLUDES_ZERO, true)) {
+            return $count > 1 ? 1 : 0;
+        }
+
+        return $count === 1 ? 0 : 1;
+    }
+
+    /**
+     * Get the merged catalogue (for the frontend scripts)
+     *
+     * @return array<string, string|array<int, string>>
+     */
+    public function getCatalogue(): array
+    {
+        if ($this->strings === null) {
+            $this->strings = $this->loadCatalogues();
+        }
+
+        return $this->strings;
+    }
+
+    /**
+     * Normalize a language code ('de-DE' / 'de_de' -> 'de_DE')
+     */
+    private static function normalizeLanguage(string $language): string
+    {
+        $parts = preg_split('/[-_]/', trim($language));
+        $code = strtolower($parts[0] ?? '');
+
+        if (!preg_match('/^[a-z]{2,3}$/', $code)) {
+            return self::DEFAULT_LANGUAGE;
+        }
+
+        if (!empty($parts[1]) && preg_match('/^[a-z]{2}$/i', $parts[1])) {
+            $code .= '_' . strtoupper($parts[1]);
+        }
+
+        return $code;
+    }
+
+    /**
+     * Load and merge the catalogues of the fallback chain
+     *
+     * @return array<string, string|array<int, string>>
+     */
+    private function loadCatalogues(): array
+    {
+        $language = $this->getLanguage();
+        $base = explode('_', $language)[0];
+        $chain = [self::DEFAULT_LANGUAGE];
+
+        if ($base !== self::DEFAULT_LANGUAGE) {
+            $chain[] = $base;
+        }
+        if ($language !== $base) {
+            $chain[] = $language;
+        }
+
+        $strings = [];
+        foreach ($chain as $code) {
+            $file = "{$this->catalogueDir}/$code.php";
+            if (is_file($file)) {
+                $catalogue = include $file;
+                if (is_array($catalogue)) {
+                    $strings = array_merge($strings, $catalogue);
+                }
+            }
+        }
+
+        return $strings;
+    }
+
+    /**
+     * Replace {placeholders} in a string
+     *
+     * @param array<string, string|int> $params
+     */
+    private function interpolate(string $string, array $params): string
+    {
+        if (empty($params)) {
+            return $string;
+        }
+
+        $replacements = [];
+        foreach ($params as $name => $value) {
+            $replacements['{' . $name . '}'] = (string)$value;
+        }
+
+        return strtr($string, $replacements);
+    }
+}
@@ -4,8 +4,14 @@ declare(strict_types=1);
 
 namespace SubticketManager\Signal;
 
+use SubticketManager\Config\ConfigCache;
+use SubticketManager\Hierarchy\DependencyService;
 use SubticketManager\Hierarchy\HierarchyService;
+use SubticketManager\Hierarchy\LinkValidator;
+use SubticketManager\Template\TemplateService;
 use SubticketManager\UI\PanelRenderer;
+use SubticketManager\Workflow\AutoCloseService;
+use SubticketManager\Workflow\CascadeService;
 
 /**
  * TicketEventHandler - Handles osTicket signal events
@@ -13,7 +19,8 @@ use SubticketManager\UI\PanelRenderer;
  * Manages:
  * - object.view signal (UI injection)
  * - model.created signal (auto-linking)
- * - model.updated signal (status changes)
+ * - model.updated signal (status changes, unblocked dependencies)
+ * - Client portal panel (read-only subtickets of the user)
  *
  * @package SubticketManager
  */
@@ -21,11 +28,28 @@ final class TicketEventHandler
 {
     private HierarchyService $hierarchyService;
     private PanelRenderer $panelRenderer;
-
-    public function __construct(HierarchyService $hierarchyService, PanelRenderer $panelRenderer)
-    {
+    private AutoCloseService $autoCloseService;
+    private CascadeService $cascadeService;
+    private TemplateService $templateService;
+    private DependencyService $dependencyService;
+    private LinkValidator $linkValidator;
+
+    public function __construct(
+        HierarchyService $hierarchyService,
+        PanelRenderer $panelRenderer,
+        AutoCloseService $autoCloseService,
+        CascadeService $cascadeService,
+        TemplateService $templateService,
+        DependencyService $dependencyService,
+        LinkValidator $linkValidator
+    ) {
         $this->hierarchyService = $hierarchyService;
         $this->panelRenderer = $panelRenderer;
+        $this->autoCloseService = $autoCloseService;
+        $this->cascadeService = $cascadeService;
+        $this->templateService = $templateService;
+        $this->dependencyService = $dependencyService;
+        $this->linkValidator = $linkValidator;
     }
 
     /**
@@ -60,16 +84,187 @@ final class TicketEventHandler
             return '';
         }
 
+        $panel = $this->loadPanelData($ticketId);
+
+        $html = $this->panelRenderer->render($ticketId, $panel['parent'], $panel['children'], $csrfToken, $panel);
+        $this->log('Rendered HTML length', strlen($html) . ' bytes');
+
+        return $html;
+    }
+
+    /**
+     * Build panel markup and data for an AJAX refresh
+     *
+     * Unlike onTicketView() this returns the bare panel (no CSS/JS assets),
+     * so the frontend can swap it in place without reloading the page.
+     *
+     * @param int $ticketId Ticket ID
+     * @param string $csrfToken CSRF token for AJAX
+     * @return array{html: string, parent: array|null, children: array<int, array>}
+     */
+    public function getPanel(int $ticketId, string $csrfToken): array
+    {
+        $panel = $this->loadPanelData($ticketId);
+        $panel['html'] = $this->panelRenderer->renderPanel($ticketId, $panel['parent'], $panel['children'], $csrfToken, $panel);
+
+        return $panel;
+    }
+
+    /**
+     * Build the read-only client portal panel of a parent ticket
+     *
+     * Only the children owned by the user are listed (and counted in the
+     * progress); other users' subtickets stay invisible.
+     *
+     * @param int $ticketId Parent ticket ID
+     * @param int $userId User viewing the ticket
+     * @return array{html: string, children: array<int, array>, progress: array}
+     */
+    public function getClientPanel(int $ticketId, int $userId): array
+    {
+        $children = array_map(function (array $child): array {
+            return [
+                'id' => $child['id'],
+                'number' => $child['number'],
+                'subject' => $child['subject'],
+                'status' => $child['status'],
+                'status_state' => $child['status_state'],
+            ];
+        }, $this->hierarchyService->getChildren($ticketId, $userId));
+
+        $progress = $this->hierarchyService->getProgress($children);
+
+        return [
+            'html' => $children ? $this->panelRenderer->renderClientPanel($ticketId, $children, $progress) : '',
+            'children' => $children,
+            'progress' => $progress,
+        ];
+    }
+
+    /**
+     * Load parent and children for the panel
+     *
+     * @param int $ticketId Ticket ID
+     * @return array{parent: array|null, children: array<int, array>}
+     */
+    private function loadPanelData(int $ticketId): array
+    {
         $parent = $this->hierarchyService->getParent($ticketId);
         $children = $this->hierarchyService->getChildren($ticketId);
 
         $this->log('Parent ticket', $parent ? 'found' : 'none');
         $this->log('Children count', (string)count($children));
 
-        $html = $this->panelRenderer->render($ticketId, $parent, $children, $csrfToken);
-        $this->log('Rendered HTML length', strlen($html) . ' bytes');
+        // Full hierarchy only for tickets that are part of one
+        $tree = ($parent || $children)
+            ? $this->hierarchyService->getTree($ticketId, $parent !== null)
+            : null;
+
+        $panel = [
+            'parent' => $parent,
+            'children' => $children,
+            'progress' => $this->hierarchyService->getProgress($children),
+            'tree' => $tree,
+            'closes_parent' => false,
+            'cascade' => null,
+            'templates' => $this->templateService->getSummaries(),
+            'due_dates' => null,
+            'dependencies' => null,
+            'restrictions' => null,
+        ];
+
+        if ($children && $this->hierarchyService->isEffectiveDueDateEnabled()) {
+            $panel['due_dates'] = ['effective' => $this->hierarchyService->getEffectiveDueDate($children)];
+        }
 
-        return $html;
+        $siblings = [];
+        if ($tree && $parent) {
+            $parentNode = $this->findPathNode($tree, count($tree['path']) - 2);
+            $panel['closes_parent'] = $parentNode
+                && $this->autoCloseService->wouldCloseParent($ticketId, $parentNode['children']);
+            $siblings = $parentNode ? $parentNode['children'] : [];
+        }
+
+        $cascadeTypes = $this->cascadeService->getEnabledTypes();
+        if ($tree && $children && $cascadeTypes) {
+            $node = $this->findPathNode($tree, count($tree['path']) - 1);
+            $panel['cascade'] = [
+                'types' => $cascadeTypes,
+                'targets' => $node ? $this->collectOpenDescendants($node) : [],
+                'last' => $this->cascadeService->getLastCascade($ticketId),
+            ];
+        }
+
+        // "Blocked by" links (offered between siblings)
+        $panel['dependencies'] = $this->dependencyService->getPanelData($ticketId, $siblings);
+
+        // Limits already reached disable "Create Subticket" / "Link to Parent" up front
+        $panel['restrictions'] = $this->linkValidator->getPanelRestrictions(
+            $ticketId,
+            $tree ? count($tree['path']) - 1 : 0,
+            count($children),
+            $parent ? null : ($tree['height'] ?? 0)
+        );
+
+        return $panel;
+    }
+
+    /**
+     * Find the tree node of an entry in the tree path
+     *
+     * @param array $tree Tree as returned by HierarchyService::getTree()
+     * @param int $index Index in $tree['path'] (0 = root)
+     * @return array|null Node including its children
+     */
+    private function findPathNode(array $tree, int $index): ?array
+    {
+        if ($index < 0) {
+            return null;
+        }
+
+        $node = $tree['root'];
+
+        foreach (array_slice($tree['path'], 1, $index) as $step) {
+            $next = null;
+            foreach ($node['children'] as $child) {
+                if ($child['id'] === $step['id']) {
+                    $next = $child;
+                    break;
+                }
+            }
+
+            if ($next === null) {
+                return null;
+            }
+            $node = $next;
+        }
+
+        return $node;
+    }
+
+    /**
+     * Flatten the open tickets below a tree node
+     *
+     * @param array $node Tree node
+     * @return array<int, array{id: int, number: string, subject: string, status: string}>
+     */
+    private function collectOpenDescendants(array $node): array
+    {
+        $tickets = [];
+
+        foreach ($node['children'] as $child) {
+            if ($this->hierarchyService->classifyStatus($child['status_state'], $child['status']) !== 'closed') {
+                $tickets[] = [
+                    'id' => $child['id'],
+                    'number' => $child['number'],
+                    'subject' => $child['subject'],
+                    'status' => $child['status'],
+                ];
+            }
+            $tickets = array_merge($tickets, $this->collectOpenDescendants($child));
+        }
+
+        return $tickets;
     }
 
     /**
@@ -111,16 +306,15 @@ final class TicketEventHandler
         $this->log('Auto-linking ticket', "Child: $childId, Parent: $parentId");
 
         try {
-            $parentId_escaped = db_input($parentId);
-            $childId_escaped = db_input($childId);
-
-            $sql = "UPDATE ost_ticket SET ticket_pid = $parentId_escaped WHERE ticket_id = $childId_escaped";
-            $result = db_query($sql);
-
-            if ($result) {
+            // Same checks and audit entry as linking from the panel
+            $code = $this->linkValidator->validateLink((int)$childId, $parentId);
+            if ($code !== null) {
+                $this->log('Auto-link rejected', "Ticket $childId cannot be linked to parent $parentId ($code)");
+                $this->noteRejectedLink($object, $parentId, $code);
+            } elseif ($this->hierarchyService->linkTicket((int)$childId, $parentId)) {
                 $this->log('Auto-link successful', "Ticket $childId linked to parent $parentId");
             } else {
-                $this->log('Auto-link failed', 'Database update failed');
+                $this->log('Auto-link failed', 'Ticket not found or database update failed');
             }
         } catch (\Exception $e) {
             $this->log('Auto-link exception', $e->getMessage());
@@ -134,12 +328,37 @@ final class TicketEventHandler
     /**
      * Handle model.updated signal - process ticket status changes
      *
+     * Pushes hold/assignment changes down to all descendants and closes
+     * the parent ticket when its last open child was closed.
+     *
      * @param mixed $model The updated model
      * @param array<string, mixed> $changes Changed fields
      */
     public function onTicketStatusChanged($model, ?array $changes = null): void
     {
-        // TODO: Phase 4 Cycle 8 - implement auto-close logic
+        if (!($model instanceof \Ticket)) {
+            return;
+        }
+
+        $this->log('onTicketStatusChanged() called', 'Ticket: ' . $model->getId());
+
+        try {
+            $this->cascadeService->handleTicketUpdate($model, $changes ?? []);
+        } catch (\Exception $e) {
+            $this->log('Cascade exception', $e->getMessage());
+        }
+
+        try {
+            $this->autoCloseService->handleStatusChange($model, $changes ?? []);
+        } catch (\Exception $e) {
+            $this->log('Auto-close exception', $e->getMessage());
+        }
+
+        try {
+            $this->dependencyService->handleStatusChange($model, $changes ?? []);
+        } catch (\Exception $e) {
+            $this->log('Dependency exception', $e->getMessage());
+        }
     }
 
     /**
@@ -181,6 +400,73 @@ final class TicketEventHandler
         return true;
     }
 
+    /**
+     * Check if the client portal panel is enabled in the plugin settings
+     */
+    public function isClientPanelEnabled(): bool
+    {
+        return (bool)ConfigCache::getInstance()->get('client_portal_panel', false);
+    }
+
+    /**
+     * Get the ticket of the client portal page that should show the panel
+     *
+     * @return int|null Ticket ID on tickets.php?id=X with the client panel enabled, null otherwise
+     */
+    public function getClientPanelTicketId(): ?int
+    {
+        if (!$this->isClientPanelEnabled()) {
+            return null;
+        }
+
+        $scriptName = basename($_SERVER['SCRIPT_NAME'] ?? '');
+        $ticketId = $_GET['id'] ?? '';
+
+        if ($scriptName !== 'tickets.php' || !is_string($ticketId) || !ctype_digit($ticketId) || (int)$ticketId < 1) {
+            $this->log('Skipping client panel', "Not on a ticket page (current: $scriptName)");
+            return null;
+        }
+
+        return (int)$ticketId;
+    }
+
+    /**
+     * Tell the agent on the new ticket why it was not linked to its parent
+     *
+     * @param \Ticket $ticket Newly created ticket
+     * @param int $parentId Parent it should have been linked to
+     * @param string $code Error code from LinkValidator
+     */
+    private function noteRejectedLink($ticket, int $parentId, string $code): void
+    {
+        switch ($code) {
+            case LinkValidator::PARENT_CLOSED:
+                $reason = 'Subtickets cannot be added to a closed ticket';
+                break;
+            case LinkValidator::NESTED:
+                $reason = 'Nested subtickets are disabled';
+                break;
+            case LinkValidator::MAX_DEPTH:
+                $reason = 'Would exceed the maximum depth';
+                break;
+            case LinkValidator::MAX_CHILDREN:
+                $reason = 'Parent already has the maximum number of subtickets';
+                break;
+            default:
+                $reason = 'Cannot be linked';
+        }
+
+        $parent = \Ticket::lookup($parentId);
+        $number = $parent ? $parent->getNumber() : $parentId;
+
+        $ticket->logNote(
+            'Not linked as subticket',
+            htmlspecialchars("Not linked to parent ticket #$number: $reason ($code)"),
+            'SYSTEM',
+            false
+        );
+    }
+
     /**
      * Log message
      */
@@ -0,0 +1,199 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SubticketManager\Template;
+
+use SubticketManager\Config\ConfigCache;
+
+/**
+ * TemplateService - Admin-defined subticket templates (checklists)
+ *
+ * Handles:
+ * - Parsing and validating the template definition from the plugin settings
+ * - Looking up templates for the panel's "Apply template" action
+ *
+ * The definition is a JSON list of templates:
+ *
+ *   [{"name": "Onboarding", "items": [
+ *       {"subject": "Create account", "dept_id": 3, "topic_id": 12, "staff_id": 5, "message": "..."},
+ *       {"subject": "Order hardware", "dept_id": 4}
+ *   ]}]
+ *
+ * topic_id and staff_id are optional (0 = parent's help topic / creating
+ * agent), message defaults to the subject.
+ *
+ * @package SubticketManager
+ */
+final class TemplateService
+{
+    /**
+     * Maximum number of subtickets per template
+     */
+    public const MAX_ITEMS = 25;
+
+    /**
+     * Maximum subject length (same as the inline create form)
+     */
+    public const SUBJECT_MAX_LENGTH = 50;
+
+    /**
+     * Get all templates from the plugin settings
+     *
+     * Invalid definitions yield no templates (they are rejected when saving
+     * the settings).
+     *
+     * @return array<int, array> Templates (see parse())
+     */
+    public function getTemplates(): array
+    {
+        $errors = [];
+        $templates = $this->parse((string)ConfigCache::getInstance()->get('subticket_templates', ''), $errors);
+
+        return empty($errors) ? $templates : [];
+    }
+
+    /**
+     * Get a template by ID
+     *
+     * @param int $templateId Template ID (1-based position in the definition)
+     * @return array|null Template or null if not defined
+     */
+    public function getTemplate(int $templateId): ?array
+    {
+        foreach ($this->getTemplates() as $template) {
+            if ($template['id'] === $templateId) {
+                return $template;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the templates for the panel (name and subjects only)
+     *
+     * @return array<int, array{id: int, name: string, items: array<int, string>}>
+     */
+    public function getSummaries(): array
+    {
+        return array_map(function (array $template): array {
+            return [
+                'id' => $template['id'],
+                'name' => $template['name'],
+                'items' => array_column($template['items'], 'subject'),
+            ];
+        }, $this->getTemplates());
+    }
+
+    /**
+     * Parse and validate a template definition
+     *
+     * @param string $definition JSON definition (empty = no templates)
+     * @param array<int, string> $errors Validation errors (appended)
+     * @return array<int, array{id: int, name: string, items: array<int, array{subject: string, dept_id: int, topic_id: int, staff_id: int, message: string}>}>
+     */
+    public function parse(string $definition, array &$errors = []): array
+    {
+        if (trim($definition) === '') {
+            return [];
+        }
+
+        $data = json_decode($definition, true);
+        if (!is_array($data) || array_keys($data) !== range(0, count($data) - 1)) {
+            $errors[] = 'Templates must be a JSON list of templates';
+            return [];
+        }
+
+        $templates = [];
+        foreach ($data as $index => $template) {
+            $label = 'Template ' . ($index + 1);
+            $name = is_array($template) ? trim((string)($template['name'] ?? '')) : '';
+
+            if ($name === '') {
+                $errors[] = "$label: name is required";
+                continue;
+            }
+
+            $items = $template['items'] ?? null;
+            if (!is_array($items) || empty($items)) {
+                $errors[] = "$label ($name): at least one item is required";
+                continue;
+            }
+
+            if (count($items) > self::MAX_ITEMS) {
+                $errors[] = "$label ($name): at most " . self::MAX_ITEMS . ' items are allowed';
+                continue;
+            }
+
+            $parsedItems = [];
+            foreach (array_values($items) as $position => $item) {
+                $parsed = $this->parseItem($item, "$label ($name), item " . ($position + 1), $errors);
+                if ($parsed !== null) {
+                    $parsedItems[] = $parsed;
+                }
+            }
+
+            $templates[] = [
+                'id' => $index + 1,
+                'name' => $name,
+                'items' => $parsedItems,
+            ];
+        }
+
+        return $templates;
+    }
+
+    /**
+     * Validate a single template item
+     *
+     * @param mixed $item Item from the definition
+     * @param string $label Item label for error messages
+     * @param array<int, string> $errors Validation errors (appended)
+     * @return array|null Normalized item or null if invalid
+     */
+    private function parseItem($item, string $label, array &$errors): ?array
+    {
+        if (!is_array($item)) {
+            $errors[] = "$label: must be an object";
+            return null;
+        }
+
+        $subject = trim((string)($item['subject'] ?? ''));
+        if ($subject === '') {
+            $errors[] = "$label: subject is required";
+            return null;
+        }
+
+        if (strlen($subject) > self::SUBJECT_MAX_LENGTH) {
+            $errors[] = "$label: subject too long (max " . self::SUBJECT_MAX_LENGTH . ' characters)';
+            return null;
+        }
+
+        $ids = [];
+        foreach (['dept_id' => true, 'topic_id' => false, 'staff_id' => false] as $field => $required) {
+            $value = $item[$field] ?? 0;
+
+            if (!is_int($value) && !(is_string($value) && ctype_digit($value))) {
+                $errors[] = "$label: $field must be a number";
+                return null;
+            }
+
+            $ids[$field] = (int)$value;
+            if ($required && $ids[$field] < 1) {
+                $errors[] = "$label: $field is required";
+                return null;
+            }
+        }
+
+        $message = trim((string)($item['message'] ?? ''));
+
+        return [
+            'subject' => $subject,
+            'dept_id' => $ids['dept_id'],
+            'topic_id' => $ids['topic_id'],
+            'staff_id' => $ids['staff_id'],
+            'message' => $message !== '' ? $message : $subject,
+        ];
+    }
+}
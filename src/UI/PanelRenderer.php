@@ -4,13 +4,16 @@ declare(strict_types=1);
 
 namespace SubticketManager\UI;
 
+use SubticketManager\I18n\Translator;
+
 /**
  * PanelRenderer - Renders the subticket UI panel in ticket view
  *
  * Handles:
- * - HTML panel rendering
+ * - HTML panel rendering (strings from the agent's catalogue)
+ * - Read-only client portal panel
  * - CSS injection
- * - JavaScript loading
+ * - JavaScript loading (including the string catalogue for the scripts)
  *
  * @package SubticketManager
  */
@@ -18,9 +21,16 @@ final class PanelRenderer
 {
     private string $pluginUrl;
 
-    public function __construct(string $pluginUrl)
+    private Translator $translator;
+
+    /**
+     * @param string $pluginUrl Public URL of the plugin directory
+     * @param Translator|null $translator UI strings (null = catalogue of the agent's language)
+     */
+    public function __construct(string $pluginUrl, ?Translator $translator = null)
     {
         $this->pluginUrl = rtrim($pluginUrl, '/');
+        $this->translator = $translator ?? new Translator(dirname(__DIR__, 2) . '/i18n');
     }
 
     /**
@@ -30,11 +40,12 @@ final class PanelRenderer
      * @param array|null $parent Parent ticket data
      * @param array<int, array> $children Array of child tickets
      * @param string $csrfToken CSRF token for AJAX
+     * @param array $extras Additional panel data (e.g. 'progress')
      * @return string Complete HTML output
      */
-    public function render(int $ticketId, ?array $parent, array $children, string $csrfToken): string
+    public function render(int $ticketId, ?array $parent, array $children, string $csrfToken, array $extras = []): string
     {
-        $html = $this->renderPanel($ticketId, $parent, $children, $csrfToken);
+        $html = $this->renderPanel($ticketId, $parent, $children, $csrfToken, $extras);
         $html .= $this->getCss();
         $html .= $this->getJavaScript();
 
@@ -43,21 +54,93 @@ final class PanelRenderer
 
     /**
      * Render the panel HTML structure
+     *
+     * Public so the AJAX panel refresh can re-render without CSS/JS assets.
+     *
+     * @param int $ticketId Current ticket ID
+     * @param array|null $parent Parent ticket data
+     * @param array<int, array> $children Array of child tickets
+     * @param string $csrfToken CSRF token for AJAX
+     * @param array $extras Additional panel data:
+     *   - progress: {total, open, on_hold, closed} child status counts
+     *   - tree: {root, path, height} full hierarchy (see HierarchyService::getTree())
+     *   - templates: subticket templates {id, name, items} (see TemplateService::getSummaries())
+     *   - due_dates: {effective} rolled-up due date (see HierarchyService::getEffectiveDueDate()), null = disabled
+     *   - restrictions: {create, link, limits} LinkValidator error codes (null = allowed) and effective limits
+     * @return string Panel HTML
      */
-    private function renderPanel(int $ticketId, ?array $parent, array $children, string $csrfToken): string
+    public function renderPanel(int $ticketId, ?array $parent, array $children, string $csrfToken, array $extras = []): string
     {
-        $html = '<div class="subticket-panel section-break" data-ticket-id="' . $ticketId . '" data-csrf-token="' . htmlspecialchars($csrfToken) . '">';
+        $html = '<div class="subticket-panel section-break" data-ticket-id="' . $ticketId . '" data-csrf-token="' . htmlspecialchars($csrfToken) . '"';
+
+        // Closing this ticket auto-closes the parent (JS asks the agent first)
+        if ($parent && !empty($extras['closes_parent'])) {
+            $html .= ' data-closes-parent="' . htmlspecialchars((string)$parent['number']) . '"';
+        }
+
+        // Hold/assignment changes cascade to these tickets (JS asks the agent first)
+        $cascade = $extras['cascade'] ?? null;
+        if ($cascade && $cascade['targets']) {
+            $html .= ' data-cascade="' . htmlspecialchars(implode(' ', $cascade['types'])) . '"';
+            $html .= ' data-cascade-targets="' . htmlspecialchars(json_encode($cascade['targets'])) . '"';
+        }
+
+        // Limits for the messages of error codes (JS)
+        $restrictions = $extras['restrictions'] ?? null;
+        if ($restrictions) {
+            $html .= ' data-limits="' . htmlspecialchars(json_encode($restrictions['limits'])) . '"';
+        }
+
+        $html .= '>';
 
         // Parent ticket badge
         if (!empty($children)) {
-            $html .= $this->renderParentBadge(count($children));
+            $progress = $extras['progress'] ?? ['total' => count($children), 'open' => count($children), 'on_hold' => 0, 'closed' => 0];
+            $html .= $this->renderParentBadge($progress);
         }
 
+        // Tabs: relationships (rendered here) and history (loaded on demand)
+        $html .= $this->renderTabs($ticketId);
+        $html .= '<div class="subticket-tab-panel" id="subticket-tabpanel-' . $ticketId . '-hierarchy" role="tabpanel"'
+            . ' aria-labelledby="subticket-tab-' . $ticketId . '-hierarchy" data-tab="hierarchy">';
+
         // Parent section
-        $html .= $this->renderParentSection($ticketId, $parent);
+        $html .= $this->renderParentSection($ticketId, $parent, $restrictions);
+
+        // Breadcrumbs (root ancestor down to the current ticket)
+        $tree = $extras['tree'] ?? null;
+        if ($tree && count($tree['path']) > 1) {
+            $html .= $this->renderBreadcrumbs($tree['path']);
+        }
 
         // Children section
-        $html .= $this->renderChildrenSection($ticketId, $children);
+        $html .= $this->renderChildrenSection($ticketId, $children, $extras['templates'] ?? [], $extras['due_dates'] ?? null, $restrictions);
+
+        // "Blocked by" links
+        if (!empty($extras['dependencies'])) {
+            $html .= $this->renderDependencySection($ticketId, $extras['dependencies']);
+        }
+
+        // Undo for the last hold/assignment cascade
+        if ($cascade && $cascade['last']) {
+            $html .= $this->renderCascadeNotice($ticketId, $cascade['last']);
+        }
+
+        // Full hierarchy tree
+        if ($tree && $this->isTreeWorthShowing($tree)) {
+            $html .= $this->renderTreeSection($ticketId, $tree['root']);
+        }
+
+        // Download the whole hierarchy
+        if ($parent || !empty($children)) {
+            $html .= $this->renderExportLinks($ticketId);
+        }
+
+        $html .= '</div>';
+
+        // Relationship history (filled by subticket-panel.js)
+        $html .= '<div class="subticket-tab-panel subticket-history" id="subticket-tabpanel-' . $ticketId . '-history" role="tabpanel"'
+            . ' aria-labelledby="subticket-tab-' . $ticketId . '-history" data-tab="history" hidden></div>';
 
         $html .= '</div>';
 
@@ -65,48 +148,137 @@ final class PanelRenderer
     }
 
     /**
-     * Render the parent ticket badge
+     * Render the read-only client portal panel
+     *
+     * Lists the user's subtickets of a parent with status and a progress
+     * summary; no actions, no staff-only details (assignee, hierarchy).
+     *
+     * @param int $ticketId Parent ticket ID
+     * @param array<int, array> $children User's child tickets {id, number, subject, status, status_state}
+     * @param array $progress Child status counts {total, open, on_hold, closed}
+     * @return string HTML
+     */
+    public function renderClientPanel(int $ticketId, array $children, array $progress): string
+    {
+        $total = (int)$progress['total'];
+        $closed = (int)$progress['closed'];
+        $percent = $total > 0 ? (int)round($closed / $total * 100) : 0;
+        $breakdown = $this->t('panel.progress_breakdown', [
+            'closed' => $closed,
+            'on_hold' => (int)$progress['on_hold'],
+            'open' => (int)$progress['open'],
+        ]);
+
+        $html = '<div class="subticket-client-panel" data-ticket-id="' . $ticketId . '">';
+        $html .= '<h3>' . $this->t('client.title') . '</h3>';
+        $html .= '<div class="subticket-client-progress" title="' . $breakdown . '">'
+            . '<span class="subticket-client-bar" role="progressbar" aria-valuemin="0" aria-valuemax="' . $total . '" aria-valuenow="' . $closed . '">'
+            . '<span class="subticket-client-fill' . ($closed === $total ? ' is-complete' : '') . '" style="width: ' . $percent . '%;"></span>'
+            . '</span> <small>' . $this->t('panel.progress_done', ['closed' => $closed, 'total' => $total]) . '</small></div>';
+
+        $html .= '<ul class="subticket-client-list">';
+        foreach ($children as $child) {
+            $isClosed = in_array($child['status_state'] ?? 'open', ['closed', 'archived'], true);
+            $html .= '<li' . ($isClosed ? ' class="is-closed"' : '') . '>'
+                . '<a href="tickets.php?id=' . (int)$child['id'] . '">#' . htmlspecialchars((string)$child['number']) . '</a> '
+                . '<span class="subticket-client-subject">' . htmlspecialchars((string)$child['subject']) . '</span> '
+                . '<span class="subticket-client-status">' . htmlspecialchars((string)$child['status']) . '</span>'
+                . '</li>';
+        }
+
+        return $html . '</ul></div>';
+    }
+
+    /**
+     * Render the parent ticket badge with a child progress bar
+     *
+     * @param array $progress Child status counts {total, open, on_hold, closed}
      */
-    private function renderParentBadge(int $childCount): string
+    private function renderParentBadge(array $progress): string
     {
-        $plural = $childCount > 1 ? 's' : '';
+        $childCount = (int)$progress['total'];
+        $closed = (int)$progress['closed'];
+        $percent = $childCount > 0 ? (int)round($closed / $childCount * 100) : 0;
+        $color = $closed === $childCount ? '#5cb85c' : '#1e90ff';
+        $breakdown = $this->t('panel.progress_breakdown', [
+            'closed' => $closed,
+            'on_hold' => (int)$progress['on_hold'],
+            'open' => (int)$progress['open'],
+        ]);
+        $label = $this->t('panel.parent_ticket');
+        $count = htmlspecialchars($this->translator->plural('panel.badge_subtickets', $childCount));
+        $done = $this->t('panel.progress_done', ['closed' => $closed, 'total' => $childCount]);
 
         return <<<HTML
 <div class="parent-ticket-badge" style="background: #e8f4f8; border-left: 4px solid #1e90ff; padding: 12px 15px; margin-bottom: 15px; border-radius: 4px;">
     <i class="icon-code-fork" style="font-size: 18px; color: #1e90ff; margin-right: 8px;"></i>
-    <strong style="color: #1e90ff; font-size: 14px;">Parent Ticket</strong>
-    <span style="color: #666; font-size: 13px;">($childCount Sub-Ticket$plural)</span>
+    <strong style="color: #1e90ff; font-size: 14px;">$label</strong>
+    <span style="color: #666; font-size: 13px;">($count)</span>
+    <span class="subticket-progress" title="$breakdown" style="display: inline-block; margin-left: 12px; vertical-align: middle;">
+        <span style="display: inline-block; width: 120px; height: 8px; background: #d6e4ec; border-radius: 4px; overflow: hidden; vertical-align: middle;">
+            <span class="subticket-progress-fill" style="display: block; width: $percent%; height: 100%; background: $color;"></span>
+        </span>
+        <small style="color: #666; margin-left: 5px;">$done</small>
+    </span>
 </div>
 HTML;
     }
 
+    /**
+     * Render the tab list (relationships / history)
+     *
+     * @param int $ticketId Current ticket ID
+     * @return string HTML
+     */
+    private function renderTabs(int $ticketId): string
+    {
+        $html = '<div class="subticket-tabs" role="tablist">';
+
+        foreach (['hierarchy' => 'panel.tab_subtickets', 'history' => 'panel.tab_history'] as $tab => $label) {
+            $active = $tab === 'hierarchy';
+            $html .= '<button type="button" class="subticket-tab' . ($active ? ' active' : '') . '" role="tab"'
+                . ' id="subticket-tab-' . $ticketId . '-' . $tab . '"'
+                . ' aria-controls="subticket-tabpanel-' . $ticketId . '-' . $tab . '"'
+                . ' aria-selected="' . ($active ? 'true' : 'false') . '"'
+                . ($active ? '' : ' tabindex="-1"')
+                . ' data-tab="' . $tab . '">' . $this->t($label) . '</button>';
+        }
+
+        return $html . '</div>';
+    }
+
     /**
      * Render the parent section
+     *
+     * @param array|null $restrictions {create, link, limits} see renderPanel()
      */
-    private function renderParentSection(int $ticketId, ?array $parent): string
+    private function renderParentSection(int $ticketId, ?array $parent, ?array $restrictions = null): string
     {
         $html = '<div class="subticket-section parent-section">';
-        $html .= '<h3>Parent Ticket</h3>';
+        $html .= '<h3>' . $this->t('panel.parent_ticket') . '</h3>';
 
         if ($parent) {
             $parentId = (int)$parent['ticket_id'];
             $number = htmlspecialchars($parent['number']);
             $subject = htmlspecialchars($parent['subject'] ?? '');
-            $status = htmlspecialchars($parent['status'] ?? 'Unknown');
+            $status = htmlspecialchars($parent['status'] ?? $this->translator->translate('common.unknown'));
+            $unlink = $this->t('panel.unlink_from_parent');
 
             $html .= <<<HTML
-<div class="parent-info">
+<div class="parent-info" data-parent-id="$parentId">
     <a href="tickets.php?id=$parentId" class="ticket-link">
         <strong>#$number:</strong> $subject
     </a>
     <span class="status-label">($status)</span>
     <br>
-    <button type="button" data-action="unlink-parent" data-ticket-id="$ticketId" class="button subticket-action">Unlink from Parent</button>
+    <button type="button" data-action="unlink-parent" data-ticket-id="$ticketId" class="button subticket-action">$unlink</button>
 </div>
 HTML;
         } else {
-            $html .= '<p class="no-data">No parent ticket</p>';
-            $html .= '<button type="button" data-action="link-parent" data-ticket-id="' . $ticketId . '" class="button subticket-action">Link to Parent</button>';
+            $html .= '<p class="no-data">' . $this->t('panel.no_parent') . '</p>';
+            $html .= '<button type="button" data-action="link-parent" data-ticket-id="' . $ticketId . '" class="button subticket-action"'
+                . ' aria-keyshortcuts="Alt+Shift+L"' . $this->getRestrictionAttributes($restrictions, 'link', 'Alt+Shift+L') . '>'
+                . $this->t('panel.link_to_parent') . '</button>';
         }
 
         $html .= '</div>';
@@ -116,49 +288,377 @@ HTML;
 
     /**
      * Render the children section
+     *
+     * @param int $ticketId Current ticket ID
+     * @param array<int, array> $children Child tickets
+     * @param array<int, array> $templates Subticket templates offered by "Apply template"
+     * @param array|null $dueDates {effective} rolled-up due date, null = due dates disabled
+     * @param array|null $restrictions {create, link, limits} see renderPanel()
      */
-    private function renderChildrenSection(int $ticketId, array $children): string
+    private function renderChildrenSection(int $ticketId, array $children, array $templates = [], ?array $dueDates = null, ?array $restrictions = null): string
     {
         $html = '<div class="subticket-section children-section">';
-        $html .= '<h3>Child Tickets</h3>';
+        $html .= '<h3>' . $this->t('panel.child_tickets') . '</h3>';
+
+        if (!empty($dueDates['effective'])) {
+            $html .= $this->renderEffectiveDueDate($dueDates['effective']);
+        }
 
         if (!empty($children)) {
-            $html .= '<ul class="children-list">';
+            $html .= '<ul class="children-list" aria-label="' . $this->t('panel.child_tickets_label') . '" aria-keyshortcuts="Alt+Shift+C">';
             foreach ($children as $child) {
-                $html .= $this->renderChildItem($ticketId, $child);
+                $html .= $this->renderChildItem($ticketId, $child, $dueDates !== null, count($children) > 1);
             }
             $html .= '</ul>';
         } else {
-            $html .= '<p class="no-data">No child tickets</p>';
+            $html .= '<p class="no-data">' . $this->t('panel.no_children') . '</p>';
+        }
+
+        $html .= '<button type="button" data-action="create-child" data-ticket-id="' . $ticketId . '" class="button button-primary subticket-action"'
+            . ' aria-keyshortcuts="Alt+Shift+N"' . $this->getRestrictionAttributes($restrictions, 'create', 'Alt+Shift+N') . '>'
+            . $this->t('panel.create_subticket') . '</button>';
+
+        if (!empty($templates)) {
+            $html .= ' <button type="button" data-action="apply-template" data-ticket-id="' . $ticketId . '" class="button subticket-action"'
+                . ' data-templates="' . htmlspecialchars(json_encode($templates)) . '">' . $this->t('panel.apply_template') . '</button>';
+        }
+
+        $html .= ' <button type="button" data-action="split-thread" data-ticket-id="' . $ticketId . '" class="button subticket-action">'
+            . $this->t('panel.split_thread') . '</button>';
+
+        if (!empty($children)) {
+            $html .= ' <button type="button" data-action="dissolve-hierarchy" data-ticket-id="' . $ticketId . '"'
+                . ' data-count="' . count($children) . '" class="button subticket-action">'
+                . $this->t('panel.dissolve_hierarchy') . '</button>';
         }
 
-        $html .= '<button type="button" data-action="create-child" data-ticket-id="' . $ticketId . '" class="button button-primary subticket-action">Create Subticket</button>';
         $html .= '</div>';
 
         return $html;
     }
 
+    /**
+     * Get the title (and disabled state) of a button that a limit may block
+     *
+     * @param array|null $restrictions {create, link, limits} see renderPanel()
+     * @param string $type 'create' or 'link'
+     * @param string $shortcut Keyboard shortcut shown while the button is enabled
+     * @return string HTML attributes with leading space
+     */
+    private function getRestrictionAttributes(?array $restrictions, string $type, string $shortcut): string
+    {
+        $code = $restrictions[$type] ?? null;
+
+        if ($code === null) {
+            return ' title="' . $shortcut . '"';
+        }
+
+        $params = array_map('strval', $restrictions['limits'] ?? []);
+
+        return ' disabled data-restriction="' . htmlspecialchars($code) . '"'
+            . ' title="' . $this->t('panel.restriction_' . strtolower($code), $params) . '"';
+    }
+
+    /**
+     * Render the effective due date of a parent (latest or earliest overdue child due date)
+     *
+     * @param array $effective {due_date, is_overdue, ticket_id, number}
+     */
+    private function renderEffectiveDueDate(array $effective): string
+    {
+        $params = ['date' => (string)$effective['due_date'], 'number' => (string)$effective['number']];
+
+        if ($effective['is_overdue']) {
+            return '<p class="subticket-effective-due is-overdue"><i class="icon-warning-sign"></i> '
+                . $this->t('panel.effective_due_overdue', $params) . '</p>';
+        }
+
+        return '<p class="subticket-effective-due">' . $this->t('panel.effective_due', $params) . '</p>';
+    }
+
     /**
      * Render a single child item
+     *
+     * @param bool $markOverdue Highlight the child if it is overdue
+     * @param bool $canPromote Offer "Promote" (the child has siblings)
      */
-    private function renderChildItem(int $parentTicketId, array $child): string
+    private function renderChildItem(int $parentTicketId, array $child, bool $markOverdue = false, bool $canPromote = false): string
     {
         $childId = (int)$child['id'];
         $number = htmlspecialchars($child['number']);
         $subject = htmlspecialchars($child['subject'] ?? '');
-        $status = htmlspecialchars($child['status'] ?? 'Unknown');
+        $status = htmlspecialchars($child['status'] ?? $this->translator->translate('common.unknown'));
+        $unlink = $this->t('panel.unlink');
+        $class = 'child-item';
+        $overdue = '';
+        $promote = '';
+
+        if ($markOverdue && !empty($child['is_overdue'])) {
+            $class .= ' is-overdue';
+            $overdue = ' <span class="subticket-overdue-label" title="' . $this->t('panel.due_date', ['date' => (string)($child['due_date'] ?? '')]) . '">'
+                . $this->t('panel.overdue') . '</span>';
+        }
+
+        if ($canPromote) {
+            $promote = "\n    " . '<button type="button" data-action="promote-child" data-child-id="' . $childId . '" data-ticket-id="' . $parentTicketId . '"'
+                . ' class="button button-sm subticket-action" title="' . $this->t('panel.promote_child_hint') . '">' . $this->t('panel.promote_child') . '</button>';
+        }
 
         return <<<HTML
-<li class="child-item">
+<li class="$class" draggable="true" data-child-id="$childId">
     <a href="tickets.php?id=$childId" class="ticket-link">
         <strong>#$number:</strong> $subject
     </a>
+    <span class="status-label">($status)</span>$overdue
+    <button type="button" data-action="unlink-child" data-child-id="$childId" data-ticket-id="$parentTicketId" class="button button-sm subticket-action">$unlink</button>$promote
+</li>
+HTML;
+    }
+
+    /**
+     * Render the dependency section (blockers, blocked tickets, add a sibling as blocker)
+     *
+     * @param int $ticketId Current ticket ID
+     * @param array $dependencies {blocked_by, blocking, candidates} from DependencyService::getPanelData()
+     */
+    private function renderDependencySection(int $ticketId, array $dependencies): string
+    {
+        $html = '<div class="subticket-section dependency-section">';
+        $html .= '<h3>' . $this->t('panel.dependencies') . '</h3>';
+
+        $html .= '<h4>' . $this->t('panel.blocked_by') . '</h4>';
+        if (!empty($dependencies['blocked_by'])) {
+            $html .= '<ul class="dependency-list" data-list="blocked-by">';
+            foreach ($dependencies['blocked_by'] as $blocker) {
+                $html .= $this->renderDependencyItem($blocker, $ticketId, (int)$blocker['id']);
+            }
+            $html .= '</ul>';
+        } else {
+            $html .= '<p class="no-data">' . $this->t('panel.no_blockers') . '</p>';
+        }
+
+        if (!empty($dependencies['blocking'])) {
+            $html .= '<h4>' . $this->t('panel.blocking') . '</h4>';
+            $html .= '<ul class="dependency-list" data-list="blocking">';
+            foreach ($dependencies['blocking'] as $blocked) {
+                $html .= $this->renderDependencyItem($blocked, (int)$blocked['id'], $ticketId);
+            }
+            $html .= '</ul>';
+        }
+
+        if (!empty($dependencies['candidates'])) {
+            $html .= '<div class="dependency-add">';
+            $html .= '<select class="dependency-candidates" aria-label="' . $this->t('panel.blocker_select') . '">';
+            foreach ($dependencies['candidates'] as $candidate) {
+                $html .= '<option value="' . (int)$candidate['id'] . '">#' . htmlspecialchars($candidate['number']) . ': '
+                    . htmlspecialchars($candidate['subject'] ?? '') . '</option>';
+            }
+            $html .= '</select> ';
+            $html .= '<button type="button" data-action="add-dependency" data-ticket-id="' . $ticketId . '" class="button subticket-action">'
+                . $this->t('panel.add_blocker') . '</button>';
+            $html .= '</div>';
+        }
+
+        $html .= '</div>';
+
+        return $html;
+    }
+
+    /**
+     * Render one ticket of a dependency list with its status icon
+     *
+     * @param array $ticket Listed ticket {id, number, subject, status, status_group}
+     * @param int $waitingId Ticket that waits (the link's ticket_id)
+     * @param int $blockerId Ticket that blocks it (the link's blocked_by_id)
+     */
+    private function renderDependencyItem(array $ticket, int $waitingId, int $blockerId): string
+    {
+        $icons = ['closed' => 'icon-ok', 'on_hold' => 'icon-pause', 'open' => 'icon-time'];
+        $group = $ticket['status_group'] ?? 'open';
+        $id = (int)$ticket['id'];
+        $number = htmlspecialchars($ticket['number']);
+        $subject = htmlspecialchars($ticket['subject'] ?? '');
+        $status = htmlspecialchars($ticket['status'] ?? $this->translator->translate('common.unknown'));
+        $remove = $this->t('panel.remove_dependency');
+        $icon = $icons[$group] ?? $icons['open'];
+
+        return <<<HTML
+<li class="dependency-item is-$group">
+    <i class="$icon dependency-status" title="$status" aria-hidden="true"></i>
+    <a href="tickets.php?id=$id" class="ticket-link">
+        <strong>#$number:</strong> $subject
+    </a>
     <span class="status-label">($status)</span>
-    <button type="button" data-action="unlink-child" data-child-id="$childId" data-ticket-id="$parentTicketId" class="button button-sm subticket-action">Unlink</button>
+    <button type="button" data-action="remove-dependency" data-ticket-id="$waitingId" data-blocked-by-id="$blockerId" class="button button-sm subticket-action">$remove</button>
 </li>
 HTML;
     }
 
+    /**
+     * Render the notice offering to revert the last cascade
+     *
+     * @param int $ticketId Parent ticket ID
+     * @param array $cascade Last cascade {batch_id, tickets, created}
+     * @return string HTML
+     */
+    private function renderCascadeNotice(int $ticketId, array $cascade): string
+    {
+        $count = (int)$cascade['tickets'];
+
+        $html = '<div class="subticket-cascade-notice">';
+        $html .= '<span>' . htmlspecialchars($this->translator->plural('panel.cascade_notice', $count, [
+            'created' => (string)$cascade['created'],
+        ])) . '</span> ';
+        $html .= '<button type="button" data-action="revert-cascade" data-ticket-id="' . $ticketId . '" class="button subticket-action">'
+            . $this->t('panel.revert') . '</button>';
+        $html .= '</div>';
+
+        return $html;
+    }
+
+    /**
+     * Render breadcrumbs from the root ancestor to the current ticket
+     *
+     * Moved above the ticket heading by subticket-panel.js.
+     *
+     * @param array<int, array> $path Nodes from root to current ticket
+     */
+    private function renderBreadcrumbs(array $path): string
+    {
+        $items = [];
+        $last = count($path) - 1;
+
+        foreach ($path as $index => $node) {
+            $number = htmlspecialchars($node['number']);
+            $subject = htmlspecialchars($node['subject'] ?? '');
+
+            if ($index === $last) {
+                $items[] = '<span class="subticket-breadcrumb-current" aria-current="page">#' . $number . '</span>';
+            } else {
+                $items[] = '<a href="tickets.php?id=' . (int)$node['id'] . '" class="ticket-link" title="' . $subject . '">#' . $number . '</a>';
+            }
+        }
+
+        return '<nav class="subticket-breadcrumbs" aria-label="' . $this->t('panel.breadcrumbs_label') . '">'
+            . '<i class="icon-code-fork"></i> '
+            . implode(' <span class="subticket-breadcrumb-sep">&rsaquo;</span> ', $items)
+            . '</nav>';
+    }
+
+    /**
+     * Check whether the tree shows more than the parent and children sections
+     *
+     * @param array $tree Tree from HierarchyService::getTree()
+     */
+    private function isTreeWorthShowing(array $tree): bool
+    {
+        // Grandchildren or ancestors above the parent
+        if ($tree['height'] > 1 || count($tree['path']) > 2) {
+            return true;
+        }
+
+        // Child ticket with siblings
+        return count($tree['path']) === 2 && count($tree['root']['children']) > 1;
+    }
+
+    /**
+     * Render the collapsible hierarchy tree section
+     *
+     * @param int $ticketId Current ticket ID (highlighted)
+     * @param array $root Root node of the hierarchy
+     */
+    private function renderTreeSection(int $ticketId, array $root): string
+    {
+        $html = '<div class="subticket-section tree-section">';
+        $html .= '<h3>' . $this->t('panel.hierarchy') . '</h3>';
+        $html .= '<ul class="subticket-tree" role="tree">';
+        $html .= $this->renderTreeNode($ticketId, $root, 0);
+        $html .= '</ul>';
+        $html .= '</div>';
+
+        return $html;
+    }
+
+    /**
+     * Render a tree node and its descendants
+     *
+     * Nodes below the root can be dragged onto another node to move them
+     * there (reparent); every node is a drop target.
+     *
+     * @param int $ticketId Current ticket ID (highlighted)
+     * @param array $node Tree node
+     * @param int $depth Depth below the root
+     */
+    private function renderTreeNode(int $ticketId, array $node, int $depth): string
+    {
+        $nodeId = (int)$node['id'];
+        $number = htmlspecialchars($node['number']);
+        $subject = htmlspecialchars($node['subject'] ?? '');
+        $status = htmlspecialchars($node['status'] ?? $this->translator->translate('common.unknown'));
+        $isCurrent = $nodeId === $ticketId;
+        $hasChildren = !empty($node['children']);
+
+        $classes = 'subticket-tree-node' . ($isCurrent ? ' is-current' : '');
+        $expanded = $hasChildren ? ' aria-expanded="true"' : '';
+
+        $draggable = $depth > 0 ? ' draggable="true"' : '';
+
+        $html = '<li class="' . $classes . '" role="treeitem" data-ticket-id="' . $nodeId . '"' . $expanded . $draggable . '>';
+
+        if ($hasChildren) {
+            $html .= '<button type="button" class="subticket-tree-toggle" aria-label="' . $this->t('panel.collapse') . '">&#9662;</button>';
+        } else {
+            $html .= '<span class="subticket-tree-leaf"></span>';
+        }
+
+        if ($isCurrent) {
+            $html .= '<strong>#' . $number . ':</strong> ' . $subject;
+        } else {
+            $html .= '<a href="tickets.php?id=' . $nodeId . '" class="ticket-link"><strong>#' . $number . ':</strong> ' . $subject . '</a>';
+        }
+
+        $html .= ' <span class="status-label">(' . $status . ')</span>';
+
+        if ($hasChildren) {
+            $html .= '<ul role="group">';
+            foreach ($node['children'] as $child) {
+                $html .= $this->renderTreeNode($ticketId, $child, $depth + 1);
+            }
+            $html .= '</ul>';
+        }
+
+        $html .= '</li>';
+
+        return $html;
+    }
+
+    /**
+     * Render the CSV/JSON download links for the hierarchy
+     *
+     * @param int $ticketId Current ticket ID (the whole tree is exported)
+     */
+    private function renderExportLinks(int $ticketId): string
+    {
+        $url = 'ajax-subticket.php?action=export&amp;tid=' . $ticketId . '&amp;format=';
+
+        return '<div class="subticket-export">'
+            . '<span>' . $this->t('panel.export_hierarchy') . '</span> '
+            . '<a href="' . $url . 'csv" class="button button-sm" download>CSV</a> '
+            . '<a href="' . $url . 'json" class="button button-sm" download>JSON</a>'
+            . '</div>';
+    }
+
+    /**
+     * Translate a UI string and escape it for HTML
+     *
+     * @param string $key Catalogue key
+     * @param array<string, string|int> $params Values for {placeholders}
+     */
+    private function t(string $key, array $params = []): string
+    {
+        return htmlspecialchars($this->translator->translate($key, $params));
+    }
+
     /**
      * Get inline CSS for the panel
      */
@@ -258,6 +758,27 @@ HTML;
     margin-bottom: 0;
 }
 
+/* Drag-and-drop (reorder children, reparent in the tree) */
+.child-item[draggable="true"],
+.subticket-tree-node[draggable="true"] {
+    cursor: move;
+}
+
+.child-item.is-dragging,
+.subticket-tree-node.is-dragging {
+    opacity: 0.4;
+}
+
+.child-item.is-drop-target {
+    border-top: 2px solid #0066cc;
+}
+
+.subticket-tree-node.is-drop-target > .ticket-link,
+.subticket-tree-node.is-drop-target > strong {
+    outline: 2px dashed #0066cc;
+    outline-offset: 1px;
+}
+
 .ticket-link {
     color: #0066cc;
     text-decoration: none;
@@ -288,52 +809,548 @@ HTML;
     cursor: not-allowed;
     opacity: 0.5;
 }
-</style>
-CSS;
-    }
-
-    /**
-     * Get JavaScript for loading the panel script
-     */
-    public function getJavaScript(): string
-    {
-        $jsUrl = $this->pluginUrl . '/js/subticket-panel.js';
 
-        return <<<JS
-<script>
-// Load subticket panel JavaScript (with jQuery wait)
-(function loadPanelScript() {
-    'use strict';
+/* Hierarchy Tree */
+.subticket-tree,
+.subticket-tree ul {
+    list-style: none;
+    margin: 0;
+    padding: 0;
+}
 
-    if (typeof jQuery === 'undefined') {
-        setTimeout(loadPanelScript, 100);
-        return;
-    }
+.subticket-tree ul {
+    margin-left: 18px;
+    border-left: 1px dotted #ccc;
+    padding-left: 6px;
+}
 
-    var script = document.createElement('script');
-    script.src = '$jsUrl';
-    script.async = false;
-    script.onerror = function() {
-        console.error('[Subticket] Failed to load subticket-panel.js');
-    };
-    document.head.appendChild(script);
-})();
-</script>
-JS;
-    }
+.subticket-tree-node {
+    padding: 2px 0;
+}
 
-    /**
-     * Get JavaScript for queue indicator
-     */
-    public function getQueueIndicatorJavaScript(): string
-    {
-        $jsUrl = $this->pluginUrl . '/js/queue-indicator.js';
+.subticket-tree-node.is-current > strong {
+    background: #fff3cd;
+    padding: 0 4px;
+    border-radius: 2px;
+}
 
-        return <<<JS
-<script>
-// Load queue indicator JavaScript (with jQuery wait)
-(function loadQueueIndicator() {
-    'use strict';
+.subticket-tree-node.is-collapsed > ul {
+    display: none;
+}
+
+.subticket-tree-toggle {
+    background: none;
+    border: 0;
+    padding: 0;
+    width: 16px;
+    cursor: pointer;
+    color: #666;
+}
+
+.subticket-tree-node.is-collapsed > .subticket-tree-toggle {
+    transform: rotate(-90deg);
+}
+
+.subticket-tree-leaf {
+    display: inline-block;
+    width: 16px;
+}
+
+/* Breadcrumbs (moved above the ticket heading) */
+.subticket-breadcrumbs {
+    font-size: 13px;
+    color: #666;
+    margin: 5px 0;
+}
+
+.subticket-breadcrumb-sep {
+    color: #999;
+    margin: 0 3px;
+}
+
+.subticket-breadcrumb-current {
+    font-weight: bold;
+}
+
+/* Inline Create Subticket Form */
+.subticket-create-form {
+    margin-top: 10px;
+    padding: 10px;
+    background: #fff;
+    border: 1px solid #ddd;
+    border-radius: 3px;
+}
+
+.subticket-form-field {
+    display: block;
+    margin-bottom: 8px;
+}
+
+.subticket-form-field span {
+    display: block;
+    font-weight: bold;
+    margin-bottom: 2px;
+}
+
+.subticket-form-field input,
+.subticket-form-field select,
+.subticket-form-field textarea {
+    width: 100%;
+    box-sizing: border-box;
+}
+
+.subticket-form-requester {
+    margin: 0 0 8px 0;
+    color: #555;
+}
+
+.subticket-form-actions .button {
+    margin-right: 5px;
+}
+
+.subticket-form-full {
+    font-size: 12px;
+}
+
+/* Screen reader announcements (visually hidden live regions) */
+.subticket-sr-only {
+    position: absolute;
+    width: 1px;
+    height: 1px;
+    margin: -1px;
+    padding: 0;
+    overflow: hidden;
+    clip: rect(0, 0, 0, 0);
+    white-space: nowrap;
+    border: 0;
+}
+
+/* Fallback messages when displayMessage() is not available */
+.subticket-toast {
+    position: fixed;
+    right: 20px;
+    bottom: 20px;
+    max-width: 400px;
+    padding: 10px 15px;
+    border-radius: 4px;
+    box-shadow: 0 2px 10px rgba(0, 0, 0, 0.2);
+    z-index: 10001;
+}
+
+.subticket-toast-notice {
+    background: #dff0d8;
+    border: 1px solid #d6e9c6;
+    color: #3c763d;
+}
+
+.subticket-toast-error {
+    background: #f2dede;
+    border: 1px solid #ebccd1;
+    color: #a94442;
+}
+
+.children-list .ticket-link:focus,
+.subticket-action:focus {
+    outline: 2px solid #1e90ff;
+    outline-offset: 2px;
+}
+
+/* Modal Dialog */
+.subticket-modal-backdrop {
+    position: fixed;
+    top: 0;
+    left: 0;
+    right: 0;
+    bottom: 0;
+    background: rgba(0, 0, 0, 0.4);
+    display: flex;
+    align-items: flex-start;
+    justify-content: center;
+    padding-top: 10vh;
+    z-index: 10000;
+}
+
+.subticket-modal {
+    width: 560px;
+    max-width: 95%;
+    background: #fff;
+    border-radius: 4px;
+    box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+}
+
+.subticket-modal-header {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    padding: 10px 15px;
+    border-bottom: 1px solid #ddd;
+}
+
+.subticket-modal-header h3 {
+    margin: 0;
+    font-size: 16px;
+}
+
+.subticket-modal-close {
+    background: none;
+    border: 0;
+    font-size: 20px;
+    line-height: 1;
+    cursor: pointer;
+    color: #666;
+}
+
+.subticket-modal-body {
+    padding: 15px;
+}
+
+/* Parent Ticket Picker */
+.subticket-picker-input {
+    width: 100%;
+    box-sizing: border-box;
+    padding: 6px 8px;
+}
+
+.subticket-picker-hint {
+    color: #999;
+    font-size: 13px;
+    margin: 8px 0 0 0;
+}
+
+.subticket-picker-results {
+    list-style: none;
+    padding: 0;
+    margin: 10px 0 0 0;
+    max-height: 320px;
+    overflow-y: auto;
+}
+
+.subticket-picker-item {
+    padding: 6px 8px;
+    border: 1px solid #eee;
+    border-radius: 3px;
+    margin-bottom: 4px;
+    cursor: pointer;
+}
+
+.subticket-picker-item.is-active,
+.subticket-picker-item:hover {
+    background: #eef5fc;
+    border-color: #b8d4f0;
+}
+
+.subticket-picker-item.is-disabled {
+    cursor: not-allowed;
+    opacity: 0.5;
+    background: #f5f5f5;
+    border-color: #eee;
+}
+
+.subticket-picker-meta,
+.subticket-picker-reason {
+    display: block;
+    color: #666;
+    font-size: 12px;
+}
+
+.subticket-picker-reason {
+    color: #b94a48;
+}
+
+/* Cascade Confirmation & Revert */
+.subticket-cascade-notice {
+    background: #fff3cd;
+    border: 1px solid #f0d98c;
+    border-radius: 3px;
+    padding: 8px 10px;
+    margin: 10px 0;
+    font-size: 13px;
+}
+
+.subticket-cascade-list {
+    list-style: none;
+    padding: 0;
+    margin: 10px 0;
+    max-height: 260px;
+    overflow-y: auto;
+}
+
+.subticket-cascade-list li {
+    padding: 4px 0;
+}
+
+.subticket-cascade-list .subticket-picker-meta {
+    display: inline;
+    margin-left: 4px;
+}
+
+/* Subticket Templates */
+.subticket-template-select {
+    margin-left: 4px;
+}
+
+.subticket-template-results {
+    list-style: none;
+    padding: 6px 10px;
+    margin: 10px 0 0;
+    background: #f9f9f9;
+    border: 1px solid #ddd;
+    border-radius: 3px;
+    font-size: 12px;
+}
+
+.subticket-template-results .is-success {
+    color: #3c763d;
+}
+
+.subticket-template-results .is-error {
+    color: #b94a48;
+}
+
+/* Split Thread into Subtickets */
+.subticket-split-entry {
+    float: right;
+    margin-left: 6px;
+    padding: 0 4px;
+    background: none;
+    border: 0;
+    color: #1e90ff;
+    cursor: pointer;
+}
+
+.subticket-split-entries {
+    list-style: none;
+    padding: 0;
+    margin: 10px 0;
+    max-height: 360px;
+    overflow-y: auto;
+}
+
+.subticket-split-entry-item {
+    padding: 6px 0;
+    border-bottom: 1px solid #eee;
+}
+
+.subticket-split-meta {
+    font-size: 12px;
+    color: #666;
+}
+
+.subticket-split-excerpt {
+    margin: 4px 0 0 20px;
+    font-size: 12px;
+    color: #333;
+}
+
+.subticket-split-fields {
+    display: none;
+    margin: 6px 0 0 20px;
+}
+
+.subticket-split-entry-item.is-selected .subticket-split-fields {
+    display: block;
+}
+
+/* Promote a child over its siblings */
+.subticket-promote-options {
+    margin: 10px 0;
+}
+
+.subticket-promote-options label {
+    display: block;
+    margin: 4px 0;
+}
+
+.subticket-export {
+    margin-top: 10px;
+    font-size: 12px;
+    color: #666;
+}
+
+/* Effective due date / overdue subtickets */
+.subticket-effective-due {
+    margin: 0 0 8px;
+    font-size: 12px;
+    color: #555;
+}
+
+.subticket-effective-due.is-overdue {
+    color: #b94a48;
+    font-weight: bold;
+}
+
+.children-list .child-item.is-overdue {
+    background: #fdf2f2;
+    border-color: #e4b9b9;
+    border-left: 3px solid #d9534f;
+}
+
+.subticket-overdue-label {
+    display: inline-block;
+    padding: 0 5px;
+    margin-left: 4px;
+    background: #d9534f;
+    border-radius: 3px;
+    color: #fff;
+    font-size: 11px;
+}
+
+/* Rows changed by other agents (live updates) */
+.child-item.is-changed,
+.subticket-tree-node.is-changed > .ticket-link {
+    background: #fff8e1;
+}
+
+.subticket-changed-label {
+    display: inline-block;
+    padding: 0 5px;
+    margin-left: 4px;
+    background: #f0ad4e;
+    border-radius: 3px;
+    color: #fff;
+    font-size: 11px;
+}
+
+/* Dependencies (blocked by / blocking) */
+.dependency-section h4 {
+    margin: 8px 0 4px 0;
+    font-size: 13px;
+    color: #555;
+}
+
+.dependency-list {
+    list-style: none;
+    padding: 0;
+    margin: 0 0 8px 0;
+}
+
+.dependency-item {
+    padding: 4px 0;
+}
+
+.dependency-status {
+    width: 14px;
+    color: #f0ad4e;
+}
+
+.dependency-item.is-closed .dependency-status {
+    color: #5cb85c;
+}
+
+.dependency-item.is-on_hold .dependency-status {
+    color: #999;
+}
+
+.dependency-add {
+    margin-top: 8px;
+}
+
+.dependency-candidates {
+    max-width: 60%;
+}
+
+/* Tabs (Subtickets / History) */
+.subticket-tabs {
+    display: flex;
+    gap: 4px;
+    margin-bottom: 12px;
+    border-bottom: 1px solid #ddd;
+}
+
+.subticket-tab {
+    padding: 4px 12px;
+    margin-bottom: -1px;
+    background: none;
+    border: 1px solid transparent;
+    border-radius: 3px 3px 0 0;
+    color: #555;
+    cursor: pointer;
+}
+
+.subticket-tab.active {
+    background: #fff;
+    border-color: #ddd #ddd #fff;
+    color: #333;
+    font-weight: bold;
+}
+
+.subticket-tab:focus-visible {
+    outline: 2px solid #3498db;
+}
+
+/* Relationship History */
+.subticket-history-list {
+    list-style: none;
+    padding: 0;
+    margin: 0;
+}
+
+.subticket-history-list li {
+    padding: 6px 0;
+    border-bottom: 1px solid #eee;
+}
+
+.subticket-history-list li:last-child {
+    border-bottom: none;
+}
+
+.subticket-history-meta {
+    display: block;
+    font-size: 11px;
+    color: #888;
+}
+
+.subticket-history-empty {
+    margin: 0;
+    color: #666;
+    font-style: italic;
+}
+</style>
+CSS;
+    }
+
+    /**
+     * Get JavaScript for loading the panel script
+     */
+    public function getJavaScript(): string
+    {
+        $jsUrl = $this->pluginUrl . '/js/subticket-panel.js';
+
+        return $this->getI18nJavaScript() . $this->getChangeFeedJavaScript() . $this->getStatusCacheJavaScript() . <<<JS
+<script>
+// Load subticket panel JavaScript (with jQuery wait)
+(function loadPanelScript() {
+    'use strict';
+
+    if (typeof jQuery === 'undefined') {
+        setTimeout(loadPanelScript, 100);
+        return;
+    }
+
+    var script = document.createElement('script');
+    script.src = '$jsUrl';
+    script.async = false;
+    script.onerror = function() {
+        console.error('[Subticket] Failed to load subticket-panel.js');
+    };
+    document.head.appendChild(script);
+})();
+</script>
+JS;
+    }
+
+    /**
+     * Get JavaScript for queue indicator
+     */
+    public function getQueueIndicatorJavaScript(): string
+    {
+        $jsUrl = $this->pluginUrl . '/js/queue-indicator.js';
+
+        return $this->getI18nJavaScript() . $this->getChangeFeedJavaScript() . $this->getStatusCacheJavaScript() . <<<JS
+<script>
+// Load queue indicator JavaScript (with jQuery wait)
+(function loadQueueIndicator() {
+    'use strict';
 
     if (typeof jQuery === 'undefined') {
         setTimeout(loadQueueIndicator, 100);
@@ -349,6 +1366,149 @@ JS;
     document.head.appendChild(script);
 })();
 </script>
+JS;
+    }
+
+    /**
+     * Get the script tag of the change feed (live updates of panel and queue)
+     */
+    private function getChangeFeedJavaScript(): string
+    {
+        $jsUrl = $this->pluginUrl . '/js/subticket-changes.js';
+
+        return <<<JS
+<script src="$jsUrl"></script>
+
+JS;
+    }
+
+    /**
+     * Get the script tag of the parent status cache (queue icons, invalidated by the panel)
+     */
+    private function getStatusCacheJavaScript(): string
+    {
+        $jsUrl = $this->pluginUrl . '/js/subticket-status-cache.js';
+
+        return <<<JS
+<script src="$jsUrl"></script>
+
+JS;
+    }
+
+    /**
+     * Get CSS and JavaScript for the client portal panel
+     *
+     * The panel is fetched from the client endpoint (ajax-subticket-client.php)
+     * and inserted below the ticket information. It is rendered server-side,
+     * so the client page needs no string catalogue.
+     *
+     * @param int $ticketId Ticket shown on the client portal page
+     */
+    public function getClientJavaScript(int $ticketId): string
+    {
+        $jsUrl = $this->pluginUrl . '/js/subticket-client.js';
+
+        return <<<HTML
+<style>
+.subticket-client-panel {
+    margin: 15px 0;
+    padding: 10px 15px;
+    background: #f9f9f9;
+    border: 1px solid #ddd;
+    border-radius: 4px;
+}
+
+.subticket-client-panel h3 {
+    margin: 0 0 8px;
+}
+
+.subticket-client-bar {
+    display: inline-block;
+    width: 120px;
+    height: 8px;
+    background: #d6e4ec;
+    border-radius: 4px;
+    overflow: hidden;
+    vertical-align: middle;
+}
+
+.subticket-client-fill {
+    display: block;
+    height: 100%;
+    background: #1e90ff;
+}
+
+.subticket-client-fill.is-complete {
+    background: #5cb85c;
+}
+
+.subticket-client-list {
+    list-style: none;
+    padding: 0;
+    margin: 8px 0 0;
+}
+
+.subticket-client-list li {
+    padding: 3px 0;
+}
+
+.subticket-client-list li.is-closed .subticket-client-subject {
+    color: #888;
+}
+
+.subticket-client-status {
+    color: #666;
+    font-size: 12px;
+}
+</style>
+<script>
+window.SubticketClient = { ticketId: $ticketId };
+
+(function loadSubticketClient() {
+    'use strict';
+
+    if (typeof jQuery === 'undefined') {
+        setTimeout(loadSubticketClient, 100);
+        return;
+    }
+
+    var script = document.createElement('script');
+    script.src = '$jsUrl';
+    script.async = false;
+    script.onerror = function() {
+        console.error('[SubticketManager] Failed to load subticket-client.js');
+    };
+    document.head.appendChild(script);
+})();
+</script>
+
+HTML;
+    }
+
+    /**
+     * Get the string catalogue for the frontend scripts
+     *
+     * Inlines the catalogue of the agent's language and loads
+     * subticket-i18n.js, before the panel, queue indicator or
+     * overview script runs.
+     */
+    public function getI18nJavaScript(): string
+    {
+        $catalogue = json_encode(
+            [
+                'language' => $this->translator->getLanguage(),
+                'strings' => $this->translator->getCatalogue(),
+            ],
+            JSON_HEX_TAG | JSON_HEX_AMP | JSON_HEX_APOS | JSON_HEX_QUOT | JSON_UNESCAPED_UNICODE
+        );
+        $jsUrl = $this->pluginUrl . '/js/subticket-i18n.js';
+
+        return <<<JS
+<script>
+window.SubticketI18n = $catalogue;
+</script>
+<script src="$jsUrl"></script>
+
 JS;
     }
 }
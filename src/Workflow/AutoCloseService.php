@@ -0,0 +1,247 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SubticketManager\Workflow;
+
+use SubticketManager\Config\ConfigCache;
+use SubticketManager\Hierarchy\HierarchyService;
+
+/**
+ * AutoCloseService - Closes a parent ticket once its last child closes
+ *
+ * Handles:
+ * - Detecting the last open child being closed (model.updated)
+ * - Closing the parent with a thread note listing its children
+ * - One-shot "keep parent open" opt-out per parent (session, expires after KEEP_OPEN_TTL)
+ *
+ * Honors the auto_close_parent and notify_on_auto_close settings.
+ *
+ * @package SubticketManager
+ */
+final class AutoCloseService
+{
+    /**
+     * Session key holding parent IDs that must not be auto-closed
+     */
+    private const KEEP_OPEN_SESSION_KEY = 'subticket_keep_parent_open';
+
+    /**
+     * Seconds a "keep parent open" choice waits for its close (the close may be cancelled or fail)
+     */
+    private const KEEP_OPEN_TTL = 300;
+
+    private HierarchyService $hierarchyService;
+
+    public function __construct(HierarchyService $hierarchyService)
+    {
+        $this->hierarchyService = $hierarchyService;
+    }
+
+    /**
+     * Check if the auto_close_parent setting is enabled
+     */
+    public function isEnabled(): bool
+    {
+        return (bool)ConfigCache::getInstance()->get('auto_close_parent', true);
+    }
+
+    /**
+     * Handle a ticket update and close the parent if this was its last open child
+     *
+     * @param mixed $ticket Updated model (only Ticket instances are handled)
+     * @param array $changes Signal data, either ['dirty' => [...]] or the dirty fields
+     * @return bool True if the parent ticket was closed
+     */
+    public function handleStatusChange($ticket, array $changes): bool
+    {
+        if (!$this->isEnabled() || !($ticket instanceof \Ticket)) {
+            return false;
+        }
+
+        $dirty = $changes['dirty'] ?? $changes;
+        if (!is_array($dirty) || !array_key_exists('status_id', $dirty)) {
+            return false;
+        }
+
+        if (!$ticket->isClosed()) {
+            return false;
+        }
+
+        $parent = $this->hierarchyService->getParent((int)$ticket->getId());
+        if (!$parent) {
+            return false;
+        }
+
+        $parentId = (int)$parent['ticket_id'];
+
+        if ($this->consumeKeepParentOpen($parentId)) {
+            $this->log('Auto-close skipped', "Parent $parentId kept open by agent");
+            return false;
+        }
+
+        return $this->closeIfCompleted($parentId);
+    }
+
+    /**
+     * Close a parent ticket if all of its children are closed
+     *
+     * @param int $parentId Parent ticket ID
+     * @return bool True if the parent was closed
+     */
+    public function closeIfCompleted(int $parentId): bool
+    {
+        $children = $this->hierarchyService->getChildren($parentId);
+        $progress = $this->hierarchyService->getProgress($children);
+
+        if ($progress['total'] === 0 || $progress['closed'] < $progress['total']) {
+            $this->log('Auto-close skipped', "Parent $parentId still has open children");
+            return false;
+        }
+
+        return $this->closeParent($parentId, $children);
+    }
+
+    /**
+     * Check if closing a ticket would auto-close its parent
+     *
+     * True when the ticket itself is open and all of its siblings are closed.
+     *
+     * @param int $ticketId Ticket that is about to be closed
+     * @param array<int, array> $siblings Children of the parent, including the ticket itself
+     *   (tree nodes or getChildren() rows: id, status, status_state)
+     * @return bool
+     */
+    public function wouldCloseParent(int $ticketId, array $siblings): bool
+    {
+        if (!$this->isEnabled()) {
+            return false;
+        }
+
+        $isOpen = false;
+        foreach ($siblings as $sibling) {
+            $closed = $this->hierarchyService->classifyStatus($sibling['status_state'] ?? 'open', $sibling['status'] ?? '') === 'closed';
+
+            if ((int)$sibling['id'] === $ticketId) {
+                $isOpen = !$closed;
+            } elseif (!$closed) {
+                return false;
+            }
+        }
+
+        return $isOpen;
+    }
+
+    /**
+     * Skip the next auto-close of a ticket's parent
+     *
+     * @param int $childId Child ticket about to be closed
+     * @return array|null The parent that will stay open, null if the ticket has no parent
+     */
+    public function keepParentOpen(int $childId): ?array
+    {
+        $parent = $this->hierarchyService->getParent($childId);
+        if (!$parent) {
+            return null;
+        }
+
+        $_SESSION[self::KEEP_OPEN_SESSION_KEY][(int)$parent['ticket_id']] = time() + self::KEEP_OPEN_TTL;
+        $this->log('Parent kept open', 'Parent ' . $parent['ticket_id'] . ", child $childId");
+
+        return $parent;
+    }
+
+    /**
+     * Check and clear the "keep parent open" flag for a parent
+     *
+     * Flags older than KEEP_OPEN_TTL belong to a close that never happened
+     * and are dropped.
+     */
+    private function consumeKeepParentOpen(int $parentId): bool
+    {
+        $expires = (int)($_SESSION[self::KEEP_OPEN_SESSION_KEY][$parentId] ?? 0);
+        unset($_SESSION[self::KEEP_OPEN_SESSION_KEY][$parentId]);
+
+        return $expires >= time();
+    }
+
+    /**
+     * Close the parent ticket and post a note listing its children
+     *
+     * @param int $parentId Parent ticket ID
+     * @param array<int, array> $children Children as returned by getChildren()
+     * @return bool True if the parent was closed
+     */
+    private function closeParent(int $parentId, array $children): bool
+    {
+        $parent = \Ticket::lookup($parentId);
+        if (!$parent || $parent->isClosed()) {
+            return false;
+        }
+
+        $status = $this->getClosedStatus();
+        if (!$status) {
+            $this->log('Auto-close failed', 'No closed ticket status found');
+            return false;
+        }
+
+        $errors = [];
+        if (!$parent->setStatus($status, '', $errors, false)) {
+            $this->log('Auto-close failed', "Parent $parentId: " . implode(', ', $errors));
+            return false;
+        }
+
+        $parent->logNote(
+            'Closed automatically',
+            $this->buildNote($children),
+            'SYSTEM',
+            (bool)ConfigCache::getInstance()->get('notify_on_auto_close', true)
+        );
+
+        $this->log('Parent auto-closed', "Parent $parentId, " . count($children) . ' children');
+
+        return true;
+    }
+
+    /**
+     * Get the default status for closed tickets
+     *
+     * @return \TicketStatus|null
+     */
+    private function getClosedStatus()
+    {
+        $result = db_query("SELECT id FROM ost_ticket_status
+                WHERE state = 'closed' ORDER BY sort, id LIMIT 1");
+        $row = db_fetch_array($result);
+
+        return $row ? \TicketStatus::lookup((int)$row['id']) : null;
+    }
+
+    /**
+     * Build the thread note body listing all children
+     *
+     * @param array<int, array> $children Children as returned by getChildren()
+     * @return string HTML note body
+     */
+    private function buildNote(array $children): string
+    {
+        $items = '';
+        foreach ($children as $child) {
+            $items .= '<li>#' . htmlspecialchars((string)$child['number'])
+                . ' ' . htmlspecialchars((string)($child['subject'] ?? ''))
+                . ' (' . htmlspecialchars((string)($child['status'] ?? '')) . ')</li>';
+        }
+
+        return '<p>All subtickets of this ticket are closed:</p><ul>' . $items . '</ul>';
+    }
+
+    /**
+     * Log helper
+     */
+    private function log(string $title, string $message = ''): void
+    {
+        if (function_exists('subticket_log')) {
+            subticket_log($title, $message);
+        }
+    }
+}
@@ -0,0 +1,379 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SubticketManager\Workflow;
+
+use SubticketManager\Config\ConfigCache;
+use SubticketManager\Hierarchy\AuditService;
+use SubticketManager\Hierarchy\HierarchyService;
+
+/**
+ * CascadeService - Pushes parent hold/assignment changes to all descendants
+ *
+ * Handles:
+ * - Cascading "On Hold" status changes (cascade_hold)
+ * - Cascading staff/team assignment changes (cascade_assignment)
+ * - Recording every change in ost_ticket_cascade_log so it can be reverted
+ * - Recording cascades and reverts in the hierarchy audit log
+ * - One-shot per-child opt-outs chosen by the agent (session, short-lived)
+ *
+ * Changes go through the Ticket model (setStatus(), assignToStaff(), ...),
+ * so osTicket writes thread events, sends assignment alerts and fires
+ * model.updated for every subticket. Closed descendants are never touched.
+ *
+ * @package SubticketManager
+ */
+final class CascadeService
+{
+    /**
+     * Session key holding ticket IDs to skip in the next cascade, keyed by parent ID
+     */
+    private const EXCLUDE_SESSION_KEY = 'subticket_cascade_exclude';
+
+    /**
+     * Seconds an opt-out waits for its cascade (the agent may cancel osTicket's dialog)
+     */
+    private const EXCLUDE_TTL = 300;
+
+    /**
+     * Ticket fields that can be cascaded
+     */
+    private const FIELDS = ['status_id', 'staff_id', 'team_id'];
+
+    private HierarchyService $hierarchyService;
+    private ?AuditService $auditService;
+
+    /**
+     * Set while changes are applied - the subtickets' own model.updated
+     * signals must not start cascades of their own
+     */
+    private bool $applying = false;
+
+    public function __construct(HierarchyService $hierarchyService, ?AuditService $auditService = null)
+    {
+        $this->hierarchyService = $hierarchyService;
+        $this->auditService = $auditService;
+    }
+
+    /**
+     * Get the enabled cascade types
+     *
+     * @return array<int, string> 'hold' and/or 'assignment'
+     */
+    public function getEnabledTypes(): array
+    {
+        $config = ConfigCache::getInstance();
+        $types = [];
+
+        if ($config->get('cascade_hold', true)) {
+            $types[] = 'hold';
+        }
+        if ($config->get('cascade_assignment', false)) {
+            $types[] = 'assignment';
+        }
+
+        return $types;
+    }
+
+    /**
+     * Handle a ticket update and cascade hold/assignment changes to its descendants
+     *
+     * @param mixed $ticket Updated model (only Ticket instances are handled)
+     * @param array $changes Signal data, either ['dirty' => [...]] or the dirty fields
+     * @return string|null Batch ID of the recorded cascade, null if nothing changed
+     */
+    public function handleTicketUpdate($ticket, array $changes): ?string
+    {
+        $types = $this->getEnabledTypes();
+        if ($this->applying || empty($types) || !($ticket instanceof \Ticket)) {
+            return null;
+        }
+
+        $dirty = $changes['dirty'] ?? $changes;
+        if (!is_array($dirty)) {
+            return null;
+        }
+
+        $fields = [];
+
+        if (in_array('hold', $types, true) && array_key_exists('status_id', $dirty)
+            && !$ticket->isClosed() && $this->isHoldStatus((int)$ticket->getStatusId())) {
+            $fields['status_id'] = (int)$ticket->getStatusId();
+        }
+
+        if (in_array('assignment', $types, true)
+            && (array_key_exists('staff_id', $dirty) || array_key_exists('team_id', $dirty))) {
+            $fields['staff_id'] = (int)$ticket->getStaffId();
+            $fields['team_id'] = (int)$ticket->getTeamId();
+        }
+
+        if (empty($fields)) {
+            return null;
+        }
+
+        return $this->cascade((int)$ticket->getId(), $fields);
+    }
+
+    /**
+     * Apply field values to all open descendants of a ticket and record the changes
+     *
+     * @param int $parentId Ticket whose descendants are updated
+     * @param array<string, int> $fields Field => new value (status_id, staff_id, team_id)
+     * @return string|null Batch ID, null if no descendant changed
+     */
+    public function cascade(int $parentId, array $fields): ?string
+    {
+        $fields = array_intersect_key($fields, array_flip(self::FIELDS));
+        $excluded = $this->consumeExclusions($parentId);
+
+        $changed = [];
+        foreach ($this->hierarchyService->getDescendants($parentId) as $ticket) {
+            if (in_array($ticket['id'], $excluded, true)
+                || $this->hierarchyService->classifyStatus($ticket['status_state'], $ticket['status']) === 'closed') {
+                continue;
+            }
+
+            foreach ($fields as $field => $value) {
+                if ($ticket[$field] !== $value) {
+                    $changed[] = ['ticket_id' => $ticket['id'], 'field' => $field, 'old' => $ticket[$field], 'new' => $value];
+                }
+            }
+        }
+
+        $changed = array_values(array_filter($changed, function (array $change): bool {
+            return $this->applyChange($change['ticket_id'], $change['field'], $change['new']);
+        }));
+
+        if (empty($changed)) {
+            $this->log('Cascade skipped', "Parent $parentId: no descendant to update");
+            return null;
+        }
+
+        $batchId = bin2hex(random_bytes(8));
+        $this->recordChanges($batchId, $parentId, $changed);
+        $this->log('Cascade applied', "Parent $parentId, batch $batchId, " . count($changed) . ' changes');
+
+        if ($this->auditService) {
+            $tickets = count(array_unique(array_column($changed, 'ticket_id')));
+            $what = isset($fields['status_id']) && isset($fields['staff_id']) ? 'Hold status and assignment'
+                : (isset($fields['status_id']) ? 'Hold status' : 'Assignment');
+            $this->auditService->record('cascade', $parentId, null, null, "$what cascaded to " . $this->countLabel($tickets));
+        }
+
+        return $batchId;
+    }
+
+    /**
+     * Get the most recent cascade of a parent that has not been reverted
+     *
+     * @param int $parentId Parent ticket ID
+     * @return array{batch_id: string, tickets: int, created: string}|null
+     */
+    public function getLastCascade(int $parentId): ?array
+    {
+        $parentId_escaped = db_input($parentId);
+
+        $result = db_query("SELECT batch_id, COUNT(DISTINCT ticket_id) AS tickets, MAX(created) AS created
+                FROM ost_ticket_cascade_log
+                WHERE parent_id = $parentId_escaped AND reverted IS NULL
+                GROUP BY batch_id
+                ORDER BY MAX(id) DESC
+                LIMIT 1");
+        $row = db_fetch_array($result);
+
+        if (!$row) {
+            return null;
+        }
+
+        return [
+            'batch_id' => $row['batch_id'],
+            'tickets' => (int)$row['tickets'],
+            'created' => $row['created'],
+        ];
+    }
+
+    /**
+     * Revert the most recent cascade of a parent
+     *
+     * Fields changed by anyone since the cascade are left alone.
+     *
+     * @param int $parentId Parent ticket ID
+     * @return int Number of tickets restored
+     */
+    public function revertLastCascade(int $parentId): int
+    {
+        $cascade = $this->getLastCascade($parentId);
+        if (!$cascade) {
+            return 0;
+        }
+
+        $batchId_escaped = db_input($cascade['batch_id'], false);
+
+        $result = db_query("SELECT ticket_id, field, old_value, new_value
+                FROM ost_ticket_cascade_log
+                WHERE batch_id = '$batchId_escaped'");
+
+        $restored = [];
+        while ($result && ($row = db_fetch_array($result))) {
+            $field = $row['field'];
+            if (!in_array($field, self::FIELDS, true)) {
+                continue;
+            }
+
+            $ticketId = (int)$row['ticket_id'];
+            if ($this->applyChange($ticketId, $field, (int)$row['old_value'], (int)$row['new_value'])) {
+                $restored[$ticketId] = true;
+            }
+        }
+
+        db_query("UPDATE ost_ticket_cascade_log SET reverted = NOW() WHERE batch_id = '$batchId_escaped'");
+        $this->log('Cascade reverted', "Parent $parentId, batch {$cascade['batch_id']}");
+
+        if ($this->auditService) {
+            $this->auditService->record('cascade', $parentId, null, null, 'Cascade reverted on ' . $this->countLabel(count($restored)));
+        }
+
+        return count($restored);
+    }
+
+    /**
+     * Skip tickets in the next cascade of a parent
+     *
+     * @param int $parentId Parent ticket ID
+     * @param array<int, int> $ticketIds Descendants the agent opted out
+     */
+    public function excludeFromNextCascade(int $parentId, array $ticketIds): void
+    {
+        $_SESSION[self::EXCLUDE_SESSION_KEY][$parentId] = [
+            'ids' => array_values(array_map('intval', $ticketIds)),
+            'expires' => time() + self::EXCLUDE_TTL,
+        ];
+    }
+
+    /**
+     * Get and clear the opted-out tickets for a parent
+     *
+     * Opt-outs older than EXCLUDE_TTL belong to a change the agent cancelled
+     * and are dropped.
+     *
+     * @return array<int, int>
+     */
+    private function consumeExclusions(int $parentId): array
+    {
+        $exclusion = $_SESSION[self::EXCLUDE_SESSION_KEY][$parentId] ?? null;
+        unset($_SESSION[self::EXCLUDE_SESSION_KEY][$parentId]);
+
+        if (!is_array($exclusion) || ($exclusion['expires'] ?? 0) < time()) {
+            return [];
+        }
+
+        return $exclusion['ids'] ?? [];
+    }
+
+    /**
+     * Change one field of a subticket through the Ticket model
+     *
+     * @param int $ticketId Subticket ID
+     * @param string $field status_id, staff_id or team_id
+     * @param int $value New value (0 = unassign)
+     * @param int|null $expected Only change the field if it still has this value (revert)
+     * @return bool True if the ticket was changed
+     */
+    private function applyChange(int $ticketId, string $field, int $value, ?int $expected = null): bool
+    {
+        $ticket = \Ticket::lookup($ticketId);
+        if (!$ticket) {
+            return false;
+        }
+
+        $current = [
+            'status_id' => (int)$ticket->getStatusId(),
+            'staff_id' => (int)$ticket->getStaffId(),
+            'team_id' => (int)$ticket->getTeamId(),
+        ];
+
+        if ($expected !== null && $current[$field] !== $expected) {
+            return false;
+        }
+
+        $errors = [];
+        $this->applying = true;
+
+        try {
+            switch ($field) {
+                case 'status_id':
+                    $status = \TicketStatus::lookup($value);
+                    $applied = $status && $ticket->setStatus($status, '', $errors, false);
+                    break;
+                case 'staff_id':
+                    $applied = $value > 0 ? $ticket->assignToStaff($value, '') : $ticket->release(['sid' => true], $errors);
+                    break;
+                case 'team_id':
+                    $applied = $value > 0 ? $ticket->assignToTeam($value, '') : $ticket->release(['tid' => true], $errors);
+                    break;
+                default:
+                    $applied = false;
+            }
+        } finally {
+            $this->applying = false;
+        }
+
+        if (!$applied) {
+            $this->log('Cascade change failed', "Ticket $ticketId, $field = $value " . implode(', ', $errors));
+        }
+
+        return (bool)$applied;
+    }
+
+    /**
+     * Check if a status is an "On Hold" status
+     */
+    private function isHoldStatus(int $statusId): bool
+    {
+        $statusId_escaped = db_input($statusId);
+
+        $result = db_query("SELECT name, state FROM ost_ticket_status WHERE id = $statusId_escaped");
+        $row = db_fetch_array($result);
+
+        return $row && $this->hierarchyService->classifyStatus($row['state'] ?? '', $row['name'] ?? '') === 'on_hold';
+    }
+
+    /**
+     * Store cascaded changes so they can be reverted
+     *
+     * @param string $batchId Cascade batch ID
+     * @param int $parentId Parent ticket ID
+     * @param array<int, array{ticket_id: int, field: string, old: int, new: int}> $changes
+     */
+    private function recordChanges(string $batchId, int $parentId, array $changes): void
+    {
+        $batchId_escaped = db_input($batchId, false);
+
+        $values = [];
+        foreach ($changes as $change) {
+            $values[] = "('$batchId_escaped', $parentId, {$change['ticket_id']}, '{$change['field']}', {$change['old']}, {$change['new']})";
+        }
+
+        db_query("INSERT INTO ost_ticket_cascade_log (batch_id, parent_id, ticket_id, field, old_value, new_value)
+                VALUES " . implode(', ', $values));
+    }
+
+    /**
+     * Format a number of subtickets for the audit log ("1 subticket", "3 subtickets")
+     */
+    private function countLabel(int $count): string
+    {
+        return $count . ($count === 1 ? ' subticket' : ' subtickets');
+    }
+
+    /**
+     * Log helper
+     */
+    private function log(string $title, string $message = ''): void
+    {
+        if (function_exists('subticket_log')) {
+            subticket_log($title, $message);
+        }
+    }
+}
@@ -103,6 +103,22 @@ class DatabaseMigrationTest extends TestCase
             // Check if FK exists on progress table (NO)
             [],
             // ALTER TABLE ADD CONSTRAINT FK on progress (SUCCESS)
+            true,
+            // Check if cascade log table exists (NO)
+            [],
+            // CREATE TABLE ost_ticket_cascade_log (SUCCESS)
+            true,
+            // SHOW COLUMNS: subticket_sort (NO)
+            [],
+            // ALTER TABLE ADD COLUMN subticket_sort (SUCCESS)
+            true,
+            // Check if audit log table exists (NO)
+            [],
+            // CREATE TABLE ost_ticket_audit_log (SUCCESS)
+            true,
+            // Check if dependency table exists (NO)
+            [],
+            // CREATE TABLE ost_ticket_dependency (SUCCESS)
             true
         ]);
 
@@ -118,9 +134,14 @@ class DatabaseMigrationTest extends TestCase
         // Verify table creation queries
         $this->assertQueryContains('CREATE TABLE IF NOT EXISTS `ost_ticket_hierarchy_metadata`', $queries);
         $this->assertQueryContains('CREATE TABLE IF NOT EXISTS `ost_ticket_progress`', $queries);
+        $this->assertQueryContains('CREATE TABLE IF NOT EXISTS `ost_ticket_cascade_log`', $queries);
+        $this->assertQueryContains('CREATE TABLE IF NOT EXISTS `ost_ticket_audit_log`', $queries);
+        $this->assertQueryContains('KEY `idx_audit_created` (`created`)', $queries);
+        $this->assertQueryContains('CREATE TABLE IF NOT EXISTS `ost_ticket_dependency`', $queries);
 
         // Verify column addition
         $this->assertQueryContains('ALTER TABLE `ost_ticket` ADD COLUMN `version`', $queries);
+        $this->assertQueryContains('ALTER TABLE `ost_ticket` ADD COLUMN `subticket_sort`', $queries);
 
         // Verify index creation
         $this->assertQueryContains('CREATE INDEX idx_ticket_pid', $queries);
@@ -138,7 +159,7 @@ class DatabaseMigrationTest extends TestCase
      * - ticket_id: int(11) unsigned PRIMARY KEY
      * - auto_close_enabled: tinyint(1) DEFAULT 1
      * - inherit_settings: text
-     * - dependency_type: enum('blocks','depends_on','relates_to') DEFAULT 'relates_to'
+     * - no dependency_type (dependencies live in ost_ticket_dependency)
      * - max_children: int(11) DEFAULT 50
      * - created: timestamp DEFAULT CURRENT_TIMESTAMP
      * - updated: timestamp DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
@@ -179,7 +200,7 @@ class DatabaseMigrationTest extends TestCase
         $this->assertStringContainsString('`ticket_id` int(11) unsigned PRIMARY KEY', $createTableQuery);
         $this->assertStringContainsString('`auto_close_enabled` tinyint(1) DEFAULT 1', $createTableQuery);
         $this->assertStringContainsString('`inherit_settings` text', $createTableQuery);
-        $this->assertStringContainsString('`dependency_type` enum(\'blocks\',\'depends_on\',\'relates_to\') DEFAULT \'relates_to\'', $createTableQuery);
+        $this->assertStringNotContainsString('`dependency_type`', $createTableQuery);
         $this->assertStringContainsString('`max_children` int(11) DEFAULT 50', $createTableQuery);
         $this->assertStringContainsString('`created` timestamp DEFAULT CURRENT_TIMESTAMP', $createTableQuery);
         $this->assertStringContainsString('`updated` timestamp DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP', $createTableQuery);
@@ -421,7 +442,15 @@ class DatabaseMigrationTest extends TestCase
             // Check progress table for FK (exists)
             [['Tables_in_test' => 'ost_ticket_progress']],
             // Check if FK exists (YES - already exists)
-            [['CONSTRAINT_NAME' => 'fk_progress_ticket']]
+            [['CONSTRAINT_NAME' => 'fk_progress_ticket']],
+            // SHOW TABLES: cascade log exists
+            [['Tables_in_test' => 'ost_ticket_cascade_log']],
+            // SHOW COLUMNS: subticket_sort exists
+            [['Field' => 'subticket_sort', 'Type' => 'int(11) unsigned', 'Null' => 'NO', 'Key' => '', 'Default' => '0', 'Extra' => '']],
+            // SHOW TABLES: audit log exists
+            [['Tables_in_test' => 'ost_ticket_audit_log']],
+            // SHOW TABLES: dependency table exists
+            [['Tables_in_test' => 'ost_ticket_dependency']]
         ]);
 
         $this->databaseService->initialize();
@@ -86,6 +86,100 @@ class FrontendHooksRegistrationTest extends TestCase
         $GLOBALS['__test_is_staff_area'] = true;
     }
 
+    /**
+     * Test that the client panel script is only loaded on client portal ticket pages
+     *
+     * Expected behavior:
+     * - Client portal tickets.php?id=X with client_portal_panel enabled: script with the ticket ID
+     * - Staff area or option disabled: nothing is loaded
+     */
+    public function testClientPanelScriptOnlyOnClientTicketPage()
+    {
+        $scriptName = $_SERVER['SCRIPT_NAME'] ?? null;
+        $_SERVER['SCRIPT_NAME'] = '/tickets.php';
+        $_GET['id'] = '5';
+
+        $bootstrap = function ($isStaffArea, $enabled) {
+            $GLOBALS['__test_is_staff_area'] = $isStaffArea;
+            $plugin = new class($enabled) extends TestableSubticketPlugin {
+                private $enabled;
+
+                public function __construct($enabled) {
+                    $this->enabled = $enabled;
+                }
+
+                public function getConfig(?PluginInstance $instance = null, $defaults = []) {
+                    $enabled = $this->enabled;
+                    return new class($enabled) {
+                        private $enabled;
+
+                        public function __construct($enabled) {
+                            $this->enabled = $enabled;
+                        }
+
+                        public function get($key) {
+                            return $key === 'client_portal_panel' ? $this->enabled : null;
+                        }
+                    };
+                }
+            };
+
+            ob_start();
+            $plugin->bootstrap();
+            return ob_get_clean();
+        };
+
+        $clientPage = $bootstrap(false, true);
+        $disabled = $bootstrap(false, false);
+        $staffPage = $bootstrap(true, true);
+
+        $GLOBALS['__test_is_staff_area'] = true;
+        $_SERVER['SCRIPT_NAME'] = $scriptName;
+        unset($_GET['id']);
+        \SubticketManager\Config\ConfigCache::getInstance()->clear();
+
+        $this->assertStringContainsString('window.SubticketClient = { ticketId: 5 };', $clientPage);
+        $this->assertStringContainsString('/js/subticket-client.js', $clientPage);
+        $this->assertStringNotContainsString('subticket-client.js', $disabled);
+        $this->assertStringNotContainsString('subticket-client.js', $staffPage);
+    }
+
+    /**
+     * Test that the queue indicator script is only loaded on queue pages
+     *
+     * Expected behavior:
+     * - Queue pages load queue-indicator.js once, after the status cache and change feed
+     * - The loader waits for jQuery with a named function (no arguments.callee)
+     * - Other staff pages load nothing
+     */
+    public function testQueueIndicatorScriptOnlyOnQueuePages()
+    {
+        $scriptName = $_SERVER['SCRIPT_NAME'] ?? null;
+
+        $bootstrap = function ($page) {
+            $_SERVER['SCRIPT_NAME'] = $page;
+            $plugin = new TestableSubticketPlugin();
+
+            ob_start();
+            $plugin->bootstrap();
+            return ob_get_clean();
+        };
+
+        $queuePage = $bootstrap('/scp/tickets.php');
+        $otherPage = $bootstrap('/scp/users.php');
+
+        $_SERVER['SCRIPT_NAME'] = $scriptName;
+
+        $this->assertEquals(1, substr_count($queuePage, '/js/queue-indicator.js'));
+        $this->assertLessThan(
+            strpos($queuePage, '/js/queue-indicator.js'),
+            strpos($queuePage, '/js/subticket-changes.js')
+        );
+        $this->assertStringContainsString('setTimeout(loadQueueIndicator, 100);', $queuePage);
+        $this->assertStringNotContainsString('arguments.callee', $queuePage);
+        $this->assertStringNotContainsString('queue-indicator.js', $otherPage);
+    }
+
     /**
      * Test that plugin registers model.updated signal for event handling
      *
@@ -7,6 +7,7 @@
  * - getParent($childId)
  * - linkTicket($childId, $parentId)
  * - unlinkTicket($childId)
+ * - getLinkRestriction($childId, $parentId)
  * - isDescendant($ticketId, $ancestorId) - tested via linkTicket
  *
  * Test Strategy: Integration tests with mocked database
@@ -175,6 +176,44 @@ class PluginHelperMethodsTest extends TestCase
         $this->assertEquals($this->testTickets['child2']['subject'], $result[1]['subject']);
     }
 
+    /**
+     * Test that getChildren() includes the assignee (staff or team)
+     *
+     * Expected behavior:
+     * - Query joins ost_staff and ost_team
+     * - Children without assignee get an empty string
+     */
+    public function testGetChildrenIncludesAssignee()
+    {
+        $this->mockDbQuery(array(
+            array(
+                'ticket_id' => 2,
+                'number' => '100002',
+                'subject' => 'Child',
+                'status' => 'Open',
+                'created' => '2025-01-01 11:00:00',
+                'assignee' => 'Jane Agent'
+            ),
+            array(
+                'ticket_id' => 3,
+                'number' => '100003',
+                'subject' => 'Child 2',
+                'status' => 'Open',
+                'created' => '2025-01-01 12:00:00',
+                'assignee' => null
+            )
+        ));
+
+        $result = $this->plugin->getChildren(1);
+
+        $this->assertEquals('Jane Agent', $result[0]['assignee']);
+        $this->assertSame('', $result[1]['assignee']);
+
+        $query = get_test_db_queries()[0]['query'];
+        $this->assertStringContainsString('LEFT JOIN ost_staff st ON t.staff_id = st.staff_id', $query);
+        $this->assertStringContainsString('LEFT JOIN ost_team tm ON t.team_id = tm.team_id', $query);
+    }
+
     /**
      * Test that getChildren() executes correct SQL query
      *
@@ -201,7 +240,7 @@ class PluginHelperMethodsTest extends TestCase
         $this->assertStringContainsString('LEFT JOIN ost_ticket__cdata cdata', $query);
         $this->assertStringContainsString('LEFT JOIN ost_ticket_status s', $query);
         $this->assertStringContainsString('WHERE t.ticket_pid = 1', $query);
-        $this->assertStringContainsString('ORDER BY t.created ASC', $query);
+        $this->assertStringContainsString('ORDER BY t.subticket_sort = 0, t.subticket_sort ASC, t.created ASC', $query);
     }
 
     // ============================================================
@@ -331,7 +370,7 @@ class PluginHelperMethodsTest extends TestCase
         $this->assertGreaterThanOrEqual(3, count($queries), 'Should execute validation and update queries');
 
         // Check UPDATE query (new format with db_input, no prepared statements)
-        $updateQuery = end($queries);
+        $updateQuery = $queries[count($queries) - 2];
         $this->assertStringContainsString(
             'UPDATE ost_ticket SET ticket_pid = ' . $this->testTickets['parent']['ticket_id'],
             $updateQuery['query']
@@ -340,6 +379,48 @@ class PluginHelperMethodsTest extends TestCase
             'WHERE ticket_id = ' . $this->testTickets['orphan']['ticket_id'],
             $updateQuery['query']
         );
+
+        // The link is recorded in the audit log (orphan had no parent before)
+        $auditQuery = end($queries);
+        $this->assertStringContainsString('INSERT INTO ost_ticket_audit_log', $auditQuery['query']);
+        $this->assertStringContainsString("VALUES ('link', 4, NULL, 1, 0, '')", $auditQuery['query']);
+    }
+
+    /**
+     * Test that moving a child to another parent notes the change on every thread
+     *
+     * Expected behavior:
+     * - Recorded as 'reparent' with old and new parent
+     * - Internal note (no alert) on the child, the old and the new parent
+     */
+    public function testReparentPostsNotesOnChildAndBothParents()
+    {
+        $child = new \Ticket(array('ticket_id' => 2, 'number' => '100002'));
+        $oldParent = new \Ticket(array('ticket_id' => 1, 'number' => '100001'));
+        $newParent = new \Ticket(array('ticket_id' => 4, 'number' => '100004'));
+        $GLOBALS['__test_tickets'] = array(1 => $oldParent, 2 => $child, 4 => $newParent);
+
+        $this->mockMultipleDbQueries(array(
+            array(array('ticket_id' => 2, 'ticket_pid' => 1)),
+            array(array('ticket_id' => 4)),
+            array(),
+            true,
+            true
+        ));
+
+        $result = $this->plugin->linkTicket(2, 4);
+        $GLOBALS['__test_tickets'] = array();
+
+        $this->assertTrue($result);
+
+        $queries = get_test_db_queries();
+        $this->assertStringContainsString("VALUES ('reparent', 2, 1, 4, 0, '')", end($queries)['query']);
+
+        $this->assertEquals('Moved from parent ticket #100001 to #100004', $child->notes[0]['note']);
+        $this->assertEquals('Subticket #100002 moved to #100004', $oldParent->notes[0]['note']);
+        $this->assertEquals('Subticket #100002 moved here from #100001', $newParent->notes[0]['note']);
+        $this->assertEquals('Subticket hierarchy changed', $child->notes[0]['title']);
+        $this->assertFalse($child->notes[0]['alert']);
     }
 
     /**
@@ -485,8 +566,10 @@ class PluginHelperMethodsTest extends TestCase
      */
     public function testUnlinkTicketSuccessfullyUnlinks()
     {
-        // Mock database: UPDATE succeeds
-        $this->mockDbQuery(true); // True = query success
+        $this->mockMultipleDbQueries(array(
+            array(array('ticket_pid' => 1)), // Current parent (for the audit log)
+            true                             // UPDATE succeeds
+        ));
 
         $result = $this->plugin->unlinkTicket($this->testTickets['child1']['ticket_id']);
 
@@ -495,12 +578,13 @@ class PluginHelperMethodsTest extends TestCase
 
         // Assert correct SQL executed (new format with db_input, no params array)
         $queries = get_test_db_queries();
-        $this->assertCount(1, $queries);
-        $this->assertStringContainsString('UPDATE ost_ticket SET ticket_pid = NULL', $queries[0]['query']);
+        $this->assertCount(3, $queries);
+        $this->assertStringContainsString('UPDATE ost_ticket SET ticket_pid = NULL', $queries[1]['query']);
         $this->assertStringContainsString(
             'WHERE ticket_id = ' . $this->testTickets['child1']['ticket_id'],
-            $queries[0]['query']
+            $queries[1]['query']
         );
+        $this->assertStringContainsString("VALUES ('unlink', 2, 1, NULL, 0, '')", $queries[2]['query']);
     }
 
     /**
@@ -517,7 +601,10 @@ class PluginHelperMethodsTest extends TestCase
     {
         // Mock database: UPDATE succeeds (even on non-existent ticket)
         // In real MySQL, UPDATE on non-existent row returns success (0 rows affected)
-        $this->mockDbQuery(true); // True = query success
+        $this->mockMultipleDbQueries(array(
+            array(), // No current parent - nothing to record
+            true
+        ));
 
         $result = $this->plugin->unlinkTicket(999);
 
@@ -526,8 +613,8 @@ class PluginHelperMethodsTest extends TestCase
 
         // Assert UPDATE was attempted
         $queries = get_test_db_queries();
-        $this->assertCount(1, $queries);
-        $this->assertStringContainsString('UPDATE ost_ticket SET ticket_pid = NULL', $queries[0]['query']);
+        $this->assertCount(2, $queries);
+        $this->assertStringContainsString('UPDATE ost_ticket SET ticket_pid = NULL', $queries[1]['query']);
     }
 
     /**
@@ -557,7 +644,10 @@ class PluginHelperMethodsTest extends TestCase
     public function testUnlinkTicketReturnsFalseOnDatabaseError()
     {
         // Mock database: UPDATE fails due to database error
-        $this->mockDbQuery(false); // False = actual database error
+        $this->mockMultipleDbQueries(array(
+            array(array('ticket_pid' => 2)),
+            false // False = actual database error
+        ));
 
         $result = $this->plugin->unlinkTicket(1);
 
@@ -637,6 +727,608 @@ class PluginHelperMethodsTest extends TestCase
         $this->assertFalse($result, 'linkTicket should prevent circular dependency at max depth');
     }
 
+    // ============================================================
+    // Tests for hierarchy limits (max_depth, max_children)
+    // ============================================================
+
+    /**
+     * Test that linkTicket() rejects a parent that already has max_children
+     *
+     * Expected behavior:
+     * - Existing children are counted (excluding the ticket being linked)
+     * - No UPDATE is executed when the limit is reached
+     */
+    public function testLinkTicketRespectsMaxChildrenLimit()
+    {
+        \SubticketManager\Config\ConfigCache::getInstance()->populate(array(
+            'allow_nested_subtickets' => true,
+            'max_depth' => 3,
+            'max_children' => 2,
+        ));
+
+        $this->mockMultipleDbQueries(array(
+            array(array('ticket_id' => 4)), // Child exists
+            array(array('ticket_id' => 1)), // Parent exists
+            array(),                        // isDescendant: parent is a root ticket
+            array(),                        // getDepth: parent is a root ticket
+            array(),                        // getSubtreeHeight: child has no children
+            array(array('total' => 2))      // countChildren: limit reached
+        ));
+
+        $result = $this->plugin->linkTicket(4, 1);
+
+        \SubticketManager\Config\ConfigCache::getInstance()->clear();
+
+        $this->assertFalse($result, 'linkTicket should respect max_children');
+        foreach (get_test_db_queries() as $query) {
+            $this->assertStringNotContainsString('UPDATE', $query['query']);
+        }
+    }
+
+    /**
+     * Test that getLinkRestriction() reports max_depth before linking
+     *
+     * Expected behavior:
+     * - Parent depth + 1 + child subtree height is compared to max_depth
+     * - Returns MAX_DEPTH without modifying anything
+     */
+    public function testGetLinkRestrictionReportsMaxDepth()
+    {
+        \SubticketManager\Config\ConfigCache::getInstance()->populate(array(
+            'allow_nested_subtickets' => true,
+            'max_depth' => 2,
+            'max_children' => 0,
+        ));
+
+        $this->mockMultipleDbQueries(array(
+            array(array('ticket_pid' => 1)), // isDescendant: 2's parent is 1
+            array(),                         // isDescendant: 1 is a root ticket
+            array(array('ticket_pid' => 1)), // getDepth: 2's parent is 1
+            array(),                         // getDepth: 1 is a root ticket
+            array(array('ticket_id' => 6))   // getSubtreeHeight: child 4 has a child
+        ));
+
+        $result = $this->plugin->getLinkRestriction(4, 2);
+
+        \SubticketManager\Config\ConfigCache::getInstance()->clear();
+
+        $this->assertEquals('MAX_DEPTH', $result);
+    }
+
+    /**
+     * Test that getLinkRestriction() reports cycles and self links
+     */
+    public function testGetLinkRestrictionReportsCycleAndSelfLink()
+    {
+        $this->assertEquals('SELF', $this->plugin->getLinkRestriction(1, 1));
+        $this->assertEmpty(get_test_db_queries(), 'Self link needs no database lookup');
+
+        // Linking 1 below its grandchild 5: 5 -> 2 -> 1
+        $this->mockMultipleDbQueries(array(
+            array(array('ticket_pid' => 2)),
+            array(array('ticket_pid' => 1))
+        ));
+
+        $this->assertEquals('CYCLE', $this->plugin->getLinkRestriction(1, 5));
+    }
+
+    /**
+     * Test that the auto-link of a ticket created from the panel is validated
+     *
+     * Expected behavior:
+     * - A closed parent rejects the link like linking from the panel
+     * - Nothing is updated and the parent is cleared from the session
+     * - An internal note on the new ticket names the rejection code
+     */
+    public function testAutoLinkOnCreateFollowsLinkValidator()
+    {
+        $GLOBALS['__test_tickets'][1] = new \Ticket(array('ticket_id' => 1, 'closed' => true));
+        $_SESSION['subticket_parent'] = 1;
+        $this->mockMultipleDbQueries(array(
+            array(array('ticket_id' => 9, 'ticket_pid' => null)), // Child exists (link check: 1 is a root ticket)
+            array(array('ticket_id' => 1, 'ticket_pid' => null)), // Parent exists (link check: depth 0)
+            array(),
+            array(),
+            array(array('total' => 0)),
+            true
+        ));
+
+        $child = new \Ticket(array('ticket_id' => 9));
+        $this->plugin->onTicketCreated($child);
+
+        $this->assertArrayNotHasKey('subticket_parent', $_SESSION);
+        foreach (get_test_db_queries() as $query) {
+            $this->assertStringNotContainsString('UPDATE', $query['query']);
+        }
+        $this->assertCount(1, $child->notes);
+        $this->assertEquals('Not linked as subticket', $child->notes[0]['title']);
+        $this->assertStringContainsString('(PARENT_CLOSED)', $child->notes[0]['note']);
+        $this->assertFalse($child->notes[0]['alert']);
+    }
+
+    // ============================================================
+    // Tests for auto-closing the parent (model.updated)
+    // ============================================================
+
+    /**
+     * Test that closing the last open child closes the parent with a note
+     *
+     * Expected behavior:
+     * - Parent is closed once all children are closed
+     * - A thread note lists every child
+     * - notify_on_auto_close controls the note alert
+     */
+    public function testClosingLastChildClosesParentWithNote()
+    {
+        $parent = new \Ticket(array('ticket_id' => 1, 'number' => '100001'));
+        $GLOBALS['__test_tickets'] = array(1 => $parent);
+        \SubticketManager\Config\ConfigCache::getInstance()->populate(array(
+            'auto_close_parent' => true,
+            'notify_on_auto_close' => false,
+        ));
+
+        $this->mockMultipleDbQueries(array(
+            array(array('ticket_id' => 1, 'number' => '100001', 'subject' => 'Parent', 'status' => 'Open')),
+            array(
+                $this->childRow(2, '100002', 'Resolved', 'closed'),
+                $this->childRow(3, '100003', 'Closed', 'closed'),
+            ),
+            array(array('id' => 3)) // Default closed status
+        ));
+
+        $child = new \Ticket(array('ticket_id' => 2, 'closed' => true));
+        $this->plugin->onTicketStatusChanged($child, array('dirty' => array('status_id' => 1)));
+
+        \SubticketManager\Config\ConfigCache::getInstance()->clear();
+        $GLOBALS['__test_tickets'] = array();
+
+        $this->assertTrue($parent->isClosed(), 'Parent should be closed automatically');
+        $this->assertCount(1, $parent->notes);
+        $this->assertStringContainsString('#100002', $parent->notes[0]['note']);
+        $this->assertStringContainsString('#100003', $parent->notes[0]['note']);
+        $this->assertFalse($parent->notes[0]['alert']);
+    }
+
+    /**
+     * Test that the parent stays open while other children are still open
+     */
+    public function testClosingChildKeepsParentOpenWhileSiblingsAreOpen()
+    {
+        $parent = new \Ticket(array('ticket_id' => 1));
+        $GLOBALS['__test_tickets'] = array(1 => $parent);
+
+        $this->mockMultipleDbQueries(array(
+            array(array('ticket_id' => 1, 'number' => '100001', 'subject' => 'Parent', 'status' => 'Open')),
+            array(
+                $this->childRow(2, '100002', 'Closed', 'closed'),
+                $this->childRow(3, '100003', 'Open', 'open'),
+            )
+        ));
+
+        $child = new \Ticket(array('ticket_id' => 2, 'closed' => true));
+        $this->plugin->onTicketStatusChanged($child, array('dirty' => array('status_id' => 1)));
+
+        $GLOBALS['__test_tickets'] = array();
+
+        $this->assertFalse($parent->isClosed());
+        $this->assertEmpty($parent->notes);
+    }
+
+    /**
+     * Test that updates not touching the status are ignored
+     */
+    public function testUpdateWithoutStatusChangeIsIgnored()
+    {
+        $child = new \Ticket(array('ticket_id' => 2, 'closed' => true));
+        $this->plugin->onTicketStatusChanged($child, array('dirty' => array('lastupdate' => '2025-01-01')));
+
+        $this->assertEmpty(get_test_db_queries());
+    }
+
+    /**
+     * Test that auto-close does nothing when auto_close_parent is disabled
+     */
+    public function testAutoCloseRespectsDisabledSetting()
+    {
+        \SubticketManager\Config\ConfigCache::getInstance()->populate(array('auto_close_parent' => false));
+
+        $child = new \Ticket(array('ticket_id' => 2, 'closed' => true));
+        $this->plugin->onTicketStatusChanged($child, array('dirty' => array('status_id' => 1)));
+
+        \SubticketManager\Config\ConfigCache::getInstance()->clear();
+
+        $this->assertEmpty($this->withoutDependencyQueries(get_test_db_queries()));
+    }
+
+    /**
+     * Test that "keep parent open" skips exactly the next auto-close
+     */
+    public function testKeepParentOpenSkipsNextAutoClose()
+    {
+        $parent = new \Ticket(array('ticket_id' => 1));
+        $GLOBALS['__test_tickets'] = array(1 => $parent);
+        $parentRow = array(array('ticket_id' => 1, 'number' => '100001', 'subject' => 'Parent', 'status' => 'Open'));
+
+        $this->mockMultipleDbQueries(array($parentRow, $parentRow));
+
+        $kept = $this->plugin->keepParentOpen(2);
+        $child = new \Ticket(array('ticket_id' => 2, 'closed' => true));
+        $this->plugin->onTicketStatusChanged($child, array('dirty' => array('status_id' => 1)));
+
+        $remaining = $_SESSION['subticket_keep_parent_open'] ?? array();
+        $GLOBALS['__test_tickets'] = array();
+
+        $this->assertSame('100001', $kept['number']);
+        $this->assertFalse($parent->isClosed(), 'Parent should stay open');
+        $this->assertArrayNotHasKey(1, $remaining, 'Flag should only apply once');
+        $this->assertCount(2, $this->withoutDependencyQueries(get_test_db_queries()), 'Children should not be checked');
+    }
+
+    /**
+     * Test that an expired "keep parent open" choice no longer skips the auto-close
+     */
+    public function testExpiredKeepParentOpenIsIgnored()
+    {
+        $parent = new \Ticket(array('ticket_id' => 1));
+        $GLOBALS['__test_tickets'] = array(1 => $parent);
+        $_SESSION['subticket_keep_parent_open'][1] = time() - 1;
+
+        $this->mockMultipleDbQueries(array(
+            array(array('ticket_id' => 1, 'number' => '100001', 'subject' => 'Parent', 'status' => 'Open')),
+            array($this->childRow(2, '100002', 'Resolved', 'closed')),
+            array(array('id' => 3)) // Default closed status
+        ));
+
+        $child = new \Ticket(array('ticket_id' => 2, 'closed' => true));
+        $this->plugin->onTicketStatusChanged($child, array('dirty' => array('status_id' => 1)));
+
+        $GLOBALS['__test_tickets'] = array();
+
+        $this->assertTrue($parent->isClosed(), 'Parent should be closed despite the stale flag');
+        $this->assertArrayNotHasKey(1, $_SESSION['subticket_keep_parent_open']);
+    }
+
+    // ============================================================
+    // Tests for "blocked by" dependencies
+    // ============================================================
+
+    /**
+     * Test that dependencies cannot point at the ticket itself or form a cycle
+     *
+     * Expected behavior:
+     * - A ticket cannot block itself (no query)
+     * - 1 blocked by 3 is rejected when 3 already waits for 1 via 2
+     */
+    public function testDependencyCycleIsRejected()
+    {
+        $this->mockMultipleDbQueries(array(
+            array(),                          // Link does not exist yet
+            array(array('blocked_by_id' => 2)), // 3 is blocked by 2
+            array(array('blocked_by_id' => 1))  // 2 is blocked by 1
+        ));
+
+        $this->assertFalse($this->plugin->addDependency(4, 4));
+        $this->assertEmpty(get_test_db_queries());
+
+        $this->assertFalse($this->plugin->addDependency(1, 3));
+
+        $queries = get_test_db_queries();
+        $this->assertCount(3, $queries);
+        $this->assertStringContainsString('WHERE ticket_id IN (2)', $queries[2]['query']);
+        foreach ($queries as $query) {
+            $this->assertStringNotContainsString('INSERT', $query['query']);
+        }
+    }
+
+    /**
+     * Test that closing the last open blocker notes the unblocked tickets
+     *
+     * Expected behavior:
+     * - Ticket 2 (only blocked by the closed ticket) gets an internal note
+     * - Ticket 3 (still blocked by open ticket 4) gets no note
+     */
+    public function testClosingLastBlockerNotesUnblockedTickets()
+    {
+        \SubticketManager\Config\ConfigCache::getInstance()->populate(array('auto_close_parent' => false));
+
+        $blocked = new \Ticket(array('ticket_id' => 2));
+        $stillBlocked = new \Ticket(array('ticket_id' => 3));
+        $GLOBALS['__test_tickets'] = array(2 => $blocked, 3 => $stillBlocked);
+
+        $this->mockMultipleDbQueries(array(
+            // getBlocking(1)
+            array($this->childRow(2, '100002', 'Open', 'open'), $this->childRow(3, '100003', 'Open', 'open')),
+            // getBlockers(2)
+            array($this->childRow(1, '100001', 'Closed', 'closed')),
+            // getBlockers(3)
+            array($this->childRow(1, '100001', 'Closed', 'closed'), $this->childRow(4, '100004', 'Open', 'open'))
+        ));
+
+        $closed = new \Ticket(array('ticket_id' => 1, 'number' => '100001', 'closed' => true));
+        $this->plugin->onTicketStatusChanged($closed, array('dirty' => array('status_id' => 1)));
+
+        \SubticketManager\Config\ConfigCache::getInstance()->clear();
+        $GLOBALS['__test_tickets'] = array();
+
+        $this->assertCount(1, $blocked->notes);
+        $this->assertSame('Subticket unblocked', $blocked->notes[0]['title']);
+        $this->assertStringContainsString('#100001 was closed', $blocked->notes[0]['note']);
+        $this->assertFalse($blocked->notes[0]['alert']);
+        $this->assertEmpty($stillBlocked->notes);
+    }
+
+    // ============================================================
+    // Tests for cascading hold/assignment changes (model.updated)
+    // ============================================================
+
+    /**
+     * Test that putting a parent on hold holds its open descendants
+     *
+     * Expected behavior:
+     * - Closed descendants are left alone
+     * - The status is set through Ticket::setStatus(), not a raw UPDATE
+     * - Every change is logged with old and new value
+     */
+    public function testHoldStatusCascadesToOpenDescendants()
+    {
+        $child = new \Ticket(array('ticket_id' => 2, 'status_id' => 1));
+        $closedChild = new \Ticket(array('ticket_id' => 3, 'status_id' => 3, 'closed' => true));
+        $GLOBALS['__test_tickets'] = array(2 => $child, 3 => $closedChild);
+
+        $this->mockMultipleDbQueries(array(
+            array(array('name' => 'On Hold', 'state' => 'open')), // isHoldStatus
+            array(
+                $this->descendantRow(2, 1, 'open', 1, 5),
+                $this->descendantRow(3, 1, 'closed', 3, 5),
+            ),
+            array(), // No grandchildren
+            true     // INSERT cascade log
+        ));
+
+        $parent = new \Ticket(array('ticket_id' => 1, 'status_id' => 4));
+        $this->plugin->onTicketStatusChanged($parent, array('dirty' => array('status_id' => 1)));
+
+        $GLOBALS['__test_tickets'] = array();
+
+        $queries = get_test_db_queries();
+        $this->assertCount(5, $queries);
+        $this->assertInstanceOf('TicketStatus', $child->getStatus());
+        $this->assertNull($closedChild->getStatus());
+        foreach ($queries as $query) {
+            $this->assertStringNotContainsString('UPDATE ost_ticket SET', $query['query']);
+        }
+        $this->assertStringContainsString('INSERT INTO ost_ticket_cascade_log', $queries[3]['query']);
+        $this->assertStringContainsString(", 1, 2, 'status_id', 1, 4)", $queries[3]['query']);
+        $this->assertStringContainsString("VALUES ('cascade', 1, NULL, NULL, 0, 'Hold status cascaded to 1 subticket')", $queries[4]['query']);
+    }
+
+    /**
+     * Test that subtickets changed by a cascade do not start cascades of their own
+     *
+     * Expected behavior:
+     * - model.updated of a cascaded subticket is ignored while the cascade runs
+     * - Grandchildren are updated once, by the parent's cascade
+     */
+    public function testCascadedSubticketsDoNotCascadeAgain()
+    {
+        $plugin = $this->plugin;
+        $child = new class(array('ticket_id' => 2, 'status_id' => 1)) extends \Ticket {
+            public $plugin;
+
+            public function setStatus($status, $comments = '', &$errors = array(), $set_closing_agent = true) {
+                // osTicket fires model.updated from save()
+                $this->plugin->onTicketStatusChanged($this, array('dirty' => array('status_id' => 1)));
+                return true;
+            }
+        };
+        $child->plugin = $plugin;
+        $GLOBALS['__test_tickets'] = array(2 => $child);
+
+        $this->mockMultipleDbQueries(array(
+            array(array('name' => 'On Hold', 'state' => 'open')),
+            array($this->descendantRow(2, 1, 'open', 1, 5)),
+            array(),
+            true
+        ));
+
+        $parent = new \Ticket(array('ticket_id' => 1, 'status_id' => 4));
+        $this->plugin->onTicketStatusChanged($parent, array('dirty' => array('status_id' => 1)));
+
+        $GLOBALS['__test_tickets'] = array();
+
+        $this->assertCount(5, get_test_db_queries(), 'No status lookup or descendant query for the subticket');
+    }
+
+    /**
+     * Test that switching to a regular open status does not cascade
+     */
+    public function testNonHoldStatusDoesNotCascade()
+    {
+        $this->mockMultipleDbQueries(array(
+            array(array('name' => 'Open', 'state' => 'open'))
+        ));
+
+        $parent = new \Ticket(array('ticket_id' => 1, 'status_id' => 1));
+        $this->plugin->onTicketStatusChanged($parent, array('dirty' => array('status_id' => 4)));
+
+        $this->assertCount(1, get_test_db_queries());
+    }
+
+    /**
+     * Test that reassigning a parent skips the subtickets the agent opted out
+     */
+    public function testAssignmentCascadeSkipsExcludedTickets()
+    {
+        \SubticketManager\Config\ConfigCache::getInstance()->populate(array(
+            'cascade_hold' => false,
+            'cascade_assignment' => true,
+        ));
+
+        $child = new \Ticket(array('ticket_id' => 2, 'staff_id' => 5));
+        $excluded = new \Ticket(array('ticket_id' => 3, 'staff_id' => 5));
+        $GLOBALS['__test_tickets'] = array(2 => $child, 3 => $excluded);
+
+        $this->mockMultipleDbQueries(array(
+            array(
+                $this->descendantRow(2, 1, 'open', 1, 5),
+                $this->descendantRow(3, 1, 'open', 1, 5),
+            ),
+            array(),
+            true
+        ));
+
+        $this->plugin->excludeFromNextCascade(1, array(3));
+        $parent = new \Ticket(array('ticket_id' => 1, 'staff_id' => 7));
+        $this->plugin->onTicketStatusChanged($parent, array('dirty' => array('staff_id' => 5)));
+
+        \SubticketManager\Config\ConfigCache::getInstance()->clear();
+        $GLOBALS['__test_tickets'] = array();
+
+        $queries = get_test_db_queries();
+        $this->assertCount(4, $queries);
+        $this->assertSame(7, $child->getStaffId());
+        $this->assertSame(5, $excluded->getStaffId());
+        $this->assertStringContainsString(", 1, 2, 'staff_id', 5, 7)", $queries[2]['query']);
+        $this->assertStringNotContainsString('team_id', $queries[2]['query'], 'team_id is unchanged and must not be logged');
+        $this->assertArrayNotHasKey(1, $_SESSION['subticket_cascade_exclude'] ?? array(), 'Opt-out should only apply once');
+    }
+
+    /**
+     * Test that an opt-out left behind by a cancelled change expires
+     */
+    public function testExpiredCascadeOptOutIsIgnored()
+    {
+        \SubticketManager\Config\ConfigCache::getInstance()->populate(array(
+            'cascade_hold' => false,
+            'cascade_assignment' => true,
+        ));
+
+        $child = new \Ticket(array('ticket_id' => 2, 'staff_id' => 5));
+        $GLOBALS['__test_tickets'] = array(2 => $child);
+        $_SESSION['subticket_cascade_exclude'][1] = array('ids' => array(2), 'expires' => time() - 1);
+
+        $this->mockMultipleDbQueries(array(
+            array($this->descendantRow(2, 1, 'open', 1, 5)),
+            array(),
+            true
+        ));
+
+        $parent = new \Ticket(array('ticket_id' => 1, 'staff_id' => 7));
+        $this->plugin->onTicketStatusChanged($parent, array('dirty' => array('staff_id' => 5)));
+
+        \SubticketManager\Config\ConfigCache::getInstance()->clear();
+        $GLOBALS['__test_tickets'] = array();
+
+        $this->assertSame(7, $child->getStaffId());
+        $this->assertArrayNotHasKey(1, $_SESSION['subticket_cascade_exclude']);
+    }
+
+    /**
+     * Test that reverting restores the logged values of the last cascade
+     */
+    public function testRevertLastCascadeRestoresPreviousValues()
+    {
+        $child = new \Ticket(array('ticket_id' => 2, 'staff_id' => 7));
+        $changedSince = new \Ticket(array('ticket_id' => 3, 'staff_id' => 9));
+        $GLOBALS['__test_tickets'] = array(2 => $child, 3 => $changedSince);
+
+        $this->mockMultipleDbQueries(array(
+            array(array('batch_id' => 'a1b2c3d4e5f60718', 'tickets' => 2, 'created' => '2025-01-01 10:00:00')),
+            array(
+                array('ticket_id' => 2, 'field' => 'staff_id', 'old_value' => 0, 'new_value' => 7),
+                array('ticket_id' => 3, 'field' => 'staff_id', 'old_value' => 5, 'new_value' => 7)
+            ),
+            true
+        ));
+
+        $restored = $this->plugin->revertLastCascade(1);
+
+        $GLOBALS['__test_tickets'] = array();
+
+        $queries = get_test_db_queries();
+        $this->assertSame(1, $restored);
+        $this->assertSame(0, $child->getStaffId(), 'Unassigned again through Ticket::release()');
+        $this->assertSame(9, $changedSince->getStaffId(), 'Changed since the cascade - left alone');
+        $this->assertStringContainsString("SET reverted = NOW() WHERE batch_id = 'a1b2c3d4e5f60718'", $queries[2]['query']);
+    }
+
+    // ============================================================
+    // Tests for deploying the client portal endpoint
+    // ============================================================
+
+    /**
+     * Test that the client endpoint is only deployed with the client portal option
+     *
+     * Expected behavior:
+     * - Without the option, a missing client.inc.php does not fail the deployment
+     * - With the option, the missing osTicket root is reported
+     */
+    public function testClientEndpointIsOnlyDeployedWhenEnabled()
+    {
+        $root = sys_get_temp_dir() . '/subticket_deploy_' . uniqid();
+        mkdir($root . '/scp', 0755, true);
+
+        $deployer = new \SubticketManager\Asset\AssetDeployer(dirname(__DIR__, 2), $root . '/scp');
+
+        $errors = array();
+        $deployed = $deployer->deployAll($errors);
+
+        $clientErrors = array();
+        $deployedWithClient = $deployer->deployAll($clientErrors, true);
+
+        $deployer->removeAll();
+        rmdir($root . '/scp');
+        rmdir($root);
+
+        $this->assertTrue($deployed);
+        $this->assertEmpty($errors);
+        $this->assertFalse($deployedWithClient);
+        $this->assertStringContainsString('osTicket root directory not found', $clientErrors[0]);
+    }
+
+    /**
+     * Build a getDescendants() result row
+     */
+    private function descendantRow($id, $pid, $state, $statusId, $staffId)
+    {
+        return array(
+            'ticket_id' => $id,
+            'ticket_pid' => $pid,
+            'number' => '10000' . $id,
+            'subject' => 'Child ' . $id,
+            'status' => $state === 'closed' ? 'Closed' : 'Open',
+            'status_state' => $state,
+            'status_id' => $statusId,
+            'staff_id' => $staffId,
+            'team_id' => 0,
+        );
+    }
+
+    /**
+     * Build a getChildren() result row
+     */
+    private function childRow($id, $number, $status, $state)
+    {
+        return array(
+            'ticket_id' => $id,
+            'number' => $number,
+            'subject' => 'Child ' . $id,
+            'status' => $status,
+            'status_state' => $state,
+            'created' => '2025-01-01 11:00:00',
+        );
+    }
+
+    /**
+     * Drop the "blocked by" lookups that follow every status change
+     */
+    private function withoutDependencyQueries(array $queries)
+    {
+        return array_values(array_filter($queries, function ($query) {
+            return strpos($query['query'], 'ost_ticket_dependency') === false;
+        }));
+    }
+
     // ============================================================
     // Helper Methods for Mocking Database
     // ============================================================
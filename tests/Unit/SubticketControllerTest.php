@@ -4,9 +4,15 @@
  *
  * Tests the SubticketController AJAX endpoints:
  * - getChildren($ticketId)
+ * - searchTickets($query, $ticketId)
  * - unlinkTicket($childId)
  * - linkExistingTicket($childId, $parentId)
- * - createSubticket($parentId, $subject, $deptId, $message, $csrfToken)
+ * - createSubticket($parentId, $subject, $deptId, $message, $csrfToken, $staffId)
+ * - getCreateOptions($parentId)
+ * - batchLinkTickets($childIds, $parentNumber, $csrfToken)
+ * - batchUnlinkTickets($childIds, $csrfToken)
+ * - getBatchParentStatus($ticketIds)
+ * - getSplitOptions($ticketId), splitTicket($parentId, $items, $csrfToken)
  *
  * Test Strategy: TDD (RED-GREEN-REFACTOR)
  * Phase: RED (tests written first, expect failures)
@@ -40,6 +46,9 @@ class SubticketControllerTest extends TestCase
         // Reset global test query tracker
         reset_test_db_queries();
 
+        // Each test starts with a fresh rate limit window
+        unset($_SESSION['subticket_rate_limit']);
+
         // Create plugin instance
         $this->plugin = new \TestableSubticketPlugin();
 
@@ -191,6 +200,26 @@ class SubticketControllerTest extends TestCase
         }
     }
 
+    /**
+     * Test that getChildren() checks access to the parent ticket
+     *
+     * Expected behavior:
+     * - Returns error response when staff cannot access the parent
+     * - Children are not loaded (no database queries)
+     */
+    public function testGetChildrenChecksTicketAccess()
+    {
+        $GLOBALS['__test_ticket_access'] = false;
+
+        $response = $this->controller->getChildren($this->testTickets['parent']['ticket_id']);
+
+        $GLOBALS['__test_ticket_access'] = true;
+
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Access denied to this ticket', $response['message']);
+        $this->assertEmpty(get_test_db_queries(), 'Children should not be loaded without ticket access');
+    }
+
     // ============================================================
     // RED Phase Tests for unlinkTicket() AJAX Endpoint
     // ============================================================
@@ -350,7 +379,10 @@ class SubticketControllerTest extends TestCase
     public function testUnlinkTicketReturnsErrorWhenOperationFails()
     {
         // Mock FAILED database UPDATE (unlinkTicket returns false)
-        $this->mockDbQuery(false);
+        $this->mockMultipleDbQueries(array(
+            array(array('ticket_pid' => 1)), // Current parent (for the audit log)
+            false
+        ));
 
         // Mock valid CSRF token
         $this->mockCsrfToken('valid-csrf-token-12345');
@@ -433,14 +465,19 @@ class SubticketControllerTest extends TestCase
      */
     public function testLinkExistingTicketReturnsSuccessResponseWhenLinkSucceeds()
     {
-        // Mock successful link operation (plugin->linkTicketByNumber returns true)
-        // linkTicketByNumber needs:
+        // Mock successful link operation (plugin->linkTicket returns true)
+        // linkExistingTicket needs:
         //   1. SELECT to convert parent number to ID (getTicketIdByNumber)
-        //   2. SELECT to validate child exists
-        //   3. SELECT to validate parent exists
-        //   4. UPDATE to link tickets
+        //   2. SELECTs of the hierarchy rules (validateLink)
+        //   3. SELECT to validate child exists
+        //   4. SELECT to validate parent exists
+        //   5. UPDATE to link tickets
         $this->mockMultipleDbQueries(array(
             array(array('ticket_id' => 1)), // Parent number -> ID conversion
+            array(),                        // validateLink(): isDescendant
+            array(),                        // getDepth(1)
+            array(),                        // getSubtreeHeight(2)
+            array(array('total' => 0)),     // countChildren(1)
             array(array('ticket_id' => 2)), // Child exists
             array(array('ticket_id' => 1)), // Parent exists
             true // UPDATE succeeds
@@ -680,6 +717,8 @@ class SubticketControllerTest extends TestCase
         // Mock successful link operation (plugin->linkTicket returns true)
         // linkTicket needs 2 SELECT queries (validate child + parent) + 1 UPDATE
         $this->mockMultipleDbQueries(array(
+            array(),                    // validateNewChildren(): getDepth(1)
+            array(array('total' => 0)), // countChildren(1)
             array(array('ticket_id' => $newTicketId)), // New ticket exists
             array(array('ticket_id' => 1)), // Parent exists
             true // UPDATE succeeds
@@ -836,6 +875,48 @@ class SubticketControllerTest extends TestCase
         $this->assertEmpty($queries, 'No database queries should be executed for invalid input');
     }
 
+    /**
+     * Test that createSubticket() only creates tickets in accessible departments
+     *
+     * Expected behavior:
+     * - Department the agent cannot access: "Access denied to department"
+     * - No ticket is created and nothing is queried
+     */
+    public function testCreateSubticketChecksDepartmentAccess()
+    {
+        $GLOBALS['__test_ticket_api_result'] = array(
+            'success' => true,
+            'ticket_id' => 999,
+            'ticket_number' => 'TEST-100-999'
+        );
+        $this->mockCsrfToken('valid-csrf-token-12345');
+
+        $staff = $GLOBALS['thisstaff'];
+        $GLOBALS['thisstaff'] = new class {
+            public function isStaff() {
+                return true;
+            }
+
+            public function canAccessDept($deptId) {
+                return $deptId !== 5;
+            }
+        };
+
+        $response = $this->controller->createSubticket(
+            $this->testTickets['parent']['ticket_id'],
+            'New Subticket Subject',
+            5,
+            'This is a new subticket message',
+            'valid-csrf-token-12345'
+        );
+
+        $GLOBALS['thisstaff'] = $staff;
+
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Access denied to department', $response['message']);
+        $this->assertEmpty(get_test_db_queries());
+    }
+
     /**
      * Test that createSubticket() validates message
      *
@@ -985,9 +1066,10 @@ class SubticketControllerTest extends TestCase
         $this->assertEquals('Failed to create ticket', $response['message']);
         $this->assertEmpty($response['data']);
 
-        // Verify plugin->linkTicket() was NEVER called (no DB queries)
-        $queries = get_test_db_queries();
-        $this->assertEmpty($queries, 'No database queries should be executed if ticket creation fails');
+        // Verify plugin->linkTicket() was NEVER called (only the hierarchy rules were read)
+        foreach (get_test_db_queries() as $query) {
+            $this->assertStringStartsWith('SELECT', trim($query['query']), 'No link should be attempted if ticket creation fails');
+        }
     }
 
     /**
@@ -1033,4 +1115,1827 @@ class SubticketControllerTest extends TestCase
         $this->assertEquals('Ticket created but linking failed', $response['message']);
         $this->assertEmpty($response['data']);
     }
+
+    // ============================================================
+    // Tests for getPanel() AJAX Endpoint
+    // ============================================================
+
+    /**
+     * Test that getPanel() returns rendered panel HTML and structured data
+     *
+     * Expected behavior:
+     * - Loads parent and children of the ticket
+     * - Returns the bare panel HTML (no CSS/JS assets) for in-place refresh
+     * - Returns structured parent/children data alongside the HTML
+     */
+    public function testGetPanelReturnsRenderedPanelWithData()
+    {
+        $this->mockMultipleDbQueries(array(
+            array(), // getParent() returns empty
+            // getChildren() returns 1 child
+            array(
+                array(
+                    'ticket_id' => $this->testTickets['child1']['ticket_id'],
+                    'number' => $this->testTickets['child1']['number'],
+                    'subject' => $this->testTickets['child1']['subject'],
+                    'status' => $this->testTickets['child1']['status'],
+                    'created' => $this->testTickets['child1']['created']
+                )
+            )
+        ));
+
+        $response = $this->controller->getPanel($this->testTickets['parent']['ticket_id']);
+
+        $this->assertTrue($response['success']);
+        $this->assertEquals('Panel rendered', $response['message']);
+
+        $html = $response['data']['html'];
+        $this->assertStringContainsString('subticket-panel', $html);
+        $this->assertStringContainsString($this->testTickets['child1']['number'], $html);
+        $this->assertStringNotContainsString('<script>', $html, 'Refreshed panel must not re-inject assets');
+        $this->assertStringNotContainsString('<style>', $html, 'Refreshed panel must not re-inject assets');
+
+        $this->assertNull($response['data']['parent']);
+        $this->assertCount(1, $response['data']['children']);
+        $this->assertEquals($this->testTickets['child1']['ticket_id'], $response['data']['children'][0]['id']);
+    }
+
+    /**
+     * Test that getPanel() validates ticket ID
+     *
+     * Expected behavior:
+     * - Returns error response for invalid ticket ID (null, 0, negative, non-numeric)
+     * - No database queries executed
+     */
+    public function testGetPanelValidatesTicketId()
+    {
+        $invalidIds = array(null, 0, -1, 'abc');
+
+        foreach ($invalidIds as $invalidId) {
+            $response = $this->controller->getPanel($invalidId);
+
+            $this->assertFalse($response['success']);
+            $this->assertEquals('Invalid ticket ID', $response['message']);
+            $this->assertEmpty($response['data']);
+        }
+
+        $this->assertEmpty(get_test_db_queries(), 'No database queries should be executed for invalid input');
+    }
+
+    /**
+     * Test that getPanel() checks ticket access
+     *
+     * Expected behavior:
+     * - Returns error response when staff cannot access the ticket
+     * - Panel is not rendered (no database queries)
+     */
+    public function testGetPanelChecksTicketAccess()
+    {
+        $GLOBALS['__test_ticket_access'] = false;
+
+        $response = $this->controller->getPanel($this->testTickets['parent']['ticket_id']);
+
+        $GLOBALS['__test_ticket_access'] = true;
+
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Access denied to this ticket', $response['message']);
+        $this->assertEmpty(get_test_db_queries(), 'Panel should not be loaded without ticket access');
+    }
+
+    // ============================================================
+    // Tests for searchTickets() AJAX Endpoint
+    // ============================================================
+
+    /**
+     * Test that searchTickets() returns candidates with selectable flag
+     *
+     * Expected behavior:
+     * - Returns number, subject, status, department and requester per hit
+     * - Linkable candidates have selectable = true and no reason
+     * - Internal dept_id is not exposed
+     */
+    public function testSearchTicketsReturnsSelectableCandidates()
+    {
+        $this->mockMultipleDbQueries(array(
+            // searchTickets() hit
+            array(
+                array(
+                    'ticket_id' => 1,
+                    'number' => 'ABC-100001',
+                    'dept_id' => 1,
+                    'subject' => 'Parent Ticket',
+                    'status' => 'Open',
+                    'department' => 'Support',
+                    'requester' => 'John Doe'
+                )
+            ),
+            array(),                   // isDescendant: candidate is a root ticket
+            array(),                   // getDepth: candidate is a root ticket
+            array(),                   // getSubtreeHeight: ticket has no children
+            array(array('total' => 0)) // countChildren
+        ));
+
+        $response = $this->controller->searchTickets('ABC', $this->testTickets['child1']['ticket_id']);
+
+        $this->assertTrue($response['success']);
+        $this->assertCount(1, $response['data']);
+
+        $candidate = $response['data'][0];
+        $this->assertEquals('ABC-100001', $candidate['number']);
+        $this->assertEquals('Open', $candidate['status']);
+        $this->assertEquals('Support', $candidate['department']);
+        $this->assertTrue($candidate['selectable']);
+        $this->assertNull($candidate['code']);
+        $this->assertArrayNotHasKey('dept_id', $candidate);
+
+        $searchQuery = get_test_db_queries()[0]['query'];
+        $this->assertStringContainsString("s.state = 'open'", $searchQuery);
+        $this->assertStringContainsString("t.number LIKE '%ABC%'", $searchQuery);
+        $this->assertStringContainsString("cdata.subject LIKE '%ABC%'", $searchQuery);
+        $this->assertStringContainsString("u.name LIKE '%ABC%'", $searchQuery);
+    }
+
+    /**
+     * Test that searchTickets() greys out candidates that would create a cycle
+     *
+     * Expected behavior:
+     * - A descendant of the current ticket is returned with selectable = false
+     * - The reason is included so the picker can show it
+     */
+    public function testSearchTicketsMarksCircularCandidatesAsNotSelectable()
+    {
+        $this->mockMultipleDbQueries(array(
+            array(
+                array(
+                    'ticket_id' => 5,
+                    'number' => '100005',
+                    'dept_id' => 1,
+                    'subject' => 'Grandchild',
+                    'status' => 'Open',
+                    'department' => 'Support',
+                    'requester' => 'Alice Brown'
+                )
+            ),
+            array(array('ticket_pid' => 2)) // isDescendant: 5's parent is the current ticket
+        ));
+
+        $response = $this->controller->searchTickets('100005', $this->testTickets['child1']['ticket_id']);
+
+        $this->assertTrue($response['success']);
+        $this->assertFalse($response['data'][0]['selectable']);
+        $this->assertEquals('CYCLE', $response['data'][0]['code']);
+        $this->assertEquals('Would create a circular hierarchy', $response['data'][0]['reason_text']);
+    }
+
+    /**
+     * Test that searchTickets() validates the search term and ticket ID
+     *
+     * Expected behavior:
+     * - Terms shorter than 2 characters are rejected
+     * - Invalid ticket IDs are rejected
+     * - No database queries executed
+     */
+    public function testSearchTicketsValidatesInput()
+    {
+        $response = $this->controller->searchTickets(' a ', $this->testTickets['child1']['ticket_id']);
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Search term must be at least 2 characters', $response['message']);
+
+        $response = $this->controller->searchTickets('100001', 'abc');
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Invalid ticket ID', $response['message']);
+
+        $this->assertEmpty(get_test_db_queries(), 'No database queries should be executed for invalid input');
+    }
+
+    /**
+     * Test that linkExistingTicket() accepts alphanumeric ticket numbers
+     *
+     * osTicket allows custom number formats like "ABC-123-456".
+     */
+    public function testLinkExistingTicketAcceptsAlphanumericTicketNumber()
+    {
+        $this->mockMultipleDbQueries(array(
+            array(array('ticket_id' => 1)), // Parent number -> ID conversion
+            array(),                        // validateLink(): isDescendant
+            array(),                        // getDepth(1)
+            array(),                        // getSubtreeHeight(2)
+            array(array('total' => 0)),     // countChildren(1)
+            array(array('ticket_id' => 2)), // Child exists
+            array(array('ticket_id' => 1)), // Parent exists
+            true
+        ));
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->linkExistingTicket(2, 'ABC-100-001', 'valid-csrf-token-12345');
+
+        $this->assertTrue($response['success']);
+        $this->assertStringContainsString("number = 'ABC-100-001'", get_test_db_queries()[0]['query']);
+    }
+
+    // ============================================================
+    // Tests for inline create form (getCreateOptions / assignee)
+    // ============================================================
+
+    /**
+     * Test that getCreateOptions() returns parent defaults, departments and staff
+     *
+     * Expected behavior:
+     * - Department and requester are taken from the parent ticket
+     * - Departments and staff are returned as {id, name} lists
+     */
+    public function testGetCreateOptionsReturnsParentDefaults()
+    {
+        $this->mockMultipleDbQueries(array(
+            array(array('dept_id' => 3, 'requester_name' => 'John Doe', 'requester_email' => 'john@example.com')),
+            array(array('id' => 1, 'name' => 'Billing'), array('id' => 3, 'name' => 'Support')),
+            array(array('staff_id' => 7, 'firstname' => 'Jane', 'lastname' => 'Agent'))
+        ));
+
+        $response = $this->controller->getCreateOptions($this->testTickets['parent']['ticket_id']);
+
+        $this->assertTrue($response['success']);
+        $this->assertEquals(3, $response['data']['defaults']['dept_id']);
+        $this->assertEquals('John Doe', $response['data']['defaults']['requester_name']);
+        $this->assertEquals('john@example.com', $response['data']['defaults']['requester_email']);
+        $this->assertCount(2, $response['data']['departments']);
+        $this->assertEquals(array('id' => 7, 'name' => 'Jane Agent'), $response['data']['staff'][0]);
+    }
+
+    /**
+     * Test that getCreateOptions() fails for unknown parent tickets
+     */
+    public function testGetCreateOptionsReturnsErrorForUnknownParent()
+    {
+        $this->mockMultipleDbQueries(array(
+            array() // Parent ticket not found
+        ));
+
+        $response = $this->controller->getCreateOptions(999);
+
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Parent ticket not found', $response['message']);
+
+        $response = $this->controller->getCreateOptions('abc');
+        $this->assertEquals('Invalid parent ticket ID', $response['message']);
+    }
+
+    /**
+     * Test that createSubticket() returns the new ticket ID for the panel refresh
+     */
+    public function testCreateSubticketReturnsTicketId()
+    {
+        $GLOBALS['__test_ticket_api_result'] = array(
+            'success' => true,
+            'ticket_id' => 999,
+            'ticket_number' => 'TEST-100-999'
+        );
+
+        $this->mockMultipleDbQueries(array(
+            array(array('staff_id' => 7)),  // Assignee is an active staff member
+            array(),                    // validateNewChildren(): getDepth(1)
+            array(array('total' => 0)), // countChildren(1)
+            array(array('ticket_id' => 999)), // New ticket exists
+            array(array('ticket_id' => 1)),   // Parent exists
+            true
+        ));
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->createSubticket(1, 'Subject', 5, 'Message', 'valid-csrf-token-12345', 7);
+
+        $this->assertTrue($response['success']);
+        $this->assertEquals(999, $response['data']['ticket_id']);
+        $this->assertEquals('TEST-100-999', $response['data']['ticket_number']);
+        $this->assertStringContainsString('FROM ost_staff', get_test_db_queries()[0]['query']);
+    }
+
+    /**
+     * Test that createSubticket() rejects invalid or inactive assignees
+     *
+     * Expected behavior:
+     * - Non-numeric assignee IDs are rejected before any query
+     * - Unknown/inactive staff members are rejected before the ticket is created
+     */
+    public function testCreateSubticketValidatesAssignee()
+    {
+        $GLOBALS['__test_ticket_api_result'] = array(
+            'success' => true,
+            'ticket_id' => 999,
+            'ticket_number' => 'TEST-100-999'
+        );
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->createSubticket(1, 'Subject', 5, 'Message', 'valid-csrf-token-12345', 'abc');
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Invalid assignee', $response['message']);
+        $this->assertEmpty(get_test_db_queries());
+
+        $this->mockMultipleDbQueries(array(
+            array() // Staff member not found / inactive
+        ));
+
+        $response = $this->controller->createSubticket(1, 'Subject', 5, 'Message', 'valid-csrf-token-12345', 42);
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Invalid assignee', $response['message']);
+        $this->assertCount(1, get_test_db_queries(), 'Ticket must not be linked for an invalid assignee');
+    }
+
+    // ============================================================
+    // Tests for batchLinkTickets() / batchUnlinkTickets()
+    // ============================================================
+
+    /**
+     * Test that batchLinkTickets() reports the outcome per ticket
+     *
+     * Expected behavior:
+     * - Parent number is resolved once
+     * - Each child is validated individually (cycle, limits)
+     * - Valid children are linked, invalid ones are reported with a reason
+     */
+    public function testBatchLinkTicketsReturnsPerTicketResults()
+    {
+        $this->mockMultipleDbQueries(array(
+            array(array('ticket_id' => 1)), // Parent number -> ID
+            // Child 2: getLinkRestriction()
+            array(),                        // isDescendant: parent is a root ticket
+            array(),                        // getDepth
+            array(),                        // getSubtreeHeight
+            array(array('total' => 0)),     // countChildren
+            // Child 2: linkTicket()
+            array(array('ticket_id' => 2)), // Child exists
+            array(array('ticket_id' => 1)), // Parent exists
+            array(),                        // isDescendant
+            array(),                        // getDepth
+            array(),                        // getSubtreeHeight
+            array(array('total' => 0)),     // countChildren
+            true,                           // UPDATE
+            true,                           // Audit log
+            // Child 3: getLinkRestriction() - parent 1 is below ticket 3
+            array(array('ticket_pid' => 3))
+        ));
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->batchLinkTickets('2,3', '100001', 'valid-csrf-token-12345');
+
+        $this->assertTrue($response['success']);
+        $this->assertEquals('Linked 1 of 2 tickets', $response['message']);
+        $this->assertEquals(1, $response['data']['succeeded']);
+        $this->assertEquals(1, $response['data']['failed']);
+
+        $results = $response['data']['results'];
+        $this->assertEquals(array('ticket_id' => 2, 'success' => true, 'message' => 'Linked'), $results[0]);
+        $this->assertEquals(3, $results[1]['ticket_id']);
+        $this->assertFalse($results[1]['success']);
+        $this->assertEquals('Would create a circular hierarchy', $results[1]['message']);
+    }
+
+    /**
+     * Test that batchLinkTickets() validates input before touching the database
+     *
+     * Expected behavior:
+     * - Empty/invalid ID lists and more than 100 IDs are rejected
+     * - Invalid parent numbers and missing CSRF tokens are rejected
+     */
+    public function testBatchLinkTicketsValidatesInput()
+    {
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->batchLinkTickets('abc,-1', '100001', 'valid-csrf-token-12345');
+        $this->assertEquals('No valid ticket IDs provided', $response['message']);
+
+        $response = $this->controller->batchLinkTickets(range(1, 101), '100001', 'valid-csrf-token-12345');
+        $this->assertEquals('Too many ticket IDs (max 100)', $response['message']);
+
+        $response = $this->controller->batchLinkTickets('2,3', 'abc', 'valid-csrf-token-12345');
+        $this->assertEquals('Invalid parent ticket ID/number', $response['message']);
+
+        $response = $this->controller->batchLinkTickets('2,3', '100001', null);
+        $this->assertEquals('Missing CSRF token', $response['message']);
+
+        $this->assertEmpty(get_test_db_queries(), 'No database queries should be executed for invalid input');
+    }
+
+    /**
+     * Test that batchLinkTickets() fails when the parent does not exist
+     */
+    public function testBatchLinkTicketsReturnsErrorForUnknownParent()
+    {
+        $this->mockMultipleDbQueries(array(
+            array() // Parent number not found
+        ));
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->batchLinkTickets('2,3', '999999', 'valid-csrf-token-12345');
+
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Parent ticket not found', $response['message']);
+        $this->assertCount(1, get_test_db_queries());
+    }
+
+    /**
+     * Test that batchUnlinkTickets() reports the outcome per ticket
+     *
+     * Expected behavior:
+     * - Tickets with a parent are unlinked
+     * - Tickets without a parent are reported as failed
+     */
+    public function testBatchUnlinkTicketsReturnsPerTicketResults()
+    {
+        $this->mockMultipleDbQueries(array(
+            // Child 2: getParent() + current parent, UPDATE and audit log
+            array(array('ticket_id' => 1, 'number' => '100001', 'subject' => 'Parent Ticket', 'status' => 'Open')),
+            array(array('ticket_pid' => 1)),
+            true,
+            true,
+            // Ticket 4: getParent() - no parent
+            array()
+        ));
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->batchUnlinkTickets(array(2, 4), 'valid-csrf-token-12345');
+
+        $this->assertTrue($response['success']);
+        $this->assertEquals('Unlinked 1 of 2 tickets', $response['message']);
+        $this->assertTrue($response['data']['results'][0]['success']);
+        $this->assertFalse($response['data']['results'][1]['success']);
+        $this->assertEquals('Ticket has no parent', $response['data']['results'][1]['message']);
+        $this->assertStringContainsString('UPDATE ost_ticket SET ticket_pid = NULL WHERE ticket_id = 2', get_test_db_queries()[2]['query']);
+    }
+
+    // ============================================================
+    // Tests for reorderChildren() / reparentTicket()
+    // ============================================================
+
+    /**
+     * Test that reorderChildren() stores the positions in one update
+     *
+     * Expected behavior:
+     * - The new order must list exactly the current children
+     * - Positions are numbered from 1 in the given order
+     */
+    public function testReorderChildrenStoresPositions()
+    {
+        $children = array(
+            array('ticket_id' => 2, 'number' => '100002', 'subject' => 'A', 'status' => 'Open', 'created' => '2025-01-01 10:00:00'),
+            array('ticket_id' => 3, 'number' => '100003', 'subject' => 'B', 'status' => 'Open', 'created' => '2025-01-01 11:00:00')
+        );
+        $this->mockMultipleDbQueries(array(
+            $children, // getChildren()
+            true       // UPDATE
+        ));
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->reorderChildren(1, '3,2', 'valid-csrf-token-12345');
+
+        $this->assertTrue($response['success']);
+        $this->assertEquals('Subtickets reordered', $response['message']);
+
+        $update = get_test_db_queries()[1]['query'];
+        $this->assertStringContainsString('SET subticket_sort = CASE ticket_id WHEN 3 THEN 1 WHEN 2 THEN 2 END', $update);
+        $this->assertStringContainsString('WHERE ticket_pid = 1 AND ticket_id IN (3,2)', $update);
+    }
+
+    /**
+     * Test that reorderChildren() rejects an outdated child list
+     */
+    public function testReorderChildrenRejectsChangedChildren()
+    {
+        $this->mockMultipleDbQueries(array(
+            array(
+                array('ticket_id' => 2, 'number' => '100002', 'subject' => 'A', 'status' => 'Open', 'created' => '2025-01-01 10:00:00')
+            )
+        ));
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->reorderChildren(1, '2,5', 'valid-csrf-token-12345');
+
+        $this->assertFalse($response['success']);
+        $this->assertEquals('The subtickets have changed - please reload the ticket', $response['message']);
+        $this->assertCount(1, get_test_db_queries(), 'Order must not be saved');
+
+        $response = $this->controller->reorderChildren('abc', '2', 'valid-csrf-token-12345');
+        $this->assertEquals('Invalid parent ticket ID', $response['message']);
+    }
+
+    /**
+     * Test that reparentTicket() moves a child in a single update
+     *
+     * Expected behavior:
+     * - Link restrictions are checked for the new parent
+     * - ticket_pid is changed in one UPDATE (no unlink in between)
+     * - The moved ticket goes to the end of its new siblings
+     */
+    public function testReparentTicketMovesChild()
+    {
+        $this->mockMultipleDbQueries(array(
+            array(array('ticket_id' => 1, 'number' => '100001', 'subject' => 'Parent Ticket', 'status' => 'Open')), // getParent()
+            // getLinkRestriction()
+            array(array('ticket_pid' => 1)), // isDescendant: new parent 4 is below 1
+            array(),                         // isDescendant: 1 is a root ticket
+            array(array('ticket_pid' => 1)), // getDepth(4)
+            array(),
+            array(),                         // getSubtreeHeight(2)
+            array(array('total' => 0)),      // countChildren
+            // linkTicket()
+            array(array('ticket_id' => 2, 'ticket_pid' => 1)), // Child exists (below 1)
+            array(array('ticket_id' => 4)),  // Parent exists
+            array(array('ticket_pid' => 1)), // isDescendant
+            array(),
+            array(array('ticket_pid' => 1)), // getDepth
+            array(),
+            array(),                         // getSubtreeHeight
+            array(array('total' => 0)),      // countChildren
+            true,                            // UPDATE
+            true                             // Audit log
+        ));
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->reparentTicket(2, 4, 'valid-csrf-token-12345');
+
+        $this->assertTrue($response['success'], $response['message']);
+        $this->assertEquals(array('parent_id' => 4), $response['data']);
+
+        $queries = get_test_db_queries();
+        $this->assertStringContainsString(
+            'UPDATE ost_ticket SET ticket_pid = 4, subticket_sort = 0 WHERE ticket_id = 2',
+            $queries[count($queries) - 2]['query']
+        );
+        $this->assertStringContainsString("VALUES ('reparent', 2, 1, 4, 0, '')", end($queries)['query']);
+        foreach ($queries as $query) {
+            $this->assertStringNotContainsString('ticket_pid = NULL', $query['query']);
+        }
+    }
+
+    /**
+     * Test that reparentTicket() applies the link restrictions
+     *
+     * Expected behavior:
+     * - Moving a ticket below its own descendant is refused
+     * - Moving a ticket to its current parent is refused
+     */
+    public function testReparentTicketRejectsCycleAndSameParent()
+    {
+        $this->mockMultipleDbQueries(array(
+            array(array('ticket_id' => 1, 'number' => '100001', 'subject' => 'Parent Ticket', 'status' => 'Open')), // getParent()
+            array(array('ticket_pid' => 2)), // isDescendant: new parent 5 is below 2
+            // Second call: getParent()
+            array(array('ticket_id' => 1, 'number' => '100001', 'subject' => 'Parent Ticket', 'status' => 'Open'))
+        ));
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->reparentTicket(2, 5, 'valid-csrf-token-12345');
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Would create a circular hierarchy', $response['message']);
+
+        $response = $this->controller->reparentTicket(2, 1, 'valid-csrf-token-12345');
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Ticket already belongs to this parent', $response['message']);
+
+        foreach (get_test_db_queries() as $query) {
+            $this->assertStringNotContainsString('UPDATE', $query['query']);
+        }
+    }
+
+    /**
+     * Test that link paths report the error code of the hierarchy rule
+     *
+     * Expected behavior:
+     * - A closed parent is rejected with PARENT_CLOSED (require_parent_open)
+     * - The response carries the code and the limits for the panel message
+     * - Nothing is linked
+     */
+    public function testLinkExistingTicketReturnsRestrictionCode()
+    {
+        $GLOBALS['__test_tickets'][1] = new \Ticket(array('ticket_id' => 1, 'closed' => true));
+
+        $this->mockMultipleDbQueries(array(
+            array(array('ticket_id' => 1)), // Parent number -> ID conversion
+            array(),                        // validateLink(): isDescendant
+            array(),                        // getDepth(1)
+            array(),                        // getSubtreeHeight(2)
+            array(array('total' => 0))      // countChildren(1)
+        ));
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->linkExistingTicket(2, '100001', 'valid-csrf-token-12345');
+
+        unset($GLOBALS['__test_tickets'][1]);
+
+        $this->assertFalse($response['success']);
+        $this->assertEquals('PARENT_CLOSED', $response['code']);
+        $this->assertEquals('Subtickets cannot be added to a closed ticket', $response['message']);
+        $this->assertEquals(array('limits' => array('max_depth' => 3, 'max_children' => 50)), $response['data']);
+
+        foreach (get_test_db_queries() as $query) {
+            $this->assertStringNotContainsString('UPDATE', $query['query']);
+        }
+    }
+
+    /**
+     * Test that create paths check the limits before a ticket is created
+     *
+     * Expected behavior:
+     * - A parent at max_children is rejected with MAX_CHILDREN
+     * - A template whose items would exceed max_children is rejected as a whole
+     * - No ticket is created
+     */
+    public function testCreatePathsRejectLimitBeforeCreating()
+    {
+        $GLOBALS['__test_ticket_api_result'] = array(
+            'success' => true,
+            'ticket_id' => 999,
+            'ticket_number' => 'TEST-100-999'
+        );
+        \SubticketManager\Config\ConfigCache::getInstance()->populate(array('max_children' => 2));
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $this->mockMultipleDbQueries(array(
+            array(),                    // validateNewChildren(): getDepth(1)
+            array(array('total' => 2))  // countChildren(1)
+        ));
+        $response = $this->controller->createSubticket(1, 'Subject', 5, 'Message', 'valid-csrf-token-12345');
+
+        $this->assertFalse($response['success']);
+        $this->assertEquals('MAX_CHILDREN', $response['code']);
+        $this->assertEquals('Already has the maximum of 2 subtickets', $response['message']);
+        $this->assertCount(2, get_test_db_queries());
+
+        reset_test_db_queries();
+        $this->mockTemplates();
+        $this->mockMultipleDbQueries(array(
+            array(),                    // validateNewChildren(): getDepth(1)
+            array(array('total' => 1))  // countChildren(1) - one free slot, two items
+        ));
+        $response = $this->controller->applyTemplate(1, 1, '1,2', 'valid-csrf-token-12345');
+
+        \SubticketManager\Config\ConfigCache::getInstance()->clear();
+        unset($GLOBALS['__test_ticket_api_result']);
+
+        $this->assertFalse($response['success']);
+        $this->assertEquals('MAX_CHILDREN', $response['code']);
+        $this->assertCount(2, get_test_db_queries());
+    }
+
+    // ============================================================
+    // Tests for dissolveHierarchy() / promoteChild() AJAX Endpoints
+    // ============================================================
+
+    /**
+     * Test that dissolveHierarchy() unlinks all children in one update
+     */
+    public function testDissolveHierarchyUnlinksAllChildren()
+    {
+        $this->mockMultipleDbQueries(array(
+            array( // getChildren()
+                array('ticket_id' => 2, 'number' => '100002', 'subject' => 'Child A', 'status' => 'Open', 'created' => '2025-01-01 11:00:00'),
+                array('ticket_id' => 3, 'number' => '100003', 'subject' => 'Child B', 'status' => 'Open', 'created' => '2025-01-01 12:00:00')
+            ),
+            array(array('ticket_id' => 2), array('ticket_id' => 3)), // dissolveHierarchy(): children
+            true,                                                    // UPDATE
+            true, true                                               // Audit log
+        ));
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->dissolveHierarchy(1, 'valid-csrf-token-12345');
+
+        $this->assertTrue($response['success'], $response['message']);
+        $this->assertEquals('Hierarchy dissolved', $response['message']);
+        $this->assertEquals(array('parent_id' => 1, 'unlinked' => array(2, 3)), $response['data']);
+
+        $queries = get_test_db_queries();
+        $updates = array_values(array_filter($queries, function ($query) {
+            return strpos($query['query'], 'UPDATE') === 0;
+        }));
+        $this->assertCount(1, $updates);
+        $this->assertStringContainsString('UPDATE ost_ticket SET ticket_pid = NULL WHERE ticket_pid = 1', $updates[0]['query']);
+        $this->assertStringContainsString("VALUES ('unlink', 3, 1, NULL, 0, '')", end($queries)['query']);
+    }
+
+    /**
+     * Test that dissolveHierarchy() rejects tickets without children
+     */
+    public function testDissolveHierarchyRejectsTicketWithoutChildren()
+    {
+        $this->mockMultipleDbQueries(array(
+            array() // getChildren()
+        ));
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->dissolveHierarchy(1, 'valid-csrf-token-12345');
+
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Ticket has no subtickets', $response['message']);
+    }
+
+    /**
+     * Test that promoteChild() moves the siblings below the promoted child
+     *
+     * Expected behavior:
+     * - Child 2 stays below parent 1, siblings 3 and 4 move below 2
+     * - All tickets are moved with a single UPDATE
+     * - Every move is recorded in the audit log
+     */
+    public function testPromoteChildMovesSiblingsBelowChild()
+    {
+        $this->mockMultipleDbQueries(array(
+            array(array('ticket_id' => 1, 'number' => '100001', 'subject' => 'Parent Ticket', 'status' => 'Open')), // getParent()
+            array( // getChildren()
+                array('ticket_id' => 2, 'number' => '100002', 'subject' => 'Child A', 'status' => 'Open', 'created' => '2025-01-01 11:00:00'),
+                array('ticket_id' => 3, 'number' => '100003', 'subject' => 'Child B', 'status' => 'Open', 'created' => '2025-01-01 12:00:00'),
+                array('ticket_id' => 4, 'number' => '100004', 'subject' => 'Child C', 'status' => 'Open', 'created' => '2025-01-01 13:00:00')
+            ),
+            // promoteChild()
+            array(array('ticket_pid' => 1)),                         // getParentId(2)
+            array(array('ticket_id' => 3), array('ticket_id' => 4)), // Siblings
+            array(),                                                 // getDepth(1): root ticket
+            array(),                                                 // Levels below the siblings
+            array(array('total' => 0)),                              // countChildren(2)
+            true,                                                    // UPDATE
+            true, true                                               // Audit log
+        ));
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->promoteChild(2, '1', 'valid-csrf-token-12345');
+
+        $this->assertTrue($response['success'], $response['message']);
+        $this->assertEquals('Ticket promoted to parent', $response['message']);
+        $this->assertEquals(
+            array('parent_id' => 2, 'old_parent_id' => 1, 'moved' => array(3, 4), 'detached' => false),
+            $response['data']
+        );
+
+        $queries = get_test_db_queries();
+        $update = $queries[count($queries) - 3]['query'];
+        $this->assertStringContainsString('CASE WHEN ticket_id = 2 THEN 1 ELSE 2 END', $update);
+        $this->assertStringContainsString('WHERE ticket_id IN (2,3,4) AND ticket_pid = 1', $update);
+        $this->assertStringContainsString("VALUES ('reparent', 4, 1, 2, 0, '')", end($queries)['query']);
+    }
+
+    /**
+     * Test that promoteChild() checks the limits before anything changes
+     *
+     * Expected behavior:
+     * - Invalid keep_parent values are rejected
+     * - A promotion that would exceed max_depth is refused without an UPDATE
+     * - A child without siblings cannot be promoted
+     */
+    public function testPromoteChildRejectsBeforeChanging()
+    {
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->promoteChild(2, 'yes', 'valid-csrf-token-12345');
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Invalid keep_parent value', $response['message']);
+
+        $children = array(
+            array('ticket_id' => 2, 'number' => '100002', 'subject' => 'Child A', 'status' => 'Open', 'created' => '2025-01-01 11:00:00'),
+            array('ticket_id' => 3, 'number' => '100003', 'subject' => 'Child B', 'status' => 'Open', 'created' => '2025-01-01 12:00:00')
+        );
+
+        $this->mockMultipleDbQueries(array(
+            array(array('ticket_id' => 1, 'number' => '100001', 'subject' => 'Parent Ticket', 'status' => 'Open')), // getParent()
+            $children,                                                // getChildren()
+            array(array('ticket_pid' => 1)),                          // getParentId(2)
+            array(array('ticket_id' => 3)),                           // Siblings
+            array(array('ticket_pid' => 8)),                          // getDepth(1): depth 2
+            array(array('ticket_pid' => 9)),
+            array()
+        ));
+
+        $response = $this->controller->promoteChild(2, '1', 'valid-csrf-token-12345');
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Would exceed the maximum depth of 3 levels', $response['message']);
+
+        foreach (get_test_db_queries() as $query) {
+            $this->assertStringNotContainsString('UPDATE', $query['query']);
+        }
+
+        reset_test_db_queries();
+        $this->mockMultipleDbQueries(array(
+            array(array('ticket_id' => 1, 'number' => '100001', 'subject' => 'Parent Ticket', 'status' => 'Open')), // getParent()
+            array($children[0]),                                      // getChildren()
+            array(array('ticket_pid' => 1)),                          // getParentId(2)
+            array()                                                   // No siblings
+        ));
+
+        $response = $this->controller->promoteChild(2, '0', 'valid-csrf-token-12345');
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Ticket has no sibling subtickets', $response['message']);
+    }
+
+    // ============================================================
+    // Tests for addDependency() / removeDependency() AJAX Endpoints
+    // ============================================================
+
+    /**
+     * Test that addDependency() stores the "blocked by" link
+     */
+    public function testAddDependencyStoresLink()
+    {
+        $this->mockMultipleDbQueries(array(
+            array(), // getRestriction(): link does not exist
+            array(), // getRestriction(): 2 is not blocked by anything
+            array(), // addDependency(): link does not exist
+            array(), // addDependency(): no cycle
+            true     // INSERT
+        ));
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->addDependency(3, 2, 'valid-csrf-token-12345');
+
+        $this->assertTrue($response['success'], $response['message']);
+        $this->assertEquals(array('ticket_id' => 3, 'blocked_by_id' => 2), $response['data']);
+
+        $queries = get_test_db_queries();
+        $this->assertStringContainsString('INSERT INTO ost_ticket_dependency', end($queries)['query']);
+        $this->assertStringContainsString('VALUES (3, 2, 0)', end($queries)['query']);
+    }
+
+    /**
+     * Test that addDependency() rejects self links and cycles
+     *
+     * Expected behavior:
+     * - A ticket cannot block itself
+     * - 1 blocked by 3 is rejected when 3 already waits for 1
+     * - Invalid IDs are rejected before any query
+     */
+    public function testAddDependencyRejectsSelfAndCycle()
+    {
+        $this->mockMultipleDbQueries(array(
+            array(),                           // Link does not exist
+            array(array('blocked_by_id' => 1)) // 3 is blocked by 1
+        ));
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->addDependency(2, 2, 'valid-csrf-token-12345');
+        $this->assertFalse($response['success']);
+        $this->assertEquals('A ticket cannot block itself', $response['message']);
+
+        $response = $this->controller->addDependency(1, 3, 'valid-csrf-token-12345');
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Would create a circular dependency', $response['message']);
+
+        $response = $this->controller->addDependency(1, 'abc', 'valid-csrf-token-12345');
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Invalid blocking ticket ID', $response['message']);
+
+        foreach (get_test_db_queries() as $query) {
+            $this->assertStringNotContainsString('INSERT', $query['query']);
+        }
+    }
+
+    /**
+     * Test that removeDependency() deletes the link
+     */
+    public function testRemoveDependencyDeletesLink()
+    {
+        $this->mockDbQuery(true);
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->removeDependency(3, 2, 'valid-csrf-token-12345');
+
+        $this->assertTrue($response['success'], $response['message']);
+        $this->assertStringContainsString(
+            'WHERE ticket_id = 3 AND blocked_by_id = 2',
+            get_test_db_queries()[0]['query']
+        );
+    }
+
+    // ============================================================
+    // Tests for keepParentOpen() AJAX Endpoint
+    // ============================================================
+
+    /**
+     * Test that keepParentOpen() flags the parent for this session
+     */
+    public function testKeepParentOpenReturnsParent()
+    {
+        $this->mockDbQuery(array(
+            array('ticket_id' => 1, 'number' => '100001', 'subject' => 'Parent Ticket', 'status' => 'Open')
+        ));
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->keepParentOpen(2, 'valid-csrf-token-12345');
+
+        $expires = $_SESSION['subticket_keep_parent_open'][1];
+        unset($_SESSION['subticket_keep_parent_open']);
+
+        $this->assertGreaterThanOrEqual(time() + 60, $expires, 'The flag expires after a few minutes');
+        $this->assertTrue($response['success']);
+        $this->assertEquals('Parent ticket will stay open', $response['message']);
+        $this->assertEquals(array('parent_id' => 1, 'parent_number' => '100001'), $response['data']);
+    }
+
+    /**
+     * Test that keepParentOpen() rejects tickets without a parent
+     */
+    public function testKeepParentOpenRejectsTicketWithoutParent()
+    {
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->keepParentOpen(4, 'valid-csrf-token-12345');
+
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Ticket has no parent', $response['message']);
+    }
+
+    // ============================================================
+    // Tests for cascade opt-out and revert AJAX Endpoints
+    // ============================================================
+
+    /**
+     * Test that excludeFromCascade() stores the opted-out tickets
+     */
+    public function testExcludeFromCascadeStoresExcludedTickets()
+    {
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->excludeFromCascade(1, '3,4,abc', 'valid-csrf-token-12345');
+
+        $stored = $_SESSION['subticket_cascade_exclude'][1] ?? null;
+        unset($_SESSION['subticket_cascade_exclude']);
+
+        $this->assertTrue($response['success']);
+        $this->assertEquals(array(3, 4), $response['data']['excluded']);
+        $this->assertEquals(array(3, 4), $stored['ids']);
+        $this->assertGreaterThanOrEqual(time(), $stored['expires']);
+    }
+
+    /**
+     * Test that revertCascade() reports when there is nothing to revert
+     */
+    public function testRevertCascadeWithoutCascadeFails()
+    {
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->revertCascade(1, 'valid-csrf-token-12345');
+
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Nothing to revert', $response['message']);
+    }
+
+    // ============================================================
+    // Tests for the Ticket Hierarchies overview AJAX Endpoints
+    // ============================================================
+
+    /**
+     * Test that getHierarchyOverview() returns one page with paging info
+     *
+     * Expected behavior:
+     * - Total is counted over the filtered query
+     * - ORDER BY / LIMIT follow the requested sort and page
+     * - Filters end up in the WHERE clause
+     */
+    public function testGetHierarchyOverviewReturnsPagedItems()
+    {
+        $this->mockMultipleDbQueries(array(
+            array(array('total' => 30)),
+            array(array(
+                'ticket_id' => 1, 'number' => '100001', 'subject' => 'Parent Ticket',
+                'status' => 'Open', 'status_state' => 'open', 'dept_id' => 2, 'department' => 'Support',
+                'assignee' => 'Jane Agent', 'child_count' => 4, 'closed_count' => 3, 'completion' => 75,
+                'created' => '2025-01-01 10:00:00'
+            ))
+        ));
+
+        $response = $this->controller->getHierarchyOverview(array(
+            'page' => '2',
+            'sort' => 'completion',
+            'dir' => 'asc',
+            'min_completion' => '50',
+            'dept_id' => '2',
+            'status_id' => ''
+        ));
+
+        $this->assertTrue($response['success']);
+        $this->assertEquals(30, $response['data']['total']);
+        $this->assertEquals(2, $response['data']['page']);
+        $this->assertEquals(25, $response['data']['per_page']);
+        $this->assertEquals(2, $response['data']['pages']);
+        $this->assertEquals(75, $response['data']['items'][0]['completion']);
+        $this->assertEquals(4, $response['data']['items'][0]['children']);
+
+        $queries = get_test_db_queries();
+        $this->assertStringContainsString('SELECT COUNT(*) AS total', $queries[0]['query']);
+        $this->assertStringContainsString('p.dept_id = 2', $queries[1]['query']);
+        $this->assertStringContainsString('>= 50', $queries[1]['query']);
+        $this->assertStringContainsString('p.ticket_pid IS NULL', $queries[1]['query']);
+        $this->assertStringNotContainsString('p.status_id = 0', $queries[1]['query']);
+        $this->assertStringContainsString('ORDER BY completion ASC', $queries[1]['query']);
+        $this->assertStringContainsString('LIMIT 25, 25', $queries[1]['query']);
+    }
+
+    /**
+     * Test that getHierarchyOverview() validates paging, sorting and filters
+     */
+    public function testGetHierarchyOverviewValidatesParameters()
+    {
+        $response = $this->controller->getHierarchyOverview(array('sort' => 'ticket_id; DROP TABLE'));
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Invalid sort column', $response['message']);
+
+        $response = $this->controller->getHierarchyOverview(array('page' => '0'));
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Invalid page', $response['message']);
+
+        $response = $this->controller->getHierarchyOverview(array('max_completion' => '150'));
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Invalid filter: max_completion', $response['message']);
+
+        $response = $this->controller->getHierarchyOverview(array('min_age' => '1 OR 1=1'));
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Invalid filter: min_age', $response['message']);
+
+        $this->assertEmpty(get_test_db_queries(), 'Invalid parameters must not reach the database');
+
+        $response = $this->controller->getHierarchyOverview(array('per_page' => '5000', 'roots_only' => '0'));
+        $this->assertTrue($response['success']);
+        $this->assertEquals(100, $response['data']['per_page']);
+        $this->assertStringNotContainsString('ticket_pid IS NULL', get_test_db_queries()[0]['query']);
+    }
+
+    /**
+     * Test that getHistory() returns the recorded hierarchy changes
+     *
+     * Expected behavior:
+     * - Events of the ticket as child and as parent, newest first
+     * - Invalid ticket IDs are rejected without a query
+     */
+    public function testGetHistoryReturnsRecordedEvents()
+    {
+        $response = $this->controller->getHistory('abc');
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Invalid ticket ID', $response['message']);
+        $this->assertEmpty(get_test_db_queries());
+
+        $this->mockDbQuery(array(
+            array('id' => 2, 'event' => 'unlink', 'ticket_id' => 3, 'number' => '100003',
+                'old_parent_id' => 1, 'old_parent_number' => '100001', 'new_parent_id' => null, 'new_parent_number' => null,
+                'staff' => 'Jane Doe', 'details' => '', 'created' => '2026-10-02 09:00:00'),
+            array('id' => 1, 'event' => 'link', 'ticket_id' => 3, 'number' => '100003',
+                'old_parent_id' => null, 'old_parent_number' => null, 'new_parent_id' => 1, 'new_parent_number' => '100001',
+                'staff' => null, 'details' => '', 'created' => '2026-10-01 09:00:00')
+        ));
+
+        $response = $this->controller->getHistory(1);
+
+        $this->assertTrue($response['success']);
+        $this->assertEquals('Found 2 events', $response['message']);
+        $this->assertEquals('unlink', $response['data'][0]['event']);
+        $this->assertSame(1, $response['data'][0]['old_parent_id']);
+        $this->assertNull($response['data'][0]['new_parent_id']);
+        $this->assertEquals('Jane Doe', $response['data'][0]['staff']);
+        $this->assertNull($response['data'][1]['staff']);
+        $this->assertStringContainsString('OR a.new_parent_id = 1', get_test_db_queries()[0]['query']);
+    }
+
+    /**
+     * Test that getChanges() starts with a cursor only
+     *
+     * Expected behavior:
+     * - Without a cursor only the current database time is returned
+     * - Invalid cursors are rejected without a query
+     */
+    public function testGetChangesReturnsCursorOnFirstPoll()
+    {
+        $response = $this->controller->getChanges('-5');
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Invalid cursor', $response['message']);
+        $this->assertEmpty(get_test_db_queries());
+
+        $this->mockDbQuery(array(array('now' => 1791000000)));
+
+        $response = $this->controller->getChanges(null);
+
+        $this->assertTrue($response['success']);
+        $this->assertSame(array('cursor' => 1791000000, 'changes' => array(), 'truncated' => false), $response['data']);
+        $this->assertCount(1, get_test_db_queries());
+    }
+
+    /**
+     * Test that getChanges() lists hierarchy changes since the cursor
+     *
+     * Expected behavior:
+     * - Links, unlinks and moves name the affected parents (moves both)
+     * - Cascades name the parent without a parent of their own
+     * - Updated subtickets are listed once per ticket/parent pair
+     */
+    public function testGetChangesListsHierarchyChanges()
+    {
+        $this->mockMultipleDbQueries(array(
+            array(array('now' => 1791000060)),
+            // Audit log
+            array(
+                array('event' => 'link', 'ticket_id' => 5, 'old_parent_id' => null, 'new_parent_id' => 1),
+                array('event' => 'reparent', 'ticket_id' => 6, 'old_parent_id' => 1, 'new_parent_id' => 2),
+                array('event' => 'cascade', 'ticket_id' => 1, 'old_parent_id' => null, 'new_parent_id' => null)
+            ),
+            // Updated subtickets
+            array(
+                array('ticket_id' => 7, 'ticket_pid' => 2),
+                array('ticket_id' => 5, 'ticket_pid' => 1)
+            )
+        ));
+
+        $response = $this->controller->getChanges('1791000000');
+
+        $this->assertTrue($response['success']);
+        $this->assertSame(1791000060, $response['data']['cursor']);
+        $this->assertFalse($response['data']['truncated']);
+        $this->assertSame(array(
+            array('event' => 'link', 'ticket_id' => 5, 'parent_id' => 1),
+            array('event' => 'reparent', 'ticket_id' => 6, 'parent_id' => 1),
+            array('event' => 'reparent', 'ticket_id' => 6, 'parent_id' => 2),
+            array('event' => 'cascade', 'ticket_id' => 1, 'parent_id' => null),
+            array('event' => 'update', 'ticket_id' => 7, 'parent_id' => 2),
+        ), $response['data']['changes']);
+
+        $queries = get_test_db_queries();
+        $this->assertStringContainsString('a.created >= FROM_UNIXTIME(1791000000)', $queries[1]['query']);
+        $this->assertStringContainsString('t.updated >= FROM_UNIXTIME(1791000000)', $queries[2]['query']);
+    }
+
+    /**
+     * Test that getChanges() leaves out the polling agent's own changes
+     *
+     * Expected behavior:
+     * - Audit log rows of the agent are skipped
+     * - Updated subtickets whose thread events since the cursor are all the agent's are skipped
+     */
+    public function testGetChangesSkipsOwnChanges()
+    {
+        $staff = $GLOBALS['thisstaff'];
+        $GLOBALS['thisstaff'] = new class {
+            public function getId() {
+                return 3;
+            }
+        };
+
+        $this->mockMultipleDbQueries(array(array(array('now' => 1791000060))));
+
+        $this->controller->getChanges('1791000000');
+
+        $GLOBALS['thisstaff'] = $staff;
+
+        $queries = get_test_db_queries();
+        $this->assertStringContainsString('AND a.staff_id != 3', $queries[1]['query']);
+        $this->assertStringContainsString('LEFT JOIN ost_thread_event e ON e.thread_id = th.id AND e.timestamp >= FROM_UNIXTIME(1791000000)', $queries[2]['query']);
+        $this->assertStringContainsString('HAVING COUNT(e.id) = 0 OR SUM(e.staff_id != 3) > 0', $queries[2]['query']);
+    }
+
+    /**
+     * Test that getClientPanel() lists only the user's own subtickets
+     *
+     * Expected behavior:
+     * - Children query is restricted to the user's tickets
+     * - No staff-only fields (assignee) in the response
+     * - Progress counts only the listed subtickets
+     */
+    public function testGetClientPanelListsOwnSubtickets()
+    {
+        \SubticketManager\Config\ConfigCache::getInstance()->populate(array('client_portal_panel' => true));
+        $GLOBALS['thisclient'] = new class {
+            public function getId() {
+                return 7;
+            }
+        };
+        $GLOBALS['__test_tickets'] = array(1 => new \Ticket(array('ticket_id' => 1, 'user_id' => 7)));
+
+        $this->mockDbQuery(array(
+            array('ticket_id' => 2, 'number' => '100002', 'subject' => 'Order <hardware>', 'status' => 'Closed',
+                'status_state' => 'closed', 'created' => '2026-10-01 09:00:00', 'assignee' => 'Jane Doe'),
+            array('ticket_id' => 3, 'number' => '100003', 'subject' => 'Create account', 'status' => 'Open',
+                'status_state' => 'open', 'created' => '2026-10-01 09:00:00', 'assignee' => '')
+        ));
+
+        $response = $this->controller->getClientPanel(1);
+
+        \SubticketManager\Config\ConfigCache::getInstance()->clear();
+        unset($GLOBALS['thisclient']);
+        $GLOBALS['__test_tickets'] = array();
+
+        $this->assertTrue($response['success'], $response['message']);
+        $this->assertEquals('Found 2 subtickets', $response['message']);
+        $this->assertStringContainsString('AND t.user_id = 7', get_test_db_queries()[0]['query']);
+        $this->assertArrayNotHasKey('assignee', $response['data']['children'][0]);
+        $this->assertEquals(array('total' => 2, 'open' => 1, 'on_hold' => 0, 'closed' => 1), $response['data']['progress']);
+        $this->assertStringContainsString('<a href="tickets.php?id=2">#100002</a>', $response['data']['html']);
+        $this->assertStringContainsString('Order &lt;hardware&gt;', $response['data']['html']);
+        $this->assertStringNotContainsString('Jane Doe', $response['data']['html']);
+    }
+
+    /**
+     * Test that getClientPanel() requires the option and ticket access
+     *
+     * Expected behavior:
+     * - Disabled option, missing user or another user's ticket: error, no query
+     */
+    public function testGetClientPanelRequiresOptionAndAccess()
+    {
+        $GLOBALS['__test_tickets'] = array(1 => new \Ticket(array('ticket_id' => 1, 'user_id' => 8)));
+
+        $response = $this->controller->getClientPanel(1);
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Client portal view is disabled', $response['message']);
+
+        \SubticketManager\Config\ConfigCache::getInstance()->populate(array('client_portal_panel' => true));
+
+        $response = $this->controller->getClientPanel(1);
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Access denied', $response['message']);
+
+        $GLOBALS['thisclient'] = new class {
+            public function getId() {
+                return 7;
+            }
+        };
+
+        $response = $this->controller->getClientPanel(1);
+
+        \SubticketManager\Config\ConfigCache::getInstance()->clear();
+        unset($GLOBALS['thisclient']);
+        $GLOBALS['__test_tickets'] = array();
+
+        $this->assertFalse($response['success']);
+        $this->assertEquals('You do not have access to this ticket', $response['message']);
+        $this->assertEmpty(get_test_db_queries());
+    }
+
+    /**
+     * Test that getSubtree() returns the nested tree below a parent
+     */
+    public function testGetSubtreeReturnsNestedTree()
+    {
+        $this->mockDbQuery(array(
+            array('ticket_id' => 1, 'ticket_pid' => null, 'number' => '100001', 'subject' => 'Parent Ticket', 'status' => 'Open', 'status_state' => 'open'),
+            array('ticket_id' => 2, 'ticket_pid' => 1, 'number' => '100002', 'subject' => 'Child', 'status' => 'Open', 'status_state' => 'open')
+        ));
+
+        $response = $this->controller->getSubtree(1);
+
+        $this->assertTrue($response['success']);
+        $this->assertEquals(1, $response['data']['tree']['id']);
+        $this->assertEquals('100002', $response['data']['tree']['children'][0]['number']);
+    }
+
+    /**
+     * Test that bulkHierarchyAction() reports the outcome per hierarchy
+     *
+     * Expected behavior:
+     * - unlink_all clears ticket_pid of all direct children
+     * - close_completed keeps parents with open children open
+     */
+    public function testBulkHierarchyActionReturnsPerHierarchyResults()
+    {
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $this->mockMultipleDbQueries(array(
+            array(array('ticket_id' => 2)), true, true, // Parent 1: children, UPDATE, audit log for child 2
+            array(), true                               // Parent 5: no children, UPDATE
+        ));
+        $response = $this->controller->bulkHierarchyAction('unlink_all', '1,5', 'valid-csrf-token-12345');
+
+        $this->assertTrue($response['success']);
+        $this->assertEquals('Unlinked 2 of 2 hierarchies', $response['message']);
+        $this->assertStringContainsString('UPDATE ost_ticket SET ticket_pid = NULL WHERE ticket_pid = 1', get_test_db_queries()[1]['query']);
+        $this->assertStringContainsString("VALUES ('unlink', 2, 1, NULL, 0, '')", get_test_db_queries()[2]['query']);
+
+        reset_test_db_queries();
+        $this->mockDbQuery(array(
+            array('ticket_id' => 2, 'number' => '100002', 'subject' => 'Child', 'status' => 'Open',
+                'status_state' => 'open', 'created' => '2025-01-01 11:00:00', 'assignee' => null)
+        ));
+        $response = $this->controller->bulkHierarchyAction('close_completed', '1', 'valid-csrf-token-12345');
+
+        $this->assertEquals('Closed 0 of 1 hierarchies', $response['message']);
+        $this->assertFalse($response['data']['results'][0]['success']);
+        $this->assertEquals('Not all subtickets are closed', $response['data']['results'][0]['message']);
+
+        $response = $this->controller->bulkHierarchyAction('delete', '1', 'valid-csrf-token-12345');
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Invalid bulk action', $response['message']);
+    }
+
+    // ============================================================
+    // Tests for exportHierarchy() AJAX Endpoint
+    // ============================================================
+
+    /**
+     * Test that exportHierarchy() exports one tree as CSV in tree order
+     *
+     * Expected behavior:
+     * - Root first, children directly below their parent with depth and parent number
+     * - Cells starting with a formula character are neutralized
+     */
+    public function testExportHierarchyReturnsTreeAsCsv()
+    {
+        $this->mockMultipleDbQueries(array(
+            // getAncestorIds(1): no ancestors
+            array(array('p1' => null)),
+            // getDescendants(1): level 1, level 2
+            array(
+                array('ticket_id' => 2, 'ticket_pid' => 1, 'number' => '100002'),
+                array('ticket_id' => 3, 'ticket_pid' => 1, 'number' => '100003')
+            ),
+            array(array('ticket_id' => 4, 'ticket_pid' => 2, 'number' => '100004')),
+            array(),
+            // Export columns (ordered by creation, not by tree)
+            array(
+                array('ticket_id' => 1, 'ticket_pid' => null, 'number' => '100001', 'subject' => 'Parent Ticket', 'status' => 'Open',
+                    'department' => 'Support', 'assignee' => 'Jane Agent', 'created' => '2025-01-01 10:00:00', 'closed' => null),
+                array('ticket_id' => 2, 'ticket_pid' => 1, 'number' => '100002', 'subject' => 'Child 1', 'status' => 'Open',
+                    'department' => 'Support', 'assignee' => null, 'created' => '2025-01-01 11:00:00', 'closed' => null),
+                array('ticket_id' => 3, 'ticket_pid' => 1, 'number' => '100003', 'subject' => '=HYPERLINK("x")', 'status' => 'Closed',
+                    'department' => 'Support', 'assignee' => null, 'created' => '2025-01-01 12:00:00', 'closed' => '2025-01-02 09:00:00'),
+                array('ticket_id' => 4, 'ticket_pid' => 2, 'number' => '100004', 'subject' => 'Grandchild', 'status' => 'Open',
+                    'department' => 'Support', 'assignee' => null, 'created' => '2025-01-01 13:00:00', 'closed' => null)
+            )
+        ));
+
+        $response = $this->controller->exportHierarchy(1, 'csv');
+
+        $this->assertTrue($response['success']);
+        $this->assertEquals('hierarchy-100001.csv', $response['data']['filename']);
+        $this->assertStringContainsString('t.ticket_id IN (1,2,3,4)', get_test_db_queries()[4]['query']);
+
+        $lines = explode("\n", trim($response['data']['content']));
+        $this->assertEquals('number,parent_number,depth,subject,status,department,assignee,created,closed', $lines[0]);
+        $this->assertStringStartsWith('100001,,0,', $lines[1]);
+        $this->assertStringStartsWith('100002,100001,1,', $lines[2]);
+        $this->assertStringStartsWith('100004,100002,2,', $lines[3]);
+        $this->assertStringStartsWith('100003,100001,1,"\'=HYPERLINK(""x"")"', $lines[4]);
+    }
+
+    /**
+     * Test that exportHierarchy() nests the system-wide JSON export
+     */
+    public function testExportHierarchyReturnsNestedJson()
+    {
+        $this->mockDbQuery(array(
+            array('ticket_id' => 1, 'ticket_pid' => null, 'number' => '100001', 'subject' => 'Parent Ticket', 'status' => 'Open',
+                'department' => 'Support', 'assignee' => '', 'created' => '2025-01-01 10:00:00', 'closed' => null),
+            array('ticket_id' => 2, 'ticket_pid' => 1, 'number' => '100002', 'subject' => 'Child 1', 'status' => 'Open',
+                'department' => 'Support', 'assignee' => '', 'created' => '2025-01-01 11:00:00', 'closed' => null)
+        ));
+
+        $response = $this->controller->exportHierarchy('', 'json');
+
+        $this->assertTrue($response['success']);
+        $this->assertEquals('application/json; charset=utf-8', $response['data']['content_type']);
+
+        $trees = json_decode($response['data']['content'], true);
+        $this->assertCount(1, $trees);
+        $this->assertEquals('100001', $trees[0]['number']);
+        $this->assertEquals(0, $trees[0]['depth']);
+        $this->assertEquals('100002', $trees[0]['children'][0]['number']);
+        $this->assertEquals(1, $trees[0]['children'][0]['depth']);
+        $this->assertEquals(array(), $trees[0]['children'][0]['children']);
+    }
+
+    /**
+     * Test that exportHierarchy() validates format and ticket
+     */
+    public function testExportHierarchyValidatesInput()
+    {
+        $response = $this->controller->exportHierarchy(1, 'xml');
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Invalid export format', $response['message']);
+
+        $response = $this->controller->exportHierarchy('abc', 'csv');
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Invalid ticket ID', $response['message']);
+
+        // Ticket without parent or children
+        $response = $this->controller->exportHierarchy(4, 'csv');
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Ticket is not part of a hierarchy', $response['message']);
+    }
+
+    // ============================================================
+    // Tests for getBatchParentStatus() AJAX Endpoint
+    // ============================================================
+
+    /**
+     * Test that getBatchParentStatus() returns child status counts
+     *
+     * Expected behavior:
+     * - open_count is derived from child_count minus closed and on-hold
+     * - Tickets not returned by the query are filled with zero counts
+     */
+    public function testGetBatchParentStatusReturnsProgressCounts()
+    {
+        $this->mockMultipleDbQueries(array(
+            array(array('parent_count' => 1, 'child_count' => 5)),
+            array(array('ticket_id' => 1, 'child_count' => 5, 'closed_count' => 3, 'on_hold_count' => 1))
+        ));
+
+        $response = $this->controller->getBatchParentStatus('1,4');
+
+        $this->assertTrue($response['success']);
+        $this->assertEquals(array(
+            'is_parent' => true,
+            'child_count' => 5,
+            'open_count' => 1,
+            'on_hold_count' => 1,
+            'closed_count' => 3
+        ), $response['data'][1]);
+        $this->assertFalse($response['data'][4]['is_parent']);
+        $this->assertEquals(0, $response['data'][4]['closed_count']);
+
+        $query = get_test_db_queries()[1]['query'];
+        $this->assertStringContainsString('LEFT JOIN ost_ticket_status cs ON child.status_id = cs.id', $query);
+        $this->assertStringContainsString('WHERE parent.ticket_id IN (1,4)', $query);
+    }
+
+    /**
+     * Test that getBatchParentStatus() adds the effective due date when enabled
+     *
+     * Expected behavior:
+     * - Earliest overdue child due date wins and flags the parent as overdue
+     * - Otherwise the latest child due date, not overdue
+     * - Disabled option: no due date fields
+     */
+    public function testGetBatchParentStatusReturnsEffectiveDueDate()
+    {
+        $rows = array(
+            array('ticket_id' => 1, 'child_count' => 2, 'closed_count' => 0, 'on_hold_count' => 0,
+                'earliest_overdue' => '2026-10-01 12:00:00', 'latest_due' => '2026-11-01 12:00:00'),
+            array('ticket_id' => 4, 'child_count' => 1, 'closed_count' => 0, 'on_hold_count' => 0,
+                'earliest_overdue' => null, 'latest_due' => '2026-11-15 12:00:00')
+        );
+        $fingerprint = array(array('parent_count' => 2, 'child_count' => 3));
+
+        $this->mockMultipleDbQueries(array($fingerprint, $rows));
+        $disabled = $this->controller->getBatchParentStatus('1,4');
+        $this->assertArrayNotHasKey('due_date', $disabled['data'][1]);
+
+        \SubticketManager\Config\ConfigCache::getInstance()->populate(array('effective_due_date' => true));
+        $this->mockMultipleDbQueries(array($fingerprint, $rows));
+        $response = $this->controller->getBatchParentStatus('1,4', $disabled['etag']);
+        \SubticketManager\Config\ConfigCache::getInstance()->clear();
+
+        $this->assertNotEquals($disabled['etag'], $response['etag']);
+        $this->assertEquals('2026-10-01 12:00:00', $response['data'][1]['due_date']);
+        $this->assertTrue($response['data'][1]['is_overdue']);
+        $this->assertEquals('2026-11-15 12:00:00', $response['data'][4]['due_date']);
+        $this->assertFalse($response['data'][4]['is_overdue']);
+    }
+
+    /**
+     * Test that getBatchParentStatus() tags the status with a fingerprint ETag
+     *
+     * Expected behavior:
+     * - Same fingerprint for the IDs in any order gives the same ETag
+     * - Matching If-None-Match (also weak or in a list) sets not_modified
+     *   without running the status query
+     * - Changed fingerprint gives a new ETag
+     */
+    public function testGetBatchParentStatusReturnsEtag()
+    {
+        $fingerprint = array('parent_count' => 2, 'parent_sum' => 5, 'child_count' => 3,
+            'child_sum' => 21, 'last_updated' => '2026-10-19 09:00:00', 'past_due' => 0);
+        $rows = array(
+            array('ticket_id' => 1, 'child_count' => 2, 'closed_count' => 1, 'on_hold_count' => 0),
+            array('ticket_id' => 4, 'child_count' => 1, 'closed_count' => 0, 'on_hold_count' => 0)
+        );
+
+        $this->mockMultipleDbQueries(array(array($fingerprint), $rows));
+        $first = $this->controller->getBatchParentStatus('1,4');
+        $this->assertMatchesRegularExpression('/^"[0-9a-f]{32}"$/', $first['etag']);
+        $this->assertFalse($first['not_modified']);
+
+        reset_test_db_queries();
+        $this->mockMultipleDbQueries(array(array($fingerprint), $rows));
+        $second = $this->controller->getBatchParentStatus('4,1', 'W/"stale", W/' . $first['etag']);
+        $this->assertEquals($first['etag'], $second['etag']);
+        $this->assertTrue($second['not_modified']);
+        $this->assertEmpty($second['data']);
+        $this->assertCount(1, get_test_db_queries());
+        $this->assertStringContainsString('MAX(child.updated) as last_updated', get_test_db_queries()[0]['query']);
+
+        $fingerprint['last_updated'] = '2026-10-19 09:05:00';
+        $this->mockMultipleDbQueries(array(array($fingerprint), $rows));
+        $changed = $this->controller->getBatchParentStatus('1,4', $first['etag']);
+        $this->assertNotEquals($first['etag'], $changed['etag']);
+        $this->assertFalse($changed['not_modified']);
+        $this->assertTrue($changed['data'][1]['is_parent']);
+    }
+
+    /**
+     * Test that getBatchParentStatus() only reports accessible departments
+     *
+     * Expected behavior:
+     * - Fingerprint and status query are restricted to the agent's departments
+     */
+    public function testGetBatchParentStatusRestrictsToAccessibleDepartments()
+    {
+        $staff = $GLOBALS['thisstaff'];
+        $GLOBALS['thisstaff'] = new class {
+            public function isStaff() {
+                return true;
+            }
+
+            public function canAccessDept($deptId) {
+                return $deptId === 2;
+            }
+        };
+
+        $this->mockMultipleDbQueries(array(
+            array(array('id' => 1), array('id' => 2)),
+            array(array('parent_count' => 1)),
+            array()
+        ));
+
+        $response = $this->controller->getBatchParentStatus('1,4');
+
+        $GLOBALS['thisstaff'] = $staff;
+
+        $this->assertTrue($response['success']);
+        $this->assertFalse($response['data'][1]['is_parent']);
+
+        $queries = get_test_db_queries();
+        $this->assertStringContainsString('WHERE parent.ticket_id IN (1,4) AND parent.dept_id IN (2)', $queries[1]['query']);
+        $this->assertStringContainsString('WHERE parent.ticket_id IN (1,4) AND parent.dept_id IN (2)', $queries[2]['query']);
+    }
+
+    // ============================================================
+    // Tests for applyTemplate() AJAX Endpoint
+    // ============================================================
+
+    /**
+     * Define the templates used by the applyTemplate() tests
+     */
+    private function mockTemplates()
+    {
+        \SubticketManager\Config\ConfigCache::getInstance()->populate(array(
+            'subticket_templates' => json_encode(array(
+                array('name' => 'Onboarding', 'items' => array(
+                    array('subject' => 'Create account', 'dept_id' => 3, 'staff_id' => 7),
+                    array('subject' => 'Order hardware', 'dept_id' => 4, 'topic_id' => 12),
+                )),
+            )),
+        ));
+    }
+
+    /**
+     * Test that applyTemplate() creates and links the selected items
+     *
+     * Expected behavior:
+     * - Only the selected item is created (the panel sends all selected items in one request)
+     * - The result carries item number, subject and new ticket number
+     */
+    public function testApplyTemplateCreatesSelectedItems()
+    {
+        $this->mockTemplates();
+        $GLOBALS['__test_ticket_api_result'] = array(
+            'success' => true,
+            'ticket_id' => 999,
+            'ticket_number' => 'TEST-100-999'
+        );
+
+        $this->mockMultipleDbQueries(array(
+            array(),                    // validateNewChildren(): getDepth(1)
+            array(array('total' => 0)), // countChildren(1)
+            array(array('ticket_id' => 999)), // New ticket exists
+            array(array('ticket_id' => 1)),   // Parent exists
+            true
+        ));
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->applyTemplate(1, 1, '2', 'valid-csrf-token-12345');
+
+        \SubticketManager\Config\ConfigCache::getInstance()->clear();
+        unset($GLOBALS['__test_ticket_api_result']);
+
+        $this->assertTrue($response['success']);
+        $this->assertEquals('Created 1 of 1 subtickets', $response['message']);
+        $this->assertEquals(array(
+            'ticket_id' => 999,
+            'success' => true,
+            'message' => 'Created',
+            'item' => 2,
+            'subject' => 'Order hardware',
+            'ticket_number' => 'TEST-100-999'
+        ), $response['data']['results'][0]);
+    }
+
+    /**
+     * Test that applyTemplate() reports failing items individually
+     *
+     * Expected behavior:
+     * - Unknown templates and item numbers are rejected before creating anything
+     * - Without item numbers all items are processed
+     * - An inactive assignee or a failed creation fails only that item
+     */
+    public function testApplyTemplateReportsPerItemErrors()
+    {
+        $this->mockTemplates();
+        $GLOBALS['__test_ticket_api_result'] = array(
+            'success' => false,
+            'error' => 'Database error'
+        );
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->applyTemplate(1, 2, null, 'valid-csrf-token-12345');
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Template not found', $response['message']);
+
+        $response = $this->controller->applyTemplate(1, 1, '1,3', 'valid-csrf-token-12345');
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Invalid template item', $response['message']);
+        $this->assertEmpty(get_test_db_queries());
+
+        $this->mockMultipleDbQueries(array(
+            array() // Assignee of item 1 is not an active staff member
+        ));
+
+        $response = $this->controller->applyTemplate(1, 1, '', 'valid-csrf-token-12345');
+
+        \SubticketManager\Config\ConfigCache::getInstance()->clear();
+        unset($GLOBALS['__test_ticket_api_result']);
+
+        $this->assertTrue($response['success'], $response['message']);
+        $this->assertEquals('Created 0 of 2 subtickets', $response['message']);
+        $this->assertEquals(2, $response['data']['failed']);
+        $this->assertEquals('Invalid assignee', $response['data']['results'][0]['message']);
+        $this->assertEquals('Failed to create ticket', $response['data']['results'][1]['message']);
+        $this->assertEquals('Order hardware', $response['data']['results'][1]['subject']);
+    }
+
+    // ============================================================
+    // Tests for getSplitOptions() / splitTicket() AJAX Endpoints
+    // ============================================================
+
+    /**
+     * Thread entry rows as returned by the SplitService queries
+     */
+    private function mockSplitEntryRows()
+    {
+        return array(
+            array(array('id' => 6, 'type' => 'M', 'poster' => 'Jane Customer', 'title' => 'Printer',
+                'body' => "Printer on floor 2\nis jammed", 'format' => 'text', 'created' => '2026-10-01 09:00:00'),
+                array('id' => 5, 'type' => 'M', 'poster' => 'Jane Customer', 'title' => '',
+                'body' => '<p>VPN keeps dropping</p>', 'format' => 'html', 'created' => '2026-10-01 08:00:00')),
+            array(array('object_id' => 6, 'file_id' => 42, 'inline' => 0, 'name' => 'jam.jpg'))
+        );
+    }
+
+    /**
+     * Test that getSplitOptions() lists the messages of the thread
+     *
+     * Expected behavior:
+     * - Entries oldest first with excerpt and attachment count (no bodies)
+     * - Departments and the ticket's department as default
+     */
+    public function testGetSplitOptionsListsThreadMessages()
+    {
+        $this->mockMultipleDbQueries(array_merge($this->mockSplitEntryRows(), array(
+            array(array('dept_id' => 3)),
+            array(array('id' => 3, 'name' => 'Support'))
+        )));
+
+        $response = $this->controller->getSplitOptions(1);
+
+        $this->assertTrue($response['success'], $response['message']);
+        $this->assertEquals(array(5, 6), array_column($response['data']['entries'], 'id'));
+        $this->assertEquals('VPN keeps dropping', $response['data']['entries'][0]['excerpt']);
+        $this->assertEquals(1, $response['data']['entries'][1]['attachment_count']);
+        $this->assertArrayNotHasKey('body', $response['data']['entries'][0]);
+        $this->assertEquals(3, $response['data']['defaults']['dept_id']);
+        $this->assertEquals('Support', $response['data']['departments'][0]['name']);
+
+        $query = get_test_db_queries()[0]['query'];
+        $this->assertStringContainsString("th.object_type = 'T' AND th.object_id = 1", $query);
+        $this->assertStringContainsString("e.type IN ('M', 'R')", $query);
+    }
+
+    /**
+     * Test that splitTicket() creates a subticket per selected message
+     *
+     * Expected behavior:
+     * - Only the selected entries of this ticket's thread are loaded
+     * - Every selection is created and linked, results carry entry and number
+     * - The parent gets one internal note linking the new subtickets
+     */
+    public function testSplitTicketCreatesSubticketsAndNotesParent()
+    {
+        $GLOBALS['__test_ticket_api_result'] = array(
+            'success' => true,
+            'ticket_id' => 999,
+            'ticket_number' => 'TEST-100-999'
+        );
+        $parent = new \Ticket(array('ticket_id' => 1));
+        $GLOBALS['__test_tickets'][1] = $parent;
+
+        $this->mockMultipleDbQueries(array_merge($this->mockSplitEntryRows(), array(
+            array(),                    // validateNewChildren(): getDepth(1)
+            array(array('total' => 0)), // countChildren(1)
+            array(array('ticket_id' => 999)), // New ticket exists
+            array(array('ticket_id' => 1)),   // Parent exists
+            true
+        )));
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+
+        $response = $this->controller->splitTicket(1, array(
+            array('entry_id' => '6', 'subject' => ' Printer jam ', 'dept_id' => '3')
+        ), 'valid-csrf-token-12345');
+
+        unset($GLOBALS['__test_ticket_api_result'], $GLOBALS['__test_tickets'][1]);
+
+        $this->assertTrue($response['success'], $response['message']);
+        $this->assertEquals('Created 1 of 1 subtickets', $response['message']);
+        $this->assertEquals(array(
+            'ticket_id' => 999,
+            'success' => true,
+            'message' => 'Created',
+            'entry_id' => 6,
+            'subject' => 'Printer jam',
+            'ticket_number' => 'TEST-100-999'
+        ), $response['data']['results'][0]);
+
+        $queries = get_test_db_queries();
+        $this->assertStringContainsString('AND e.id IN (6)', $queries[0]['query']);
+        $this->assertStringContainsString("a.type = 'H' AND a.object_id IN (5,6)", $queries[1]['query']);
+
+        // Besides the link note of the audit log
+        $notes = array_values(array_filter($parent->notes, function ($note) {
+            return $note['title'] === 'Ticket split into subtickets';
+        }));
+        $this->assertCount(1, $notes);
+        $this->assertStringContainsString('<a href="tickets.php?id=999">#TEST-100-999</a> Printer jam', $notes[0]['note']);
+        $this->assertFalse($notes[0]['alert']);
+    }
+
+    /**
+     * Test that splitTicket() validates the selections before creating anything
+     *
+     * Expected behavior:
+     * - Empty, incomplete or too many selections are rejected
+     * - Subjects follow the same rules as the inline create form
+     * - Entries that are not messages of the ticket's thread are rejected
+     * - No note is posted when nothing was created
+     */
+    public function testSplitTicketRejectsInvalidSelections()
+    {
+        $this->mockCsrfToken('valid-csrf-token-12345');
+        $this->mockStaffPermissions(true);
+        $valid = array('entry_id' => 5, 'subject' => 'VPN', 'dept_id' => 3);
+
+        $response = $this->controller->splitTicket(1, array(), 'valid-csrf-token-12345');
+        $this->assertEquals('No thread entries selected', $response['message']);
+
+        $response = $this->controller->splitTicket(1, array(array('entry_id' => 5, 'subject' => '  ', 'dept_id' => 3)), 'valid-csrf-token-12345');
+        $this->assertEquals('Invalid subject', $response['message']);
+
+        $response = $this->controller->splitTicket(1, array(array('subject' => str_repeat('a', 51)) + $valid), 'valid-csrf-token-12345');
+        $this->assertEquals('Subject too long (max 50 characters)', $response['message']);
+
+        $response = $this->controller->splitTicket(1, array(array('entry_id' => 'x') + $valid), 'valid-csrf-token-12345');
+        $this->assertEquals('Invalid thread entry', $response['message']);
+
+        $response = $this->controller->splitTicket(1, array_fill(0, 11, $valid), 'valid-csrf-token-12345');
+        $this->assertEquals('Too many thread entries (max 10)', $response['message']);
+        $this->assertEmpty(get_test_db_queries());
+
+        $parent = new \Ticket(array('ticket_id' => 1));
+        $GLOBALS['__test_tickets'][1] = $parent;
+        $this->mockMultipleDbQueries(array(
+            array() // Entry 7 is not part of the thread
+        ));
+
+        $response = $this->controller->splitTicket(1, array($valid, array('entry_id' => 7) + $valid), 'valid-csrf-token-12345');
+        unset($GLOBALS['__test_tickets'][1]);
+
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Thread entry not found', $response['message']);
+        $this->assertEmpty($parent->notes);
+    }
 }
@@ -0,0 +1,86 @@
+<?php
+/**
+ * Tests for the subticket template definition
+ *
+ * Tests the following:
+ * - Valid definitions are normalized (IDs, optional fields, default message)
+ * - Invalid definitions are reported with the template and item
+ */
+
+// Load bootstrap
+require_once dirname(__DIR__) . '/bootstrap.php';
+
+use PHPUnit\Framework\TestCase;
+use SubticketManager\Template\TemplateService;
+
+class TemplateServiceTest extends TestCase
+{
+    /**
+     * Test that a valid definition is normalized
+     *
+     * Expected behavior:
+     * - Templates get 1-based IDs in definition order
+     * - topic_id and staff_id default to 0, message to the subject
+     * - An empty definition means no templates
+     */
+    public function testParsesValidDefinition()
+    {
+        $service = new TemplateService();
+        $errors = array();
+
+        $templates = $service->parse(json_encode(array(
+            array('name' => 'Onboarding', 'items' => array(
+                array('subject' => 'Create account', 'dept_id' => 3, 'staff_id' => '5', 'message' => 'Use the HR data'),
+                array('subject' => 'Order hardware', 'dept_id' => 4),
+            )),
+        )), $errors);
+
+        $this->assertSame(array(), $errors);
+        $this->assertSame(1, $templates[0]['id']);
+        $this->assertSame('Onboarding', $templates[0]['name']);
+        $this->assertSame(array(
+            'subject' => 'Order hardware',
+            'dept_id' => 4,
+            'topic_id' => 0,
+            'staff_id' => 0,
+            'message' => 'Order hardware',
+        ), $templates[0]['items'][1]);
+        $this->assertSame(5, $templates[0]['items'][0]['staff_id']);
+
+        $this->assertSame(array(), $service->parse('  ', $errors));
+        $this->assertSame(array(), $errors);
+    }
+
+    /**
+     * Test that invalid definitions are reported
+     *
+     * Expected behavior:
+     * - Malformed JSON and non-list definitions are rejected
+     * - Missing names, subjects and departments are reported per template/item
+     */
+    public function testReportsInvalidDefinition()
+    {
+        $service = new TemplateService();
+
+        $errors = array();
+        $service->parse('{"name": "Onboarding"}', $errors);
+        $this->assertSame(array('Templates must be a JSON list of templates'), $errors);
+
+        $errors = array();
+        $service->parse(json_encode(array(
+            array('items' => array(array('subject' => 'A', 'dept_id' => 1))),
+            array('name' => 'Onboarding', 'items' => array(
+                array('subject' => str_repeat('x', 51), 'dept_id' => 1),
+                array('subject' => 'Order hardware'),
+                array('subject' => 'Schedule training', 'dept_id' => 2, 'staff_id' => 'me'),
+            )),
+        )), $errors);
+
+        $this->assertSame(array(
+            'Template 1: name is required',
+            'Template 2 (Onboarding), item 1: subject too long (max 50 characters)',
+            'Template 2 (Onboarding), item 2: dept_id is required',
+            'Template 2 (Onboarding), item 3: staff_id must be a number',
+        ), $errors);
+    }
+}
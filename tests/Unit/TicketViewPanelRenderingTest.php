@@ -337,6 +337,467 @@ class TicketViewPanelRenderingTest extends TestCase
             'Should have create-child button with data-action');
         $this->assertStringContainsString('data-action="unlink-child"', $html,
             'Should have unlink-child button with data-action');
+
+        // Keyboard shortcuts are announced to assistive technology
+        $this->assertStringContainsString('aria-keyshortcuts="Alt+Shift+L"', $html);
+        $this->assertStringContainsString('aria-keyshortcuts="Alt+Shift+N"', $html);
+        $this->assertStringContainsString('<ul class="children-list" aria-label="Child tickets" aria-keyshortcuts="Alt+Shift+C">', $html);
+    }
+
+    /**
+     * Test that the panel markup supports keyboard and screen reader users
+     *
+     * Expected behavior:
+     * - Action buttons show their shortcut as tooltip
+     * - Child tickets are links the list shortcut can move focus through
+     * - Live region and focus styles ship with the panel CSS
+     */
+    public function testPanelMarkupSupportsKeyboardAndScreenReaders()
+    {
+        $ticket = new Ticket(array('ticket_id' => 1, 'number' => '100001', 'ticket_pid' => null));
+
+        $this->mockMultipleDbQueries(array(
+            array(), // getParent() returns empty
+            array(
+                array('ticket_id' => 2, 'number' => '100002', 'subject' => 'Child Ticket', 'status' => 'Open', 'created' => '2025-01-01 10:00:00')
+            )
+        ));
+
+        $html = $this->plugin->onTicketView($ticket);
+
+        $this->assertMatchesRegularExpression('/data-action="link-parent"[^>]*aria-keyshortcuts="Alt\+Shift\+L" title="Alt\+Shift\+L">/', $html);
+        $this->assertMatchesRegularExpression('/data-action="create-child"[^>]*aria-keyshortcuts="Alt\+Shift\+N" title="Alt\+Shift\+N">/', $html);
+        $this->assertMatchesRegularExpression('/<ul class="children-list"[^>]*>\s*<li[^>]*>.*?<a href="tickets.php\?id=2" class="ticket-link">/s', $html);
+
+        $this->assertMatchesRegularExpression('/\.subticket-sr-only \{[^}]*clip: rect\(0, 0, 0, 0\);/', $html);
+        $this->assertMatchesRegularExpression('/\.subticket-action:focus \{[^}]*outline: 2px solid/', $html);
+    }
+
+    /**
+     * Test that the parent badge shows child progress
+     *
+     * Expected behavior:
+     * - Badge shows "closed/total done"
+     * - Tooltip breaks the children down by closed, on hold and open
+     */
+    public function testParentBadgeShowsChildProgress()
+    {
+        $ticket = new Ticket(array(
+            'ticket_id' => 1,
+            'number' => '100001',
+            'ticket_pid' => null
+        ));
+
+        $this->mockMultipleDbQueries(array(
+            array(), // getParent() returns empty
+            array(
+                array('ticket_id' => 2, 'number' => '100002', 'subject' => 'A', 'status' => 'Open', 'status_state' => 'open', 'created' => '2025-01-01 10:00:00'),
+                array('ticket_id' => 3, 'number' => '100003', 'subject' => 'B', 'status' => 'On Hold', 'status_state' => 'open', 'created' => '2025-01-01 11:00:00'),
+                array('ticket_id' => 4, 'number' => '100004', 'subject' => 'C', 'status' => 'Closed', 'status_state' => 'closed', 'created' => '2025-01-01 12:00:00'),
+                array('ticket_id' => 5, 'number' => '100005', 'subject' => 'D', 'status' => 'Resolved', 'status_state' => 'closed', 'created' => '2025-01-01 13:00:00')
+            )
+        ));
+
+        $html = $this->plugin->onTicketView($ticket);
+
+        $this->assertStringContainsString('(4 Sub-Tickets)', $html);
+        $this->assertStringContainsString('2/4 done', $html);
+        $this->assertStringContainsString('title="2 closed, 1 on hold, 1 open"', $html);
+        $this->assertStringContainsString('width: 50%', $html);
+    }
+
+    /**
+     * Test that the panel renders the full hierarchy and breadcrumbs
+     *
+     * Expected behavior:
+     * - The root ancestor and the whole tree are fetched in a single query
+     * - Breadcrumbs link from the root ancestor to the current ticket
+     * - The tree lists siblings and highlights the current ticket
+     */
+    public function testPanelRendersHierarchyTreeAndBreadcrumbs()
+    {
+        $ticket = new Ticket(array(
+            'ticket_id' => 2,
+            'number' => '100002',
+            'ticket_pid' => 1
+        ));
+
+        $this->mockMultipleDbQueries(array(
+            // getParent()
+            array(array('ticket_id' => 1, 'number' => '100001', 'subject' => 'Root', 'status' => 'Open')),
+            // getChildren() - current ticket has no children
+            array(),
+            // getTree(): ancestors, root, then one level at a time
+            array(array('p1' => 1)),
+            array(
+                array('ticket_id' => 1, 'ticket_pid' => null, 'number' => '100001', 'subject' => 'Root', 'status' => 'Open', 'status_state' => 'open')
+            ),
+            array(
+                array('ticket_id' => 2, 'ticket_pid' => 1, 'number' => '100002', 'subject' => 'Current', 'status' => 'Open', 'status_state' => 'open'),
+                array('ticket_id' => 3, 'ticket_pid' => 1, 'number' => '100003', 'subject' => 'Sibling', 'status' => 'Closed', 'status_state' => 'closed')
+            ),
+            array() // No tickets below the children
+        ));
+
+        $html = $this->plugin->onTicketView($ticket);
+
+        $this->assertStringContainsString('class="subticket-breadcrumbs"', $html);
+        $this->assertStringContainsString('<a href="tickets.php?id=1" class="ticket-link" title="Root">#100001</a>', $html);
+        $this->assertStringContainsString('<span class="subticket-breadcrumb-current" aria-current="page">#100002</span>', $html);
+
+        $this->assertStringContainsString('<h3>Hierarchy</h3>', $html);
+        $this->assertStringContainsString('subticket-tree-node is-current', $html);
+        $this->assertStringContainsString('Sibling', $html);
+
+        // getParent, getChildren, getTree (ancestors, root, two levels), then the blockers and blocked tickets lookups
+        $queries = get_test_db_queries();
+        $this->assertCount(8, $queries);
+        $this->assertStringContainsString('LEFT JOIN ost_ticket p2 ON p2.ticket_id = p1.ticket_pid', $queries[2]['query']);
+        $this->assertStringContainsString('WHERE t.ticket_id = 1', $queries[3]['query']);
+        $this->assertStringContainsString('WHERE t.ticket_pid IN (1)', $queries[4]['query']);
+        $this->assertStringContainsString('WHERE t.ticket_pid IN (2,3)', $queries[5]['query']);
+        foreach (array_slice($queries, 2, 4) as $query) {
+            $this->assertStringNotContainsString(' OR ', $query['query']);
+        }
+    }
+
+    /**
+     * Test that the panel flags the last open child for the auto-close warning
+     *
+     * Expected behavior:
+     * - data-closes-parent carries the parent number when all siblings are closed
+     * - Sibling states come from the tree queries (no extra query)
+     */
+    public function testPanelFlagsLastOpenChildForAutoCloseWarning()
+    {
+        $ticket = new Ticket(array('ticket_id' => 2, 'number' => '100002', 'ticket_pid' => 1));
+
+        $this->mockMultipleDbQueries(array(
+            array(array('ticket_id' => 1, 'number' => '100001', 'subject' => 'Root', 'status' => 'Open')),
+            array(),
+            array(array('p1' => 1)),
+            array(
+                array('ticket_id' => 1, 'ticket_pid' => null, 'number' => '100001', 'subject' => 'Root', 'status' => 'Open', 'status_state' => 'open')
+            ),
+            array(
+                array('ticket_id' => 2, 'ticket_pid' => 1, 'number' => '100002', 'subject' => 'Current', 'status' => 'Open', 'status_state' => 'open'),
+                array('ticket_id' => 3, 'ticket_pid' => 1, 'number' => '100003', 'subject' => 'Sibling', 'status' => 'Resolved', 'status_state' => 'closed')
+            )
+        ));
+
+        $html = $this->plugin->onTicketView($ticket);
+
+        $this->assertStringContainsString('data-closes-parent="100001"', $html);
+        $this->assertCount(8, get_test_db_queries(), 'Only the dependency lookups follow the tree queries');
+    }
+
+    /**
+     * Test that the auto-close flag is omitted while other siblings are open
+     */
+    public function testPanelOmitsAutoCloseFlagWithOpenSiblings()
+    {
+        $ticket = new Ticket(array('ticket_id' => 2, 'number' => '100002', 'ticket_pid' => 1));
+
+        $this->mockMultipleDbQueries(array(
+            array(array('ticket_id' => 1, 'number' => '100001', 'subject' => 'Root', 'status' => 'Open')),
+            array(),
+            array(array('p1' => 1)),
+            array(
+                array('ticket_id' => 1, 'ticket_pid' => null, 'number' => '100001', 'subject' => 'Root', 'status' => 'Open', 'status_state' => 'open')
+            ),
+            array(
+                array('ticket_id' => 2, 'ticket_pid' => 1, 'number' => '100002', 'subject' => 'Current', 'status' => 'Open', 'status_state' => 'open'),
+                array('ticket_id' => 3, 'ticket_pid' => 1, 'number' => '100003', 'subject' => 'Sibling', 'status' => 'Open', 'status_state' => 'open')
+            )
+        ));
+
+        $html = $this->plugin->onTicketView($ticket);
+
+        $this->assertStringNotContainsString('data-closes-parent', $html);
+    }
+
+    /**
+     * Test that a parent panel lists cascade targets and offers a revert
+     *
+     * Expected behavior:
+     * - data-cascade-targets lists open descendants (closed ones are skipped)
+     * - The last unreverted cascade shows a Revert button
+     */
+    public function testPanelListsCascadeTargetsAndRevert()
+    {
+        $ticket = new Ticket(array('ticket_id' => 1, 'number' => '100001', 'ticket_pid' => null));
+
+        $this->mockMultipleDbQueries(array(
+            array(),
+            array(
+                array('ticket_id' => 2, 'number' => '100002', 'subject' => 'Child', 'status' => 'Open', 'created' => '2025-01-01 10:00:00')
+            ),
+            array(
+                array('ticket_id' => 1, 'ticket_pid' => null, 'number' => '100001', 'subject' => 'Root', 'status' => 'Open', 'status_state' => 'open')
+            ),
+            array(
+                array('ticket_id' => 2, 'ticket_pid' => 1, 'number' => '100002', 'subject' => 'Child', 'status' => 'Open', 'status_state' => 'open'),
+                array('ticket_id' => 3, 'ticket_pid' => 1, 'number' => '100003', 'subject' => 'Done', 'status' => 'Closed', 'status_state' => 'closed')
+            ),
+            array(
+                array('ticket_id' => 4, 'ticket_pid' => 2, 'number' => '100004', 'subject' => 'Grandchild', 'status' => 'Open', 'status_state' => 'open')
+            ),
+            array(),
+            // getLastCascade()
+            array(array('batch_id' => 'a1b2c3d4e5f60718', 'tickets' => 2, 'created' => '2025-01-02 09:00:00'))
+        ));
+
+        $html = $this->plugin->onTicketView($ticket);
+
+        $this->assertStringContainsString('data-cascade="hold"', $html);
+        $this->assertStringContainsString('&quot;number&quot;:&quot;100004&quot;', $html);
+        $this->assertStringNotContainsString('&quot;number&quot;:&quot;100003&quot;', $html);
+        $this->assertStringContainsString('applied to 2 subtickets', $html);
+        $this->assertStringContainsString('data-action="revert-cascade"', $html);
+    }
+
+    /**
+     * Test that the tree is skipped when it would only repeat the children list
+     */
+    public function testPanelSkipsTreeForSingleLevelHierarchy()
+    {
+        $ticket = new Ticket(array(
+            'ticket_id' => 1,
+            'number' => '100001',
+            'ticket_pid' => null
+        ));
+
+        $this->mockMultipleDbQueries(array(
+            array(), // getParent() - root ticket
+            array(
+                array('ticket_id' => 2, 'number' => '100002', 'subject' => 'Child', 'status' => 'Open', 'created' => '2025-01-01 10:00:00')
+            ),
+            // getTree() - no ancestor lookup for root tickets
+            array(
+                array('ticket_id' => 1, 'ticket_pid' => null, 'number' => '100001', 'subject' => 'Root', 'status' => 'Open', 'status_state' => 'open')
+            ),
+            array(
+                array('ticket_id' => 2, 'ticket_pid' => 1, 'number' => '100002', 'subject' => 'Child', 'status' => 'Open', 'status_state' => 'open')
+            ),
+            array()
+        ));
+
+        $html = $this->plugin->onTicketView($ticket);
+
+        $this->assertStringNotContainsString('<h3>Hierarchy</h3>', $html);
+        $this->assertStringNotContainsString('class="subticket-breadcrumbs"', $html);
+
+        // getParent, getChildren, getTree (root, two levels), the last cascade lookup and the dependency lookups - no ancestor query
+        $this->assertCount(8, get_test_db_queries());
+        $this->assertStringContainsString('ost_ticket_cascade_log', get_test_db_queries()[5]['query']);
+    }
+
+    /**
+     * Test that reached limits disable "Create Subticket" and "Link to Parent" up front
+     *
+     * Expected behavior:
+     * - A closed ticket (require_parent_open) cannot get subtickets
+     * - Without nesting, a ticket with subtickets cannot be linked below a parent
+     * - Disabled buttons carry the error code and the reason as tooltip
+     */
+    public function testPanelDisablesActionsWhenLimitReached()
+    {
+        $ticket = new Ticket(array('ticket_id' => 1, 'number' => '100001', 'ticket_pid' => null));
+        $GLOBALS['__test_tickets'][1] = new Ticket(array('ticket_id' => 1, 'closed' => true));
+
+        $this->mockMultipleDbQueries(array(array(), array()));
+        $html = $this->plugin->onTicketView($ticket);
+
+        unset($GLOBALS['__test_tickets'][1]);
+
+        $this->assertMatchesRegularExpression(
+            '/data-action="create-child"[^>]* disabled data-restriction="PARENT_CLOSED" title="Subtickets cannot be added to a closed ticket"/',
+            $html
+        );
+        $this->assertMatchesRegularExpression('/data-action="link-parent"[^>]*aria-keyshortcuts="Alt\+Shift\+L" title="Alt\+Shift\+L">/', $html);
+        $this->assertStringContainsString('data-limits="{&quot;max_depth&quot;:3,&quot;max_children&quot;:50}"', $html);
+
+        \SubticketManager\Config\ConfigCache::getInstance()->populate(array('allow_nested_subtickets' => false));
+
+        $this->mockMultipleDbQueries(array(
+            array(), // getParent() - root ticket
+            array(
+                array('ticket_id' => 2, 'number' => '100002', 'subject' => 'Child', 'status' => 'Open', 'created' => '2025-01-01 10:00:00')
+            ),
+            array( // getTree(): root, then its children
+                array('ticket_id' => 1, 'ticket_pid' => null, 'number' => '100001', 'subject' => 'Root', 'status' => 'Open', 'status_state' => 'open')
+            ),
+            array(
+                array('ticket_id' => 2, 'ticket_pid' => 1, 'number' => '100002', 'subject' => 'Child', 'status' => 'Open', 'status_state' => 'open')
+            )
+        ));
+        $html = $this->plugin->onTicketView($ticket);
+
+        \SubticketManager\Config\ConfigCache::getInstance()->clear();
+
+        $this->assertMatchesRegularExpression(
+            '/data-action="link-parent"[^>]* disabled data-restriction="NESTED" title="Nested subtickets are disabled"/',
+            $html
+        );
+        $this->assertStringNotContainsString('data-restriction="PARENT_CLOSED"', $html);
+    }
+
+    /**
+     * Test that the panel shows the effective due date and highlights overdue children
+     *
+     * Expected behavior:
+     * - Earliest due date of an overdue open child is the effective due date
+     * - Closed children are ignored, even if their due date has passed
+     * - Only overdue children are highlighted
+     */
+    public function testPanelShowsEffectiveDueDateAndOverdueChildren()
+    {
+        \SubticketManager\Config\ConfigCache::getInstance()->populate(array('effective_due_date' => true));
+        $ticket = new Ticket(array('ticket_id' => 1, 'number' => '100001', 'ticket_pid' => null));
+
+        $this->mockMultipleDbQueries(array(
+            array(),
+            array(
+                array('ticket_id' => 2, 'number' => '100002', 'subject' => 'Closed', 'status' => 'Closed', 'status_state' => 'closed',
+                    'created' => '2026-09-01 10:00:00', 'due_date' => '2026-09-15 10:00:00', 'is_overdue' => 0),
+                array('ticket_id' => 3, 'number' => '100003', 'subject' => 'Late', 'status' => 'Open', 'status_state' => 'open',
+                    'created' => '2026-09-01 10:00:00', 'due_date' => '2026-10-10 10:00:00', 'is_overdue' => 1),
+                array('ticket_id' => 4, 'number' => '100004', 'subject' => 'Later', 'status' => 'Open', 'status_state' => 'open',
+                    'created' => '2026-09-01 10:00:00', 'due_date' => '2026-11-01 10:00:00', 'is_overdue' => 0)
+            )
+        ));
+
+        $html = $this->plugin->onTicketView($ticket);
+
+        \SubticketManager\Config\ConfigCache::getInstance()->clear();
+
+        $this->assertStringContainsString('Overdue since 2026-10-10 10:00:00 (#100003)', $html);
+        $this->assertStringContainsString('class="subticket-effective-due is-overdue"', $html);
+        $this->assertStringContainsString('<li class="child-item is-overdue" draggable="true" data-child-id="3">', $html);
+        $this->assertStringContainsString('<li class="child-item" draggable="true" data-child-id="4">', $html);
+        $this->assertSame(1, substr_count($html, 'class="subticket-overdue-label"'));
+    }
+
+    /**
+     * Test that the effective due date is the latest child due date while nothing is overdue
+     */
+    public function testPanelShowsLatestChildDueDate()
+    {
+        \SubticketManager\Config\ConfigCache::getInstance()->populate(array('effective_due_date' => true));
+        $ticket = new Ticket(array('ticket_id' => 1, 'number' => '100001', 'ticket_pid' => null));
+
+        $this->mockMultipleDbQueries(array(
+            array(),
+            array(
+                array('ticket_id' => 2, 'number' => '100002', 'subject' => 'A', 'status' => 'Open', 'status_state' => 'open',
+                    'created' => '2026-09-01 10:00:00', 'due_date' => '2026-11-20 10:00:00', 'is_overdue' => 0),
+                array('ticket_id' => 3, 'number' => '100003', 'subject' => 'B', 'status' => 'Open', 'status_state' => 'open',
+                    'created' => '2026-09-01 10:00:00', 'due_date' => '2026-11-01 10:00:00', 'is_overdue' => 0)
+            )
+        ));
+
+        $html = $this->plugin->onTicketView($ticket);
+
+        \SubticketManager\Config\ConfigCache::getInstance()->clear();
+
+        $this->assertStringContainsString('Effective due date: 2026-11-20 10:00:00 (#100002)', $html);
+        $this->assertStringContainsString('<p class="subticket-effective-due">', $html);
+        $this->assertStringNotContainsString('class="child-item is-overdue"', $html);
+    }
+
+    /**
+     * Test that configured templates offer "Apply template"
+     *
+     * Expected behavior:
+     * - Without templates there is no button
+     * - The button lists template names and subjects (HTML-escaped JSON)
+     */
+    public function testPanelOffersConfiguredTemplates()
+    {
+        $ticket = new Ticket(array('ticket_id' => 1, 'number' => '100001', 'ticket_pid' => null));
+
+        $this->mockMultipleDbQueries(array(array(), array()));
+        $this->assertStringNotContainsString('data-action="apply-template"', $this->plugin->onTicketView($ticket));
+
+        \SubticketManager\Config\ConfigCache::getInstance()->populate(array(
+            'subticket_templates' => '[{"name": "Onboarding", "items": [{"subject": "Create account", "dept_id": 3}]}]',
+        ));
+
+        $this->mockMultipleDbQueries(array(array(), array()));
+        $html = $this->plugin->onTicketView($ticket);
+
+        \SubticketManager\Config\ConfigCache::getInstance()->clear();
+
+        $this->assertStringContainsString('data-action="apply-template"', $html);
+        $this->assertStringContainsString('&quot;name&quot;:&quot;Onboarding&quot;', $html);
+        $this->assertStringContainsString('&quot;items&quot;:[&quot;Create account&quot;]', $html);
+    }
+
+    /**
+     * Test that the panel offers a History tab next to the relationships
+     *
+     * Expected behavior:
+     * - Tab list with the Subtickets tab selected
+     * - Empty, hidden History tab panel (loaded on demand)
+     */
+    public function testPanelRendersHistoryTab()
+    {
+        $ticket = new Ticket(array('ticket_id' => 1, 'number' => '100001', 'ticket_pid' => null));
+
+        $this->mockMultipleDbQueries(array(array(), array()));
+        $html = $this->plugin->onTicketView($ticket);
+
+        $this->assertStringContainsString('role="tablist"', $html);
+        $this->assertMatchesRegularExpression('/id="subticket-tab-1-hierarchy"[^>]*aria-selected="true"/', $html);
+        $this->assertMatchesRegularExpression('/id="subticket-tab-1-history"[^>]*aria-selected="false" tabindex="-1"/', $html);
+        $this->assertStringContainsString('class="subticket-tab-panel subticket-history" id="subticket-tabpanel-1-history"', $html);
+        $this->assertMatchesRegularExpression('/data-tab="history" hidden><\/div>/', $html);
+    }
+
+    /**
+     * Test that the panel lists blockers and blocked tickets with status icons
+     *
+     * Expected behavior:
+     * - Closed blockers show a check mark, open tickets a clock
+     * - Remove buttons carry the waiting and the blocking ticket
+     * - Only unlinked siblings are offered as new blockers
+     */
+    public function testPanelShowsDependencies()
+    {
+        $ticket = new Ticket(array('ticket_id' => 2, 'number' => '100002', 'ticket_pid' => 1));
+
+        $this->mockMultipleDbQueries(array(
+            array(array('ticket_id' => 1, 'number' => '100001', 'subject' => 'Root', 'status' => 'Open')),
+            array(),
+            array(array('p1' => 1)),
+            array(
+                array('ticket_id' => 1, 'ticket_pid' => null, 'number' => '100001', 'subject' => 'Root', 'status' => 'Open', 'status_state' => 'open')
+            ),
+            array(
+                array('ticket_id' => 2, 'ticket_pid' => 1, 'number' => '100002', 'subject' => 'Current', 'status' => 'Open', 'status_state' => 'open'),
+                array('ticket_id' => 3, 'ticket_pid' => 1, 'number' => '100003', 'subject' => 'Design', 'status' => 'Resolved', 'status_state' => 'closed'),
+                array('ticket_id' => 4, 'ticket_pid' => 1, 'number' => '100004', 'subject' => 'Rollout', 'status' => 'Open', 'status_state' => 'open'),
+                array('ticket_id' => 5, 'ticket_pid' => 1, 'number' => '100005', 'subject' => 'Training', 'status' => 'Open', 'status_state' => 'open')
+            ),
+            array(),
+            // getBlockers(2)
+            array(array('ticket_id' => 3, 'number' => '100003', 'subject' => 'Design', 'status' => 'Resolved', 'status_state' => 'closed')),
+            // getBlocking(2)
+            array(array('ticket_id' => 4, 'number' => '100004', 'subject' => 'Rollout', 'status' => 'Open', 'status_state' => 'open'))
+        ));
+
+        $html = $this->plugin->onTicketView($ticket);
+
+        $this->assertStringContainsString('<h3>Dependencies</h3>', $html);
+        $this->assertStringContainsString('<li class="dependency-item is-closed">', $html);
+        $this->assertStringContainsString('<i class="icon-ok dependency-status" title="Resolved" aria-hidden="true"></i>', $html);
+        $this->assertStringContainsString('<i class="icon-time dependency-status" title="Open" aria-hidden="true"></i>', $html);
+        $this->assertStringContainsString('data-action="remove-dependency" data-ticket-id="2" data-blocked-by-id="3"', $html);
+        $this->assertStringContainsString('data-action="remove-dependency" data-ticket-id="4" data-blocked-by-id="2"', $html);
+        $this->assertStringContainsString('<option value="5">#100005: Training</option>', $html);
+        $this->assertStringNotContainsString('<option value="3">', $html);
+        $this->assertStringNotContainsString('<option value="4">', $html);
+        $this->assertStringContainsString('data-action="add-dependency" data-ticket-id="2"', $html);
     }
 
     // ============================================================
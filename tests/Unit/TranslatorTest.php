@@ -0,0 +1,133 @@
+<?php
+/**
+ * Tests for the UI string catalogues
+ *
+ * Tests the following:
+ * - Translator fallback chain (de_AT -> de -> en -> key)
+ * - Plural form selection and {placeholder} substitution
+ * - English and German catalogues define the same keys
+ * - PanelRenderer output and inlined script catalogue in German
+ */
+
+// Load bootstrap
+require_once dirname(__DIR__) . '/bootstrap.php';
+
+use PHPUnit\Framework\TestCase;
+use SubticketManager\I18n\Translator;
+use SubticketManager\UI\PanelRenderer;
+
+class TranslatorTest extends TestCase
+{
+    /** @var string */
+    private $catalogueDir;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->catalogueDir = dirname(__DIR__, 2) . '/i18n';
+    }
+
+    /**
+     * Test the fallback chain of regional, base and default language
+     *
+     * Expected behavior:
+     * - Regional catalogue wins over the base language
+     * - Keys missing in a catalogue fall back to English, then to the key
+     * - Unknown or malformed language codes use English
+     */
+    public function testFallsBackFromRegionalToBaseToEnglish()
+    {
+        $dir = sys_get_temp_dir() . '/subticket-i18n-' . uniqid();
+        mkdir($dir);
+        file_put_contents("$dir/en.php", "<?php return ['a' => 'A', 'b' => 'B', 'c' => 'C'];");
+        file_put_contents("$dir/de.php", "<?php return ['a' => 'A-de', 'b' => 'B-de'];");
+        file_put_contents("$dir/de_AT.php", "<?php return ['a' => 'A-at'];");
+
+        $translator = new Translator($dir, 'de-at');
+
+        $this->assertSame('de_AT', $translator->getLanguage());
+        $this->assertSame('A-at', $translator->translate('a'));
+        $this->assertSame('B-de', $translator->translate('b'));
+        $this->assertSame('C', $translator->translate('c'));
+        $this->assertSame('missing.key', $translator->translate('missing.key'));
+        $this->assertSame('en', (new Translator($dir, '../etc'))->getLanguage());
+
+        array_map('unlink', glob("$dir/*.php"));
+        rmdir($dir);
+    }
+
+    /**
+     * Test plural forms and placeholders
+     *
+     * Expected behavior:
+     * - English and German use the singular for exactly 1 only
+     * - French also uses the singular for 0
+     * - {count} is filled in without passing it explicitly
+     */
+    public function testSelectsPluralFormAndFillsPlaceholders()
+    {
+        $german = new Translator($this->catalogueDir, 'de');
+
+        $this->assertSame('1 Subticket', $german->plural('panel.badge_subtickets', 1));
+        $this->assertSame('0 Subtickets', $german->plural('panel.badge_subtickets', 0));
+        $this->assertSame(
+            'Seite 2 von 3 (51 Hierarchien)',
+            $german->plural('overview.page_info', 51, ['page' => 2, 'pages' => 3])
+        );
+        $this->assertSame('Fehler: Timeout', $german->translate('common.error', ['message' => 'Timeout']));
+
+        $french = new Translator($this->catalogueDir, 'fr');
+        $this->assertSame(0, $french->getPluralIndex(0));
+        $this->assertSame(1, $french->getPluralIndex(2));
+    }
+
+    /**
+     * Test that the shipped catalogues are complete
+     *
+     * Expected behavior:
+     * - German defines every English key, with the same number of plural forms
+     */
+    public function testGermanCatalogueCoversEnglishKeys()
+    {
+        $english = include $this->catalogueDir . '/en.php';
+        $german = include $this->catalogueDir . '/de.php';
+
+        $this->assertSame(array(), array_diff(array_keys($english), array_keys($german)));
+        $this->assertSame(array(), array_diff(array_keys($german), array_keys($english)));
+
+        foreach ($english as $key => $value) {
+            $this->assertSame(is_array($value), is_array($german[$key]), $key);
+        }
+    }
+
+    /**
+     * Test the panel and the script catalogue in the agent's language
+     *
+     * Expected behavior:
+     * - Panel headings and badge are German
+     * - The catalogue is inlined (HTML-safe) before subticket-i18n.js loads
+     */
+    public function testPanelRendersInAgentLanguage()
+    {
+        $renderer = new PanelRenderer('/plugins/subticket', new Translator($this->catalogueDir, 'de'));
+
+        $children = array(
+            array('id' => 2, 'number' => '100002', 'subject' => 'A', 'status' => 'Open', 'status_state' => 'open'),
+            array('id' => 3, 'number' => '100003', 'subject' => 'B', 'status' => 'Closed', 'status_state' => 'closed'),
+        );
+        $html = $renderer->renderPanel(1, null, $children, 'token');
+
+        $this->assertStringContainsString('Kein übergeordnetes Ticket', $html);
+        $this->assertStringContainsString('Untergeordnete Tickets', $html);
+        $this->assertStringNotContainsString('No parent ticket', $html);
+
+        $script = $renderer->getJavaScript();
+        $this->assertStringContainsString('"language":"de"', $script);
+        $this->assertStringContainsString('Keine untergeordneten Tickets', $script);
+        $this->assertLessThan(
+            strpos($script, 'subticket-panel.js'),
+            strpos($script, '/plugins/subticket/js/subticket-i18n.js')
+        );
+    }
+}
@@ -128,10 +128,13 @@ if (!class_exists('Ticket')) {
             $this->data = $data;
         }
 
+        /** @var array Notes posted via logNote() */
+        public $notes = array();
+
         public static function lookup($id) {
             // Return null (ticket not found) by default
-            // Tests can override by mocking database queries
-            return null;
+            // Tests can register tickets in $GLOBALS['__test_tickets']
+            return $GLOBALS['__test_tickets'][$id] ?? null;
         }
 
         public function getId() {
@@ -153,6 +156,57 @@ if (!class_exists('Ticket')) {
         public function getParentId() {
             return $this->data['ticket_pid'] ?? null;
         }
+
+        public function getStatusId() {
+            return $this->data['status_id'] ?? null;
+        }
+
+        public function getStaffId() {
+            return $this->data['staff_id'] ?? 0;
+        }
+
+        public function getTeamId() {
+            return $this->data['team_id'] ?? 0;
+        }
+
+        public function isClosed() {
+            return !empty($this->data['closed']);
+        }
+
+        public function setStatus($status, $comments = '', &$errors = array(), $set_closing_agent = true) {
+            $this->data['status'] = $status;
+            $this->data['closed'] = true;
+            return true;
+        }
+
+        public function assignToStaff($staff, $note, $alert = true, $user = null) {
+            $this->data['staff_id'] = (int)$staff;
+            return true;
+        }
+
+        public function assignToTeam($team, $note, $alert = true, $user = null) {
+            $this->data['team_id'] = (int)$team;
+            return true;
+        }
+
+        public function release($info = array(), &$errors = array()) {
+            if (!empty($info['sid'])) {
+                $this->data['staff_id'] = 0;
+            }
+            if (!empty($info['tid'])) {
+                $this->data['team_id'] = 0;
+            }
+            return true;
+        }
+
+        public function checkUserAccess($user) {
+            return isset($this->data['user_id']) && $this->data['user_id'] == $user->getId();
+        }
+
+        public function logNote($title, $note, $poster = 'SYSTEM', $alert = true) {
+            $this->notes[] = array('title' => $title, 'note' => $note, 'poster' => $poster, 'alert' => $alert);
+            return true;
+        }
     }
 }
 
@@ -287,6 +341,7 @@ $GLOBALS['__test_staff_permission'] = false;
 $GLOBALS['__test_signals'] = array();
 $GLOBALS['__test_is_staff_area'] = true; // Default: staff area
 $GLOBALS['__test_ticket_access'] = true; // Default: allow ticket access in tests
+$GLOBALS['__test_tickets'] = array(); // Tickets returned by Ticket::lookup()
 
 // Mock global osTicket objects for AJAX tests
 // These are used by SubticketController for CSRF and permission validation